@@ -0,0 +1,50 @@
+// 예제 3-2: API 통합 테스트 자동 생성 (고급 테스트 예제)
+// Codex 명령어: codex "Add integration tests for API endpoints with error handling"
+
+// AFTER: Codex가 생성한 통합 테스트 (대상 라우터는 api-creation-example.after.js)
+const express = require('express');
+const request = require('supertest');
+const router = require('./api-creation-example.after');
+
+const app = express();
+app.use(express.json());
+app.use('/api', router);
+
+describe('User API', () => {
+  describe('GET /api/users', () => {
+    test('should return all users', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .expect(200);
+
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('POST /api/users', () => {
+    test('should create new user', async () => {
+      const newUser = {
+        name: 'Test User',
+        email: 'test@example.com'
+      };
+
+      const response = await request(app)
+        .post('/api/users')
+        .send(newUser)
+        .expect(201);
+
+      expect(response.body).toMatchObject(newUser);
+      expect(response.body.id).toBeDefined();
+    });
+
+    test('should return error for invalid data', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .send({ name: 'Test User' }) // missing email
+        .expect(400);
+
+      expect(response.body.error).toBe('Name and email are required');
+    });
+  });
+});
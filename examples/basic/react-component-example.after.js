@@ -0,0 +1,49 @@
+// 예제 1: React 클래스 컴포넌트 → 함수형 컴포넌트 변환
+// Codex 명령어: codex "Convert this class component to a functional component using React Hooks"
+
+// AFTER: 함수형 컴포넌트 (Codex가 변환한 결과, 원본은 react-component-example.js)
+import React, { useState, useEffect } from 'react';
+
+const UserProfile = ({ userId }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchUserData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(`/api/users/${userId}`);
+      const userData = await response.json();
+      setUser(userData);
+      setLoading(false);
+    } catch (error) {
+      setError(error.message);
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUserData();
+  }, [userId]);
+
+  const handleUpdateUser = (userData) => {
+    setUser(prevUser => ({ ...prevUser, ...userData }));
+  };
+
+  if (loading) return <div>Loading...</div>;
+  if (error) return <div>Error: {error}</div>;
+  if (!user) return <div>User not found</div>;
+
+  return (
+    <div className="user-profile">
+      <h2>{user.name}</h2>
+      <p>{user.email}</p>
+      <button onClick={() => handleUpdateUser({ lastSeen: new Date() })}>
+        Update Last Seen
+      </button>
+    </div>
+  );
+};
+
+export default UserProfile;
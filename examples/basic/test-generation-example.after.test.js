@@ -0,0 +1,53 @@
+// 예제 3: 테스트 코드 자동 생성
+// Codex 명령어: codex "Write unit tests for this utility function using Jest"
+
+// AFTER: Codex가 생성한 테스트 코드 (대상 함수는 test-generation-example.js)
+const { calculateTax, formatCurrency, validateEmail } = require('./test-generation-example');
+
+describe('calculateTax', () => {
+  test('should calculate tax correctly', () => {
+    expect(calculateTax(100, 0.1)).toBe(10);
+    expect(calculateTax(50, 0.2)).toBe(10);
+    expect(calculateTax(0, 0.1)).toBe(0);
+  });
+
+  test('should throw error for negative price', () => {
+    expect(() => calculateTax(-100, 0.1)).toThrow('Price and tax rate must be positive numbers');
+  });
+
+  test('should throw error for negative tax rate', () => {
+    expect(() => calculateTax(100, -0.1)).toThrow('Price and tax rate must be positive numbers');
+  });
+});
+
+describe('formatCurrency', () => {
+  test('should format USD currency by default', () => {
+    expect(formatCurrency(100)).toBe('$100.00');
+    expect(formatCurrency(99.99)).toBe('$99.99');
+  });
+
+  test('should format different currencies', () => {
+    expect(formatCurrency(100, 'EUR')).toContain('100.00');
+    expect(formatCurrency(100, 'JPY')).toContain('100');
+  });
+
+  test('should handle zero amount', () => {
+    expect(formatCurrency(0)).toBe('$0.00');
+  });
+});
+
+describe('validateEmail', () => {
+  test('should validate correct email addresses', () => {
+    expect(validateEmail('test@example.com')).toBe(true);
+    expect(validateEmail('user.name@domain.org')).toBe(true);
+    expect(validateEmail('user+tag@example.co.uk')).toBe(true);
+  });
+
+  test('should reject invalid email addresses', () => {
+    expect(validateEmail('invalid-email')).toBe(false);
+    expect(validateEmail('user@')).toBe(false);
+    expect(validateEmail('@domain.com')).toBe(false);
+    expect(validateEmail('')).toBe(false);
+    expect(validateEmail('user name@domain.com')).toBe(false);
+  });
+});
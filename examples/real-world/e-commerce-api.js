@@ -1,479 +1,625 @@
 // 예제 6: 실제 프로젝트 - E-commerce API
 // Codex 명령어: codex "Create a complete e-commerce API with products, cart, and orders"
 
+const path = require('path');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const { createRepositories, normalizeProductQuery } = require('./e-commerce/repositories');
+const { authorize, isAllowed, bootstrapAdmin } = require('./e-commerce/authorization');
+const { InsufficientStockError } = require('./e-commerce/repositories/errors');
+const { ORDER_STATUSES, InvalidTransitionError, OrderLifecycle } = require('./e-commerce/order-lifecycle');
+const { PaymentService, PaymentDeclinedError, PaymentProviderError } = require('./e-commerce/payments');
+const { HttpPaymentProvider } = require('./e-commerce/payments/http-provider');
+const { SIGNATURE_HEADER, verifySignature } = require('./e-commerce/payments/signature');
+
+// 체크아웃에서 차감한 재고를 결제(processing 전환) 전까지 잡아 두는 시간
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+// 비밀 값은 하드코딩된 기본값 없이 환경 변수로만 받음 (없으면 서버가 시작되지 않음)
+function requiredEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} 환경 변수가 필요합니다`);
+  return value;
+}
+
+// 비동기 핸들러의 예외를 에러 핸들링 미들웨어로 전달
+const asyncHandler = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// 데이터는 저장소 계층(e-commerce/repositories)을 통해서만 접근
+// repositories: createRepositories({ driver: 'memory' | 'sqlite' })의 결과
+// reservationTtl: 재고 예약 유지 시간(ms), clock: 현재 시각 (테스트에서 시간 이동용)
+// paymentProvider: 결제 제공자 (기본값은 PAYMENT_GATEWAY_URL의 HTTP 게이트웨이, PAYMENT_API_KEY 필수)
+// webhookSecret: 웹훅 서명 키 (기본값은 PAYMENT_WEBHOOK_SECRET, 필수)
+// jwtSecret: 액세스 토큰 서명 키 (기본값은 JWT_SECRET, 필수)
+// 주문 상태 변경은 app.locals.lifecycle(OrderLifecycle)을 거치며, 도메인 이벤트도 여기에 구독
+function createApp({
+  repositories,
+  reservationTtl = RESERVATION_TTL_MS,
+  clock = () => new Date(),
+  paymentProvider = new HttpPaymentProvider({
+    baseUrl: process.env.PAYMENT_GATEWAY_URL || 'http://localhost:4000',
+    apiKey: requiredEnv('PAYMENT_API_KEY')
+  }),
+  webhookSecret = requiredEnv('PAYMENT_WEBHOOK_SECRET'),
+  jwtSecret = requiredEnv('JWT_SECRET')
+}) {
+  const { products, users, carts, orders } = repositories;
+  const lifecycle = new OrderLifecycle({ orders, clock });
+  const payments = new PaymentService({
+    provider: paymentProvider,
+    payments: repositories.payments,
+    lifecycle,
+    currency: process.env.PAYMENT_CURRENCY || 'USD'
+  });
+
+  const app = express();
+  app.locals.lifecycle = lifecycle;
+  app.locals.payments = payments;
+  // 웹훅 서명은 받은 그대로의 본문으로 검증하므로 원본을 보관
+  app.use(express.json({
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    }
+  }));
 
-const app = express();
-app.use(express.json());
+  // Codex가 생성할 수 있는 완전한 E-commerce API:
 
-// 임시 데이터 저장소 (실제로는 데이터베이스 사용)
-let products = [
-  { id: 1, name: 'Laptop', price: 999.99, stock: 10, category: 'Electronics' },
-  { id: 2, name: 'Phone', price: 699.99, stock: 5, category: 'Electronics' },
-  { id: 3, name: 'Book', price: 29.99, stock: 100, category: 'Books' }
-];
+  /* 
+  1. 사용자 인증 시스템
+  Codex 명령어: "Create user authentication with JWT"
+  */
 
-let users = [];
-let carts = [];
-let orders = [];
+  // 미들웨어
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
 
-// Codex가 생성할 수 있는 완전한 E-commerce API:
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
 
-/* 
-1. 사용자 인증 시스템
-Codex 명령어: "Create user authentication with JWT"
-*/
+    jwt.verify(token, jwtSecret, (err, user) => {
+      if (err) {
+        return res.status(403).json({ error: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    });
+  };
 
-// 미들웨어
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  // 회원가입
+  app.post('/api/auth/register', [
+    body('email').isEmail(),
+    body('password').isLength({ min: 6 })
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+    const { email, password, name } = req.body;
 
-  jwt.verify(token, process.env.JWT_SECRET || 'secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+    // 이미 존재하는 사용자 확인
+    if (await users.findByEmail(email)) {
+      return res.status(400).json({ error: 'User already exists' });
     }
-    req.user = user;
-    next();
-  });
-};
-
-// 회원가입
-app.post('/api/auth/register', [
-  body('email').isEmail(),
-  body('password').isLength({ min: 6 })
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { email, password, name } = req.body;
-  
-  // 이미 존재하는 사용자 확인
-  if (users.find(u => u.email === email)) {
-    return res.status(400).json({ error: 'User already exists' });
-  }
-
-  const hashedPassword = await bcrypt.hash(password, 10);
-  const user = {
-    id: users.length + 1,
-    email,
-    password: hashedPassword,
-    name,
-    createdAt: new Date()
-  };
 
-  users.push(user);
-  
-  const token = jwt.sign(
-    { userId: user.id, email: user.email },
-    process.env.JWT_SECRET || 'secret',
-    { expiresIn: '24h' }
-  );
-
-  res.status(201).json({
-    token,
-    user: { id: user.id, email: user.email, name: user.name }
-  });
-});
-
-// 로그인
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-  
-  const user = users.find(u => u.email === email);
-  if (!user) {
-    return res.status(400).json({ error: 'Invalid credentials' });
-  }
-
-  const validPassword = await bcrypt.compare(password, user.password);
-  if (!validPassword) {
-    return res.status(400).json({ error: 'Invalid credentials' });
-  }
-
-  const token = jwt.sign(
-    { userId: user.id, email: user.email },
-    process.env.JWT_SECRET || 'secret',
-    { expiresIn: '24h' }
-  );
-
-  res.json({
-    token,
-    user: { id: user.id, email: user.email, name: user.name }
-  });
-});
-
-/* 
-2. 상품 관리 API
-Codex 명령어: "Create product management endpoints with search and filtering"
-*/
-
-// 모든 상품 조회 (검색 및 필터링 포함)
-app.get('/api/products', (req, res) => {
-  let filteredProducts = [...products];
-  
-  // 카테고리 필터링
-  if (req.query.category) {
-    filteredProducts = filteredProducts.filter(p => 
-      p.category.toLowerCase() === req.query.category.toLowerCase()
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await users.create({ email, password: hashedPassword, name });
+
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role },
+      jwtSecret,
+      { expiresIn: '24h' }
     );
-  }
-  
-  // 가격 범위 필터링
-  if (req.query.minPrice) {
-    filteredProducts = filteredProducts.filter(p => p.price >= parseFloat(req.query.minPrice));
-  }
-  if (req.query.maxPrice) {
-    filteredProducts = filteredProducts.filter(p => p.price <= parseFloat(req.query.maxPrice));
-  }
-  
-  // 검색
-  if (req.query.search) {
-    const searchTerm = req.query.search.toLowerCase();
-    filteredProducts = filteredProducts.filter(p => 
-      p.name.toLowerCase().includes(searchTerm)
+
+    res.status(201).json({
+      token,
+      user: { id: user.id, email: user.email, name: user.name, role: user.role }
+    });
+  }));
+
+  // 로그인
+  app.post('/api/auth/login', asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await users.findByEmail(email);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role },
+      jwtSecret,
+      { expiresIn: '24h' }
     );
-  }
-  
-  // 정렬
-  if (req.query.sortBy) {
-    const sortBy = req.query.sortBy;
-    const order = req.query.order === 'desc' ? -1 : 1;
-    
-    filteredProducts.sort((a, b) => {
-      if (a[sortBy] < b[sortBy]) return -1 * order;
-      if (a[sortBy] > b[sortBy]) return 1 * order;
-      return 0;
+
+    res.json({
+      token,
+      user: { id: user.id, email: user.email, name: user.name, role: user.role }
+    });
+  }));
+
+  /* 
+  2. 상품 관리 API
+  Codex 명령어: "Create product management endpoints with search and filtering"
+  */
+
+  // 모든 상품 조회 (검색 및 필터링 포함)
+  // 카테고리, 가격 범위, 상품명 검색, 정렬, 페이지네이션은 저장소에서 처리
+  app.get('/api/products', asyncHandler(async (req, res) => {
+    const query = normalizeProductQuery(req.query);
+    const { products: paginatedProducts, count } = await products.search(query);
+
+    res.json({
+      products: paginatedProducts,
+      pagination: {
+        current: query.page,
+        total: Math.ceil(count / query.limit),
+        count
+      }
     });
-  }
-  
-  // 페이지네이션
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  
-  const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
-  
-  res.json({
-    products: paginatedProducts,
-    pagination: {
-      current: page,
-      total: Math.ceil(filteredProducts.length / limit),
-      count: filteredProducts.length
+  }));
+
+  // 특정 상품 조회
+  app.get('/api/products/:id', asyncHandler(async (req, res) => {
+    const product = await products.findById(parseInt(req.params.id));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
-  });
-});
-
-// 특정 상품 조회
-app.get('/api/products/:id', (req, res) => {
-  const product = products.find(p => p.id === parseInt(req.params.id));
-  if (!product) {
-    return res.status(404).json({ error: 'Product not found' });
-  }
-  res.json(product);
-});
-
-/* 
-3. 장바구니 관리 API
-Codex 명령어: "Create shopping cart functionality with add, update, remove items"
-*/
-
-// 장바구니 조회
-app.get('/api/cart', authenticateToken, (req, res) => {
-  let cart = carts.find(c => c.userId === req.user.userId);
-  if (!cart) {
-    cart = { userId: req.user.userId, items: [], total: 0 };
-    carts.push(cart);
-  }
-  
-  // 총액 계산
-  cart.total = cart.items.reduce((sum, item) => {
-    const product = products.find(p => p.id === item.productId);
-    return sum + (product ? product.price * item.quantity : 0);
-  }, 0);
-  
-  res.json(cart);
-});
-
-// 장바구니에 상품 추가
-app.post('/api/cart/items', authenticateToken, [
-  body('productId').isInt({ min: 1 }),
-  body('quantity').isInt({ min: 1 })
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { productId, quantity } = req.body;
-  
-  // 상품 존재 확인
-  const product = products.find(p => p.id === productId);
-  if (!product) {
-    return res.status(404).json({ error: 'Product not found' });
-  }
-  
-  // 재고 확인
-  if (product.stock < quantity) {
-    return res.status(400).json({ error: 'Insufficient stock' });
-  }
-  
-  // 장바구니 찾기 또는 생성
-  let cart = carts.find(c => c.userId === req.user.userId);
-  if (!cart) {
-    cart = { userId: req.user.userId, items: [] };
-    carts.push(cart);
-  }
-  
-  // 이미 있는 상품인지 확인
-  const existingItem = cart.items.find(item => item.productId === productId);
-  if (existingItem) {
-    existingItem.quantity += quantity;
-  } else {
-    cart.items.push({ productId, quantity });
-  }
-  
-  res.json({ message: 'Item added to cart', cart });
-});
-
-// 장바구니 아이템 수량 업데이트
-app.put('/api/cart/items/:productId', authenticateToken, [
-  body('quantity').isInt({ min: 0 })
-], (req, res) => {
-  const { quantity } = req.body;
-  const productId = parseInt(req.params.productId);
-  
-  const cart = carts.find(c => c.userId === req.user.userId);
-  if (!cart) {
-    return res.status(404).json({ error: 'Cart not found' });
-  }
-  
-  const itemIndex = cart.items.findIndex(item => item.productId === productId);
-  if (itemIndex === -1) {
-    return res.status(404).json({ error: 'Item not found in cart' });
-  }
-  
-  if (quantity === 0) {
-    cart.items.splice(itemIndex, 1);
-  } else {
-    const product = products.find(p => p.id === productId);
-    if (product && product.stock < quantity) {
+    res.json(product);
+  }));
+
+  /* 
+  3. 장바구니 관리 API
+  Codex 명령어: "Create shopping cart functionality with add, update, remove items"
+  */
+
+  // 장바구니 조회
+  app.get('/api/cart', authenticateToken, asyncHandler(async (req, res) => {
+    let cart = await carts.findByUserId(req.user.userId);
+    if (!cart) {
+      cart = await carts.save({ userId: req.user.userId, items: [] });
+    }
+
+    // 총액 계산
+    cart.total = 0;
+    for (const item of cart.items) {
+      const product = await products.findById(item.productId);
+      cart.total += product ? product.price * item.quantity : 0;
+    }
+
+    res.json(cart);
+  }));
+
+  // 장바구니에 상품 추가
+  app.post('/api/cart/items', authenticateToken, [
+    body('productId').isInt({ min: 1 }),
+    body('quantity').isInt({ min: 1 })
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, quantity } = req.body;
+
+    // 상품 존재 확인
+    const product = await products.findById(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // 재고 확인
+    if (product.stock < quantity) {
       return res.status(400).json({ error: 'Insufficient stock' });
     }
-    cart.items[itemIndex].quantity = quantity;
-  }
-  
-  res.json({ message: 'Cart updated', cart });
-});
-
-// 장바구니에서 아이템 제거
-app.delete('/api/cart/items/:productId', authenticateToken, (req, res) => {
-  const productId = parseInt(req.params.productId);
-  
-  const cart = carts.find(c => c.userId === req.user.userId);
-  if (!cart) {
-    return res.status(404).json({ error: 'Cart not found' });
-  }
-  
-  cart.items = cart.items.filter(item => item.productId !== productId);
-  res.json({ message: 'Item removed from cart', cart });
-});
-
-/* 
-4. 주문 관리 API
-Codex 명령어: "Create order management with checkout, order history, and status tracking"
-*/
-
-// 주문 생성 (체크아웃)
-app.post('/api/orders', authenticateToken, [
-  body('shippingAddress').notEmpty(),
-  body('paymentMethod').notEmpty()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { shippingAddress, paymentMethod } = req.body;
-  
-  // 장바구니 확인
-  const cart = carts.find(c => c.userId === req.user.userId);
-  if (!cart || cart.items.length === 0) {
-    return res.status(400).json({ error: 'Cart is empty' });
-  }
-  
-  // 재고 확인 및 총액 계산
-  let total = 0;
-  const orderItems = [];
-  
-  for (const cartItem of cart.items) {
-    const product = products.find(p => p.id === cartItem.productId);
+
+    // 장바구니 찾기 또는 생성
+    let cart = await carts.findByUserId(req.user.userId);
+    if (!cart) {
+      cart = { userId: req.user.userId, items: [] };
+    }
+
+    // 이미 있는 상품인지 확인
+    const existingItem = cart.items.find(item => item.productId === productId);
+    if (existingItem) {
+      existingItem.quantity += quantity;
+    } else {
+      cart.items.push({ productId, quantity });
+    }
+
+    cart = await carts.save(cart);
+    res.json({ message: 'Item added to cart', cart });
+  }));
+
+  // 장바구니 아이템 수량 업데이트
+  app.put('/api/cart/items/:productId', authenticateToken, [
+    body('quantity').isInt({ min: 0 })
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { quantity } = req.body;
+    const productId = parseInt(req.params.productId);
+
+    let cart = await carts.findByUserId(req.user.userId);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const itemIndex = cart.items.findIndex(item => item.productId === productId);
+    if (itemIndex === -1) {
+      return res.status(404).json({ error: 'Item not found in cart' });
+    }
+
+    if (quantity === 0) {
+      cart.items.splice(itemIndex, 1);
+    } else {
+      const product = await products.findById(productId);
+      if (product && product.stock < quantity) {
+        return res.status(400).json({ error: 'Insufficient stock' });
+      }
+      cart.items[itemIndex].quantity = quantity;
+    }
+
+    cart = await carts.save(cart);
+    res.json({ message: 'Cart updated', cart });
+  }));
+
+  // 장바구니에서 아이템 제거
+  app.delete('/api/cart/items/:productId', authenticateToken, asyncHandler(async (req, res) => {
+    const productId = parseInt(req.params.productId);
+
+    let cart = await carts.findByUserId(req.user.userId);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    cart.items = cart.items.filter(item => item.productId !== productId);
+    cart = await carts.save(cart);
+    res.json({ message: 'Item removed from cart', cart });
+  }));
+
+  /* 
+  4. 주문 관리 API
+  Codex 명령어: "Create order management with checkout, order history, and status tracking"
+  */
+
+  // 주문 생성 (체크아웃)
+  // 재고 확인·차감과 주문 생성은 orders.place 한 번으로 처리해 하나라도 부족하면 아무 재고도 차감하지 않음
+  // 차감한 재고는 reservationTtl 동안 예약되고, 그 안에 processing으로 바뀌지 않으면 주문이 취소되며 재고가 돌아옴
+  // paymentMethod는 결제 제공자에 넘기는 결제 수단 토큰 (승인·매입 후 payment.captured 웹훅으로 processing 전환)
+  app.post('/api/orders', authenticateToken, [
+    body('shippingAddress').notEmpty(),
+    body('paymentMethod').isString().notEmpty()
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shippingAddress, paymentMethod } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    // 같은 키로 재시도한 요청은 처음 만든 주문을 그대로 반환
+    if (idempotencyKey) {
+      const existing = await orders.findByIdempotencyKey(req.user.userId, idempotencyKey);
+      if (existing) {
+        return res.set('Idempotent-Replayed', 'true').status(201).json(existing);
+      }
+    }
+
+    // 만료된 예약을 먼저 풀어 재고를 되돌림
+    await lifecycle.releaseExpired(clock());
+
+    // 장바구니 확인
+    const cart = await carts.findByUserId(req.user.userId);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    // 주문 항목과 총액 계산 (재고는 orders.place에서 확인)
+    let total = 0;
+    const orderItems = [];
+
+    for (const cartItem of cart.items) {
+      const product = await products.findById(cartItem.productId);
+      if (!product) {
+        return res.status(400).json({ error: `Product ${cartItem.productId} not found` });
+      }
+
+      const itemTotal = product.price * cartItem.quantity;
+      total += itemTotal;
+
+      orderItems.push({
+        productId: product.id,
+        name: product.name,
+        price: product.price,
+        quantity: cartItem.quantity,
+        total: itemTotal
+      });
+    }
+
+    let placed;
+    try {
+      placed = await orders.place({
+        userId: req.user.userId,
+        items: orderItems,
+        total,
+        shippingAddress,
+        paymentMethod,
+        reservedUntil: new Date(clock().getTime() + reservationTtl).toISOString()
+      }, { idempotencyKey });
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // 동시에 들어온 같은 키의 요청이 먼저 주문을 만들었다면 그 주문을 반환
+    if (!placed.created) {
+      return res.set('Idempotent-Replayed', 'true').status(201).json(placed.order);
+    }
+
+    // 결제 승인·매입 (거절되거나 게이트웨이 오류면 주문을 취소해 재고를 되돌리고 장바구니는 유지)
+    // 취소한 주문에서는 Idempotency-Key를 떼어 같은 키로 재시도하면 새 주문으로 다시 결제함
+    try {
+      await payments.charge(placed.order, paymentMethod);
+    } catch (error) {
+      if (!(error instanceof PaymentDeclinedError || error instanceof PaymentProviderError)) throw error;
+
+      const declined = error instanceof PaymentDeclinedError;
+      await lifecycle.transition(placed.order.id, 'cancelled', {
+        changedBy: req.user.userId,
+        reason: declined ? 'payment_declined' : 'payment_failed'
+      });
+      if (idempotencyKey) await orders.releaseIdempotencyKey(placed.order.id);
+      return declined
+        ? res.status(402).json({ error: 'Payment declined', code: error.code, orderId: placed.order.id })
+        : res.status(502).json({ error: 'Payment provider unavailable', orderId: placed.order.id });
+    }
+
+    // 장바구니 비우기
+    await carts.save({ userId: req.user.userId, items: [] });
+
+    res.status(201).json(placed.order);
+  }));
+
+  // 주문 내역 조회
+  app.get('/api/orders', authenticateToken, asyncHandler(async (req, res) => {
+    const userOrders = await orders.findByUserId(req.user.userId);
+    res.json(userOrders);
+  }));
+
+  // 본인 주문만 조회 가능 (orders:read-all 권한이 있으면 모든 주문)
+  const findAccessibleOrder = async (req) => {
+    const order = await orders.findById(parseInt(req.params.id));
+    if (!order) return null;
+    if (order.userId !== req.user.userId && !isAllowed(req.user.role, 'orders:read-all')) return null;
+    return order;
+  };
+
+  // 특정 주문 조회
+  app.get('/api/orders/:id', authenticateToken, asyncHandler(async (req, res) => {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  }));
+
+  // 주문 상태 이력 조회
+  app.get('/api/orders/:id/history', authenticateToken, asyncHandler(async (req, res) => {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(await orders.statusHistory(order.id));
+  }));
+
+  // 주문 취소 (고객용, 출고 전까지만 가능하고 재고 복구)
+  app.post('/api/orders/:id/cancel', authenticateToken, asyncHandler(async (req, res) => {
+    const order = await orders.findById(parseInt(req.params.id));
+    if (!order || order.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    try {
+      const cancelled = await lifecycle.transition(order.id, 'cancelled', {
+        changedBy: req.user.userId,
+        reason: req.body.reason || 'customer_request'
+      });
+      res.json(cancelled);
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({ error: 'Order can no longer be cancelled', status: error.from });
+      }
+      throw error;
+    }
+  }));
+
+  // 주문 상태 업데이트 (관리자용, 허용된 변경만 가능)
+  app.put('/api/orders/:id/status', authenticateToken, authorize('orders:update-status'), [
+    body('status').isIn(ORDER_STATUSES)
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+
+    try {
+      const order = await lifecycle.transition(parseInt(req.params.id), status, { changedBy: req.user.userId, reason });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      res.json(order);
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+  }));
+
+  /* 
+  5. 관리자 API
+  Codex 명령어: "Add admin endpoints for product management and order processing"
+  */
+
+  // 상품 추가 (관리자)
+  app.post('/api/admin/products', authenticateToken, authorize('products:write'), [
+    body('name').notEmpty(),
+    body('price').isFloat({ min: 0 }),
+    body('stock').isInt({ min: 0 }),
+    body('category').notEmpty()
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, price, stock, category, description } = req.body;
+
+    const product = await products.create({ name, price, stock, category, description });
+    res.status(201).json(product);
+  }));
+
+  // 상품 수정 (관리자)
+  // 보내지 않은 필드는 유지하고, 보낸 가격과 재고는 상품 추가와 같은 규칙으로 검사
+  app.put('/api/admin/products/:id', authenticateToken, authorize('products:write'), [
+    body('price').optional().isFloat({ min: 0 }),
+    body('stock').optional().isInt({ min: 0 })
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = parseInt(req.params.id);
+    const product = await products.findById(productId);
+
     if (!product) {
-      return res.status(400).json({ error: `Product ${cartItem.productId} not found` });
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { name, price, stock, category, description } = req.body;
+
+    const updated = await products.update(productId, {
+      name: name || product.name,
+      price: price !== undefined ? price : product.price,
+      stock: stock !== undefined ? stock : product.stock,
+      category: category || product.category,
+      description: description || product.description
+    });
+
+    res.json(updated);
+  }));
+
+  // 상품 삭제 (관리자)
+  app.delete('/api/admin/products/:id', authenticateToken, authorize('products:write'), asyncHandler(async (req, res) => {
+    const deleted = await products.delete(parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(204).send();
+  }));
+
+  // 모든 주문 조회 (관리자)
+  app.get('/api/admin/orders', authenticateToken, authorize('orders:read-all'), asyncHandler(async (req, res) => {
+    res.json(await orders.list());
+  }));
+
+  /* 
+  6. 결제 API
+  Codex 명령어: "Add payment gateway webhooks with signature verification"
+  */
+
+  // 결제 게이트웨이 웹훅 (서명이 맞는 요청만 처리하고, 같은 이벤트는 한 번만 반영)
+  app.post('/api/payments/webhook', asyncHandler(async (req, res) => {
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!req.rawBody || !verifySignature(req.rawBody, signature, webhookSecret, { now: clock().getTime() })) {
+      return res.status(400).json({ error: 'Invalid signature' });
     }
-    
-    if (product.stock < cartItem.quantity) {
-      return res.status(400).json({ 
-        error: `Insufficient stock for ${product.name}` 
+
+    const event = req.body;
+    if (!event.id || !event.type) {
+      return res.status(400).json({ error: 'Invalid event' });
+    }
+
+    const result = await payments.handleEvent(event);
+    res.json({ received: true, result });
+  }));
+
+  // 에러 핸들링 미들웨어
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ error: 'Something went wrong!' });
+  });
+
+  // 404 핸들링
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  return app;
+}
+
+// 직접 실행하면 SQLite 파일에 저장 (STORAGE=memory면 재시작 시 초기화)
+// ADMIN_EMAIL, ADMIN_PASSWORD를 지정하면 시작할 때 관리자 계정을 준비
+// RESERVATION_TTL_MINUTES로 재고 예약 시간을 바꾸고, 만료된 예약은 1분마다 정리
+// 결제는 PAYMENT_GATEWAY_URL의 게이트웨이 사용 (로컬: node e-commerce/payments/mock-gateway.js)
+// JWT_SECRET, PAYMENT_API_KEY, PAYMENT_WEBHOOK_SECRET이 없으면 시작하지 않음
+if (require.main === module) {
+  createRepositories({
+    driver: process.env.STORAGE || 'sqlite',
+    filename: process.env.SQLITE_FILE || path.join(__dirname, 'ecommerce.db')
+  }).then(async (repositories) => {
+    if (process.env.ADMIN_EMAIL) {
+      const admin = await bootstrapAdmin(repositories, {
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD
       });
+      console.log(`Admin account ready: ${admin.email}`);
     }
-    
-    const itemTotal = product.price * cartItem.quantity;
-    total += itemTotal;
-    
-    orderItems.push({
-      productId: product.id,
-      name: product.name,
-      price: product.price,
-      quantity: cartItem.quantity,
-      total: itemTotal
+
+    const reservationTtl = (Number(process.env.RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+    const app = createApp({ repositories, reservationTtl });
+
+    setInterval(() => {
+      app.locals.lifecycle.releaseExpired().then((released) => {
+        if (released.length > 0) console.log(`Released ${released.length} expired reservation(s)`);
+      }).catch(error => console.error(`Failed to release reservations: ${error.message}`));
+    }, 60 * 1000).unref();
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+      console.log(`E-commerce API server running on port ${PORT} (storage: ${repositories.driver})`);
     });
-    
-    // 재고 차감
-    product.stock -= cartItem.quantity;
-  }
-  
-  // 주문 생성
-  const order = {
-    id: orders.length + 1,
-    userId: req.user.userId,
-    items: orderItems,
-    total,
-    shippingAddress,
-    paymentMethod,
-    status: 'pending',
-    createdAt: new Date(),
-    updatedAt: new Date()
-  };
-  
-  orders.push(order);
-  
-  // 장바구니 비우기
-  cart.items = [];
-  
-  res.status(201).json(order);
-});
-
-// 주문 내역 조회
-app.get('/api/orders', authenticateToken, (req, res) => {
-  const userOrders = orders.filter(o => o.userId === req.user.userId);
-  res.json(userOrders);
-});
-
-// 특정 주문 조회
-app.get('/api/orders/:id', authenticateToken, (req, res) => {
-  const order = orders.find(o => 
-    o.id === parseInt(req.params.id) && o.userId === req.user.userId
-  );
-  
-  if (!order) {
-    return res.status(404).json({ error: 'Order not found' });
-  }
-  
-  res.json(order);
-});
-
-// 주문 상태 업데이트 (관리자용)
-app.put('/api/orders/:id/status', authenticateToken, [
-  body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
-], (req, res) => {
-  // 실제로는 관리자 권한 확인 필요
-  const { status } = req.body;
-  const order = orders.find(o => o.id === parseInt(req.params.id));
-  
-  if (!order) {
-    return res.status(404).json({ error: 'Order not found' });
-  }
-  
-  order.status = status;
-  order.updatedAt = new Date();
-  
-  res.json(order);
-});
-
-/* 
-5. 관리자 API
-Codex 명령어: "Add admin endpoints for product management and order processing"
-*/
-
-// 상품 추가 (관리자)
-app.post('/api/admin/products', authenticateToken, [
-  body('name').notEmpty(),
-  body('price').isFloat({ min: 0 }),
-  body('stock').isInt({ min: 0 }),
-  body('category').notEmpty()
-], (req, res) => {
-  // 실제로는 관리자 권한 확인 필요
-  
-  const { name, price, stock, category, description } = req.body;
-  
-  const product = {
-    id: products.length + 1,
-    name,
-    price,
-    stock,
-    category,
-    description,
-    createdAt: new Date()
-  };
-  
-  products.push(product);
-  res.status(201).json(product);
-});
-
-// 상품 수정 (관리자)
-app.put('/api/admin/products/:id', authenticateToken, (req, res) => {
-  const productId = parseInt(req.params.id);
-  const productIndex = products.findIndex(p => p.id === productId);
-  
-  if (productIndex === -1) {
-    return res.status(404).json({ error: 'Product not found' });
-  }
-  
-  const { name, price, stock, category, description } = req.body;
-  
-  products[productIndex] = {
-    ...products[productIndex],
-    name: name || products[productIndex].name,
-    price: price !== undefined ? price : products[productIndex].price,
-    stock: stock !== undefined ? stock : products[productIndex].stock,
-    category: category || products[productIndex].category,
-    description: description || products[productIndex].description,
-    updatedAt: new Date()
-  };
-  
-  res.json(products[productIndex]);
-});
-
-// 모든 주문 조회 (관리자)
-app.get('/api/admin/orders', authenticateToken, (req, res) => {
-  // 실제로는 관리자 권한 확인 필요
-  res.json(orders);
-});
-
-// 에러 핸들링 미들웨어
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
-// 404 핸들링
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`E-commerce API server running on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
+  }).catch((error) => {
+    console.error(`Failed to start server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApp, RESERVATION_TTL_MS };
\ No newline at end of file
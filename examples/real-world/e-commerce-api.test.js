@@ -0,0 +1,967 @@
+// 예제 6-3: E-commerce API 통합 테스트
+// Codex 명령어: codex "Write integration tests for the e-commerce API that run against every storage adapter"
+
+// 같은 테스트를 메모리 어댑터와 SQLite 어댑터에 각각 실행
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createApp } = require('./e-commerce-api');
+const { createRepositories } = require('./e-commerce/repositories');
+const { bootstrapAdmin } = require('./e-commerce/authorization');
+const { MockGateway } = require('./e-commerce/payments/mock-gateway');
+const { HttpPaymentProvider } = require('./e-commerce/payments/http-provider');
+const { signPayload } = require('./e-commerce/payments/signature');
+
+const GATEWAY_KEY = 'sk_test_gateway';
+const WEBHOOK_SECRET = 'whsec_test';
+const JWT_SECRET = 'jwt_test';
+
+const ADAPTERS = [
+  ['memory', () => createRepositories({ driver: 'memory' })],
+  ['sqlite', () => createRepositories({ driver: 'sqlite', filename: ':memory:' })]
+];
+
+const register = async (app, email = 'buyer@example.com') => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'secret123', name: 'Buyer' })
+    .expect(201);
+  return response.body.token;
+};
+
+const login = async (app, email, password) => {
+  const response = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+  return response.body.token;
+};
+
+const loginAsAdmin = async (app, repositories) => {
+  await bootstrapAdmin(repositories, { email: 'admin@example.com', password: 'admin-secret' });
+  return login(app, 'admin@example.com', 'admin-secret');
+};
+
+// 테스트마다 새 모의 게이트웨이 (웹훅은 webhookUrl을 지정한 테스트에서만 전송)
+let gateway;
+
+beforeEach(async () => {
+  gateway = new MockGateway({ apiKey: GATEWAY_KEY, webhookSecret: WEBHOOK_SECRET });
+  await gateway.listen();
+});
+
+afterEach(async () => {
+  await gateway.close();
+});
+
+const createTestApp = (repositories, options = {}) => createApp({
+  repositories,
+  paymentProvider: new HttpPaymentProvider({ baseUrl: gateway.url, apiKey: GATEWAY_KEY }),
+  webhookSecret: WEBHOOK_SECRET,
+  jwtSecret: JWT_SECRET,
+  ...options
+});
+
+describe.each(ADAPTERS)('E-commerce API (%s)', (driver, create) => {
+  let repositories;
+  let app;
+
+  beforeEach(async () => {
+    repositories = await create();
+    app = createTestApp(repositories);
+  });
+
+  afterEach(async () => {
+    await app.locals.payments.settled();
+    await repositories.close();
+  });
+
+  describe('인증', () => {
+    test('회원가입 후 로그인', async () => {
+      await register(app);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'buyer@example.com', password: 'secret123' })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.user).toEqual({ id: 1, email: 'buyer@example.com', name: 'Buyer', role: 'customer' });
+    });
+
+    test('중복 이메일과 잘못된 입력 거부', async () => {
+      await register(app);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'buyer@example.com', password: 'secret123' })
+        .expect(400, { error: 'User already exists' });
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'not-an-email', password: '1' })
+        .expect(400);
+    });
+
+    test('잘못된 비밀번호는 400', async () => {
+      await register(app);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'buyer@example.com', password: 'wrong-password' })
+        .expect(400, { error: 'Invalid credentials' });
+    });
+  });
+
+  describe('상품 조회', () => {
+    test('기본 상품 목록과 페이지네이션', async () => {
+      const response = await request(app).get('/api/products').expect(200);
+
+      expect(response.body.products.map(p => p.name)).toEqual(['Laptop', 'Phone', 'Book']);
+      expect(response.body.pagination).toEqual({ current: 1, total: 1, count: 3 });
+
+      const page = await request(app).get('/api/products?limit=2&page=2').expect(200);
+      expect(page.body.products.map(p => p.name)).toEqual(['Book']);
+      expect(page.body.pagination).toEqual({ current: 2, total: 2, count: 3 });
+    });
+
+    test('카테고리, 가격 범위, 검색어 필터', async () => {
+      const byCategory = await request(app).get('/api/products?category=electronics').expect(200);
+      expect(byCategory.body.products.map(p => p.name)).toEqual(['Laptop', 'Phone']);
+
+      const byPrice = await request(app).get('/api/products?minPrice=30&maxPrice=700').expect(200);
+      expect(byPrice.body.products.map(p => p.name)).toEqual(['Phone']);
+
+      const bySearch = await request(app).get('/api/products?search=LAP').expect(200);
+      expect(bySearch.body.products.map(p => p.name)).toEqual(['Laptop']);
+    });
+
+    test('정렬 (알 수 없는 필드는 무시)', async () => {
+      const byPrice = await request(app).get('/api/products?sortBy=price&order=desc').expect(200);
+      expect(byPrice.body.products.map(p => p.name)).toEqual(['Laptop', 'Phone', 'Book']);
+
+      const byName = await request(app).get('/api/products?sortBy=name').expect(200);
+      expect(byName.body.products.map(p => p.name)).toEqual(['Book', 'Laptop', 'Phone']);
+
+      const unknown = await request(app).get('/api/products?sortBy=password').expect(200);
+      expect(unknown.body.products.map(p => p.id)).toEqual([1, 2, 3]);
+    });
+
+    test('상품 상세 조회와 404', async () => {
+      const response = await request(app).get('/api/products/2').expect(200);
+      expect(response.body).toMatchObject({ id: 2, name: 'Phone', price: 699.99, stock: 5 });
+
+      await request(app).get('/api/products/999').expect(404, { error: 'Product not found' });
+    });
+  });
+
+  describe('장바구니', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = await register(app);
+    });
+
+    test('토큰 없이 접근하면 401', async () => {
+      await request(app).get('/api/cart').expect(401);
+    });
+
+    test('상품 추가, 수량 누적, 총액 계산', async () => {
+      const empty = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(empty.body).toEqual({ userId: 1, items: [], total: 0 });
+
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 3, quantity: 2 }).expect(200);
+      const added = await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 3, quantity: 1 }).expect(200);
+      expect(added.body.cart.items).toEqual([{ productId: 3, quantity: 3 }]);
+
+      const cart = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(cart.body.total).toBeCloseTo(89.97);
+    });
+
+    test('재고 부족과 없는 상품 거부', async () => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 2, quantity: 6 }).expect(400, { error: 'Insufficient stock' });
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 999, quantity: 1 }).expect(404);
+    });
+
+    test('수량 변경, 0이면 삭제, 항목 제거', async () => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 1, quantity: 1 }).expect(200);
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 3, quantity: 1 }).expect(200);
+
+      const updated = await request(app).put('/api/cart/items/1').set('Authorization', `Bearer ${token}`)
+        .send({ quantity: 4 }).expect(200);
+      expect(updated.body.cart.items).toEqual([{ productId: 1, quantity: 4 }, { productId: 3, quantity: 1 }]);
+
+      await request(app).put('/api/cart/items/1').set('Authorization', `Bearer ${token}`)
+        .send({ quantity: -1 }).expect(400);
+
+      const zeroed = await request(app).put('/api/cart/items/1').set('Authorization', `Bearer ${token}`)
+        .send({ quantity: 0 }).expect(200);
+      expect(zeroed.body.cart.items).toEqual([{ productId: 3, quantity: 1 }]);
+
+      const removed = await request(app).delete('/api/cart/items/3').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(removed.body.cart.items).toEqual([]);
+    });
+  });
+
+  describe('주문', () => {
+    let token;
+
+    const checkout = () => request(app).post('/api/orders').set('Authorization', `Bearer ${token}`)
+      .send({ shippingAddress: { city: 'Seoul', street: 'Teheran-ro 1' }, paymentMethod: 'card' });
+
+    beforeEach(async () => {
+      token = await register(app);
+    });
+
+    test('빈 장바구니는 주문할 수 없음', async () => {
+      await checkout().expect(400, { error: 'Cart is empty' });
+    });
+
+    test('체크아웃: 주문 생성, 재고 차감, 장바구니 비우기', async () => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 2, quantity: 2 }).expect(200);
+
+      const order = await checkout().expect(201);
+      expect(order.body).toMatchObject({
+        id: 1,
+        userId: 1,
+        total: 1399.98,
+        status: 'pending',
+        shippingAddress: { city: 'Seoul', street: 'Teheran-ro 1' },
+        items: [{ productId: 2, name: 'Phone', price: 699.99, quantity: 2, total: 1399.98 }]
+      });
+
+      const product = await request(app).get('/api/products/2').expect(200);
+      expect(product.body.stock).toBe(3);
+
+      const cart = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(cart.body.items).toEqual([]);
+    });
+
+    test('주문 내역과 다른 사용자의 주문 접근 차단 (관리자는 조회 가능)', async () => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 3, quantity: 1 }).expect(200);
+      await checkout().expect(201);
+
+      const history = await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(history.body).toHaveLength(1);
+      await request(app).get('/api/orders/1').set('Authorization', `Bearer ${token}`).expect(200);
+
+      const otherToken = await register(app, 'other@example.com');
+      await request(app).get('/api/orders/1').set('Authorization', `Bearer ${otherToken}`).expect(404);
+
+      const adminToken = await loginAsAdmin(app, repositories);
+      const order = await request(app).get('/api/orders/1').set('Authorization', `Bearer ${adminToken}`).expect(200);
+      expect(order.body).toMatchObject({ id: 1, userId: 1, status: 'pending' });
+      await request(app).get('/api/orders/999').set('Authorization', `Bearer ${adminToken}`).expect(404);
+    });
+
+    test('주문 상태 변경(관리자)과 잘못된 상태 거부', async () => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${token}`)
+        .send({ productId: 3, quantity: 1 }).expect(200);
+      await checkout().expect(201);
+      const adminToken = await loginAsAdmin(app, repositories);
+
+      await request(app).put('/api/orders/1/status').set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing' }).expect(200);
+      const shipped = await request(app).put('/api/orders/1/status').set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'shipped' }).expect(200);
+      expect(shipped.body.status).toBe('shipped');
+
+      await request(app).put('/api/orders/1/status').set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'lost' }).expect(400);
+      await request(app).put('/api/orders/999/status').set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'shipped' }).expect(404);
+    });
+  });
+
+  describe('체크아웃 트랜잭션', () => {
+    const TTL = 15 * 60 * 1000;
+    let current;
+    let token;
+    let adminToken;
+
+    const addToCart = (userToken, productId, quantity) => request(app).post('/api/cart/items')
+      .set('Authorization', `Bearer ${userToken}`).send({ productId, quantity }).expect(200);
+    const checkout = (userToken, idempotencyKey) => {
+      const call = request(app).post('/api/orders').set('Authorization', `Bearer ${userToken}`);
+      if (idempotencyKey) call.set('Idempotency-Key', idempotencyKey);
+      return call.send({ shippingAddress: 'Seoul', paymentMethod: 'card' });
+    };
+    const setStatus = (id, status) => request(app).put(`/api/orders/${id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`).send({ status }).expect(200);
+    const stockOf = async (id) => (await request(app).get(`/api/products/${id}`).expect(200)).body.stock;
+
+    beforeEach(async () => {
+      current = new Date('2026-01-01T00:00:00.000Z');
+      app = createTestApp(repositories, { reservationTtl: TTL, clock: () => current });
+      token = await register(app);
+      adminToken = await loginAsAdmin(app, repositories);
+    });
+
+    test('뒤쪽 상품의 재고가 부족하면 앞쪽 상품 재고도 차감하지 않음', async () => {
+      await addToCart(token, 1, 2);
+      await addToCart(token, 2, 3);
+      await request(app).put('/api/admin/products/2').set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 2 }).expect(200);
+
+      await checkout(token).expect(400, { error: 'Insufficient stock for Phone' });
+
+      expect(await stockOf(1)).toBe(10);
+      expect(await stockOf(2)).toBe(2);
+      await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`).expect(200, []);
+      const cart = await request(app).get('/api/cart').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(cart.body.items).toHaveLength(2);
+    });
+
+    test('동시에 마지막 재고를 주문하면 하나만 성공', async () => {
+      const otherToken = await register(app, 'other@example.com');
+      await addToCart(token, 2, 5);
+      await addToCart(otherToken, 2, 5);
+
+      const responses = await Promise.all([checkout(token), checkout(otherToken)]);
+
+      expect(responses.map(r => r.status).sort()).toEqual([201, 400]);
+      expect(await stockOf(2)).toBe(0);
+    });
+
+    test('주문은 예약 만료 시각을 가짐', async () => {
+      await addToCart(token, 3, 1);
+
+      const order = await checkout(token).expect(201);
+      expect(order.body).toMatchObject({ status: 'pending', reservedUntil: '2026-01-01T00:15:00.000Z' });
+    });
+
+    test('같은 Idempotency-Key로 재시도하면 기존 주문 반환', async () => {
+      await addToCart(token, 2, 2);
+
+      const first = await checkout(token, 'checkout-1').expect(201);
+      const retry = await checkout(token, 'checkout-1').expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(await stockOf(2)).toBe(3);
+      const history = await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(history.body).toHaveLength(1);
+    });
+
+    test('Idempotency-Key는 사용자별로 구분', async () => {
+      const otherToken = await register(app, 'other@example.com');
+      await addToCart(token, 3, 1);
+      await addToCart(otherToken, 3, 1);
+
+      const mine = await checkout(token, 'shared-key').expect(201);
+      const theirs = await checkout(otherToken, 'shared-key').expect(201);
+
+      expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+      expect(theirs.body.id).not.toBe(mine.body.id);
+      expect(await stockOf(3)).toBe(98);
+    });
+
+    test('너무 긴 Idempotency-Key 거부', async () => {
+      await addToCart(token, 3, 1);
+
+      await checkout(token, 'k'.repeat(256)).expect(400);
+    });
+
+    test('주문 취소 시 재고 복구 (중복 취소는 거부)', async () => {
+      await addToCart(token, 2, 2);
+      await checkout(token).expect(201);
+
+      const cancelled = await setStatus(1, 'cancelled');
+      expect(cancelled.body).toMatchObject({ status: 'cancelled', reservedUntil: null });
+      expect(await stockOf(2)).toBe(5);
+
+      await request(app).put('/api/orders/1/status').set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' }).expect(409);
+      expect(await stockOf(2)).toBe(5);
+    });
+
+    test('만료된 예약은 취소되고 재고가 다음 체크아웃에 쓰임', async () => {
+      const otherToken = await register(app, 'other@example.com');
+      await addToCart(token, 2, 5);
+      await addToCart(otherToken, 2, 5);
+      await checkout(token).expect(201);
+      await checkout(otherToken).expect(400);
+
+      current = new Date(current.getTime() + TTL);
+      await checkout(otherToken).expect(201);
+
+      const expired = await request(app).get('/api/orders/1').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(expired.body.status).toBe('cancelled');
+      expect(await stockOf(2)).toBe(0);
+    });
+
+    test('processing으로 확정된 주문은 만료되지 않음', async () => {
+      await addToCart(token, 2, 2);
+      await checkout(token).expect(201);
+
+      const confirmed = await setStatus(1, 'processing');
+      expect(confirmed.body.reservedUntil).toBeNull();
+
+      const released = await app.locals.lifecycle.releaseExpired(new Date(current.getTime() + 2 * TTL));
+      expect(released).toEqual([]);
+      expect(await stockOf(2)).toBe(3);
+    });
+  });
+
+  describe('주문 상태 머신', () => {
+    let token;
+    let adminToken;
+
+    const placeOrder = async (userToken, productId = 2, quantity = 2) => {
+      await request(app).post('/api/cart/items').set('Authorization', `Bearer ${userToken}`)
+        .send({ productId, quantity }).expect(200);
+      const response = await request(app).post('/api/orders').set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress: 'Seoul', paymentMethod: 'card' }).expect(201);
+      return response.body;
+    };
+    const setStatus = (id, status, reason) => request(app).put(`/api/orders/${id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`).send({ status, reason });
+    const cancel = (id, userToken = token) => request(app).post(`/api/orders/${id}/cancel`)
+      .set('Authorization', `Bearer ${userToken}`).send({});
+    const history = (id, userToken = token) => request(app).get(`/api/orders/${id}/history`)
+      .set('Authorization', `Bearer ${userToken}`);
+    const stockOf = async (id) => (await request(app).get(`/api/products/${id}`).expect(200)).body.stock;
+
+    beforeEach(async () => {
+      token = await register(app);
+      adminToken = await loginAsAdmin(app, repositories);
+    });
+
+    test('정상 흐름의 상태 변경을 누가 했는지 이력에 기록', async () => {
+      const order = await placeOrder(token);
+
+      await setStatus(order.id, 'processing').expect(200);
+      await setStatus(order.id, 'shipped', 'CJ 1234').expect(200);
+      await setStatus(order.id, 'delivered').expect(200);
+
+      const response = await history(order.id).expect(200);
+      expect(response.body.map(({ from, to, changedBy, reason }) => ({ from, to, changedBy, reason }))).toEqual([
+        { from: null, to: 'pending', changedBy: 1, reason: null },
+        { from: 'pending', to: 'processing', changedBy: 2, reason: null },
+        { from: 'processing', to: 'shipped', changedBy: 2, reason: 'CJ 1234' },
+        { from: 'shipped', to: 'delivered', changedBy: 2, reason: null }
+      ]);
+      expect(response.body.every(entry => typeof entry.changedAt === 'string')).toBe(true);
+    });
+
+    test.each([
+      [['processing', 'shipped', 'delivered'], 'pending'],
+      [['processing', 'shipped'], 'cancelled'],
+      [[], 'shipped'],
+      [[], 'pending']
+    ])('%j 다음 %s 변경은 409', async (path, target) => {
+      const order = await placeOrder(token);
+      for (const status of path) await setStatus(order.id, status).expect(200);
+
+      const response = await setStatus(order.id, target).expect(409);
+      const current = path[path.length - 1] || 'pending';
+      expect(response.body.error).toBe(`Cannot change order status from ${current} to ${target}`);
+      expect(await history(order.id).expect(200)).toHaveProperty('body.length', path.length + 1);
+    });
+
+    test('고객은 출고 전 주문을 취소하고 재고가 복구됨', async () => {
+      const pending = await placeOrder(token);
+      const cancelled = await cancel(pending.id).expect(200);
+      expect(cancelled.body.status).toBe('cancelled');
+
+      const processing = await placeOrder(token);
+      await setStatus(processing.id, 'processing').expect(200);
+      await cancel(processing.id).expect(200);
+      expect(await stockOf(2)).toBe(5);
+
+      const entries = await history(pending.id).expect(200);
+      expect(entries.body[1]).toMatchObject({ from: 'pending', to: 'cancelled', changedBy: 1, reason: 'customer_request' });
+    });
+
+    test('출고 후나 이미 취소된 주문은 취소할 수 없음', async () => {
+      const shipped = await placeOrder(token);
+      await setStatus(shipped.id, 'processing').expect(200);
+      await setStatus(shipped.id, 'shipped').expect(200);
+
+      await cancel(shipped.id).expect(409, { error: 'Order can no longer be cancelled', status: 'shipped' });
+      expect(await stockOf(2)).toBe(3);
+
+      const cancelled = await placeOrder(token, 3, 1);
+      await cancel(cancelled.id).expect(200);
+      await cancel(cancelled.id).expect(409);
+      expect(await stockOf(3)).toBe(100);
+    });
+
+    test('다른 사용자의 주문은 취소하거나 이력을 볼 수 없음 (관리자는 이력 조회 가능)', async () => {
+      const order = await placeOrder(token);
+      const otherToken = await register(app, 'other@example.com');
+
+      await cancel(order.id, otherToken).expect(404);
+      await history(order.id, otherToken).expect(404);
+      await history(order.id, adminToken).expect(200);
+      await cancel(999).expect(404);
+    });
+
+    test('상태 변경 후 도메인 이벤트 발행', async () => {
+      const changed = [];
+      const cancelled = jest.fn();
+      app.locals.lifecycle.on('order.status_changed', event => changed.push(`${event.from}->${event.to}`));
+      app.locals.lifecycle.on('order.cancelled', cancelled);
+
+      const order = await placeOrder(token);
+      await setStatus(order.id, 'processing').expect(200);
+      await cancel(order.id).expect(200);
+      await cancel(order.id).expect(409);
+
+      expect(changed).toEqual(['pending->processing', 'processing->cancelled']);
+      expect(cancelled).toHaveBeenCalledTimes(1);
+      expect(cancelled.mock.calls[0][0]).toMatchObject({
+        order: { id: order.id, status: 'cancelled' },
+        from: 'processing',
+        to: 'cancelled',
+        changedBy: 1,
+        reason: 'customer_request'
+      });
+    });
+
+    test('리스너 오류는 이미 반영된 상태 변경을 실패로 만들지 않음', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      app.locals.lifecycle.on('order.processing', () => {
+        throw new Error('mailer down');
+      });
+
+      const order = await placeOrder(token);
+      await setStatus(order.id, 'processing').expect(200);
+
+      expect(consoleError).toHaveBeenCalledWith('Order event listener failed (order.processing): mailer down');
+      consoleError.mockRestore();
+    });
+
+    test('예약 만료 취소는 시스템 변경으로 기록되고 이벤트 발행', async () => {
+      const cancelled = jest.fn();
+      app.locals.lifecycle.on('order.cancelled', cancelled);
+      const order = await placeOrder(token);
+
+      const released = await app.locals.lifecycle.releaseExpired(new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(released.map(o => o.id)).toEqual([order.id]);
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ changedBy: null, reason: 'reservation_expired' }));
+      const entries = await history(order.id).expect(200);
+      expect(entries.body[1]).toMatchObject({ from: 'pending', to: 'cancelled', changedBy: null, reason: 'reservation_expired' });
+      expect(await stockOf(2)).toBe(5);
+    });
+  });
+
+  describe('결제', () => {
+    let token;
+
+    const addToCart = (productId = 2, quantity = 2) => request(app).post('/api/cart/items')
+      .set('Authorization', `Bearer ${token}`).send({ productId, quantity }).expect(200);
+    const checkout = (paymentMethod = 'tok_visa', idempotencyKey) => {
+      const call = request(app).post('/api/orders').set('Authorization', `Bearer ${token}`);
+      if (idempotencyKey) call.set('Idempotency-Key', idempotencyKey);
+      return call.send({ shippingAddress: 'Seoul', paymentMethod });
+    };
+    const getOrder = async (id) => (await request(app).get(`/api/orders/${id}`)
+      .set('Authorization', `Bearer ${token}`).expect(200)).body;
+    const stockOf = async (id) => (await request(app).get(`/api/products/${id}`).expect(200)).body.stock;
+    const sendWebhook = (event, { secret = WEBHOOK_SECRET, timestamp } = {}) => {
+      const payload = JSON.stringify(event);
+      return request(app).post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Gateway-Signature', signPayload(payload, secret, timestamp))
+        .send(payload);
+    };
+    const capturedEvent = () => gateway.events.find(event => event.type === 'payment.captured');
+
+    beforeEach(async () => {
+      token = await register(app);
+    });
+
+    test('승인과 매입 후 게이트웨이 웹훅으로 processing 전환', async () => {
+      const server = app.listen(0);
+      gateway.webhookUrl = `http://127.0.0.1:${server.address().port}/api/payments/webhook`;
+
+      try {
+        await addToCart();
+        const order = await checkout().expect(201);
+        expect(order.body.status).toBe('pending');
+        await gateway.flush();
+
+        expect(await getOrder(order.body.id)).toMatchObject({ status: 'processing', reservedUntil: null });
+        expect(gateway.payments.get('pay_1')).toEqual({
+          id: 'pay_1',
+          amount: 139998,
+          currency: 'USD',
+          reference: `order_${order.body.id}`,
+          status: 'captured'
+        });
+        expect(await repositories.payments.findByOrderId(order.body.id)).toMatchObject({
+          providerPaymentId: 'pay_1',
+          amount: 1399.98,
+          status: 'captured'
+        });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test.each([
+      ['tok_declined', 'card_declined'],
+      ['tok_insufficient_funds', 'insufficient_funds']
+    ])('%s 카드는 402, 주문 취소, 재고와 장바구니 유지', async (paymentMethod, code) => {
+      await addToCart();
+
+      await checkout(paymentMethod).expect(402, { error: 'Payment declined', code, orderId: 1 });
+
+      expect(await getOrder(1)).toMatchObject({ status: 'cancelled' });
+      expect(await stockOf(2)).toBe(5);
+      expect(await repositories.payments.findByOrderId(1)).toBeNull();
+      const history = await request(app).get('/api/orders/1/history').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(history.body[1]).toMatchObject({ to: 'cancelled', reason: 'payment_declined' });
+
+      const retry = await checkout().expect(201);
+      expect(retry.body.id).toBe(2);
+      expect(await stockOf(2)).toBe(3);
+    });
+
+    test('게이트웨이에 연결할 수 없으면 502, 주문 취소', async () => {
+      await gateway.close();
+      await addToCart();
+
+      await checkout().expect(502, { error: 'Payment provider unavailable', orderId: 1 });
+
+      expect(await getOrder(1)).toMatchObject({ status: 'cancelled' });
+      expect(await stockOf(2)).toBe(5);
+    });
+
+    test('게이트웨이 오류 뒤 같은 Idempotency-Key로 재시도하면 새 주문으로 결제', async () => {
+      const { port } = new URL(gateway.url);
+      await gateway.close();
+      await addToCart();
+
+      await checkout('tok_visa', 'checkout-1').expect(502, { error: 'Payment provider unavailable', orderId: 1 });
+
+      await gateway.listen(port);
+      const retry = await checkout('tok_visa', 'checkout-1').expect(201);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect(retry.body).toMatchObject({ id: 2, status: 'pending', idempotencyKey: 'checkout-1' });
+      expect(await getOrder(1)).toMatchObject({ status: 'cancelled', idempotencyKey: null });
+      expect(await stockOf(2)).toBe(3);
+
+      const replay = await checkout('tok_visa', 'checkout-1').expect(201);
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body.id).toBe(2);
+    });
+
+    test('거절된 뒤 같은 Idempotency-Key로 다른 카드를 쓰면 새 주문', async () => {
+      await addToCart();
+
+      await checkout('tok_declined', 'checkout-1').expect(402);
+      const retry = await checkout('tok_visa', 'checkout-1').expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect(retry.body).toMatchObject({ id: 2, paymentMethod: 'tok_visa' });
+    });
+
+    test('같은 웹훅 이벤트를 다시 받으면 한 번만 처리', async () => {
+      await addToCart();
+      await checkout().expect(201);
+
+      const first = await sendWebhook(capturedEvent()).expect(200);
+      const duplicate = await sendWebhook(capturedEvent()).expect(200);
+
+      expect(first.body).toEqual({ received: true, result: 'processed' });
+      expect(duplicate.body).toEqual({ received: true, result: 'duplicate' });
+      const history = await request(app).get('/api/orders/1/history').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(history.body.map(entry => entry.to)).toEqual(['pending', 'processing']);
+    });
+
+    test('게이트웨이가 재전송한 웹훅도 한 번만 처리', async () => {
+      const server = app.listen(0);
+      gateway.webhookUrl = `http://127.0.0.1:${server.address().port}/api/payments/webhook`;
+      const changed = jest.fn();
+      app.locals.lifecycle.on('order.processing', changed);
+
+      try {
+        await addToCart();
+        await checkout().expect(201);
+        await gateway.flush();
+        gateway.redeliver(capturedEvent().id);
+        await gateway.flush();
+
+        expect(changed).toHaveBeenCalledTimes(1);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('서명이 없거나 틀리거나 오래된 웹훅 거부', async () => {
+      await addToCart();
+      await checkout().expect(201);
+      const event = capturedEvent();
+      const payload = JSON.stringify(event);
+
+      await request(app).post('/api/payments/webhook').send(event).expect(400, { error: 'Invalid signature' });
+      await sendWebhook(event, { secret: 'whsec_wrong' }).expect(400);
+      await sendWebhook(event, { timestamp: Math.floor(Date.now() / 1000) - 600 }).expect(400);
+      await request(app).post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Gateway-Signature', signPayload(payload, WEBHOOK_SECRET))
+        .send(JSON.stringify({ ...event, data: { ...event.data, id: 'pay_999' } }))
+        .expect(400);
+
+      expect(await getOrder(1)).toMatchObject({ status: 'pending' });
+      await sendWebhook(event).expect(200, { received: true, result: 'processed' });
+    });
+
+    test('알 수 없는 결제나 이벤트 종류는 무시', async () => {
+      await sendWebhook({ id: 'evt_x', type: 'payment.captured', data: { id: 'pay_unknown' } })
+        .expect(200, { received: true, result: 'ignored' });
+      await sendWebhook({ id: 'evt_y', type: 'payout.paid', data: {} }).expect(200, { received: true, result: 'ignored' });
+      await sendWebhook({ type: 'payment.captured' }).expect(400, { error: 'Invalid event' });
+    });
+
+    test('매입된 주문을 취소하면 환불', async () => {
+      await addToCart();
+      await checkout().expect(201);
+      await sendWebhook(capturedEvent()).expect(200);
+
+      await request(app).post('/api/orders/1/cancel').set('Authorization', `Bearer ${token}`).send({}).expect(200);
+      await app.locals.payments.settled();
+
+      expect(gateway.payments.get('pay_1').status).toBe('refunded');
+      expect(await repositories.payments.findByOrderId(1)).toMatchObject({ status: 'refunded' });
+      expect(gateway.events.map(event => event.type)).toEqual(['payment.captured', 'payment.refunded']);
+    });
+
+    test('취소 뒤 늦게 도착한 매입 웹훅은 주문을 되살리지 않음', async () => {
+      await addToCart();
+      await checkout().expect(201);
+      await request(app).post('/api/orders/1/cancel').set('Authorization', `Bearer ${token}`).send({}).expect(200);
+      await app.locals.payments.settled();
+
+      await sendWebhook(capturedEvent()).expect(200);
+
+      expect(await getOrder(1)).toMatchObject({ status: 'cancelled' });
+      expect(gateway.payments.get('pay_1').status).toBe('refunded');
+      expect(await stockOf(2)).toBe(5);
+    });
+  });
+
+  describe('관리자 상품 관리', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = await loginAsAdmin(app, repositories);
+    });
+
+    test('상품 추가, 수정, 삭제', async () => {
+      const created = await request(app).post('/api/admin/products').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Tablet', price: 499, stock: 7, category: 'Electronics' }).expect(201);
+      expect(created.body).toMatchObject({ id: 4, name: 'Tablet', price: 499, stock: 7 });
+
+      const updated = await request(app).put('/api/admin/products/4').set('Authorization', `Bearer ${token}`)
+        .send({ price: 449, description: 'Refurbished' }).expect(200);
+      expect(updated.body).toMatchObject({ id: 4, name: 'Tablet', price: 449, description: 'Refurbished' });
+
+      await request(app).delete('/api/admin/products/4').set('Authorization', `Bearer ${token}`).expect(204);
+      await request(app).get('/api/products/4').expect(404);
+      await request(app).delete('/api/admin/products/4').set('Authorization', `Bearer ${token}`).expect(404);
+    });
+
+    test('삭제 후에도 ID를 재사용하지 않음', async () => {
+      await request(app).delete('/api/admin/products/3').set('Authorization', `Bearer ${token}`).expect(204);
+
+      const created = await request(app).post('/api/admin/products').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Magazine', price: 9.99, stock: 50, category: 'Books' }).expect(201);
+      expect(created.body.id).toBe(4);
+    });
+
+    test('잘못된 상품 데이터 거부', async () => {
+      await request(app).post('/api/admin/products').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Broken', price: -1, stock: 1, category: 'Misc' }).expect(400);
+    });
+
+    test.each([
+      [{ stock: -1 }],
+      [{ stock: 1.5 }],
+      [{ price: -1 }],
+      [{ price: 'free' }]
+    ])('잘못된 수정 데이터 %j는 400, 상품은 그대로', async (changes) => {
+      const response = await request(app).put('/api/admin/products/1').set('Authorization', `Bearer ${token}`)
+        .send(changes).expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ path: Object.keys(changes)[0] });
+      expect((await request(app).get('/api/products/1').expect(200)).body).toMatchObject({ price: 999.99, stock: 10 });
+    });
+  });
+
+  describe('권한', () => {
+    const ADMIN_ROUTES = [
+      ['POST', '/api/admin/products', { name: 'Tablet', price: 499, stock: 7, category: 'Electronics' }],
+      ['PUT', '/api/admin/products/1', { price: 1 }],
+      ['DELETE', '/api/admin/products/1', null],
+      ['GET', '/api/admin/orders', null],
+      ['PUT', '/api/orders/1/status', { status: 'shipped' }]
+    ];
+
+    const send = (method, url, token, payload) => {
+      const call = request(app)[method.toLowerCase()](url).set('Authorization', `Bearer ${token}`);
+      return payload ? call.send(payload) : call;
+    };
+
+    test.each(ADMIN_ROUTES)('일반 사용자의 %s %s 요청은 403', async (method, url, payload) => {
+      const token = await register(app);
+
+      await send(method, url, token, payload).expect(403, { error: 'Insufficient permissions' });
+      const product = await request(app).get('/api/products/1').expect(200);
+      expect(product.body.price).toBe(999.99);
+    });
+
+    test('관리자는 모든 주문을 조회할 수 있음', async () => {
+      const token = await loginAsAdmin(app, repositories);
+
+      await request(app).get('/api/admin/orders').set('Authorization', `Bearer ${token}`).expect(200, []);
+    });
+
+    test('JWT에 역할이 담기고 가입 요청의 role은 무시', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'sneaky@example.com', password: 'secret123', role: 'admin' })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('customer');
+      expect(jwt.decode(response.body.token)).toMatchObject({ userId: 1, role: 'customer' });
+      await request(app).get('/api/admin/orders').set('Authorization', `Bearer ${response.body.token}`).expect(403);
+    });
+
+    test('역할이 없는 토큰은 customer로 취급', async () => {
+      const token = jwt.sign({ userId: 1, email: 'legacy@example.com' }, JWT_SECRET);
+
+      await request(app).get('/api/admin/orders').set('Authorization', `Bearer ${token}`).expect(403);
+    });
+
+    test('bootstrapAdmin은 비밀번호가 맞는 기존 사용자를 승격하고 재로그인 후 반영', async () => {
+      const customerToken = await register(app, 'owner@example.com');
+
+      const admin = await bootstrapAdmin(repositories, { email: 'owner@example.com', password: 'secret123' });
+      expect(admin).toMatchObject({ id: 1, role: 'admin' });
+      await request(app).get('/api/admin/orders').set('Authorization', `Bearer ${customerToken}`).expect(403);
+
+      const adminToken = await login(app, 'owner@example.com', 'secret123');
+      await request(app).get('/api/admin/orders').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    });
+
+    test('bootstrapAdmin은 비밀번호가 다르면 기존 사용자를 승격하지 않음', async () => {
+      await register(app, 'owner@example.com');
+
+      await expect(bootstrapAdmin(repositories, { email: 'owner@example.com', password: 'admin-secret' }))
+        .rejects.toThrow('owner@example.com 계정의 비밀번호가 일치하지 않아 관리자로 승격할 수 없습니다');
+      expect(await repositories.users.findByEmail('owner@example.com')).toMatchObject({ role: 'customer' });
+    });
+
+    test('bootstrapAdmin은 이메일과 비밀번호가 필요', async () => {
+      await expect(bootstrapAdmin(repositories, { email: 'admin@example.com' })).rejects.toThrow('관리자 이메일과 비밀번호가 필요합니다');
+    });
+  });
+});
+
+describe('SQLite 영속성', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ecommerce-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('재시작 후에도 사용자, 역할, 상품 유지, 마이그레이션은 한 번만 적용', async () => {
+    const filename = path.join(directory, 'ecommerce.db');
+
+    const first = await createRepositories({ driver: 'sqlite', filename });
+    const firstApp = createTestApp(first);
+    await register(firstApp);
+    const token = await loginAsAdmin(firstApp, first);
+    await request(firstApp).post('/api/admin/products').set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Tablet', price: 499, stock: 7, category: 'Electronics' }).expect(201);
+    await first.close();
+
+    const second = await createRepositories({ driver: 'sqlite', filename });
+    const app = createTestApp(second);
+
+    await request(app).post('/api/auth/login').send({ email: 'buyer@example.com', password: 'secret123' }).expect(200);
+    const admin = await request(app).post('/api/auth/login').send({ email: 'admin@example.com', password: 'admin-secret' }).expect(200);
+    expect(admin.body.user.role).toBe('admin');
+    const products = await request(app).get('/api/products').expect(200);
+    expect(products.body.products.map(p => p.name)).toEqual(['Laptop', 'Phone', 'Book', 'Tablet']);
+    expect(second.db.prepare('SELECT version FROM schema_migrations ORDER BY version').pluck().all()).toEqual([
+      '001_create_users_table.sql',
+      '002_create_products_table.sql',
+      '003_create_cart_and_order_tables.sql',
+      '004_add_user_roles.sql',
+      '005_add_order_reservations.sql',
+      '006_create_order_status_history.sql',
+      '007_create_payments_tables.sql'
+    ]);
+    await second.close();
+  });
+});
+
+describe('필수 설정', () => {
+  const SECRET_ENV = ['JWT_SECRET', 'PAYMENT_API_KEY', 'PAYMENT_WEBHOOK_SECRET'];
+  let saved;
+  let repositories;
+
+  beforeEach(async () => {
+    saved = Object.fromEntries(SECRET_ENV.map(name => [name, process.env[name]]));
+    SECRET_ENV.forEach(name => delete process.env[name]);
+    repositories = await createRepositories({ driver: 'memory' });
+  });
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  test('비밀 값이 옵션과 환경 변수 모두에 없으면 앱 생성 실패', () => {
+    expect(() => createTestApp(repositories, { jwtSecret: undefined }))
+      .toThrow('JWT_SECRET 환경 변수가 필요합니다');
+    expect(() => createTestApp(repositories, { webhookSecret: undefined }))
+      .toThrow('PAYMENT_WEBHOOK_SECRET 환경 변수가 필요합니다');
+    expect(() => createTestApp(repositories, { paymentProvider: undefined }))
+      .toThrow('PAYMENT_API_KEY 환경 변수가 필요합니다');
+  });
+
+  test('환경 변수로 받은 웹훅 서명 키로 서명을 검증', async () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_from_env';
+    const app = createTestApp(repositories, { webhookSecret: undefined });
+    const body = JSON.stringify({ id: 'evt_env', type: 'payment.captured', data: {} });
+    const send = secret => request(app).post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Gateway-Signature', signPayload(body, secret))
+      .send(body);
+
+    await send(WEBHOOK_SECRET).expect(400);
+    await send('whsec_from_env').expect(200);
+  });
+
+  test('다른 키로 서명한 토큰은 거부', async () => {
+    const app = createTestApp(repositories);
+    const forged = jwt.sign({ userId: 1, email: 'buyer@example.com', role: 'admin' }, 'secret');
+    const valid = jwt.sign({ userId: 1, email: 'buyer@example.com', role: 'customer' }, JWT_SECRET);
+
+    await request(app).get('/api/cart').set('Authorization', `Bearer ${forged}`).expect(403);
+    await request(app).get('/api/cart').set('Authorization', `Bearer ${valid}`).expect(200);
+  });
+
+  test('모의 게이트웨이도 API 키와 웹훅 서명 키 없이는 생성되지 않음', () => {
+    expect(() => new MockGateway()).toThrow('apiKey와 webhookSecret');
+    expect(() => new MockGateway({ apiKey: GATEWAY_KEY })).toThrow('apiKey와 webhookSecret');
+  });
+});
@@ -0,0 +1,55 @@
+// 예제 6-4: E-commerce API 역할 기반 접근 제어 (RBAC)
+// Codex 명령어: codex "Add role-based access control with an authorize middleware and an admin bootstrap to the e-commerce API"
+
+// 역할은 사용자 레코드(users.role)에 저장되고 로그인 시 JWT에 함께 담깁니다.
+// authorize는 JWT의 역할로 판단하므로 역할 변경은 토큰을 다시 발급받은 뒤에 반영됩니다.
+
+const bcrypt = require('bcrypt');
+
+const ROLES = ['customer', 'admin'];
+const DEFAULT_ROLE = 'customer';
+
+// 역할별 권한
+const ROLE_PERMISSIONS = {
+  customer: [],
+  admin: ['products:write', 'orders:read-all', 'orders:update-status']
+};
+
+// 역할 이름 또는 권한 이름이 주어진 역할에 허용되는지
+function isAllowed(role, requirement) {
+  return role === requirement || (ROLE_PERMISSIONS[role] || []).includes(requirement);
+}
+
+// authenticateToken 뒤에 사용: authorize('admin') 또는 authorize('products:write')
+// 여러 개를 주면 하나만 만족해도 통과
+function authorize(...requirements) {
+  return (req, res, next) => {
+    const role = req.user?.role || DEFAULT_ROLE;
+    if (!requirements.some(requirement => isAllowed(role, requirement))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// 관리자 계정 준비: 없으면 만들고, 이미 가입한 사용자면 관리자로 승격
+// 먼저 같은 이메일로 가입한 사람이 관리자가 되지 않도록 승격은 비밀번호가 일치할 때만
+async function bootstrapAdmin({ users }, { email, password, name = 'Administrator' }) {
+  if (!email || !password) {
+    throw new Error('관리자 이메일과 비밀번호가 필요합니다');
+  }
+
+  const existing = await users.findByEmail(email);
+  if (existing) {
+    if (existing.role === 'admin') return existing;
+    if (!(await bcrypt.compare(password, existing.password))) {
+      throw new Error(`${email} 계정의 비밀번호가 일치하지 않아 관리자로 승격할 수 없습니다`);
+    }
+    return users.setRole(existing.id, 'admin');
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  return users.create({ email, password: hashedPassword, name, role: 'admin' });
+}
+
+module.exports = { ROLES, DEFAULT_ROLE, ROLE_PERMISSIONS, isAllowed, authorize, bootstrapAdmin };
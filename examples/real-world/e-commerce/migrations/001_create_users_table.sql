@@ -0,0 +1,15 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 001_create_users_table.sql
+-- Created by: Codex CLI
+-- Description: Create users table for JWT authentication
+
+-- 사용자 테이블 (AUTOINCREMENT: 삭제된 ID를 재사용하지 않음)
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(100),
+    created_at TEXT NOT NULL
+);
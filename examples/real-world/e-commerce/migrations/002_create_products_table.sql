@@ -0,0 +1,22 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 002_create_products_table.sql
+-- Created by: Codex CLI
+-- Description: Create product catalog table with search indexes
+
+-- 상품 테이블
+CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(255) NOT NULL,
+    price REAL NOT NULL CHECK (price >= 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    category VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
+CREATE INDEX IF NOT EXISTS idx_products_price ON products(price);
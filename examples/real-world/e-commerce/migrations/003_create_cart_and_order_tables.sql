@@ -0,0 +1,47 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 003_create_cart_and_order_tables.sql
+-- Created by: Codex CLI
+-- Description: Create cart, order and order item tables
+
+-- 장바구니 테이블 (사용자당 하나)과 장바구니 항목 테이블
+CREATE TABLE IF NOT EXISTS carts (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES carts(user_id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    UNIQUE(user_id, product_id)
+);
+
+-- 주문 테이블 (배송지는 문자열 또는 객체를 JSON으로 저장)
+CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    total REAL NOT NULL,
+    shipping_address TEXT NOT NULL,
+    payment_method VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- 주문 항목 테이블 (주문 시점의 상품명과 가격을 보존)
+CREATE TABLE IF NOT EXISTS order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    price REAL NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    total REAL NOT NULL
+);
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
@@ -0,0 +1,9 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 004_add_user_roles.sql
+-- Created by: Codex CLI
+-- Description: Add role column to users for role-based access control
+
+-- 사용자 역할 (기존 사용자는 customer)
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'admin'));
@@ -0,0 +1,16 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 005_add_order_reservations.sql
+-- Created by: Codex CLI
+-- Description: Add stock reservation expiry and idempotency keys to orders
+
+-- pending 주문은 reserved_until까지 재고를 잡아 두고, 지나면 취소되며 재고가 복구됨
+ALTER TABLE orders ADD COLUMN reserved_until TEXT;
+
+-- 같은 사용자가 같은 Idempotency-Key로 다시 요청하면 기존 주문을 돌려줌
+ALTER TABLE orders ADD COLUMN idempotency_key VARCHAR(255);
+
+-- 인덱스 생성
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_idempotency_key ON orders(user_id, idempotency_key);
+CREATE INDEX IF NOT EXISTS idx_orders_reserved_until ON orders(status, reserved_until);
@@ -0,0 +1,24 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 006_create_order_status_history.sql
+-- Created by: Codex CLI
+-- Description: Record every order status change with who made it and when
+
+-- 주문 상태 이력 (주문 생성은 from_status가 NULL, 시스템 변경은 changed_by가 NULL)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INTEGER REFERENCES users(id),
+    reason TEXT,
+    changed_at TEXT NOT NULL
+);
+
+-- 기존 주문은 현재 상태를 첫 이력으로 남김
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason, changed_at)
+SELECT id, NULL, status, NULL, 'migrated', updated_at FROM orders;
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
@@ -0,0 +1,29 @@
+-- 예제 6-2: E-commerce API SQLite 마이그레이션
+-- Codex 명령어: codex "Create SQLite migrations for the e-commerce API storage layer"
+
+-- Migration: 007_create_payments_tables.sql
+-- Created by: Codex CLI
+-- Description: Create payment and processed webhook event tables
+
+-- 결제 테이블 (금액은 주문 통화 단위, 게이트웨이에는 최소 단위 정수로 전송)
+CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id VARCHAR(255) NOT NULL UNIQUE,
+    amount REAL NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('authorized', 'captured', 'refunded')),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- 처리한 웹훅 이벤트 (같은 이벤트를 다시 받으면 건너뜀)
+CREATE TABLE IF NOT EXISTS payment_events (
+    event_id VARCHAR(255) PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    received_at TEXT NOT NULL
+);
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
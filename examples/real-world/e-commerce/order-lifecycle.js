@@ -0,0 +1,98 @@
+// 예제 6-6: E-commerce API 주문 상태 머신
+// Codex 명령어: codex "Add an order lifecycle state machine with status history, customer cancellation and domain events"
+
+// 주문 상태는 TRANSITIONS에 있는 방향으로만 바뀝니다.
+//
+//   pending ──▶ processing ──▶ shipped ──▶ delivered
+//      │             │
+//      └─────────────┴──▶ cancelled (출고 전이면 재고 복구)
+//
+// 상태 변경과 이력 기록, 재고 복구는 저장소의 orders.updateStatus 한 트랜잭션에서 처리하고,
+// 커밋된 뒤에 도메인 이벤트를 발행합니다. 알림, 메일 같은 부수 효과는 이벤트 리스너로 붙입니다.
+//
+//   order.status_changed  모든 상태 변경 { order, from, to, changedBy, reason, at }
+//   order.<상태>           해당 상태로 바뀐 경우 (order.processing, order.cancelled 등), 같은 payload
+
+const { EventEmitter } = require('events');
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// 상태별로 바뀔 수 있는 다음 상태
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+class OrderLifecycle extends EventEmitter {
+  constructor({ orders, clock = () => new Date() }) {
+    super();
+    this.orders = orders;
+    this.clock = clock;
+  }
+
+  // 주문 상태 변경 (주문이 없으면 null, 허용되지 않는 변경이면 InvalidTransitionError)
+  // expected를 주면 현재 상태가 그 값일 때만 바꿈 (만료 처리처럼 특정 상태를 전제로 하는 변경용)
+  async transition(orderId, to, { changedBy = null, reason = null, expected } = {}) {
+    const order = await this.orders.findById(orderId);
+    if (!order) return null;
+
+    const from = order.status;
+    if ((expected && from !== expected) || !canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    const updated = await this.orders.updateStatus(orderId, { from, to, changedBy, reason });
+    if (!updated) {
+      // 읽은 뒤 다른 요청이 먼저 상태를 바꿈: 바뀐 상태 기준으로 다시 판단
+      return this.transition(orderId, to, { changedBy, reason, expected });
+    }
+
+    this.publish({ order: updated, from, to, changedBy, reason, at: this.clock().toISOString() });
+    return updated;
+  }
+
+  // 예약 시간이 지난 pending 주문을 취소하고 취소된 주문 목록 반환
+  async releaseExpired(at = this.clock()) {
+    const released = [];
+
+    for (const order of await this.orders.findExpired(at)) {
+      try {
+        released.push(await this.transition(order.id, 'cancelled', { reason: 'reservation_expired', expected: 'pending' }));
+      } catch (error) {
+        // 그 사이 결제되었거나 취소된 주문은 건너뜀
+        if (!(error instanceof InvalidTransitionError)) throw error;
+      }
+    }
+
+    return released;
+  }
+
+  // 리스너 오류가 이미 커밋된 상태 변경을 실패로 만들지 않도록 격리
+  publish(event) {
+    for (const name of ['order.status_changed', `order.${event.to}`]) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        console.error(`Order event listener failed (${name}): ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { ORDER_STATUSES, TRANSITIONS, InvalidTransitionError, canTransition, OrderLifecycle };
@@ -0,0 +1,22 @@
+// 예제 6-7: E-commerce API 결제 - 오류
+// Codex 명령어: codex "Add a payment provider abstraction with authorize, capture and refund, a local mock gateway and signed webhooks"
+
+// 카드사나 게이트웨이가 결제를 거절 (게이트웨이 402 응답)
+class PaymentDeclinedError extends Error {
+  constructor(code, message = 'Payment declined') {
+    super(message);
+    this.name = 'PaymentDeclinedError';
+    this.code = code;
+  }
+}
+
+// 게이트웨이에 연결할 수 없거나 거절 외의 오류 응답
+class PaymentProviderError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = { PaymentDeclinedError, PaymentProviderError };
@@ -0,0 +1,60 @@
+// 예제 6-7: E-commerce API 결제 - HTTP 결제 제공자
+// Codex 명령어: codex "Add a payment provider abstraction with authorize, capture and refund, a local mock gateway and signed webhooks"
+
+// 결제 제공자 인터페이스를 HTTP 게이트웨이(mock-gateway.js와 같은 API)로 구현
+// 금액은 최소 단위 정수(센트)로 주고받습니다.
+
+const { PaymentDeclinedError, PaymentProviderError } = require('./errors');
+
+class HttpPaymentProvider {
+  constructor({ baseUrl, apiKey, timeout = 10000 }) {
+    this.name = 'http';
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  // 같은 idempotencyKey로 다시 요청하면 게이트웨이가 처음 결과를 돌려줌
+  async authorize({ amount, currency, source, reference, idempotencyKey }) {
+    return this.request('/v1/payments', { amount, currency, source, reference }, idempotencyKey);
+  }
+
+  async capture(paymentId) {
+    return this.request(`/v1/payments/${encodeURIComponent(paymentId)}/capture`);
+  }
+
+  async refund(paymentId) {
+    return this.request(`/v1/payments/${encodeURIComponent(paymentId)}/refund`);
+  }
+
+  async request(path, body = {}, idempotencyKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${this.apiKey}`
+    };
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    let response;
+    try {
+      response = await fetch(new URL(path, this.baseUrl), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new PaymentProviderError(`Payment gateway unreachable: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 402) {
+      throw new PaymentDeclinedError(data.error?.code || 'declined', data.error?.message);
+    }
+    if (!response.ok) {
+      throw new PaymentProviderError(data.error?.message || `Payment gateway responded ${response.status}`, response.status);
+    }
+    return data;
+  }
+}
+
+module.exports = { HttpPaymentProvider };
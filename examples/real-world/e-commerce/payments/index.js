@@ -0,0 +1,121 @@
+// 예제 6-7: E-commerce API 결제 서비스
+// Codex 명령어: codex "Add a payment provider abstraction with authorize, capture and refund, a local mock gateway and signed webhooks"
+
+// 결제 흐름
+// - 체크아웃: 승인(authorize) 후 바로 매입(capture) 요청, 주문은 pending 유지
+// - 게이트웨이의 payment.captured 웹훅: 주문을 processing으로 변경 (재고 예약 확정)
+// - order.cancelled 이벤트: 승인·매입된 결제를 환불
+//
+// 결제 제공자 인터페이스 (HttpPaymentProvider가 구현, 금액은 최소 단위 정수)
+//
+//   name
+//   authorize({ amount, currency, source, reference, idempotencyKey }) → { id, status: 'authorized' }
+//   capture(paymentId) → { id, status: 'captured' }
+//   refund(paymentId) → { id, status: 'refunded' }
+//
+// 거절되면 PaymentDeclinedError, 통신 실패나 오류 응답은 PaymentProviderError를 던집니다.
+
+const { InvalidTransitionError } = require('../order-lifecycle');
+const { PaymentDeclinedError, PaymentProviderError } = require('./errors');
+
+const REFUNDABLE_STATUSES = ['authorized', 'captured'];
+
+const toMinorUnits = amount => Math.round(amount * 100);
+
+class PaymentService {
+  constructor({ provider, payments, lifecycle, currency = 'USD' }) {
+    this.provider = provider;
+    this.payments = payments;
+    this.lifecycle = lifecycle;
+    this.currency = currency;
+    this.pending = new Set();
+
+    lifecycle.on('order.cancelled', ({ order }) => this.track(this.refundOrder(order.id)));
+  }
+
+  // 주문 금액 승인 후 매입 (거절이나 게이트웨이 오류는 그대로 던짐)
+  async charge(order, source) {
+    const authorization = await this.provider.authorize({
+      amount: toMinorUnits(order.total),
+      currency: this.currency,
+      source,
+      reference: `order_${order.id}`,
+      idempotencyKey: `order-${order.id}`
+    });
+
+    const payment = await this.payments.create({
+      orderId: order.id,
+      provider: this.provider.name,
+      providerPaymentId: authorization.id,
+      amount: order.total,
+      currency: this.currency,
+      status: 'authorized'
+    });
+
+    await this.provider.capture(authorization.id);
+    // 웹훅이 먼저 도착해 이미 captured일 수 있음
+    return (await this.payments.updateStatus(payment.id, { from: ['authorized'], to: 'captured' }))
+      || this.payments.findById(payment.id);
+  }
+
+  // 주문의 결제가 승인·매입 상태면 환불 (결제가 없거나 이미 환불됐으면 null)
+  async refundOrder(orderId) {
+    const payment = await this.payments.findByOrderId(orderId);
+    if (!payment || !REFUNDABLE_STATUSES.includes(payment.status)) return null;
+
+    await this.provider.refund(payment.providerPaymentId);
+    return this.payments.updateStatus(payment.id, { from: REFUNDABLE_STATUSES, to: 'refunded' });
+  }
+
+  // 서명 검증을 통과한 웹훅 이벤트 처리: 'processed' | 'duplicate' | 'ignored'
+  // 처리 중 오류가 나면 이벤트 기록을 지워 게이트웨이가 재시도할 때 다시 처리
+  async handleEvent(event) {
+    if (!(await this.payments.recordEvent(event.id, event.type))) return 'duplicate';
+
+    try {
+      const payment = event.data?.id && await this.payments.findByProviderId(event.data.id);
+      if (!payment) return 'ignored';
+
+      switch (event.type) {
+        case 'payment.captured':
+          await this.onCaptured(payment);
+          return 'processed';
+        case 'payment.refunded':
+          await this.payments.updateStatus(payment.id, { from: REFUNDABLE_STATUSES, to: 'refunded' });
+          return 'processed';
+        default:
+          return 'ignored';
+      }
+    } catch (error) {
+      await this.payments.forgetEvent(event.id);
+      throw error;
+    }
+  }
+
+  async onCaptured(payment) {
+    await this.payments.updateStatus(payment.id, { from: ['authorized'], to: 'captured' });
+
+    try {
+      await this.lifecycle.transition(payment.orderId, 'processing', { reason: 'payment_captured', expected: 'pending' });
+    } catch (error) {
+      if (!(error instanceof InvalidTransitionError)) throw error;
+      // 매입 전에 취소된 주문(예약 만료 등)이면 돈을 돌려줌
+      if (error.from === 'cancelled') await this.refundOrder(payment.orderId);
+    }
+  }
+
+  // 이벤트 리스너에서 시작한 비동기 작업 추적 (실패는 로그만 남김)
+  track(promise) {
+    const tracked = promise
+      .catch(error => console.error(`Payment follow-up failed: ${error.message}`))
+      .finally(() => this.pending.delete(tracked));
+    this.pending.add(tracked);
+  }
+
+  // 진행 중인 환불이 모두 끝날 때까지 대기 (종료 전, 테스트에서 사용)
+  async settled() {
+    while (this.pending.size > 0) await Promise.all(this.pending);
+  }
+}
+
+module.exports = { PaymentService, PaymentDeclinedError, PaymentProviderError, toMinorUnits };
@@ -0,0 +1,187 @@
+// 예제 6-7: E-commerce API 결제 - 로컬 모의 게이트웨이
+// Codex 명령어: codex "Add a payment provider abstraction with authorize, capture and refund, a local mock gateway and signed webhooks"
+
+// 실제 게이트웨이 대신 로컬에서 띄우는 결제 서버
+//
+//   POST /v1/payments               승인 (Idempotency-Key 지원, 거절이면 402)
+//   POST /v1/payments/:id/capture   매입 → payment.captured 웹훅
+//   POST /v1/payments/:id/refund    환불 → payment.refunded 웹훅
+//
+// 결제 수단(source)이 DECLINED_SOURCES에 있으면 거절하고, 나머지는 모두 승인합니다.
+// 실행: PAYMENT_API_KEY=... PAYMENT_WEBHOOK_SECRET=... PORT=4000 \
+//       WEBHOOK_URL=http://localhost:3000/api/payments/webhook node mock-gateway.js
+// API 키와 웹훅 서명 키는 API 서버와 같은 값이어야 하며 기본값이 없습니다.
+
+const express = require('express');
+const { SIGNATURE_HEADER, signPayload } = require('./signature');
+
+// 거절되는 테스트용 결제 수단 → 거절 코드
+const DECLINED_SOURCES = {
+  tok_declined: 'card_declined',
+  tok_insufficient_funds: 'insufficient_funds'
+};
+
+const gatewayError = (code, message) => ({ error: { code, message } });
+
+class MockGateway {
+  constructor({ apiKey, webhookUrl = null, webhookSecret } = {}) {
+    if (!apiKey || !webhookSecret) {
+      throw new Error('모의 게이트웨이에는 apiKey와 webhookSecret이 필요합니다');
+    }
+
+    this.apiKey = apiKey;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret;
+    this.payments = new Map();
+    this.events = [];
+    this.responses = new Map();
+    this.deliveries = new Set();
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      if (req.get('Authorization') !== `Bearer ${this.apiKey}`) {
+        return res.status(401).json(gatewayError('unauthorized', 'Invalid API key'));
+      }
+      next();
+    });
+
+    // 승인 (같은 Idempotency-Key면 처음 응답을 그대로 반환)
+    app.post('/v1/payments', (req, res) => {
+      const key = req.get('Idempotency-Key');
+      const [status, body] = (key && this.responses.get(key)) || this.authorize(req.body);
+      if (key) this.responses.set(key, [status, body]);
+      res.status(status).json(body);
+    });
+
+    app.post('/v1/payments/:id/capture', (req, res) => {
+      const [status, body] = this.changeStatus(req.params.id, ['authorized'], 'captured');
+      res.status(status).json(body);
+    });
+
+    // 매입 전이면 승인 취소, 매입 후면 환불 (둘 다 refunded)
+    app.post('/v1/payments/:id/refund', (req, res) => {
+      const [status, body] = this.changeStatus(req.params.id, ['authorized', 'captured'], 'refunded');
+      res.status(status).json(body);
+    });
+
+    return app;
+  }
+
+  authorize({ amount, currency, source, reference } = {}) {
+    if (!Number.isInteger(amount) || amount <= 0 || !currency || typeof source !== 'string') {
+      return [400, gatewayError('invalid_request', 'amount (minor units), currency and source are required')];
+    }
+
+    const declineCode = DECLINED_SOURCES[source];
+    const payment = {
+      id: `pay_${this.payments.size + 1}`,
+      amount,
+      currency,
+      reference: reference || null,
+      status: declineCode ? 'declined' : 'authorized'
+    };
+    this.payments.set(payment.id, payment);
+
+    if (declineCode) {
+      return [402, { ...gatewayError(declineCode, 'Your card was declined'), payment: { ...payment } }];
+    }
+    return [201, { ...payment }];
+  }
+
+  changeStatus(id, from, to) {
+    const payment = this.payments.get(id);
+    if (!payment) {
+      return [404, gatewayError('not_found', `No such payment: ${id}`)];
+    }
+    if (!from.includes(payment.status)) {
+      return [409, gatewayError('invalid_state', `Payment ${id} is ${payment.status}`)];
+    }
+
+    payment.status = to;
+    this.emitEvent(`payment.${to}`, payment);
+    return [200, { ...payment }];
+  }
+
+  // 이벤트를 기록하고 webhookUrl이 있으면 서명해서 전송
+  emitEvent(type, payment) {
+    const event = {
+      id: `evt_${this.events.length + 1}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { ...payment }
+    };
+    this.events.push(event);
+    this.deliver(event);
+    return event;
+  }
+
+  // 같은 이벤트를 다시 전송 (실제 게이트웨이의 재시도 재현)
+  redeliver(eventId) {
+    const event = this.events.find(e => e.id === eventId);
+    if (!event) throw new Error(`알 수 없는 이벤트: ${eventId}`);
+    this.deliver(event);
+  }
+
+  deliver(event) {
+    if (!this.webhookUrl) return;
+
+    const body = JSON.stringify(event);
+    const delivery = fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, this.webhookSecret) },
+      body
+    })
+      .then(response => response.status)
+      .catch((error) => {
+        console.error(`Webhook delivery failed (${event.id}): ${error.message}`);
+        return null;
+      })
+      .finally(() => this.deliveries.delete(delivery));
+    this.deliveries.add(delivery);
+  }
+
+  // 전송 중인 웹훅이 모두 끝날 때까지 대기
+  async flush() {
+    while (this.deliveries.size > 0) await Promise.all(this.deliveries);
+  }
+
+  listen(port = 0) {
+    return new Promise((resolve) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => resolve(this.server));
+    });
+  }
+
+  get url() {
+    return this.server && `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async close() {
+    await this.flush();
+    if (this.server) await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+if (require.main === module) {
+  try {
+    const gateway = new MockGateway({
+      apiKey: process.env.PAYMENT_API_KEY,
+      webhookUrl: process.env.WEBHOOK_URL,
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET
+    });
+    gateway.listen(process.env.PORT || 4000).then(() => {
+      console.log(`Mock payment gateway running at ${gateway.url} (webhooks: ${gateway.webhookUrl || 'disabled'})`);
+    });
+  } catch (error) {
+    console.error(`Failed to start mock gateway: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { MockGateway, DECLINED_SOURCES };
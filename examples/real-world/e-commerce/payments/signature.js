@@ -0,0 +1,36 @@
+// 예제 6-7: E-commerce API 결제 - 웹훅 서명
+// Codex 명령어: codex "Add a payment provider abstraction with authorize, capture and refund, a local mock gateway and signed webhooks"
+
+// 서명 헤더 형식: Gateway-Signature: t=<unix 초>,v1=<HMAC-SHA256(secret, "<t>.<본문>") hex>
+// 타임스탬프를 서명에 포함하고 허용 시간을 넘긴 요청을 거부해 가로챈 웹훅의 재전송을 막습니다.
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'Gateway-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const digest = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.`)
+  .update(payload)
+  .digest('hex');
+
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${digest(payload, secret, timestamp)}`;
+}
+
+// payload는 받은 그대로의 본문 (파싱한 뒤 다시 직렬화하면 서명이 달라질 수 있음)
+function verifySignature(payload, header, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]+$/i.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(digest(payload, secret, timestamp), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { SIGNATURE_HEADER, DEFAULT_TOLERANCE_SECONDS, signPayload, verifySignature };
@@ -0,0 +1,14 @@
+// 예제 6-5: E-commerce API 트랜잭션 체크아웃 - 저장소 오류
+// Codex 명령어: codex "Make checkout all-or-nothing with stock reservations, idempotency keys and restock on cancel"
+
+// 주문 확정(orders.place) 중 재고가 모자라면 던지는 오류
+// 이 오류가 나면 같은 주문의 다른 상품 재고도 차감되지 않습니다.
+class InsufficientStockError extends Error {
+  constructor({ productId, name }) {
+    super(`Insufficient stock for ${name}`);
+    this.name = 'InsufficientStockError';
+    this.productId = productId;
+  }
+}
+
+module.exports = { InsufficientStockError };
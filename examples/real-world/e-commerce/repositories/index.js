@@ -0,0 +1,74 @@
+// 예제 6-1: E-commerce API 저장소 계층
+// Codex 명령어: codex "Add a repository layer with in-memory and SQLite adapters behind the e-commerce API"
+
+// 라우트는 아래 저장소의 비동기 메서드만 사용하므로 어댑터를 바꿔도 API 동작은 같습니다.
+//
+//   products: search(query), findById(id), create(data), update(id, changes), delete(id)
+//   users:    findById(id), findByEmail(email), create(data), setRole(id, role)
+//   carts:    findByUserId(userId), save(cart)
+//   orders:   place(data, { idempotencyKey }), findById(id), findByUserId(userId),
+//             findByIdempotencyKey(userId, key), releaseIdempotencyKey(id), list(),
+//             updateStatus(id, { from, to, changedBy, reason }), findExpired(at), statusHistory(orderId)
+//   payments: create(data), findById(id), findByOrderId(orderId), findByProviderId(providerPaymentId),
+//             updateStatus(id, { from: [...], to }), recordEvent(eventId, type), forgetEvent(eventId)
+//
+// orders.place는 재고 확인·차감과 주문 생성을 원자적으로 처리하고 { order, created }를 반환합니다.
+// 재고가 모자라면 InsufficientStockError(errors.js)를 던지며 아무 재고도 바뀌지 않습니다.
+// orders.updateStatus는 현재 상태가 from일 때만 바꾸며, 어떤 변경이 허용되는지는 order-lifecycle.js가 정합니다.
+//
+// 어댑터: memory (프로세스 메모리), sqlite (better-sqlite3 + migrations/)
+
+const { createMemoryRepositories } = require('./memory');
+
+// 빈 저장소에 넣는 기본 상품
+const SEED_PRODUCTS = [
+  { name: 'Laptop', price: 999.99, stock: 10, category: 'Electronics' },
+  { name: 'Phone', price: 699.99, stock: 5, category: 'Electronics' },
+  { name: 'Book', price: 29.99, stock: 100, category: 'Books' }
+];
+
+const PRODUCT_SORT_FIELDS = ['id', 'name', 'price', 'stock', 'category', 'createdAt'];
+
+const ADAPTERS = {
+  memory: () => createMemoryRepositories(),
+  // better-sqlite3는 SQLite 어댑터를 쓸 때만 로드
+  sqlite: options => require('./sqlite').createSqliteRepositories(options)
+};
+
+// 상품 목록 쿼리스트링 → 저장소 검색 조건 (알 수 없는 정렬 필드는 무시)
+function normalizeProductQuery(query = {}) {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  const price = value => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+  return {
+    category: query.category || undefined,
+    minPrice: price(query.minPrice),
+    maxPrice: price(query.maxPrice),
+    search: query.search || undefined,
+    sortBy: PRODUCT_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : undefined,
+    order: query.order === 'desc' ? 'desc' : 'asc',
+    page,
+    limit,
+    offset: (page - 1) * limit
+  };
+}
+
+// 저장소 생성 (seed가 true이고 상품이 없으면 기본 상품 추가)
+async function createRepositories({ driver = 'memory', seed = true, ...options } = {}) {
+  const adapter = ADAPTERS[driver];
+  if (!adapter) {
+    throw new Error(`알 수 없는 저장소 드라이버: ${driver} (사용 가능: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  const repositories = adapter(options);
+  if (seed) {
+    const { count } = await repositories.products.search({ limit: 1 });
+    if (count === 0) {
+      for (const product of SEED_PRODUCTS) await repositories.products.create(product);
+    }
+  }
+  return repositories;
+}
+
+module.exports = { createRepositories, normalizeProductQuery, SEED_PRODUCTS, PRODUCT_SORT_FIELDS };
@@ -0,0 +1,299 @@
+// 예제 6-1: E-commerce API 저장소 계층 - 메모리 어댑터
+// Codex 명령어: codex "Add a repository layer with in-memory and SQLite adapters behind the e-commerce API"
+
+// 프로세스 안에서만 유지되는 저장소 (테스트, 데모용)
+// - ID는 테이블별 증가 시퀀스로 발급해 삭제 후에도 재사용하지 않음
+// - 반환 값은 복사본이라 라우트에서 수정해도 save/update 전에는 저장되지 않음 (SQLite 어댑터와 동일)
+// - 여러 행을 바꾸는 메서드는 중간에 await가 없어 다른 요청이 끼어들지 못함 (SQLite의 트랜잭션 역할)
+
+const { InsufficientStockError } = require('./errors');
+
+const clone = value => (value === null || value === undefined ? null : structuredClone(value));
+const now = () => new Date().toISOString();
+
+// update로 바꿀 수 있는 상품 필드
+const PRODUCT_FIELDS = ['name', 'price', 'stock', 'category', 'description'];
+
+// 취소할 때 재고를 되돌리는 주문 상태 (출고 전)
+const RESTOCKABLE_STATUSES = ['pending', 'processing'];
+
+class MemoryTable {
+  constructor() {
+    this.rows = new Map();
+    this.lastId = 0;
+  }
+
+  insert(data) {
+    const row = { id: ++this.lastId, ...data };
+    this.rows.set(row.id, row);
+    return clone(row);
+  }
+
+  get(id) {
+    return clone(this.rows.get(id));
+  }
+
+  all() {
+    return [...this.rows.values()].map(clone);
+  }
+
+  patch(id, changes) {
+    const row = this.rows.get(id);
+    if (!row) return null;
+    Object.assign(row, changes);
+    return clone(row);
+  }
+
+  remove(id) {
+    return this.rows.delete(id);
+  }
+}
+
+class MemoryProductRepository {
+  constructor() {
+    this.table = new MemoryTable();
+  }
+
+  async search({ category, minPrice, maxPrice, search, sortBy, order = 'asc', offset = 0, limit = 10 } = {}) {
+    let products = this.table.all();
+
+    if (category) {
+      products = products.filter(p => p.category.toLowerCase() === category.toLowerCase());
+    }
+    if (minPrice !== undefined) products = products.filter(p => p.price >= minPrice);
+    if (maxPrice !== undefined) products = products.filter(p => p.price <= maxPrice);
+    if (search) {
+      const term = search.toLowerCase();
+      products = products.filter(p => p.name.toLowerCase().includes(term));
+    }
+
+    if (sortBy) {
+      const direction = order === 'desc' ? -1 : 1;
+      products.sort((a, b) => {
+        if (a[sortBy] < b[sortBy]) return -1 * direction;
+        if (a[sortBy] > b[sortBy]) return 1 * direction;
+        return a.id - b.id;
+      });
+    }
+
+    return { products: products.slice(offset, offset + limit), count: products.length };
+  }
+
+  async findById(id) {
+    return this.table.get(id);
+  }
+
+  async create({ name, price, stock, category, description = null }) {
+    return this.table.insert({ name, price, stock, category, description, createdAt: now(), updatedAt: null });
+  }
+
+  async update(id, changes) {
+    const allowed = Object.entries(changes).filter(([field]) => PRODUCT_FIELDS.includes(field));
+    return this.table.patch(id, { ...Object.fromEntries(allowed), updatedAt: now() });
+  }
+
+  async delete(id) {
+    return this.table.remove(id);
+  }
+}
+
+class MemoryUserRepository {
+  constructor() {
+    this.table = new MemoryTable();
+  }
+
+  async findById(id) {
+    return this.table.get(id);
+  }
+
+  async findByEmail(email) {
+    return this.table.all().find(u => u.email === email) || null;
+  }
+
+  async create({ email, password, name = null, role = 'customer' }) {
+    return this.table.insert({ email, password, name, role, createdAt: now() });
+  }
+
+  async setRole(id, role) {
+    return this.table.patch(id, { role });
+  }
+}
+
+class MemoryCartRepository {
+  constructor() {
+    this.carts = new Map();
+  }
+
+  async findByUserId(userId) {
+    return clone(this.carts.get(userId));
+  }
+
+  async save({ userId, items }) {
+    const cart = { userId, items: items.map(({ productId, quantity }) => ({ productId, quantity })) };
+    this.carts.set(userId, cart);
+    return clone(cart);
+  }
+}
+
+class MemoryOrderRepository {
+  constructor(products) {
+    this.table = new MemoryTable();
+    this.history = new MemoryTable();
+    this.products = products.table;
+  }
+
+  // 재고 확인, 차감, 주문 생성을 한 번에 처리 (하나라도 부족하면 아무것도 바꾸지 않음)
+  async place({ userId, items, total, shippingAddress, paymentMethod, reservedUntil = null }, { idempotencyKey = null } = {}) {
+    const existing = idempotencyKey && this.findByKey(userId, idempotencyKey);
+    if (existing) return { order: existing, created: false };
+
+    for (const item of items) {
+      const product = this.products.get(item.productId);
+      if (!product || product.stock < item.quantity) throw new InsufficientStockError(item);
+    }
+    this.adjustStock(items, -1);
+
+    const timestamp = now();
+    const order = this.table.insert({
+      userId,
+      items,
+      total,
+      shippingAddress,
+      paymentMethod,
+      status: 'pending',
+      reservedUntil,
+      idempotencyKey,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+    this.record(order.id, { from: null, to: 'pending', changedBy: userId });
+    return { order, created: true };
+  }
+
+  async findById(id) {
+    return this.table.get(id);
+  }
+
+  async findByUserId(userId) {
+    return this.table.all().filter(o => o.userId === userId);
+  }
+
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    return this.findByKey(userId, idempotencyKey);
+  }
+
+  // 주문과 Idempotency-Key의 연결을 끊어 같은 키로 다시 주문할 수 있게 함
+  async releaseIdempotencyKey(id) {
+    return this.table.patch(id, { idempotencyKey: null, updatedAt: now() });
+  }
+
+  async list() {
+    return this.table.all();
+  }
+
+  // 현재 상태가 from일 때만 to로 변경하고 이력 기록 (아니면 null)
+  // 출고 전 주문을 취소하면 재고 복구, pending을 벗어나면 예약이 확정되어 더는 만료되지 않음
+  async updateStatus(id, { from, to, changedBy = null, reason = null }) {
+    const order = this.table.get(id);
+    if (!order || order.status !== from) return null;
+
+    if (to === 'cancelled' && RESTOCKABLE_STATUSES.includes(from)) this.adjustStock(order.items, 1);
+    this.record(id, { from, to, changedBy, reason });
+    return this.table.patch(id, { status: to, ...(to !== 'pending' && { reservedUntil: null }), updatedAt: now() });
+  }
+
+  // 예약 시간이 지난 pending 주문
+  async findExpired(at = new Date()) {
+    const cutoff = at.toISOString();
+    return this.table.all().filter(o => o.status === 'pending' && o.reservedUntil && o.reservedUntil <= cutoff);
+  }
+
+  async statusHistory(orderId) {
+    return this.history.all()
+      .filter(entry => entry.orderId === orderId)
+      .map(({ from, to, changedBy, reason, changedAt }) => ({ from, to, changedBy, reason, changedAt }));
+  }
+
+  findByKey(userId, idempotencyKey) {
+    return this.table.all().find(o => o.userId === userId && o.idempotencyKey === idempotencyKey) || null;
+  }
+
+  record(orderId, { from, to, changedBy = null, reason = null }) {
+    this.history.insert({ orderId, from, to, changedBy, reason, changedAt: now() });
+  }
+
+  // direction: -1이면 차감, 1이면 복구 (삭제된 상품은 건너뜀)
+  adjustStock(items, direction) {
+    for (const { productId, quantity } of items) {
+      const product = this.products.get(productId);
+      if (product) this.products.patch(productId, { stock: product.stock + direction * quantity, updatedAt: now() });
+    }
+  }
+}
+
+class MemoryPaymentRepository {
+  constructor() {
+    this.table = new MemoryTable();
+    this.events = new Map();
+  }
+
+  async create({ orderId, provider, providerPaymentId, amount, currency, status }) {
+    const timestamp = now();
+    return this.table.insert({
+      orderId,
+      provider,
+      providerPaymentId,
+      amount,
+      currency,
+      status,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+  }
+
+  async findById(id) {
+    return this.table.get(id);
+  }
+
+  async findByOrderId(orderId) {
+    return this.table.all().find(p => p.orderId === orderId) || null;
+  }
+
+  async findByProviderId(providerPaymentId) {
+    return this.table.all().find(p => p.providerPaymentId === providerPaymentId) || null;
+  }
+
+  // 현재 상태가 from 중 하나일 때만 변경 (아니면 null)
+  async updateStatus(id, { from, to }) {
+    const payment = this.table.get(id);
+    if (!payment || !from.includes(payment.status)) return null;
+    return this.table.patch(id, { status: to, updatedAt: now() });
+  }
+
+  // 처음 받은 웹훅 이벤트면 기록하고 true
+  async recordEvent(eventId, type) {
+    if (this.events.has(eventId)) return false;
+    this.events.set(eventId, { type, receivedAt: now() });
+    return true;
+  }
+
+  async forgetEvent(eventId) {
+    this.events.delete(eventId);
+  }
+}
+
+function createMemoryRepositories() {
+  const products = new MemoryProductRepository();
+
+  return {
+    driver: 'memory',
+    products,
+    users: new MemoryUserRepository(),
+    carts: new MemoryCartRepository(),
+    orders: new MemoryOrderRepository(products),
+    payments: new MemoryPaymentRepository(),
+    close: async () => {}
+  };
+}
+
+module.exports = { createMemoryRepositories };
@@ -0,0 +1,408 @@
+// 예제 6-1: E-commerce API 저장소 계층 - SQLite 어댑터
+// Codex 명령어: codex "Add a repository layer with in-memory and SQLite adapters behind the e-commerce API"
+
+// better-sqlite3 기반 영속 저장소
+// - 시작할 때 migrations/의 SQL 파일을 번호 순서로 적용하고 schema_migrations에 기록
+// - 컬럼은 snake_case, 반환 객체는 메모리 어댑터와 같은 camelCase 형태
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { InsufficientStockError } = require('./errors');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// 정렬 가능한 상품 필드 → 컬럼
+const PRODUCT_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  price: 'price',
+  stock: 'stock',
+  category: 'category',
+  createdAt: 'created_at'
+};
+
+// update로 바꿀 수 있는 상품 필드
+const PRODUCT_FIELDS = ['name', 'price', 'stock', 'category', 'description'];
+
+// 취소할 때 재고를 되돌리는 주문 상태 (출고 전)
+const RESTOCKABLE_STATUSES = ['pending', 'processing'];
+
+const now = () => new Date().toISOString();
+
+// 마이그레이션 적용 (파일마다 트랜잭션, 이미 적용한 버전은 건너뜀)
+function migrate(db, migrationsDir = MIGRATIONS_DIR) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const pending = fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+_.+\.sql$/.test(file) && !applied.has(file))
+    .sort();
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)');
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf-8');
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(file, now());
+    })();
+  }
+
+  return pending;
+}
+
+const toProduct = row => row && {
+  id: row.id,
+  name: row.name,
+  price: row.price,
+  stock: row.stock,
+  category: row.category,
+  description: row.description,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+const toUser = row => row && {
+  id: row.id,
+  email: row.email,
+  password: row.password_hash,
+  name: row.name,
+  role: row.role,
+  createdAt: row.created_at
+};
+
+class SqliteProductRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async search({ category, minPrice, maxPrice, search, sortBy, order = 'asc', offset = 0, limit = 10 } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (category) {
+      conditions.push('lower(category) = lower(@category)');
+      params.category = category;
+    }
+    if (minPrice !== undefined) {
+      conditions.push('price >= @minPrice');
+      params.minPrice = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      conditions.push('price <= @maxPrice');
+      params.maxPrice = maxPrice;
+    }
+    if (search) {
+      conditions.push('instr(lower(name), lower(@search)) > 0');
+      params.search = search;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const column = PRODUCT_COLUMNS[sortBy];
+    const orderBy = column ? `${column} ${order === 'desc' ? 'DESC' : 'ASC'}, id ASC` : 'id ASC';
+
+    const count = this.db.prepare(`SELECT COUNT(*) FROM products ${where}`).pluck().get(params);
+    const rows = this.db
+      .prepare(`SELECT * FROM products ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    return { products: rows.map(toProduct), count };
+  }
+
+  async findById(id) {
+    return toProduct(this.db.prepare('SELECT * FROM products WHERE id = ?').get(id)) || null;
+  }
+
+  async create({ name, price, stock, category, description = null }) {
+    const { lastInsertRowid } = this.db
+      .prepare(`INSERT INTO products (name, price, stock, category, description, created_at)
+        VALUES (@name, @price, @stock, @category, @description, @createdAt)`)
+      .run({ name, price, stock, category, description, createdAt: now() });
+    return this.findById(Number(lastInsertRowid));
+  }
+
+  async update(id, changes) {
+    const assignments = Object.keys(changes)
+      .filter(field => PRODUCT_FIELDS.includes(field))
+      .map(field => `${field} = @${field}`);
+
+    const { changes: updated } = this.db
+      .prepare(`UPDATE products SET ${[...assignments, 'updated_at = @updatedAt'].join(', ')} WHERE id = @id`)
+      .run({ ...changes, updatedAt: now(), id });
+    return updated > 0 ? this.findById(id) : null;
+  }
+
+  async delete(id) {
+    return this.db.prepare('DELETE FROM products WHERE id = ?').run(id).changes > 0;
+  }
+}
+
+class SqliteUserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(id) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id)) || null;
+  }
+
+  async findByEmail(email) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE email = ?').get(email)) || null;
+  }
+
+  async create({ email, password, name = null, role = 'customer' }) {
+    const { lastInsertRowid } = this.db
+      .prepare('INSERT INTO users (email, password_hash, name, role, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(email, password, name, role, now());
+    return this.findById(Number(lastInsertRowid));
+  }
+
+  async setRole(id, role) {
+    const { changes } = this.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+    return changes > 0 ? this.findById(id) : null;
+  }
+}
+
+class SqliteCartRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByUserId(userId) {
+    const cart = this.db.prepare('SELECT user_id FROM carts WHERE user_id = ?').get(userId);
+    if (!cart) return null;
+
+    const items = this.db
+      .prepare('SELECT product_id AS productId, quantity FROM cart_items WHERE user_id = ? ORDER BY id')
+      .all(userId);
+    return { userId, items };
+  }
+
+  // 장바구니 항목 전체 교체
+  async save({ userId, items }) {
+    const insertItem = this.db.prepare('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)');
+
+    this.db.transaction(() => {
+      this.db
+        .prepare(`INSERT INTO carts (user_id, updated_at) VALUES (?, ?)
+          ON CONFLICT(user_id) DO UPDATE SET updated_at = excluded.updated_at`)
+        .run(userId, now());
+      this.db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(userId);
+      for (const { productId, quantity } of items) insertItem.run(userId, productId, quantity);
+    })();
+
+    return this.findByUserId(userId);
+  }
+}
+
+class SqliteOrderRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toOrder(row) {
+    if (!row) return null;
+
+    const items = this.db
+      .prepare('SELECT product_id AS productId, name, price, quantity, total FROM order_items WHERE order_id = ? ORDER BY id')
+      .all(row.id);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      items,
+      total: row.total,
+      shippingAddress: JSON.parse(row.shipping_address),
+      paymentMethod: row.payment_method,
+      status: row.status,
+      reservedUntil: row.reserved_until,
+      idempotencyKey: row.idempotency_key,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // 재고 확인, 차감, 주문 생성을 한 트랜잭션으로 처리 (하나라도 부족하면 전체 롤백)
+  // IMMEDIATE 트랜잭션으로 시작해 다른 연결의 체크아웃과 재고를 동시에 읽지 않음
+  async place({ userId, items, total, shippingAddress, paymentMethod, reservedUntil = null }, { idempotencyKey = null } = {}) {
+    const timestamp = now();
+    const reserveStock = this.db.prepare(`UPDATE products SET stock = stock - @quantity, updated_at = @timestamp
+      WHERE id = @productId AND stock >= @quantity`);
+    const insertItem = this.db.prepare(`INSERT INTO order_items (order_id, product_id, name, price, quantity, total)
+      VALUES (@orderId, @productId, @name, @price, @quantity, @total)`);
+
+    const { orderId, created } = this.db.transaction(() => {
+      const existing = idempotencyKey && this.findRowByKey(userId, idempotencyKey);
+      if (existing) return { orderId: existing.id, created: false };
+
+      for (const item of items) {
+        const { changes } = reserveStock.run({ productId: item.productId, quantity: item.quantity, timestamp });
+        if (changes === 0) throw new InsufficientStockError(item);
+      }
+
+      const { lastInsertRowid } = this.db
+        .prepare(`INSERT INTO orders (user_id, total, shipping_address, payment_method, status, reserved_until, idempotency_key, created_at, updated_at)
+          VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?)`)
+        .run(userId, total, JSON.stringify(shippingAddress), paymentMethod, reservedUntil, idempotencyKey, timestamp, timestamp);
+      for (const item of items) insertItem.run({ orderId: lastInsertRowid, ...item });
+      this.record(Number(lastInsertRowid), { from: null, to: 'pending', changedBy: userId });
+      return { orderId: Number(lastInsertRowid), created: true };
+    }).immediate();
+
+    return { order: await this.findById(orderId), created };
+  }
+
+  async findById(id) {
+    return this.toOrder(this.db.prepare('SELECT * FROM orders WHERE id = ?').get(id));
+  }
+
+  async findByUserId(userId) {
+    return this.db.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY id').all(userId).map(row => this.toOrder(row));
+  }
+
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    return this.toOrder(this.findRowByKey(userId, idempotencyKey));
+  }
+
+  // 주문과 Idempotency-Key의 연결을 끊어 같은 키로 다시 주문할 수 있게 함
+  async releaseIdempotencyKey(id) {
+    this.db.prepare('UPDATE orders SET idempotency_key = NULL, updated_at = ? WHERE id = ?').run(now(), id);
+    return this.findById(id);
+  }
+
+  async list() {
+    return this.db.prepare('SELECT * FROM orders ORDER BY id').all().map(row => this.toOrder(row));
+  }
+
+  // 현재 상태가 from일 때만 to로 변경하고 이력 기록 (아니면 null)
+  // 출고 전 주문을 취소하면 재고 복구, pending을 벗어나면 예약이 확정되어 더는 만료되지 않음
+  async updateStatus(id, { from, to, changedBy = null, reason = null }) {
+    const changed = this.db.transaction(() => {
+      const { changes } = this.db
+        .prepare(`UPDATE orders SET status = @to,
+          reserved_until = CASE WHEN @to = 'pending' THEN reserved_until END, updated_at = @updatedAt
+          WHERE id = @id AND status = @from`)
+        .run({ id, from, to, updatedAt: now() });
+      if (changes === 0) return false;
+
+      if (to === 'cancelled' && RESTOCKABLE_STATUSES.includes(from)) {
+        const restock = this.db.prepare('UPDATE products SET stock = stock + ?, updated_at = ? WHERE id = ?');
+        const items = this.db.prepare('SELECT product_id, quantity FROM order_items WHERE order_id = ?').all(id);
+        for (const item of items) restock.run(item.quantity, now(), item.product_id);
+      }
+      this.record(id, { from, to, changedBy, reason });
+      return true;
+    }).immediate();
+
+    return changed ? this.findById(id) : null;
+  }
+
+  // 예약 시간이 지난 pending 주문
+  async findExpired(at = new Date()) {
+    return this.db
+      .prepare(`SELECT * FROM orders WHERE status = 'pending' AND reserved_until <= ? ORDER BY id`)
+      .all(at.toISOString())
+      .map(row => this.toOrder(row));
+  }
+
+  async statusHistory(orderId) {
+    return this.db
+      .prepare(`SELECT from_status AS "from", to_status AS "to", changed_by AS changedBy, reason, changed_at AS changedAt
+        FROM order_status_history WHERE order_id = ? ORDER BY id`)
+      .all(orderId);
+  }
+
+  findRowByKey(userId, idempotencyKey) {
+    return this.db.prepare('SELECT * FROM orders WHERE user_id = ? AND idempotency_key = ?').get(userId, idempotencyKey);
+  }
+
+  record(orderId, { from, to, changedBy = null, reason = null }) {
+    this.db
+      .prepare(`INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason, changed_at)
+        VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(orderId, from, to, changedBy, reason, now());
+  }
+}
+
+const toPayment = row => row && {
+  id: row.id,
+  orderId: row.order_id,
+  provider: row.provider,
+  providerPaymentId: row.provider_payment_id,
+  amount: row.amount,
+  currency: row.currency,
+  status: row.status,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+class SqlitePaymentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create({ orderId, provider, providerPaymentId, amount, currency, status }) {
+    const timestamp = now();
+    const { lastInsertRowid } = this.db
+      .prepare(`INSERT INTO payments (order_id, provider, provider_payment_id, amount, currency, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(orderId, provider, providerPaymentId, amount, currency, status, timestamp, timestamp);
+    return this.findById(Number(lastInsertRowid));
+  }
+
+  async findById(id) {
+    return toPayment(this.db.prepare('SELECT * FROM payments WHERE id = ?').get(id)) || null;
+  }
+
+  async findByOrderId(orderId) {
+    return toPayment(this.db.prepare('SELECT * FROM payments WHERE order_id = ? ORDER BY id').get(orderId)) || null;
+  }
+
+  async findByProviderId(providerPaymentId) {
+    return toPayment(this.db.prepare('SELECT * FROM payments WHERE provider_payment_id = ?').get(providerPaymentId)) || null;
+  }
+
+  // 현재 상태가 from 중 하나일 때만 변경 (아니면 null)
+  async updateStatus(id, { from, to }) {
+    const { changes } = this.db
+      .prepare(`UPDATE payments SET status = ?, updated_at = ?
+        WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})`)
+      .run(to, now(), id, ...from);
+    return changes > 0 ? this.findById(id) : null;
+  }
+
+  // 처음 받은 웹훅 이벤트면 기록하고 true
+  async recordEvent(eventId, type) {
+    const { changes } = this.db
+      .prepare('INSERT OR IGNORE INTO payment_events (event_id, type, received_at) VALUES (?, ?, ?)')
+      .run(eventId, type, now());
+    return changes > 0;
+  }
+
+  async forgetEvent(eventId) {
+    this.db.prepare('DELETE FROM payment_events WHERE event_id = ?').run(eventId);
+  }
+}
+
+// filename이 ':memory:'이면 프로세스 종료 시 사라지는 임시 DB
+function createSqliteRepositories({ filename = ':memory:', migrationsDir } = {}) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db, migrationsDir);
+
+  return {
+    driver: 'sqlite',
+    db,
+    products: new SqliteProductRepository(db),
+    users: new SqliteUserRepository(db),
+    carts: new SqliteCartRepository(db),
+    orders: new SqliteOrderRepository(db),
+    payments: new SqlitePaymentRepository(db),
+    close: async () => db.close()
+  };
+}
+
+module.exports = { createSqliteRepositories, migrate, MIGRATIONS_DIR };
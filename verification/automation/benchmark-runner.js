@@ -12,10 +12,31 @@ import path from 'path';
 import os from 'os';
 import { execSync, spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import { validateScenario } from './scenario-schema.js';
+import { CodeAnalyzer } from './code-analyzer.js';
+import { createRateLimiter, runPool } from './worker-pool.js';
+import { createProvider, terminateActiveProcesses } from './providers.js';
+import { RETRY_DEFAULTS, ProviderError, runWithDeadline, withRetry, sumRetryWait } from './retry-policy.js';
+import { CodeExecutor } from './code-executor.js';
+import { ReportComparator, loadReport } from './report-comparator.js';
+import { getOutputFormat } from './report-formats.js';
+import { USAGE, EXIT_CODES, parseCliArgs } from './cli.js';
+import { QualityEvaluator, scoreCriteria } from './quality-criteria.js';
+import { SecurityScanner } from './security-rules.js';
+import { JudgeEvaluator, RUBRICS_DIR } from './judge.js';
+import { DEFAULT_PRICES, loadPriceTable, measureUsage, sumUsage, formatCost } from './token-usage.js';
+import { describe, mean, correlation } from './statistics.js';
+import { RepositoryWorkspace } from './repository-workspace.js';
+import { HISTORY_FILE, HistoryStore, createRunId, getGitInfo } from './history-store.js';
+import { TREND_FORMATS, buildTrend } from './trend-report.js';
+import { CassetteStore, CassetteRecorder, CassetteReplayProvider, DEFAULT_CASSETTE_DIR, listCassetteLabels } from './cassettes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+const RESULTS_DIR = path.join(__dirname, '..', 'benchmark-results');
+
 // 벤치마크 설정
 const BENCHMARK_CONFIG = {
   scenarios: [
@@ -25,7 +46,8 @@ const BENCHMARK_CONFIG = {
     'typescript-migration',
     'bug-fixing',
     'documentation-generation',
-    'refactoring-optimization'
+    'refactoring-optimization',
+    'react-iterative-refinement'
   ],
   metrics: [
     'response-time',
@@ -33,24 +55,97 @@ const BENCHMARK_CONFIG = {
     'accuracy',
     'completeness',
     'maintainability',
-    'security'
+    'security',
+    'functional-correctness',
+    'change-correctness',
+    'judge'
   ],
   iterations: 3,
-  timeout: 120000 // 2분
+  warmupIterations: 0, // 통계에서 제외하는 사전 반복 수 (캐시·연결 예열)
+  timeout: 120000, // 2분
+  concurrency: 1, // 동시에 실행할 시나리오 수
+  rateLimitMs: 1000, // 워커별 연속 요청 간 최소 간격
+  // 비교할 모델 백엔드 목록 (providers.js의 parseProviderSpec 형식 또는 { type, options })
+  providers: ['auto'],
+  // 생성 코드 구문 검사 및 시나리오 하네스 실행 여부
+  execute: false,
+  // 저장할 리포트 형식 (report-formats.js 레지스트리 이름: json, markdown, html, junit)
+  formats: ['json', 'markdown'],
+  outputDir: RESULTS_DIR,
+  // 시나리오 파일 값보다 우선하는 실행 설정 (CLI --iterations, --warmup, --timeout)
+  overrides: {},
+  // 부트스트랩 신뢰구간/이상치 탐지 옵션 (statistics.js의 STATISTICS_DEFAULTS 참고)
+  statistics: {},
+  // 카세트 기록/재생 (mode: null | 'record' | 'replay')
+  cassette: { mode: null, dir: DEFAULT_CASSETTE_DIR },
+  // 모델별 토큰 가격표 (USD / 100만 토큰, CLI --prices로 덮어쓰기)
+  prices: DEFAULT_PRICES,
+  // LLM 판정 단계 (provider가 null이면 비활성, judge.js 참고)
+  judge: { provider: null, rubricDir: RUBRICS_DIR },
+  // 실행 이력 저장 (path가 null이면 outputDir/history.jsonl, CLI --history, --no-history)
+  history: { enabled: true, path: null },
+  // 일시적 프로바이더 오류(rate-limit, 5xx, 네트워크) 재시도 (retry-policy.js, CLI --retries)
+  retry: RETRY_DEFAULTS
 };
 
 class BenchmarkRunner {
-  constructor() {
+  constructor(config = {}) {
+    this.config = { ...BENCHMARK_CONFIG, ...config };
+    this.providers = this.createProviders();
+    // 잘못된 형식 이름은 벤치마크 실행 전에 오류로 처리
+    this.config.formats.forEach(getOutputFormat);
     this.results = {
+      runId: createRunId(),
       timestamp: new Date().toISOString(),
       environment: this.getEnvironmentInfo(),
       scenarios: {},
       summary: {}
     };
     
-    this.metricsCollector = new MetricsCollector();
     this.codeAnalyzer = new CodeAnalyzer();
+    this.qualityEvaluator = new QualityEvaluator();
+    this.securityScanner = new SecurityScanner();
+    this.metricsCollector = new MetricsCollector(this.codeAnalyzer, this.qualityEvaluator, this.securityScanner);
+    this.codeExecutor = new CodeExecutor();
+    this.judge = this.config.judge.provider
+      ? new JudgeEvaluator({ provider: createProvider(this.config.judge.provider), rubricDir: this.config.judge.rubricDir })
+      : null;
     this.reportGenerator = new ReportGenerator();
+    // Ctrl-C 등으로 abort되면 진행 중인 요청을 끊고 남은 작업을 건너뜀
+    this.abortController = new AbortController();
+  }
+
+  get aborted() {
+    return this.abortController.signal.aborted;
+  }
+
+  /**
+   * 실행 중단 (진행 중인 프로바이더 요청 취소, 완료된 결과로 부분 리포트 작성)
+   */
+  abort() {
+    if (this.aborted) return;
+    this.abortController.abort(new ProviderError('사용자 중단', { kind: 'aborted' }));
+  }
+
+  /**
+   * 프로바이더 생성 (카세트 모드면 기록 래퍼 또는 재생 프로바이더로 교체)
+   */
+  createProviders() {
+    const providers = this.config.providers.map(createProvider);
+    const { mode, dir } = this.config.cassette;
+    if (!mode) return providers;
+
+    const store = new CassetteStore(dir);
+    if (mode === 'record') {
+      return providers.map(provider => new CassetteRecorder(provider, store));
+    }
+    if (mode === 'replay') {
+      // 지정한 프로바이더의 라벨로 기록된 출력을 재생 (실제 백엔드는 호출하지 않음)
+      return providers.map(provider => provider.type === 'replay'
+        ? provider
+        : new CassetteReplayProvider({ label: provider.label, store }));
+    }
+    throw new Error(`알 수 없는 카세트 모드: ${mode} (record 또는 replay)`);
   }
 
   /**
@@ -62,6 +157,7 @@ class BenchmarkRunner {
         os: process.platform,
         nodeVersion: process.version,
         codexVersion: this.getCodexVersion(),
+        git: getGitInfo(__dirname),
         timestamp: new Date().toISOString(),
         hardware: {
           cpus: os.cpus().length,
@@ -79,7 +175,7 @@ class BenchmarkRunner {
    */
   getCodexVersion() {
     try {
-      return execSync('codex --version', { encoding: 'utf8' }).trim();
+      return execSync('codex --version', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
     } catch (error) {
       return 'Codex CLI 미설치';
     }
@@ -91,166 +187,418 @@ class BenchmarkRunner {
   async run() {
     console.log('🚀 Codex CLI 성능 벤치마크 시작...\n');
     
-    for (const scenario of BENCHMARK_CONFIG.scenarios) {
-      console.log(`📊 시나리오 실행: ${scenario}`);
+    const { scenarios, concurrency, rateLimitMs } = this.config;
+    const limiters = Array.from({ length: concurrency }, () => createRateLimiter(rateLimitMs, ms => this.sleep(ms)));
+    const wallClockStart = Date.now();
+
+    // 프로바이더 × 시나리오 조합을 하나의 작업 목록으로 실행
+    const tasks = this.providers.flatMap(provider =>
+      scenarios.map(scenario => ({ scenario, provider, key: this.getResultKey(scenario, provider) }))
+    );
+
+    const scenarioResults = await runPool(tasks, concurrency, async ({ scenario, provider, key }, index, workerId) => {
+      if (this.aborted) return null;
+      console.log(`📊 시나리오 실행: ${key}`);
+      const startTime = Date.now();
       
       try {
-        const scenarioResults = await this.runScenario(scenario);
-        this.results.scenarios[scenario] = scenarioResults;
-        
-        console.log(`✅ ${scenario} 완료 (평균 응답시간: ${scenarioResults.averageResponseTime}ms)\n`);
+        const result = await this.runScenario(scenario, { rateLimiter: limiters[workerId], provider });
+        console.log(`✅ ${key} 완료 (평균 응답시간: ${result.averageResponseTime}ms)\n`);
+        return { ...result, durationMs: Date.now() - startTime };
       } catch (error) {
-        console.error(`❌ ${scenario} 실패:`, error.message);
-        this.results.scenarios[scenario] = { error: error.message };
+        console.error(`❌ ${key} 실패:`, error.message);
+        return { error: error.message, provider: provider.label, interrupted: this.aborted || undefined, durationMs: Date.now() - startTime };
       }
+    });
+
+    // 완료 순서와 무관하게 설정된 시나리오 순서로 기록 (중단으로 시작하지 못한 작업은 제외)
+    tasks.forEach(({ key }, index) => {
+      if (scenarioResults[index]) this.results.scenarios[key] = scenarioResults[index];
+    });
+    if (this.aborted) {
+      this.results.interrupted = {
+        skippedScenarios: tasks.filter((task, index) => !scenarioResults[index]).map(({ key }) => key)
+      };
     }
+
+    this.results.providers = this.providers.map(provider => ({ label: provider.label, type: provider.type }));
+    if (this.config.cassette.mode) this.results.cassette = { ...this.config.cassette };
+    this.results.timing = {
+      concurrency,
+      rateLimitMs,
+      wallClockMs: Date.now() - wallClockStart,
+      summedDurationMs: scenarioResults.filter(Boolean).reduce((sum, result) => sum + result.durationMs, 0)
+    };
     
     // 종합 분석
     this.results.summary = this.generateSummary();
     
     // 리포트 생성
     await this.generateReport();
+    await this.appendHistory();
     
-    console.log('📋 벤치마크 완료! 결과 리포트가 생성되었습니다.');
+    console.log(this.aborted
+      ? '⏹️ 벤치마크 중단: 완료된 결과로 부분 리포트를 생성했습니다.'
+      : '📋 벤치마크 완료! 결과 리포트가 생성되었습니다.');
     return this.results;
   }
 
+  /**
+   * 리포트 키 결정 (프로바이더가 여러 개면 "시나리오@프로바이더")
+   */
+  getResultKey(scenarioName, provider) {
+    return this.providers.length > 1 ? `${scenarioName}@${provider.label}` : scenarioName;
+  }
+
   /**
    * 개별 시나리오 실행
    */
-  async runScenario(scenarioName) {
+  async runScenario(scenarioName, options = {}) {
+    const {
+      rateLimiter = createRateLimiter(this.config.rateLimitMs, ms => this.sleep(ms)),
+      provider = this.providers[0]
+    } = options;
     const scenario = await this.loadScenario(scenarioName);
+
+    const validationErrors = validateScenario(scenario);
+    if (validationErrors.length > 0) {
+      throw new Error(`시나리오 스키마 검증 실패: ${validationErrors.join('; ')}`);
+    }
+
+    const settings = this.resolveSettings(scenario);
+    // 루브릭 오류는 반복 실행 전에 시나리오 오류로 처리
+    const rubric = this.judge ? await this.judge.loadRubric(scenarioName, scenario) : null;
     const iterations = [];
 
-    for (let i = 0; i < BENCHMARK_CONFIG.iterations; i++) {
-      console.log(`  📈 반복 ${i + 1}/${BENCHMARK_CONFIG.iterations}`);
-      
-      const iteration = await this.runIteration(scenario);
-      iterations.push(iteration);
+    for (let i = 0; i < settings.warmupIterations && !this.aborted; i++) {
+      console.log(`  🔥 [${scenarioName}] 워밍업 ${i + 1}/${settings.warmupIterations}`);
+      await rateLimiter.wait();
+
+      const iteration = await this.runIteration(scenario, settings, provider, rubric);
+      // 중단으로 끊긴 워밍업도 기록하지 않음
+      if (iteration.errorKind === 'aborted') break;
+      iterations.push({ ...iteration, warmup: true });
+    }
+
+    for (let i = 0; i < settings.iterations && !this.aborted; i++) {
+      console.log(`  📈 [${scenarioName}] 반복 ${i + 1}/${settings.iterations}`);
       
       // 연속 요청 간 간격
-      await this.sleep(1000);
+      await rateLimiter.wait();
+
+      const iteration = await this.runIteration(scenario, settings, provider, rubric);
+      // 중단으로 끊긴 반복은 실패로 세지 않고 버림
+      if (iteration.errorKind === 'aborted') break;
+      iterations.push(iteration);
+    }
+
+    if (this.aborted && !iterations.some(i => !i.warmup)) {
+      throw new Error('중단되어 완료된 반복이 없습니다');
     }
 
-    return this.analyzeIterations(iterations);
+    return {
+      ...this.analyzeIterations(iterations),
+      provider: provider.label,
+      settings,
+      interrupted: this.aborted || undefined
+    };
+  }
+
+  /**
+   * 시나리오별 실행 설정 결정
+   * 
+   * 우선순위: CLI 재정의(overrides) > 시나리오 파일의 iterations/warmupIterations/timeout > 러너 설정의 전역 값
+   */
+  resolveSettings(scenario) {
+    const pick = (key) => {
+      if (this.config.overrides[key] !== undefined) return { value: this.config.overrides[key], source: 'cli' };
+      if (scenario[key] !== undefined) return { value: scenario[key], source: 'scenario' };
+      return { value: this.config[key], source: 'default' };
+    };
+
+    const iterations = pick('iterations');
+    const warmupIterations = pick('warmupIterations');
+    const timeout = pick('timeout');
+
+    return {
+      iterations: iterations.value,
+      warmupIterations: warmupIterations.value,
+      timeout: timeout.value,
+      sources: {
+        iterations: iterations.source,
+        warmupIterations: warmupIterations.source,
+        timeout: timeout.source
+      }
+    };
   }
 
   /**
    * 단일 반복 실행
+   *
+   * 다중 턴 시나리오는 앞선 턴의 요청/응답을 대화 기록으로 넘기며 순서대로 실행하고,
+   * 각 턴은 턴별 기대치로, 마지막 응답(최종 상태)은 시나리오 전체 기대치로 채점합니다.
+   *
+   * 응답시간은 턴마다 성공한 시도의 소요 시간을 합한 값이고, 재시도 전 대기(백오프,
+   * Retry-After)는 retryWaitMs로 따로 기록합니다.
    */
-  async runIteration(scenario) {
+  async runIteration(scenario, settings, provider, rubric = null) {
     const startTime = Date.now();
+    const turns = this.getTurns(scenario);
+    const history = [];
+    const turnResults = [];
+    const usages = [];
+    const retries = [];
+    let responseTime = 0;
+    let workspace = null;
     
     try {
-      // Codex CLI 실행
-      const result = await this.executeCodex(scenario.prompt, scenario.context);
-      const endTime = Date.now();
+      // 저장소 모드: 반복마다 새 작업 공간에서 시작
+      if (scenario.repository) {
+        workspace = await RepositoryWorkspace.create(path.resolve(SCENARIOS_DIR, scenario.repository.fixture));
+        if (!provider.editsWorkspace) {
+          const files = await workspace.describeForPrompt();
+          turns[0] = { ...turns[0], context: [turns[0].context, files].filter(Boolean).join('\n\n') };
+        }
+      }
+
+      for (const [index, turn] of turns.entries()) {
+        if (turns.length > 1) console.log(`    💬 턴 ${index + 1}/${turns.length}`);
+
+        // 프로바이더로 코드 생성
+        let response;
+        try {
+          response = await this.executeCodex(turn.prompt, turn.context, {
+            timeout: settings.timeout,
+            provider,
+            history,
+            cwd: workspace?.dir
+          });
+          retries.push(...response.retries);
+          responseTime += response.durationMs;
+        } catch (error) {
+          if (turns.length === 1) throw error;
+          // 오류 종류와 재시도 기록은 유지
+          throw Object.assign(new Error(`턴 ${index + 1} 실패: ${error.message}`), { kind: error.kind, retries: error.retries });
+        }
+        const { output } = response;
+        const usage = measureUsage({ ...turn, history }, response, {
+          provider,
+          prices: this.config.prices,
+          durationMs: response.durationMs
+        });
+        usages.push(usage);
+
+        // 파일을 직접 수정하지 않는 프로바이더는 경로가 지정된 코드 블록을 작업 공간에 반영
+        if (workspace && !provider.editsWorkspace) await workspace.applyFileBlocks(output);
+
+        history.push({ prompt: turn.prompt, context: turn.context, output });
+        if (turns.length > 1) {
+          turnResults.push({
+            index: index + 1,
+            prompt: turn.prompt,
+            responseTime: response.durationMs,
+            retryWaitMs: sumRetryWait(response.retries),
+            usage,
+            ...await this.evaluateTurn(scenario, turn, output, { responseTime: response.durationMs, timeout: settings.timeout })
+          });
+        }
+      }
+
+      // 저장소 모드는 출력 텍스트 대신 변경된 파일의 최종 내용을 채점
+      const repository = workspace ? await workspace.verify(scenario.repository) : null;
+      const result = repository ? repository.source : history[history.length - 1].output;
       
-      // 메트릭 수집
-      const metrics = await this.metricsCollector.collect(scenario, result);
+      // 최종 상태의 코드 분석, 품질 기준 평가, 보안 검사, 실행 검증 및 메트릭 수집
+      const analysis = this.codeAnalyzer.analyze(result);
+      const quality = this.qualityEvaluator.evaluate(scenario, result, analysis);
+      const security = this.securityScanner.scan(result);
+      const execution = this.config.execute ? await this.codeExecutor.execute(scenario, result) : null;
+      const judge = rubric
+        ? await this.judge.evaluate(scenario, result, rubric, { timeout: settings.timeout, signal: this.abortController.signal })
+        : null;
+      // 응답시간 점수는 턴 응답시간의 합을 턴 수만큼의 타임아웃과 비교
+      const timing = { responseTime, timeout: settings.timeout * turns.length };
+      const metrics = await this.metricsCollector.collect(scenario, result, { analysis, execution, quality, security, repository, judge, timing });
       
       return {
-        responseTime: endTime - startTime,
+        responseTime,
+        retryWaitMs: sumRetryWait(retries),
+        usage: sumUsage(usages),
         result: result,
+        analysis: analysis,
+        quality: quality,
+        security: security,
+        execution: execution,
+        judge: judge,
+        repository: repository,
         metrics: metrics,
+        turns: turnResults.length > 0 ? turnResults : undefined,
+        retries,
         success: true
       };
     } catch (error) {
       console.warn(`반복 실행 오류: ${error.message}`);
+      const allRetries = [...retries, ...(error.retries || [])];
+      const retryWaitMs = sumRetryWait(allRetries);
       return {
-        responseTime: Date.now() - startTime,
+        // 실패한 반복은 성공한 시도가 없을 수 있으므로 경과 시간에서 재시도 대기만 뺌
+        responseTime: Date.now() - startTime - retryWaitMs,
+        retryWaitMs,
         error: error.message,
+        errorKind: error.kind,
+        retries: allRetries,
         success: false
       };
+    } finally {
+      await workspace?.dispose();
     }
   }
 
   /**
-   * Codex CLI 실행
+   * 시나리오의 턴 목록 (turns가 없으면 prompt/context 단일 턴)
+   *
+   * 첫 턴에 context가 없으면 시나리오의 context를 사용합니다.
    */
-  async executeCodex(prompt, context = '') {
-    return new Promise((resolve, reject) => {
-      // API 키가 없는 경우 시뮬레이션
-      if (!process.env.OPENAI_API_KEY) {
-        return resolve(this.simulateCodexResponse(prompt));
-      }
-
-      const childProcess = spawn('codex', [prompt], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        timeout: BENCHMARK_CONFIG.timeout
-      });
-
-      let output = '';
-      let errorOutput = '';
-
-      if (context) {
-        childProcess.stdin.write(context);
-        childProcess.stdin.end();
-      }
-
-      childProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  getTurns(scenario) {
+    if (!scenario.turns) {
+      return [{ prompt: scenario.prompt, context: scenario.context }];
+    }
 
-      childProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+    return scenario.turns.map((turn, index) => ({
+      ...turn,
+      context: turn.context ?? (index === 0 ? scenario.context : '')
+    }));
+  }
 
-      childProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve(output);
-        } else {
-          reject(new Error(`Codex CLI 실행 실패 (코드: ${code}): ${errorOutput}`));
-        }
-      });
+  /**
+   * 단일 턴 채점 (턴의 expectedPatterns/qualityMetrics 기준, 실행 검증 제외)
+   */
+  async evaluateTurn(scenario, turn, output, timing) {
+    const turnScenario = {
+      ...scenario,
+      prompt: turn.prompt,
+      expectedPatterns: turn.expectedPatterns || [],
+      qualityMetrics: turn.qualityMetrics
+    };
+    const analysis = this.codeAnalyzer.analyze(output);
+    const quality = this.qualityEvaluator.evaluate(turnScenario, output, analysis);
+    const metrics = await this.metricsCollector.collect(turnScenario, output, { analysis, quality, timing });
 
-      childProcess.on('error', (error) => {
-        reject(error);
-      });
-    });
+    return {
+      metrics,
+      quality: { passed: quality.passed, total: quality.total }
+    };
   }
 
   /**
-   * Codex 응답 시뮬레이션 (API 키가 없는 경우)
+   * 프로바이더를 통한 코드 생성 실행
+   *
+   * 시도마다 벽시계 타임아웃을 적용하고(프로바이더가 무시해도 강제), 일시적 오류는
+   * config.retry에 따라 지수 백오프로 재시도합니다. durationMs는 성공한 시도의 소요 시간이고,
+   * retries에는 실패한 시도마다 { kind, message, durationMs, delayMs(다음 시도 전 대기) }가 남습니다.
+   *
+   * @returns {Promise<{ output: string, usage?: object, model?: string, firstByteMs?: number, durationMs: number, retries: object[] }>}
    */
-  simulateCodexResponse(prompt) {
-    const responses = {
-      'convert': 'const UserProfile = ({ userId }) => {\n  const [user, setUser] = useState(null);\n  const [loading, setLoading] = useState(true);\n  const [error, setError] = useState(null);\n\n  const fetchUserData = async () => {\n    try {\n      setLoading(true);\n      setError(null);\n      const response = await fetch(`/api/users/${userId}`);\n      const userData = await response.json();\n      setUser(userData);\n      setLoading(false);\n    } catch (err) {\n      setError(err.message);\n      setLoading(false);\n    }\n  };\n\n  useEffect(() => {\n    fetchUserData();\n  }, [userId]);\n\n  if (loading) return <div>Loading...</div>;\n  if (error) return <div>Error: {error}</div>;\n\n  return (\n    <div className="user-profile">\n      <h2>{user?.name}</h2>\n      <p>{user?.email}</p>\n      <button onClick={fetchUserData}>Refresh</button>\n    </div>\n  );\n};',
-      
-      'rest api': 'const express = require("express");\nconst router = express.Router();\n\n// GET /users - list all users\nrouter.get("/users", async (req, res) => {\n  try {\n    const users = await User.findAll();\n    res.json(users);\n  } catch (error) {\n    res.status(500).json({ error: error.message });\n  }\n});\n\n// POST /users - create user\nrouter.post("/users", async (req, res) => {\n  try {\n    const user = await User.create(req.body);\n    res.status(201).json(user);\n  } catch (error) {\n    res.status(400).json({ error: error.message });\n  }\n});',
-      
-      'test': 'describe("calculateShippingCost", () => {\n  test("should calculate cost correctly", () => {\n    const items = [{ weight: 2 }, { weight: 3 }];\n    const destination = { country: "US" };\n    const result = calculateShippingCost(items, destination, "standard");\n    expect(result).toBe(12.5);\n  });\n\n  test("should throw error for empty items", () => {\n    expect(() => calculateShippingCost([], {}, "standard")).toThrow("Items array cannot be empty");\n  });\n});',
-      
-      'typescript': 'interface User {\n  id: number;\n  name: string;\n  email: string;\n  role?: string;\n  createdAt: Date;\n  isActive: boolean;\n}\n\nclass UserManager {\n  private users: User[] = [];\n  private cache: Map<string, any> = new Map();\n\n  addUser(userData: Partial<User>): User {\n    const newUser: User = {\n      id: Date.now(),\n      name: userData.name!,\n      email: userData.email!,\n      role: userData.role || "user",\n      createdAt: new Date(),\n      isActive: true\n    };\n    this.users.push(newUser);\n    return newUser;\n  }\n}'
-    };
+  async executeCodex(prompt, context = '', options = {}) {
+    const provider = options.provider || this.providers[0];
+    const timeout = options.timeout || this.config.timeout;
+    const { signal } = this.abortController;
+    const retries = [];
+    let attemptStart;
 
-    console.log(`시뮬레이션 모드: "${prompt}" 처리 중...`);
-    
-    // 프롬프트에 따른 적절한 응답 선택
-    for (const [key, response] of Object.entries(responses)) {
-      if (prompt.toLowerCase().includes(key.toLowerCase())) {
-        console.log(`매칭된 키워드: "${key}"`);
-        return response;
-      }
+    try {
+      const response = await withRetry(() => {
+        attemptStart = Date.now();
+        return runWithDeadline(attemptSignal => provider.generate({
+          prompt,
+          context,
+          timeout,
+          history: options.history || [],
+          cwd: options.cwd,
+          signal: attemptSignal
+        }), { timeout, signal, label: provider.label });
+      }, {
+        ...this.config.retry,
+        signal,
+        onRetry: (error, retry, delayMs) => {
+          retries.push({ kind: error.kind, message: error.message.slice(0, 200), durationMs: Date.now() - attemptStart, delayMs });
+          console.warn(`  🔁 ${provider.label} ${error.kind} 오류, ${delayMs}ms 후 재시도 ${retry}/${this.config.retry.retries}: ${error.message.slice(0, 200)}`);
+        }
+      });
+      return { ...response, durationMs: Date.now() - attemptStart, retries };
+    } catch (error) {
+      error.retries = retries;
+      throw error;
     }
-
-    console.log('기본 응답 사용');
-    return '// Generated code example\nfunction generatedCode() {\n  console.log("Generated by Codex CLI simulation");\n  return "placeholder";\n}';
   }
 
   /**
    * 시나리오 로드
    */
   async loadScenario(scenarioName) {
-    const scenarioPath = path.join(__dirname, '..', 'scenarios', `${scenarioName}.json`);
+    const scenarioPath = path.join(SCENARIOS_DIR, `${scenarioName}.json`);
     
+    let content;
     try {
-      const content = await fs.readFile(scenarioPath, 'utf-8');
-      return JSON.parse(content);
+      content = await fs.readFile(scenarioPath, 'utf-8');
     } catch (error) {
       // 기본 시나리오 생성
       return this.createDefaultScenario(scenarioName);
     }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`시나리오 JSON 파싱 실패 (${scenarioPath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * scenarios 디렉터리의 시나리오 목록 (id는 파일 이름)
+   */
+  async listScenarios() {
+    const files = (await fs.readdir(SCENARIOS_DIR)).filter(file => file.endsWith('.json')).sort();
+
+    return Promise.all(files.map(async (file) => {
+      const id = path.basename(file, '.json');
+      const scenario = await this.loadScenario(id);
+      return {
+        id,
+        name: scenario.name,
+        category: scenario.category,
+        difficulty: scenario.difficulty,
+        description: scenario.description,
+        default: this.config.scenarios.includes(id)
+      };
+    }));
+  }
+
+  /**
+   * 이름/분류/난이도 필터로 실행할 시나리오 선택
+   *
+   * 이름 필터는 scenarios 디렉터리에 없는 시나리오(기본 시나리오)도 허용하며,
+   * 필터가 없으면 설정된 기본 시나리오 목록을 그대로 사용합니다.
+   */
+  async selectScenarios({ names = [], categories = [], difficulties = [] } = {}) {
+    if (names.length === 0 && categories.length === 0 && difficulties.length === 0) {
+      return this.config.scenarios;
+    }
+
+    const available = await this.listScenarios();
+    const known = new Set([...available.map(s => s.id), ...this.config.scenarios]);
+    const unknown = names.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`알 수 없는 시나리오: ${unknown.join(', ')} (--list로 목록 확인)`);
+    }
+
+    const candidates = names.length > 0
+      ? names.map(name => available.find(s => s.id === name) || { id: name })
+      : available;
+
+    return candidates
+      .filter(s => categories.length === 0 || categories.includes(s.category))
+      .filter(s => difficulties.length === 0 || difficulties.includes(s.difficulty))
+      .map(s => s.id);
   }
 
   /**
@@ -292,45 +640,288 @@ class BenchmarkRunner {
    * 반복 결과 분석
    */
   analyzeIterations(iterations) {
-    const successful = iterations.filter(i => i.success);
+    // 워밍업 반복은 성공률과 통계에서 제외
+    const measured = iterations.filter(i => !i.warmup);
+    const successful = measured.filter(i => i.success);
+    const iterationNumber = iteration => iterations.indexOf(iteration) + 1;
+
+    // 반복별 결과 (JUnit testcase, HTML 분포 차트용; 원본 출력은 제외)
+    const iterationResults = iterations.map((iteration, index) => ({
+      index: index + 1,
+      warmup: Boolean(iteration.warmup),
+      success: iteration.success,
+      responseTime: iteration.responseTime,
+      error: iteration.error,
+      errorKind: iteration.errorKind,
+      retries: iteration.retries?.length || 0,
+      retryWaitMs: iteration.retryWaitMs || 0,
+      metrics: iteration.metrics
+    }));
+    const retries = iterations.reduce((sum, iteration) => sum + (iteration.retries?.length || 0), 0);
+    const retryWaitMs = iterations.reduce((sum, iteration) => sum + (iteration.retryWaitMs || 0), 0);
     
     if (successful.length === 0) {
       return {
         success: false,
-        error: '모든 반복이 실패했습니다.'
+        error: '모든 반복이 실패했습니다.',
+        iterations: measured.length,
+        retries,
+        retryWaitMs,
+        iterationResults
       };
     }
 
-    const responseTimes = successful.map(i => i.responseTime);
-    const allMetrics = successful.map(i => i.metrics);
+    const responseTime = this.describeSamples(successful.map(i => ({ iteration: iterationNumber(i), value: i.responseTime })));
 
     return {
       success: true,
-      iterations: iterations.length,
+      iterations: measured.length,
+      warmupIterations: iterations.length - measured.length,
       successfulIterations: successful.length,
-      successRate: (successful.length / iterations.length) * 100,
-      averageResponseTime: Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length),
-      minResponseTime: Math.min(...responseTimes),
-      maxResponseTime: Math.max(...responseTimes),
-      metrics: this.aggregateMetrics(allMetrics)
+      successRate: (successful.length / measured.length) * 100,
+      retries,
+      retryWaitMs,
+      averageResponseTime: Math.round(responseTime.average),
+      minResponseTime: responseTime.min,
+      maxResponseTime: responseTime.max,
+      responseTime,
+      usage: this.summarizeUsage(successful.map(i => i.usage)),
+      metrics: this.aggregateMetrics(successful.map(i => i.metrics), successful.map(iterationNumber)),
+      codeAnalysis: this.summarizeAnalysis(successful[0].analysis),
+      qualityCriteria: this.summarizeQuality(successful.map(i => i.quality)),
+      security: this.summarizeSecurity(successful.map(i => i.security)),
+      judge: this.summarizeJudge(successful),
+      execution: this.summarizeExecution(successful.map(i => i.execution).filter(Boolean)),
+      turns: this.summarizeTurns(successful),
+      repository: this.summarizeRepository(successful.map(i => i.repository).filter(Boolean)),
+      iterationResults
+    };
+  }
+
+  /**
+   * LLM 판정 요약 (기준별 판정 점수와 같은 반복의 휴리스틱 지표를 나란히 기록)
+   *
+   * pairs는 판정이 성공한 반복의 [판정 점수, 휴리스틱 점수] 쌍으로, 전체 일치도 계산에 사용됩니다.
+   */
+  summarizeJudge(successful) {
+    const judged = successful.filter(i => i.judge);
+    if (judged.length === 0) return null;
+
+    const graded = judged.filter(i => !i.judge.error);
+    const last = graded[graded.length - 1]?.judge;
+    const round = value => Math.round(value * 10) / 10;
+
+    const criteria = (last?.criteria || []).map(({ id, metric }) => {
+      const scores = graded.map(i => i.judge.criteria.find(c => c.id === id).score);
+      const pairs = metric
+        ? graded.filter(i => i.metrics[metric] !== undefined)
+          .map(i => [i.judge.criteria.find(c => c.id === id).score, i.metrics[metric]])
+        : [];
+
+      return {
+        id,
+        metric,
+        judge: round(mean(scores)),
+        heuristic: pairs.length > 0 ? round(mean(pairs.map(([, heuristic]) => heuristic))) : null,
+        meanAbsoluteDifference: pairs.length > 0 ? round(mean(pairs.map(([judge, heuristic]) => Math.abs(judge - heuristic)))) : null,
+        pairs,
+        rationale: last.criteria.find(c => c.id === id).rationale
+      };
+    });
+
+    return {
+      grader: judged[0].judge.grader,
+      rubric: judged[0].judge.rubric,
+      overall: graded.length > 0 ? round(mean(graded.map(i => i.judge.overall))) : null,
+      judgedIterations: graded.length,
+      iterations: judged.length,
+      errors: judged.filter(i => i.judge.error).map(i => i.judge.error),
+      summary: last?.summary || '',
+      criteria
+    };
+  }
+
+  /**
+   * 토큰 사용량·비용 요약 (반복 평균과 합계, 워밍업 제외)
+   */
+  summarizeUsage(usages) {
+    const average = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    const round = (value, digits = 0) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+    const costs = usages.map(usage => usage.cost);
+    const totalCost = costs.every(cost => cost !== null) ? costs.reduce((a, b) => a + b, 0) : null;
+
+    return {
+      model: usages.find(usage => usage.model)?.model || null,
+      estimated: usages.some(usage => usage.estimated),
+      averagePromptTokens: round(average(usages.map(usage => usage.promptTokens))),
+      averageCompletionTokens: round(average(usages.map(usage => usage.completionTokens))),
+      totalTokens: usages.reduce((sum, usage) => sum + usage.totalTokens, 0),
+      averageCost: totalCost === null ? null : totalCost / usages.length,
+      totalCost,
+      averageFirstByteMs: round(average(usages.map(usage => usage.firstByteMs).filter(value => value !== null))),
+      averageTokensPerSecond: round(average(usages.map(usage => usage.tokensPerSecond).filter(value => value !== null)), 1)
     };
   }
 
   /**
-   * 메트릭 집계
+   * 보안 검사 결과 요약 (규칙별 발견 반복 수, 발견 목록은 마지막 반복 기준)
    */
-  aggregateMetrics(allMetrics) {
+  summarizeSecurity(securities) {
+    const last = securities[securities.length - 1];
+    const ruleIds = [...new Set(securities.flatMap(security => security.findings.map(finding => finding.ruleId)))];
+
+    return {
+      scannedBlocks: last.scannedBlocks,
+      counts: last.counts,
+      findings: last.findings,
+      rules: ruleIds.map(ruleId => ({
+        ruleId,
+        iterationsWithFindings: securities.filter(security => security.findings.some(finding => finding.ruleId === ruleId)).length,
+        iterations: securities.length
+      }))
+    };
+  }
+
+  /**
+   * 저장소 모드 결과 요약 (검사별 통과 반복 수, 변경 목록과 diff는 마지막 반복 기준)
+   */
+  summarizeRepository(repositories) {
+    if (repositories.length === 0) return null;
+
+    const last = repositories[repositories.length - 1];
+    return {
+      checks: last.checks.map((check, index) => ({
+        ...check,
+        passedIterations: repositories.filter(r => r.checks[index]?.passed).length,
+        iterations: repositories.length
+      })),
+      changes: last.changes,
+      stat: last.stat,
+      diff: last.diff
+    };
+  }
+
+  /**
+   * 다중 턴 시나리오의 턴별 집계 (단일 턴이면 null)
+   */
+  summarizeTurns(successful) {
+    if (!successful[0].turns) return null;
+
+    return successful[0].turns.map(({ index, prompt }) => {
+      const turns = successful.map(iteration => iteration.turns[index - 1]);
+      const responseTimes = turns.map(turn => turn.responseTime);
+
+      return {
+        index,
+        prompt,
+        averageResponseTime: Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length),
+        averageTokens: Math.round(turns.reduce((sum, turn) => sum + turn.usage.totalTokens, 0) / turns.length),
+        criteriaPassed: turns.reduce((sum, turn) => sum + turn.quality.passed, 0),
+        criteriaTotal: turns.reduce((sum, turn) => sum + turn.quality.total, 0),
+        metrics: this.aggregateMetrics(turns.map(turn => turn.metrics))
+      };
+    });
+  }
+
+  /**
+   * 반복 측정값 통계 (이상치는 반복 번호로 표시)
+   *
+   * @param {{ iteration: number, value: number }[]} samples
+   */
+  describeSamples(samples) {
+    const stats = describe(samples.map(sample => sample.value), this.config.statistics);
+
+    return {
+      ...stats,
+      outliers: stats.outliers.map(({ index, value }) => ({ iteration: samples[index].iteration, value }))
+    };
+  }
+
+  /**
+   * 반복 전체의 실행 검증 결과 합산
+   */
+  summarizeExecution(executions) {
+    if (executions.length === 0) return null;
+
+    const sum = (select) => executions.reduce((total, execution) => total + (select(execution) || 0), 0);
+    const lastWithTests = [...executions].reverse().find(execution => execution.tests);
+
+    return {
+      syntaxChecked: sum(e => e.syntax.checked),
+      syntaxPassed: sum(e => e.syntax.passed),
+      testsTotal: sum(e => e.tests?.total),
+      testsPassed: sum(e => e.tests?.passed),
+      testsFailed: sum(e => e.tests?.failed),
+      // 마지막 반복의 실패 상세 (원인 파악용)
+      syntaxFailures: executions[executions.length - 1].syntax.failures,
+      failedTests: lastWithTests ? lastWithTests.tests.results.filter(r => !r.passed) : [],
+      harnessError: lastWithTests?.tests.error || null
+    };
+  }
+
+  /**
+   * 반복 전체의 품질 기준 통과 현황 (기준별 통과 반복 수, 실제 값은 마지막 반복 기준)
+   */
+  summarizeQuality(qualities) {
+    const [first] = qualities;
+    const last = qualities[qualities.length - 1];
+
+    const criteria = first.criteria.map(({ id, label, metric, expected }) => {
+      const passedIterations = qualities.filter(q => q.criteria.find(c => c.id === id)?.passed).length;
+      return {
+        id,
+        label,
+        metric,
+        expected,
+        actual: last.criteria.find(c => c.id === id)?.actual,
+        passedIterations,
+        iterations: qualities.length,
+        passed: passedIterations === qualities.length
+      };
+    });
+
+    return {
+      criteria,
+      passed: criteria.filter(criterion => criterion.passed).length,
+      total: criteria.length,
+      skipped: first.skipped
+    };
+  }
+
+  /**
+   * 리포트용 코드 구조 요약 (첫 번째 성공 반복 기준)
+   */
+  summarizeAnalysis(analysis) {
+    if (!analysis) return null;
+
+    return {
+      parsed: analysis.parsed,
+      parseErrors: analysis.parseErrors,
+      language: analysis.language,
+      functionCount: analysis.functionCount,
+      complexity: analysis.complexity,
+      maxComplexity: analysis.maxComplexity,
+      maxNestingDepth: analysis.maxNestingDepth,
+      averageFunctionLength: analysis.averageFunctionLength,
+      maxFunctionLength: analysis.maxFunctionLength,
+      patterns: analysis.patterns,
+      functions: analysis.functions
+    };
+  }
+
+  /**
+   * 메트릭 집계 (지표별 평균·중앙값·백분위수·표준편차·신뢰구간·이상치)
+   */
+  aggregateMetrics(allMetrics, iterationNumbers = allMetrics.map((_, index) => index + 1)) {
     const aggregated = {};
     
-    for (const metric of BENCHMARK_CONFIG.metrics) {
-      const values = allMetrics.map(m => m[metric]).filter(v => v !== undefined);
+    for (const metric of this.config.metrics) {
+      const samples = allMetrics
+        .map((metrics, index) => ({ iteration: iterationNumbers[index], value: metrics[metric] }))
+        .filter(sample => sample.value !== undefined);
       
-      if (values.length > 0) {
-        aggregated[metric] = {
-          average: values.reduce((a, b) => a + b, 0) / values.length,
-          min: Math.min(...values),
-          max: Math.max(...values)
-        };
+      if (samples.length > 0) {
+        aggregated[metric] = this.describeSamples(samples);
       }
     }
     
@@ -345,7 +936,7 @@ class BenchmarkRunner {
     const total = Object.keys(this.results.scenarios).length;
     
     const allResponseTimes = successful.map(s => s.averageResponseTime);
-    const overallSuccessRate = (successful.length / total) * 100;
+    const overallSuccessRate = total > 0 ? (successful.length / total) * 100 : 0;
     
     return {
       totalScenarios: total,
@@ -353,10 +944,84 @@ class BenchmarkRunner {
       overallSuccessRate: Math.round(overallSuccessRate),
       averageResponseTime: allResponseTimes.length > 0 ? 
         Math.round(allResponseTimes.reduce((a, b) => a + b, 0) / allResponseTimes.length) : 0,
+      usage: this.totalUsage(successful),
+      judgeAgreement: this.summarizeJudgeAgreement(successful),
+      providerComparison: this.compareProviders(),
       recommendedUseCases: this.generateRecommendations(successful)
     };
   }
 
+  /**
+   * 휴리스틱 지표별 판정 일치도 (전체 시나리오의 반복 쌍 기준 평균 절대 차이와 피어슨 상관계수)
+   */
+  summarizeJudgeAgreement(scenarios) {
+    const byMetric = new Map();
+    for (const criterion of scenarios.flatMap(s => s.judge?.criteria || [])) {
+      if (!criterion.metric || criterion.pairs.length === 0) continue;
+      byMetric.set(criterion.metric, [...(byMetric.get(criterion.metric) || []), ...criterion.pairs]);
+    }
+    if (byMetric.size === 0) return null;
+
+    return [...byMetric].map(([metric, pairs]) => ({
+      metric,
+      samples: pairs.length,
+      judge: Math.round(mean(pairs.map(([judge]) => judge)) * 10) / 10,
+      heuristic: Math.round(mean(pairs.map(([, heuristic]) => heuristic)) * 10) / 10,
+      meanAbsoluteDifference: Math.round(mean(pairs.map(([judge, heuristic]) => Math.abs(judge - heuristic))) * 10) / 10,
+      correlation: correlation(pairs.map(([judge]) => judge), pairs.map(([, heuristic]) => heuristic))
+    }));
+  }
+
+  /**
+   * 시나리오 전체의 토큰·비용 합계 (가격 정보가 없는 시나리오가 있으면 비용은 알려진 부분만 합산)
+   */
+  totalUsage(scenarios) {
+    const usages = scenarios.map(s => s.usage).filter(Boolean);
+    const priced = usages.filter(usage => usage.totalCost !== null);
+    const averageOf = (select, digits = 0) => {
+      const values = usages.map(select).filter(value => value !== null);
+      if (values.length === 0) return null;
+      return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10 ** digits) / 10 ** digits;
+    };
+
+    return {
+      totalTokens: usages.reduce((sum, usage) => sum + usage.totalTokens, 0),
+      estimated: usages.some(usage => usage.estimated),
+      totalCost: priced.length > 0 ? priced.reduce((sum, usage) => sum + usage.totalCost, 0) : null,
+      unpricedScenarios: usages.length - priced.length,
+      averageFirstByteMs: averageOf(usage => usage.averageFirstByteMs),
+      averageTokensPerSecond: averageOf(usage => usage.averageTokensPerSecond, 1)
+    };
+  }
+
+  /**
+   * 프로바이더별 성능 비교 집계
+   */
+  compareProviders() {
+    const average = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+    return this.providers.map(provider => {
+      const entries = Object.values(this.results.scenarios).filter(s => s.provider === provider.label);
+      const successful = entries.filter(s => s.success);
+      const metrics = {};
+
+      for (const metric of this.config.metrics) {
+        const value = average(successful.map(s => s.metrics[metric]?.average).filter(v => v !== undefined));
+        if (value !== null) metrics[metric] = Math.round(value * 10) / 10;
+      }
+
+      return {
+        provider: provider.label,
+        type: provider.type,
+        totalScenarios: entries.length,
+        successfulScenarios: successful.length,
+        averageResponseTime: Math.round(average(successful.map(s => s.averageResponseTime)) || 0),
+        usage: this.totalUsage(successful),
+        metrics
+      };
+    });
+  }
+
   /**
    * 추천 사용 사례 생성
    */
@@ -374,18 +1039,33 @@ class BenchmarkRunner {
    * 리포트 생성
    */
   async generateReport() {
-    const reportPath = path.join(__dirname, '..', 'benchmark-results', 
-      `benchmark_report_${new Date().toISOString().split('T')[0]}.json`);
-    
-    await fs.writeFile(reportPath, JSON.stringify(this.results, null, 2));
-    
-    // 마크다운 리포트도 생성
-    const markdownReport = this.reportGenerator.generateMarkdown(this.results);
-    const markdownPath = reportPath.replace('.json', '.md');
-    await fs.writeFile(markdownPath, markdownReport);
-    
-    console.log(`📊 JSON 리포트: ${reportPath}`);
-    console.log(`📋 마크다운 리포트: ${markdownPath}`);
+    await fs.mkdir(this.config.outputDir, { recursive: true });
+    // 실행 ID를 파일 이름에 넣어 같은 날의 실행끼리 덮어쓰지 않음
+    const basePath = path.join(this.config.outputDir, `benchmark_report_${this.results.runId}`);
+
+    for (const name of this.config.formats) {
+      const format = getOutputFormat(name);
+      const reportPath = `${basePath}.${format.extension}`;
+
+      await fs.writeFile(reportPath, format.render(this.results, this.reportGenerator));
+      console.log(`📊 ${format.label} 리포트: ${reportPath}`);
+    }
+  }
+
+  /**
+   * 실행 이력 저장소에 이번 실행 결과 추가
+   */
+  async appendHistory() {
+    const { enabled, path: historyPath } = this.config.history;
+    if (!enabled) return;
+    if (this.aborted) {
+      console.log('🗂️ 중단된 실행의 부분 결과는 실행 이력에 기록하지 않습니다');
+      return;
+    }
+
+    const store = new HistoryStore(historyPath || path.join(this.config.outputDir, HISTORY_FILE));
+    const count = await store.append(this.results);
+    console.log(`🗂️ 실행 이력 ${count}건 추가: ${store.filePath} (실행 ID: ${this.results.runId})`);
   }
 
   /**
@@ -398,35 +1078,85 @@ class BenchmarkRunner {
 
 /**
  * 메트릭 수집기
+ * 
+ * 코드 구조 관련 지표는 CodeAnalyzer의 파스 트리 분석 결과를 기반으로 계산합니다.
  */
 class MetricsCollector {
-  async collect(scenario, result) {
+  constructor(codeAnalyzer = new CodeAnalyzer(), qualityEvaluator = new QualityEvaluator(), securityScanner = new SecurityScanner()) {
+    this.codeAnalyzer = codeAnalyzer;
+    this.qualityEvaluator = qualityEvaluator;
+    this.securityScanner = securityScanner;
+  }
+
+  async collect(scenario, result, {
+    analysis = this.codeAnalyzer.analyze(result),
+    execution = null,
+    quality = this.qualityEvaluator.evaluate(scenario, result, analysis),
+    security = this.securityScanner.scan(result),
+    repository = null,
+    judge = null,
+    timing = null
+  } = {}) {
     return {
-      'response-time': await this.measureResponseTime(result),
-      'code-quality': await this.assessCodeQuality(result),
+      'response-time': await this.measureResponseTime(timing),
+      'code-quality': await this.assessCodeQuality(analysis, quality),
       'accuracy': await this.measureAccuracy(scenario, result),
-      'completeness': await this.assessCompleteness(scenario, result),
-      'maintainability': await this.assessMaintainability(result),
-      'security': await this.assessSecurity(result)
+      'completeness': await this.assessCompleteness(quality),
+      'maintainability': await this.assessMaintainability(analysis),
+      'security': await this.assessSecurity(security),
+      'functional-correctness': this.measureFunctionalCorrectness(execution),
+      'change-correctness': this.measureChangeCorrectness(repository),
+      'judge': this.measureJudgeScore(judge)
     };
   }
 
-  async measureResponseTime(result) {
-    // 응답 시간은 벤치마크 러너에서 측정됨
-    return 100; // 기본값
+  /**
+   * 실행 단계 결과 기반 기능 정확도 (실행 단계가 꺼져 있으면 undefined)
+   */
+  measureFunctionalCorrectness(execution) {
+    return execution ? execution.score : undefined;
+  }
+
+  /**
+   * LLM 판정 종합 점수 (판정 단계가 꺼져 있거나 판정에 실패하면 undefined)
+   */
+  measureJudgeScore(judge) {
+    return judge && !judge.error ? judge.overall : undefined;
+  }
+
+  /**
+   * 저장소 모드의 기대 변경/사후 조건 통과율 (저장소 모드가 아니면 undefined)
+   */
+  measureChangeCorrectness(repository) {
+    return repository ? repository.score : undefined;
+  }
+
+  /**
+   * 타임아웃 대비 남은 시간 비율 점수 (즉시 응답 100, 타임아웃 도달 0, 측정값이 없으면 undefined)
+   */
+  async measureResponseTime(timing) {
+    if (!timing) return undefined;
+    return Math.round(Math.max(0, 1 - timing.responseTime / timing.timeout) * 100);
   }
 
-  async assessCodeQuality(result) {
+  async assessCodeQuality(analysis, quality) {
+    // 파싱되지 않는 코드는 품질 평가 대상이 아님
+    if (!analysis.parsed) return 20;
+
     let score = 50; // 기본 점수
+    const { constructs } = analysis;
     
-    // 간단한 코드 품질 휴리스틱
-    if (result.includes('const') || result.includes('let')) score += 10;
-    if (result.includes('async') || result.includes('await')) score += 10;
-    if (result.includes('try') && result.includes('catch')) score += 15;
-    if (result.includes('//') || result.includes('/*')) score += 10;
-    if (result.match(/\w+\s*\(/g)?.length > 0) score += 5; // 함수 호출
+    if (constructs.blockScopedDeclarations) score += 10;
+    if (constructs.asyncAwait) score += 10;
+    if (constructs.errorHandling) score += 15;
+    if (constructs.comments) score += 10;
+    if (analysis.functionCount > 0) score += 5;
+
+    // 시나리오가 선언한 복잡도(complexityScore) 초과 및 과도한 중첩 감점
+    if (quality.criteria.some(criterion => criterion.id === 'complexityScore' && !criterion.passed)) score -= 10;
+    if (analysis.maxNestingDepth > 4) score -= 10;
     
-    return Math.min(score, 100);
+    return Math.max(Math.min(score, 100), 0);
   }
 
   async measureAccuracy(scenario, result) {
@@ -442,79 +1172,37 @@ class MetricsCollector {
     return patterns.length > 0 ? (matches / patterns.length) * 100 : 50;
   }
 
-  async assessCompleteness(scenario, result) {
-    const lines = result.split('\n').filter(line => line.trim().length > 0);
-    const minExpectedLines = 5;
-    
-    return Math.min((lines.length / minExpectedLines) * 100, 100);
+  /**
+   * 시나리오 qualityMetrics의 완성도 기준(최소 줄 수, 포함/회피 항목, 기대 훅·메서드·타입) 평균 점수
+   */
+  async assessCompleteness(quality) {
+    return Math.round(scoreCriteria(quality, 'completeness'));
   }
 
-  async assessMaintainability(result) {
+  async assessMaintainability(analysis) {
+    if (!analysis.parsed) return 20;
+
     let score = 50;
+    const { constructs } = analysis;
     
     // 유지보수성 지표
-    if (result.includes('interface') || result.includes('type')) score += 15;
-    if (result.match(/\/\*\*[\s\S]*?\*\//)) score += 10; // JSDoc
-    if (result.includes('export') || result.includes('import')) score += 10;
-    if (!result.includes('any') && result.includes(':')) score += 10; // TypeScript 타입
-    
-    return Math.min(score, 100);
-  }
+    if (constructs.typeDeclarations || constructs.typedSignatures) score += 15;
+    if (constructs.jsdoc) score += 10;
+    if (constructs.modules) score += 10;
+    if (constructs.typedSignatures && analysis.anyTypeCount === 0) score += 10; // any 없는 타입
 
-  async assessSecurity(result) {
-    let score = 70; // 기본 점수
-    
-    // 보안 문제 패턴 확인
-    if (result.includes('eval(')) score -= 30;
-    if (result.includes('innerHTML')) score -= 15;
-    if (result.includes('document.write')) score -= 20;
-    if (result.includes('setTimeout') && result.includes('string')) score -= 10;
-    
-    // 보안 좋은 패턴
-    if (result.includes('validate') || result.includes('sanitize')) score += 15;
-    if (result.includes('bcrypt') || result.includes('crypto')) score += 10;
+    // 긴 함수와 복잡한 함수 감점
+    if (analysis.averageFunctionLength > 50) score -= 10;
+    if (analysis.maxComplexity > 10) score -= 10;
     
-    return Math.max(score, 0);
-  }
-}
-
-/**
- * 코드 분석기
- */
-class CodeAnalyzer {
-  analyze(code) {
-    return {
-      linesOfCode: code.split('\n').length,
-      complexity: this.calculateComplexity(code),
-      patterns: this.identifyPatterns(code)
-    };
+    return Math.max(Math.min(score, 100), 0);
   }
 
-  calculateComplexity(code) {
-    // 간단한 복잡도 계산 (McCabe)
-    const conditionals = (code.match(/if|for|while|switch|catch/g) || []).length;
-    const functions = (code.match(/function|=>/g) || []).length;
-    
-    return conditionals + functions + 1;
-  }
-
-  identifyPatterns(code) {
-    const patterns = [];
-    
-    if (code.includes('useState') || code.includes('useEffect')) {
-      patterns.push('React Hooks');
-    }
-    if (code.includes('async') && code.includes('await')) {
-      patterns.push('Async/Await');
-    }
-    if (code.includes('try') && code.includes('catch')) {
-      patterns.push('Error Handling');
-    }
-    if (code.includes('interface') || code.includes('type')) {
-      patterns.push('TypeScript');
-    }
-    
-    return patterns;
+  /**
+   * 보안 규칙 검사 결과 기반 점수 (파싱 가능한 코드가 없으면 undefined)
+   */
+  async assessSecurity(security) {
+    return security.score;
   }
 }
 
@@ -525,23 +1213,24 @@ class ReportGenerator {
   generateMarkdown(results) {
     return `# Codex CLI 성능 벤치마크 리포트
 
-**생성 일시**: ${new Date(results.timestamp).toLocaleString('ko-KR')}
+**생성 일시**: ${new Date(results.timestamp).toLocaleString('ko-KR')}${this.formatInterrupted(results.interrupted)}
 
 ## 📊 요약
 
 - **전체 시나리오**: ${results.summary.totalScenarios}
 - **성공한 시나리오**: ${results.summary.successfulScenarios}
 - **전체 성공률**: ${results.summary.overallSuccessRate}%
-- **평균 응답시간**: ${results.summary.averageResponseTime}ms
+- **평균 응답시간**: ${results.summary.averageResponseTime}ms${this.formatTiming(results.timing)}${this.formatUsageSummary(results.summary.usage)}
 
 ## 🖥️ 환경 정보
 
 - **운영체제**: ${results.environment.os}
 - **Node.js**: ${results.environment.nodeVersion}
 - **Codex CLI**: ${results.environment.codexVersion}
-- **하드웨어**: ${results.environment.hardware?.cpus} CPUs, ${results.environment.hardware?.memory}
+- **하드웨어**: ${results.environment.hardware?.cpus} CPUs, ${results.environment.hardware?.memory}${results.cassette ? `
+- **카세트**: ${results.cassette.mode === 'record' ? '기록' : '재생'} (${results.cassette.dir})` : ''}
 
-## 📈 상세 결과
+${this.formatProviderComparison(results.summary.providerComparison)}${this.formatJudgeAgreement(results.summary.judgeAgreement)}## 📈 상세 결과
 
 ${Object.entries(results.scenarios).map(([name, scenario]) => 
   this.formatScenarioResult(name, scenario)
@@ -569,22 +1258,491 @@ ${results.summary.recommendedUseCases?.map(use =>
 *이 리포트는 자동으로 생성되었습니다.*`;
   }
 
+  /**
+   * 리포트 비교 결과 마크다운 (report-comparator.js의 compareAll 결과)
+   */
+  generateComparisonMarkdown(comparisonResult) {
+    const { thresholds, comparisons, hasRegressions } = comparisonResult;
+
+    return `# Codex CLI 벤치마크 비교 리포트
+
+**생성 일시**: ${new Date().toLocaleString('ko-KR')}
+**판정**: ${hasRegressions ? '❌ 회귀 감지' : '✅ 회귀 없음'}
+
+## ⚙️ 허용치
+
+- **지표 하락**: ${thresholds.metricDrop}점 (response-time 점수 포함)${Object.entries(thresholds.metrics).map(([metric, value]) => ` (${metric}: ${value}점)`).join('')}
+- **평균 응답시간(ms) 증가**: ${thresholds.responseTimeIncrease}% (절대 증가 ${thresholds.responseTimeMinDeltaMs}ms 이하 무시)
+- **성공률 하락**: ${thresholds.successRateDrop}%p
+
+${comparisons.map(comparison => this.formatComparison(comparison)).join('\n\n')}
+
+---
+*이 리포트는 자동으로 생성되었습니다.*`;
+  }
+
+  formatComparison(comparison) {
+    const metricNames = [...new Set(comparison.scenarios.flatMap(s => Object.keys(s.metrics || {})))];
+    const formatDelta = (diff) => {
+      if (!diff) return '-';
+      const sign = diff.delta > 0 ? '+' : '';
+      return `${diff.baseline} → ${diff.candidate} (${sign}${diff.delta})${diff.regression ? ' ⚠️' : ''}`;
+    };
+    const statusIcon = { regression: '❌', missing: '❌', failed: '❌', added: '🆕', improved: '✅', changed: '🔄', unchanged: '➖' };
+
+    const header = `| 시나리오 | 상태 | 평균 응답시간(ms) | ${metricNames.join(' | ')} |`;
+    const divider = `|${' --- |'.repeat(metricNames.length + 3)}`;
+    const rows = comparison.scenarios.map(s =>
+      `| ${s.scenario} | ${statusIcon[s.status]} ${s.status} | ${formatDelta(s.responseTime)} | ${metricNames.map(m => formatDelta(s.metrics?.[m])).join(' | ')} |`
+    );
+
+    const regressions = comparison.regressions.length > 0
+      ? comparison.regressions.map(r => r.reason
+        ? `- **${r.scenario}** ${r.field}: ${r.reason}`
+        : `- **${r.scenario}** ${r.field}: ${r.baseline} → ${r.candidate} (허용치 ${r.threshold})`
+      ).join('\n')
+      : '회귀 없음';
+
+    return `## 📊 ${comparison.baseline.path} → ${comparison.candidate.path}
+
+**기준 실행**: ${comparison.baseline.timestamp}
+**비교 실행**: ${comparison.candidate.timestamp}
+
+${[header, divider, ...rows].join('\n')}
+
+### 🚨 회귀 항목
+
+${regressions}`;
+  }
+
   formatScenarioResult(name, scenario) {
     if (!scenario.success) {
-      return `### ❌ ${name}\n**상태**: 실패\n**오류**: ${scenario.error}`;
+      return `### ❌ ${name}\n**상태**: 실패\n**오류**: ${scenario.error}${this.formatErrorKinds(scenario)}${this.formatRetries(scenario)}`;
     }
 
     return `### ✅ ${name}
 **성공률**: ${scenario.successRate}%
-**평균 응답시간**: ${scenario.averageResponseTime}ms
-**성공한 반복**: ${scenario.successfulIterations}/${scenario.iterations}`;
+**프로바이더**: ${scenario.provider}
+**평균 응답시간**: ${this.formatResponseTime(scenario)}
+**성공한 반복**: ${scenario.successfulIterations}/${scenario.iterations}
+**소요 시간**: ${scenario.durationMs}ms${this.formatRetries(scenario)}${this.formatErrorKinds(scenario)}${this.formatUsage(scenario.usage)}${this.formatSettings(scenario.settings)}${this.formatCodeAnalysis(scenario.codeAnalysis)}${this.formatQualityCriteria(scenario.qualityCriteria)}${this.formatSecurity(scenario.security)}${this.formatJudge(scenario.judge)}${this.formatExecution(scenario.execution)}${this.formatTurns(scenario.turns)}${this.formatRepository(scenario.repository)}${this.formatMetricStatistics(scenario)}`;
+  }
+
+  /**
+   * 다중 턴 시나리오의 턴별 점수 표 (지표는 반복 평균)
+   */
+  formatTurns(turns) {
+    if (!turns) return '';
+
+    const metrics = [...new Set(turns.flatMap(turn => Object.keys(turn.metrics)))];
+    const header = `| 턴 | 요청 | 평균 응답시간 | 평균 토큰 | 품질 기준 | ${metrics.join(' | ')} |`;
+    const divider = `|${' --- |'.repeat(metrics.length + 5)}`;
+    const rows = turns.map(turn => {
+      const prompt = turn.prompt.length > 40 ? `${turn.prompt.slice(0, 40)}…` : turn.prompt;
+      const scores = metrics.map(metric => turn.metrics[metric] ? Math.round(turn.metrics[metric].average) : '-');
+      return `| ${turn.index} | ${prompt.replace(/\|/g, '\\|')} | ${turn.averageResponseTime}ms | ${turn.averageTokens} | ${turn.criteriaPassed}/${turn.criteriaTotal} | ${scores.join(' | ')} |`;
+    });
+
+    return `
+**대화 턴** (최종 상태 점수는 아래 지표 표 참고)
+
+${[header, divider, ...rows].join('\n')}`;
+  }
+
+  formatRepository(repository) {
+    if (!repository) return '';
+
+    const changes = repository.changes.map(change => `${change.path} (${change.change})`).join(', ') || '없음';
+    const checks = repository.checks.map(check =>
+      `- ${check.passed ? '✅' : '❌'} ${check.description}${check.detail ? ` - ${check.detail}` : ''} (${check.passedIterations}/${check.iterations}회 통과)`
+    );
+
+    return `
+**저장소 변경**: ${changes}${repository.stat ? ` - ${repository.stat}` : ''}
+${checks.join('\n')}`;
+  }
+
+  formatJudge(judge) {
+    if (!judge) return '';
+    if (judge.judgedIterations === 0) {
+      return `
+**LLM 판정**: 실패 (${judge.grader}) - ${judge.errors[judge.errors.length - 1]}`;
+    }
+
+    const header = '| 기준 | 판정 | 휴리스틱 지표 | 휴리스틱 | 평균 차이 | 근거 (마지막 반복) |';
+    const rows = judge.criteria.map(criterion =>
+      `| ${criterion.id} | ${criterion.judge} | ${criterion.metric || '-'} | ${criterion.heuristic ?? '-'} | ${criterion.meanAbsoluteDifference ?? '-'} | ${criterion.rationale.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`
+    );
+    const errors = judge.errors.length > 0 ? ` (실패 ${judge.errors.length}회)` : '';
+
+    return `
+**LLM 판정**: ${judge.overall}점 (${judge.grader}, 루브릭 "${judge.rubric}", ${judge.judgedIterations}/${judge.iterations}회 판정${errors})${judge.summary ? ` - ${judge.summary}` : ''}
+
+${[header, '| --- | --- | --- | --- | --- | --- |', ...rows].join('\n')}
+`;
+  }
+
+  formatSecurity(security) {
+    if (!security || security.scannedBlocks === 0) return '';
+    if (security.findings.length === 0) {
+      return `
+**보안 검사**: 발견 사항 없음`;
+    }
+
+    const icons = { critical: '🔴', high: '🟠', medium: '🟡', low: '⚪' };
+    const counts = Object.entries(security.counts)
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${severity} ${count}`);
+    const lines = security.findings.map((finding) => {
+      const rule = security.rules.find(r => r.ruleId === finding.ruleId);
+      const location = finding.file ? `${finding.file}:${finding.line}` : `${finding.line}행`;
+      return `- ${icons[finding.severity]} [${finding.severity}] \`${finding.ruleId}\` (${location}) ${finding.message} - ${rule.iterationsWithFindings}/${rule.iterations}회 발견`;
+    });
+
+    return `
+**보안 검사**: ${security.findings.length}건 (${counts.join(', ')})
+${lines.join('\n')}`;
+  }
+
+  formatQualityCriteria(quality) {
+    if (!quality) return '';
+
+    const lines = quality.criteria.map(criterion =>
+      `- ${criterion.passed ? '✅' : '❌'} ${criterion.label} (${criterion.expected}): ${criterion.actual} - ${criterion.passedIterations}/${criterion.iterations}회 통과`
+    );
+    const skipped = quality.skipped.length > 0 ? `\n- ⏭️ 평가하지 않음: ${quality.skipped.join(', ')}` : '';
+
+    return `
+**품질 기준**: ${quality.passed}/${quality.total} 통과
+${lines.join('\n')}${skipped}`;
+  }
+
+  formatExecution(execution) {
+    if (!execution) return '';
+
+    const tests = execution.testsTotal > 0
+      ? `테스트 ${execution.testsPassed}/${execution.testsTotal} 통과, `
+      : execution.harnessError ? `하네스 오류 (${execution.harnessError}), ` : '';
+    return `
+**실행 검증**: ${tests}구문 ${execution.syntaxPassed}/${execution.syntaxChecked} 유효`;
+  }
+
+  formatCodeAnalysis(analysis) {
+    if (!analysis) return '';
+    if (!analysis.parsed) {
+      return `
+**코드 구조**: 파싱 실패 (${analysis.parseErrors.join('; ')})`;
+    }
+
+    return `
+**코드 구조**: 함수 ${analysis.functionCount}개, 최대 복잡도 ${analysis.maxComplexity}, 최대 중첩 ${analysis.maxNestingDepth}, 패턴: ${analysis.patterns.join(', ') || '없음'}`;
+  }
+
+  formatJudgeAgreement(agreement) {
+    if (!agreement) return '';
+
+    const rows = agreement.map(entry =>
+      `| ${entry.metric} | ${entry.samples} | ${entry.judge} | ${entry.heuristic} | ${entry.meanAbsoluteDifference} | ${entry.correlation ?? '-'} |`
+    );
+
+    return `## ⚖️ LLM 판정 vs 휴리스틱 지표
+
+| 지표 | 표본 | 판정 평균 | 휴리스틱 평균 | 평균 절대 차이 | 상관계수 |
+| --- | --- | --- | --- | --- | --- |
+${rows.join('\n')}
+
+`;
+  }
+
+  formatProviderComparison(comparison) {
+    if (!comparison || comparison.length < 2) return '';
+
+    const metrics = [...new Set(comparison.flatMap(entry => Object.keys(entry.metrics)))];
+    const header = `| 프로바이더 | 성공 | 평균 응답시간 | 토큰 | 비용 | 토큰/초 | ${metrics.join(' | ')} |`;
+    const divider = `|${' --- |'.repeat(metrics.length + 6)}`;
+    const rows = comparison.map(entry =>
+      `| ${entry.provider} (${entry.type}) | ${entry.successfulScenarios}/${entry.totalScenarios} | ${entry.averageResponseTime}ms | ${entry.usage.totalTokens}${entry.usage.estimated ? ' (추정)' : ''} | ${formatCost(entry.usage.totalCost)} | ${entry.usage.averageTokensPerSecond ?? '-'} | ${metrics.map(m => entry.metrics[m] ?? '-').join(' | ')} |`
+    );
+
+    return `## 🔌 프로바이더 비교
+
+${[header, divider, ...rows].join('\n')}
+
+`;
+  }
+
+  formatUsageSummary(usage) {
+    if (!usage) return '';
+
+    const unpriced = usage.unpricedScenarios > 0 ? ` (가격 정보 없는 시나리오 ${usage.unpricedScenarios}개 제외)` : '';
+    return `
+- **토큰 사용량**: ${usage.totalTokens}${usage.estimated ? ' (일부 추정)' : ''}
+- **예상 비용**: ${formatCost(usage.totalCost)}${unpriced}
+- **첫 바이트 시간**: ${usage.averageFirstByteMs !== null ? `평균 ${usage.averageFirstByteMs}ms` : '-'} / **토큰/초**: ${usage.averageTokensPerSecond ?? '-'}`;
+  }
+
+  formatUsage(usage) {
+    if (!usage) return '';
+
+    return `
+**토큰 사용량**: 입력 ${usage.averagePromptTokens} / 출력 ${usage.averageCompletionTokens} (반복 평균${usage.estimated ? ', 추정' : ''}), 합계 ${usage.totalTokens}
+**비용**: 반복당 ${formatCost(usage.averageCost)}, 합계 ${formatCost(usage.totalCost)}${usage.model ? ` (${usage.model})` : ''}
+**첫 바이트 시간**: ${usage.averageFirstByteMs !== null ? `${usage.averageFirstByteMs}ms` : '-'}, **토큰/초**: ${usage.averageTokensPerSecond ?? '-'}`;
+  }
+
+  /**
+   * 중단된 실행 경고 (부분 리포트)
+   */
+  formatInterrupted(interrupted) {
+    if (!interrupted) return '';
+
+    const skipped = interrupted.skippedScenarios.length > 0
+      ? ` 실행하지 못한 시나리오: ${interrupted.skippedScenarios.join(', ')}`
+      : '';
+    return `
+
+> ⏹️ **중단된 실행의 부분 리포트입니다.** 중단 시점까지 완료된 반복만 집계했습니다.${skipped}`;
+  }
+
+  /**
+   * 일시적 오류로 재시도한 횟수와 재시도 전 대기 시간 (응답시간에는 포함되지 않음)
+   */
+  formatRetries(scenario) {
+    if (!scenario.retries) return '';
+    return `\n**재시도**: ${scenario.retries}회 (일시적 오류 후 백오프, 대기 ${scenario.retryWaitMs || 0}ms는 응답시간에서 제외)`;
+  }
+
+  /**
+   * 실패한 반복의 오류 종류별 횟수 (retry-policy.js 분류)
+   */
+  formatErrorKinds(scenario) {
+    const counts = {};
+    for (const iteration of scenario.iterationResults || []) {
+      if (!iteration.success && iteration.errorKind) counts[iteration.errorKind] = (counts[iteration.errorKind] || 0) + 1;
+    }
+    const entries = Object.entries(counts);
+    if (entries.length === 0) return '';
+
+    return `\n**실패 원인**: ${entries.map(([kind, count]) => `${kind} ${count}회`).join(', ')}`;
+  }
+
+  formatTiming(timing) {
+    if (!timing) return '';
+
+    return `
+- **실행 시간**: 경과 ${timing.wallClockMs}ms / 시나리오 합계 ${timing.summedDurationMs}ms (동시성 ${timing.concurrency})`;
+  }
+
+  formatSettings(settings) {
+    if (!settings) return '';
+
+    const label = (source) => ({ cli: 'CLI', scenario: '시나리오' })[source] || '기본값';
+    const warmup = settings.warmupIterations > 0
+      ? `, 워밍업 ${settings.warmupIterations}회 (${label(settings.sources.warmupIterations)}, 통계 제외)`
+      : '';
+    return `
+**실행 설정**: 반복 ${settings.iterations}회 (${label(settings.sources.iterations)})${warmup}, 타임아웃 ${settings.timeout}ms (${label(settings.sources.timeout)})`;
+  }
+
+  /**
+   * 신뢰구간 표기 (표본이 2개 미만이면 계산 불가)
+   */
+  formatInterval(stats, unit = '') {
+    if (!stats?.ci) return '표본 부족';
+    return `${stats.ci.lower}${unit} ~ ${stats.ci.upper}${unit}`;
+  }
+
+  formatResponseTime(scenario) {
+    const stats = scenario.responseTime;
+    if (!stats) return `${scenario.averageResponseTime}ms`;
+
+    const confidence = Math.round((stats.ci?.confidence ?? 0.95) * 100);
+    return `${scenario.averageResponseTime}ms (${confidence}% CI ${this.formatInterval(stats, 'ms')}, 중앙값 ${stats.median}ms, p90 ${stats.p90}ms, p95 ${stats.p95}ms, 표준편차 ${stats.stddev}ms)`;
+  }
+
+  /**
+   * 시나리오별 지표 분포 표
+   */
+  formatMetricStatistics(scenario) {
+    const entries = Object.entries(scenario.metrics || {});
+    if (entries.length === 0) return '';
+
+    const round = value => Math.round(value * 10) / 10;
+    const header = '| 지표 | 평균 | 신뢰구간 | 중앙값 | p90 | p95 | 표준편차 | 최소~최대 | 이상치 |';
+    const divider = '| --- | --- | --- | --- | --- | --- | --- | --- | --- |';
+    const rows = entries.map(([metric, stats]) => {
+      const outliers = stats.outliers?.length > 0
+        ? stats.outliers.map(outlier => `#${outlier.iteration}(${round(outlier.value)})`).join(', ')
+        : '-';
+      return `| ${metric} | ${round(stats.average)} | ${this.formatInterval(stats)} | ${stats.median ?? '-'} | ${stats.p90 ?? '-'} | ${stats.p95 ?? '-'} | ${stats.stddev ?? '-'} | ${stats.min}~${stats.max} | ${outliers} |`;
+    });
+
+    return `
+
+${[header, divider, ...rows].join('\n')}`;
   }
 }
 
+/**
+ * 저장된 리포트 비교 실행
+ *
+ * 비교 결과를 JSON/마크다운으로 저장하고 회귀가 있으면 true를 반환합니다.
+ */
+async function compareReports(reportPaths, thresholds = {}, outputDir = RESULTS_DIR) {
+  const reports = await Promise.all(reportPaths.map(reportPath => loadReport(reportPath)));
+  const comparison = new ReportComparator(thresholds).compareAll(reports);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.mkdir(outputDir, { recursive: true });
+  const basePath = path.join(outputDir, `comparison_report_${timestamp}`);
+  await fs.writeFile(`${basePath}.json`, JSON.stringify(comparison, null, 2));
+  await fs.writeFile(`${basePath}.md`, new ReportGenerator().generateComparisonMarkdown(comparison));
+
+  for (const { regressions } of comparison.comparisons) {
+    regressions.forEach(r => console.error(`❌ 회귀: ${r.scenario} ${r.field}${r.reason ? ` - ${r.reason}` : ` ${r.baseline} → ${r.candidate}`}`));
+  }
+  console.log(`📊 비교 JSON: ${basePath}.json`);
+  console.log(`📋 비교 마크다운: ${basePath}.md`);
+
+  return comparison.hasRegressions;
+}
+
+/**
+ * 실행 이력 추이 리포트 생성
+ *
+ * 단계 변화는 상승과 하락을 모두 포함하므로 종료 코드에 반영하지 않고 리포트에만 강조합니다.
+ */
+async function writeTrendReport({ historyPath, outputDir = RESULTS_DIR, formats = ['markdown', 'html'], scenarios, last }) {
+  const unknown = formats.filter(name => !TREND_FORMATS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`trend에서 지원하지 않는 형식: ${unknown.join(', ')} (사용 가능: ${Object.keys(TREND_FORMATS).join(', ')})`);
+  }
+
+  const store = new HistoryStore(historyPath || path.join(outputDir, HISTORY_FILE));
+  const trend = buildTrend(await store.load(), { scenarios, last });
+  if (trend.runs.length === 0) {
+    throw new Error(`조건과 일치하는 실행 이력이 없습니다 (${store.filePath})`);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.mkdir(outputDir, { recursive: true });
+  const basePath = path.join(outputDir, `trend_report_${timestamp}`);
+
+  for (const name of formats) {
+    const format = TREND_FORMATS[name];
+    await fs.writeFile(`${basePath}.${format.extension}`, format.render(trend));
+    console.log(`📈 추이 ${format.label}: ${basePath}.${format.extension}`);
+  }
+
+  for (const change of trend.stepChanges) {
+    console.log(`${change.delta > 0 ? '🔺' : '🔻'} ${change.scenario} (${change.provider}) ${change.metric}: ${change.before} → ${change.after} (실행 ${change.runId})`);
+  }
+  console.log(`🗂️ 실행 ${trend.runs.length}회, 시계열 ${trend.series.length}개, 단계 변화 ${trend.stepChanges.length}건`);
+
+  return trend;
+}
+
+/**
+ * 시나리오 목록 출력 (--list)
+ */
+function printScenarioList(scenarios) {
+  console.log('📋 사용 가능한 시나리오 (* 기본 실행 대상)\n');
+  for (const s of scenarios) {
+    console.log(`${s.default ? '*' : ' '} ${s.id.padEnd(28)} ${(s.category || '-').padEnd(14)} ${(s.difficulty || '-').padEnd(7)} ${s.name || ''}`);
+  }
+}
+
+/**
+ * CLI 진입점
+ *
+ * @returns {Promise<number>} 종료 코드 (cli.js의 EXIT_CODES)
+ */
+async function main(argv) {
+  const options = parseCliArgs(argv);
+
+  if (options.command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.success;
+  }
+
+  if (options.command === 'compare') {
+    const hasRegressions = await compareReports(options.reportPaths, options.thresholds, options.config.outputDir);
+    return hasRegressions ? EXIT_CODES.failure : EXIT_CODES.success;
+  }
+
+  if (options.command === 'trend') {
+    await writeTrendReport({
+      historyPath: options.config.history?.path,
+      outputDir: options.config.outputDir,
+      formats: options.config.formats,
+      scenarios: options.filters.names,
+      last: options.last
+    });
+    return EXIT_CODES.success;
+  }
+
+  // --replay만 지정하면 카세트 디렉터리에 기록된 모든 프로바이더를 재생
+  if (options.config.cassette?.mode === 'replay' && !options.config.providers) {
+    const labels = await listCassetteLabels(options.config.cassette.dir);
+    if (labels.length === 0) {
+      throw new Error(`재생할 카세트가 없습니다 (${options.config.cassette.dir})`);
+    }
+    options.config.providers = labels.map(label => ({ type: 'replay', options: { label, dir: options.config.cassette.dir } }));
+  }
+
+  if (options.pricesPath) {
+    options.config.prices = await loadPriceTable(options.pricesPath);
+  }
+
+  const runner = new BenchmarkRunner(options.config);
+  const hasFilters = Object.values(options.filters).some(values => values.length > 0);
+  const scenarios = await runner.selectScenarios(options.filters);
+
+  if (options.command === 'list') {
+    const available = await runner.listScenarios();
+    printScenarioList(hasFilters ? available.filter(s => scenarios.includes(s.id)) : available);
+    return EXIT_CODES.success;
+  }
+
+  if (scenarios.length === 0) {
+    throw new Error('필터와 일치하는 시나리오가 없습니다 (--list로 목록 확인)');
+  }
+
+  runner.config.scenarios = scenarios;
+
+  // 첫 Ctrl-C: 진행 중인 요청을 끊고 부분 리포트 작성, 두 번째 Ctrl-C: 즉시 종료
+  const onInterrupt = () => {
+    if (runner.aborted) {
+      console.error('\n⛔ 강제 종료');
+      terminateActiveProcesses();
+      process.exit(EXIT_CODES.interrupted);
+    }
+    console.warn('\n⏹️ 중단 요청: 진행 중인 요청을 정리하고 부분 리포트를 작성합니다 (한 번 더 누르면 즉시 종료)');
+    runner.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  let results;
+  try {
+    results = await runner.run();
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+
+  if (results.interrupted) return EXIT_CODES.interrupted;
+  return results.summary.successfulScenarios === results.summary.totalScenarios ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
 // 메인 실행
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const runner = new BenchmarkRunner();
-  runner.run().catch(console.error);
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = EXIT_CODES.error;
+    });
 }
 
-export { BenchmarkRunner, MetricsCollector, CodeAnalyzer, ReportGenerator };
\ No newline at end of file
+export { BenchmarkRunner, MetricsCollector, CodeAnalyzer, ReportGenerator, compareReports, writeTrendReport };
\ No newline at end of file
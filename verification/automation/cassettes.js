@@ -0,0 +1,206 @@
+/**
+ * 기록/재생 카세트
+ *
+ * record 모드에서는 프로바이더 호출을 감싸 프롬프트+컨텍스트 → 출력 쌍을
+ * verification/cassettes/<프로바이더 라벨>.json에 저장하고, replay 모드에서는
+ * 저장된 출력을 그대로 돌려줍니다. 네트워크나 API 키 없이 실제 과거 출력으로
+ * MetricsCollector 채점 변경을 다시 평가할 수 있습니다.
+ *
+ * 카세트 파일 형식 (version이 다르면 로드를 거부):
+ *
+ *   {
+ *     "version": 1,
+ *     "provider": { "label": "openai-http", "type": "openai-http" },
+ *     "entries": {
+ *       "<sha256(prompt, context[, 앞선 대화]) 앞 16자>": {
+ *         "prompt": "...", "context": "...", "turn": 1,
+ *         "recordings": [{ "output": "...", "usage": {...}, "model": "...", "firstByteMs": 321, "durationMs": 1234, "recordedAt": "..." }]
+ *       }
+ *     }
+ *   }
+ *
+ * 같은 프롬프트의 기록이 여러 개면(반복 실행) 재생 시 순서대로 돌려가며 사용합니다.
+ * 재생 중 응답시간은 디스크 읽기 시간이므로 response-time, 첫 바이트 시간, 초당 토큰 수 비교에는
+ * 의미가 없습니다. 토큰 사용량과 모델은 기록된 값을 그대로 돌려주므로 비용 비교에는 사용할 수 있습니다.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CASSETTE_VERSION = 1;
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'cassettes');
+
+/**
+ * 프롬프트와 컨텍스트(다중 턴이면 앞선 대화 포함)로 카세트 항목 키 생성
+ */
+function cassetteKey(prompt, context = '', history = []) {
+  const parts = [prompt, context || ''];
+  // 단일 턴 키는 대화 기록 필드가 생기기 전에 기록한 카세트와 동일하게 유지
+  if (history.length > 0) parts.push(history.map(turn => [turn.prompt, turn.context || '', turn.output]));
+
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 프로바이더 라벨을 파일 이름으로 변환
+ */
+function cassettePath(dir, label) {
+  return path.join(dir, `${label.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+/**
+ * 카세트 디렉터리에 기록된 프로바이더 라벨 목록
+ */
+async function listCassetteLabels(dir = DEFAULT_CASSETTE_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(`카세트 디렉터리를 읽을 수 없습니다 (${dir}): ${error.message}`);
+  }
+
+  const cassettes = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(file => readCassette(path.join(dir, file))));
+
+  return cassettes.map(cassette => cassette.provider.label);
+}
+
+/**
+ * 카세트 파일 읽기 (버전 확인 포함)
+ */
+async function readCassette(filePath) {
+  const cassette = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`지원하지 않는 카세트 버전: ${cassette.version} (${filePath}, 필요: ${CASSETTE_VERSION})`);
+  }
+  return cassette;
+}
+
+class CassetteStore {
+  constructor(dir = DEFAULT_CASSETTE_DIR) {
+    this.dir = dir;
+    this.cassettes = new Map();
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * 라벨별 카세트 로드 (없으면 null, 한 번 읽은 카세트는 캐시)
+   */
+  async load(label) {
+    if (!this.cassettes.has(label)) {
+      const filePath = cassettePath(this.dir, label);
+      const cassette = await readCassette(filePath).catch((error) => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+      this.cassettes.set(label, cassette);
+    }
+    return this.cassettes.get(label);
+  }
+
+  /**
+   * 출력 기록 후 카세트 파일 저장
+   *
+   * 동시에 여러 워커가 기록해도 파일 쓰기가 겹치지 않도록 순서대로 저장합니다.
+   */
+  async record(provider, { prompt, context = '', history = [] }, response, durationMs) {
+    await this.load(provider.label);
+    // load 대기 중 다른 워커가 새 카세트를 만들었을 수 있으므로 캐시에서 다시 조회
+    let cassette = this.cassettes.get(provider.label);
+    if (!cassette) {
+      cassette = { version: CASSETTE_VERSION, provider: { label: provider.label, type: provider.type }, entries: {} };
+      this.cassettes.set(provider.label, cassette);
+    }
+
+    const key = cassetteKey(prompt, context, history);
+    const entry = cassette.entries[key] ||
+      (cassette.entries[key] = { prompt, context: context || '', turn: history.length + 1, recordings: [] });
+    entry.recordings.push({
+      output: response.output,
+      usage: response.usage,
+      model: response.model,
+      firstByteMs: response.firstByteMs,
+      durationMs,
+      recordedAt: new Date().toISOString()
+    });
+
+    this.writes = this.writes.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(cassettePath(this.dir, provider.label), JSON.stringify(cassette, null, 2));
+    });
+    return this.writes;
+  }
+}
+
+/**
+ * 기록 모드 래퍼: 실제 프로바이더를 호출하고 결과를 카세트에 저장
+ */
+class CassetteRecorder {
+  constructor(provider, store) {
+    this.provider = provider;
+    this.store = store;
+    this.type = provider.type;
+    this.label = provider.label;
+    this.editsWorkspace = provider.editsWorkspace;
+    this.model = provider.model;
+  }
+
+  async generate(request) {
+    const startTime = Date.now();
+    const response = await this.provider.generate(request);
+    await this.store.record(this.provider, request, response, Date.now() - startTime);
+    return response;
+  }
+}
+
+/**
+ * 재생 프로바이더: 카세트에 기록된 출력을 반환
+ *
+ * 옵션: label (필수, 기록한 프로바이더 라벨), dir (카세트 디렉터리)
+ */
+class CassetteReplayProvider {
+  constructor(options = {}) {
+    if (!options.label) {
+      throw new Error('replay 프로바이더에는 label 옵션이 필요합니다 (예: replay:label=openai-http)');
+    }
+    this.type = 'replay';
+    this.label = options.label;
+    this.store = options.store || new CassetteStore(options.dir);
+    this.cursors = new Map();
+  }
+
+  async generate({ prompt, context = '', history = [] }) {
+    const cassette = await this.store.load(this.label);
+    if (!cassette) {
+      throw new Error(`카세트가 없습니다: ${cassettePath(this.store.dir, this.label)}`);
+    }
+
+    const key = cassetteKey(prompt, context, history);
+    const entry = cassette.entries[key];
+    if (!entry || entry.recordings.length === 0) {
+      throw new Error(`카세트에 기록되지 않은 프롬프트입니다 (${this.label}, 키 ${key})`);
+    }
+
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+
+    const { output, usage, model } = entry.recordings[cursor % entry.recordings.length];
+    return { output, usage, model };
+  }
+}
+
+export {
+  CASSETTE_VERSION,
+  DEFAULT_CASSETTE_DIR,
+  CassetteStore,
+  CassetteRecorder,
+  CassetteReplayProvider,
+  cassetteKey,
+  listCassetteLabels
+};
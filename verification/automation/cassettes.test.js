@@ -0,0 +1,110 @@
+/**
+ * 기록/재생 카세트 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CASSETTE_VERSION, CassetteStore, CassetteRecorder, CassetteReplayProvider, cassetteKey } from './cassettes.js';
+
+const PROVIDER = { label: 'openai-http', type: 'openai-http' };
+
+// 호출할 때마다 번호가 붙은 출력을 돌려주는 프로바이더 (calls에 호출 횟수 기록)
+const countingProvider = () => {
+  const provider = {
+    ...PROVIDER,
+    calls: 0,
+    async generate({ prompt }) {
+      provider.calls++;
+      return { output: `${prompt} #${provider.calls}`, usage: { promptTokens: 1, completionTokens: 2 }, model: 'gpt-4o' };
+    }
+  };
+  return provider;
+};
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassettes-test-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('cassetteKey', () => {
+  test('단일 턴 키는 대화 기록 필드 이전에 기록한 카세트와 같은 값', () => {
+    expect(cassetteKey('Add a sum function', '')).toBe('9b3b15d2387ca86a');
+    expect(cassetteKey('Add a sum function')).toBe('9b3b15d2387ca86a');
+    expect(cassetteKey('Add a sum function', '', [])).toBe('9b3b15d2387ca86a');
+  });
+
+  test('앞선 대화가 있으면 대화 내용까지 키에 반영', () => {
+    const history = [{ prompt: 'Add a sum function', output: 'x' }];
+
+    expect(cassetteKey('Add a sum function', '', history)).toBe('68053d5f3d71049d');
+    expect(cassetteKey('Add a sum function', '', [{ ...history[0], context: '' }])).toBe('68053d5f3d71049d');
+    expect(cassetteKey('Add a sum function', '', [{ ...history[0], output: 'y' }])).not.toBe('68053d5f3d71049d');
+  });
+
+  test('프롬프트나 컨텍스트가 다르면 다른 키', () => {
+    const keys = new Set([cassetteKey('a', ''), cassetteKey('a', 'ctx'), cassetteKey('b', '')]);
+
+    expect(keys.size).toBe(3);
+  });
+});
+
+describe('기록과 재생', () => {
+  test('반복 기록을 재생 시 순서대로 돌려가며 사용', async () => {
+    const provider = countingProvider();
+    const recorder = new CassetteRecorder(provider, new CassetteStore(dir));
+    for (let i = 0; i < 2; i++) await recorder.generate({ prompt: 'Add', context: '' });
+    await recorder.generate({ prompt: 'Remove', context: '' });
+
+    const replay = new CassetteReplayProvider({ label: PROVIDER.label, dir });
+    const outputs = [];
+    for (let i = 0; i < 3; i++) outputs.push((await replay.generate({ prompt: 'Add' })).output);
+
+    expect(outputs).toEqual(['Add #1', 'Add #2', 'Add #1']);
+    expect(await replay.generate({ prompt: 'Remove' })).toEqual({
+      output: 'Remove #3',
+      usage: { promptTokens: 1, completionTokens: 2 },
+      model: 'gpt-4o'
+    });
+    expect(provider.calls).toBe(3);
+  });
+
+  test('기록한 파일 형식과 턴 번호', async () => {
+    const store = new CassetteStore(dir);
+    await store.record(PROVIDER, { prompt: 'Next', history: [{ prompt: 'First', output: 'ok' }] }, { output: 'done' }, 12);
+
+    const cassette = JSON.parse(await fs.readFile(path.join(dir, 'openai-http.json'), 'utf-8'));
+    expect(cassette).toMatchObject({ version: CASSETTE_VERSION, provider: PROVIDER });
+    expect(Object.values(cassette.entries)).toEqual([
+      { prompt: 'Next', context: '', turn: 2, recordings: [expect.objectContaining({ output: 'done', durationMs: 12 })] }
+    ]);
+  });
+
+  test('기록되지 않은 프롬프트와 없는 카세트는 오류', async () => {
+    await new CassetteStore(dir).record(PROVIDER, { prompt: 'Add' }, { output: 'x' }, 1);
+
+    await expect(new CassetteReplayProvider({ label: PROVIDER.label, dir }).generate({ prompt: 'Other' }))
+      .rejects.toThrow(`카세트에 기록되지 않은 프롬프트입니다 (openai-http, 키 ${cassetteKey('Other')})`);
+    await expect(new CassetteReplayProvider({ label: 'missing', dir }).generate({ prompt: 'Add' }))
+      .rejects.toThrow(`카세트가 없습니다: ${path.join(dir, 'missing.json')}`);
+  });
+
+  test('버전이 다른 카세트는 로드 거부', async () => {
+    const file = path.join(dir, 'openai-http.json');
+    await fs.writeFile(file, JSON.stringify({ version: CASSETTE_VERSION + 1, provider: PROVIDER, entries: {} }));
+
+    await expect(new CassetteStore(dir).load(PROVIDER.label))
+      .rejects.toThrow(`지원하지 않는 카세트 버전: ${CASSETTE_VERSION + 1} (${file}, 필요: ${CASSETTE_VERSION})`);
+  });
+
+  test('재생 프로바이더에는 label이 필요', () => {
+    expect(() => new CassetteReplayProvider()).toThrow('replay 프로바이더에는 label 옵션이 필요합니다');
+  });
+});
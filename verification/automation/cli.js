@@ -0,0 +1,229 @@
+/**
+ * 벤치마크 러너 명령행 인자 파서
+ *
+ * benchmark-runner.js의 메인 블록이 사용하는 옵션 정의와 도움말을 모아 둡니다.
+ * 파싱 결과는 BenchmarkRunner 설정(config)과 시나리오 필터로 변환됩니다.
+ *
+ * 종료 코드:
+ *   0 - 모든 시나리오 성공 (compare: 회귀 없음)
+ *   1 - 실패한 시나리오 존재 (compare: 회귀 발견)
+ *   2 - 잘못된 인자 또는 실행 오류
+ *   130 - Ctrl-C로 중단 (완료된 결과로 부분 리포트 작성)
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { DEFAULT_CASSETTE_DIR } from './cassettes.js';
+import { RUBRICS_DIR } from './judge.js';
+import { RETRY_DEFAULTS } from './retry-policy.js';
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  error: 2,
+  interrupted: 130
+};
+
+const USAGE = `사용법:
+  node benchmark-runner.js [옵션]
+  node benchmark-runner.js --list [필터]
+  node benchmark-runner.js compare <기준.json> <비교.json...> [--threshold key=value] [--output-dir 경로]
+  node benchmark-runner.js trend [-s 시나리오] [--last 횟수] [--history 파일] [-f markdown,html,json]
+
+시나리오 선택 (여러 번 지정하거나 쉼표로 구분, 필터끼리는 AND):
+  -s, --scenario <이름>        시나리오 파일 이름 (확장자 제외)
+  -c, --category <분류>        시나리오 category 필드 (frontend, backend, testing ...)
+  -d, --difficulty <난이도>    시나리오 difficulty 필드 (low, medium, high)
+  -l, --list                   사용 가능한 시나리오 목록 출력 후 종료
+
+실행 설정:
+  -n, --iterations <횟수>      반복 횟수 (시나리오 파일 값보다 우선)
+  -w, --warmup <횟수>          통계에서 제외할 워밍업 반복 횟수
+  -t, --timeout <ms>           요청당 타임아웃, 초과 시 프로세스 트리 종료 (시나리오 파일 값보다 우선)
+      --retries <횟수>         rate-limit·5xx·네트워크 오류 재시도 횟수 (기본: 2, 지수 백오프)
+      --concurrency <개수>     동시에 실행할 시나리오 수
+      --rate-limit <ms>        워커별 연속 요청 간 최소 간격
+  -p, --provider <spec>        모델 백엔드 (예: simulator, openai-http:baseUrl=http://localhost:8787/v1)
+      --simulate               시뮬레이션 모드 강제 (--provider simulator와 동일)
+      --execute                생성 코드 구문 검사 및 하네스 실행
+      --record                 프로바이더 출력을 카세트에 기록
+      --replay                 카세트에 기록된 출력 재생 (네트워크·API 키 불필요)
+      --cassette-dir <경로>    카세트 디렉터리 (기본: verification/cassettes)
+      --prices <파일>          모델별 토큰 가격표 JSON (USD / 100만 토큰, 기본 가격표에 병합)
+      --judge <spec>           LLM 판정 단계의 채점 프로바이더 (예: mock-grader, openai-http:model=gpt-4o)
+      --rubric-dir <경로>      루브릭 디렉터리 (기본: verification/rubrics)
+
+출력:
+  -o, --output-dir <경로>      리포트 저장 디렉터리 (기본: verification/benchmark-results)
+  -f, --format <형식>          리포트 형식 (json, markdown, html, junit / trend: json, markdown, html)
+      --history <파일>         실행 이력 JSONL 파일 (기본: <output-dir>/history.jsonl)
+      --no-history             실행 이력에 기록하지 않음
+      --last <횟수>            trend: 최근 실행만 포함
+
+  -h, --help                   도움말 출력
+
+종료 코드: 0 전체 성공 / 1 실패한 시나리오 또는 회귀 존재 / 2 인자·실행 오류 / 130 Ctrl-C 중단 (부분 리포트 작성)`;
+
+const OPTIONS = {
+  scenario: { type: 'string', short: 's', multiple: true },
+  category: { type: 'string', short: 'c', multiple: true },
+  difficulty: { type: 'string', short: 'd', multiple: true },
+  list: { type: 'boolean', short: 'l' },
+  iterations: { type: 'string', short: 'n' },
+  warmup: { type: 'string', short: 'w' },
+  timeout: { type: 'string', short: 't' },
+  retries: { type: 'string' },
+  concurrency: { type: 'string' },
+  'rate-limit': { type: 'string' },
+  provider: { type: 'string', short: 'p', multiple: true },
+  simulate: { type: 'boolean' },
+  execute: { type: 'boolean' },
+  record: { type: 'boolean' },
+  replay: { type: 'boolean' },
+  'cassette-dir': { type: 'string' },
+  prices: { type: 'string' },
+  judge: { type: 'string' },
+  'rubric-dir': { type: 'string' },
+  'output-dir': { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f', multiple: true },
+  threshold: { type: 'string', multiple: true },
+  history: { type: 'string' },
+  'no-history': { type: 'boolean' },
+  last: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * 반복/쉼표 구분 값을 하나의 목록으로 펼침
+ */
+function splitList(values = []) {
+  return values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * 정수 옵션 변환
+ */
+function parseInteger(name, raw, minimum) {
+  if (raw === undefined) return undefined;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new Error(`--${name}: ${minimum} 이상의 정수여야 합니다 (현재: ${raw})`);
+  }
+  return value;
+}
+
+/**
+ * --threshold key=value 인자를 허용치 객체로 변환
+ * (metricDrop, responseTimeIncrease, responseTimeMinDeltaMs, successRateDrop 외의 키는 지표별 허용치)
+ */
+function parseThresholds(values) {
+  const thresholds = { metrics: {} };
+  const topLevel = ['metricDrop', 'responseTimeIncrease', 'responseTimeMinDeltaMs', 'successRateDrop'];
+
+  for (const value of values) {
+    const [key, raw] = value.split('=');
+    const number = Number(raw);
+    if (!key || !raw?.trim() || Number.isNaN(number)) {
+      throw new Error(`허용치 형식 오류: "${value}" (key=숫자 필요)`);
+    }
+    if (topLevel.includes(key)) thresholds[key] = number;
+    else thresholds.metrics[key] = number;
+  }
+
+  return thresholds;
+}
+
+/**
+ * 명령행 인자 파싱
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ command: 'run'|'list'|'compare'|'trend'|'help', config: object, filters: object, reportPaths: string[], pricesPath: string|null, thresholds: object, last: number|undefined }}
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new Error(`${error.message}\n\n${USAGE}`);
+  }
+
+  const { values, positionals } = parsed;
+  const [subcommand, ...rest] = positionals;
+
+  if (subcommand && !['compare', 'trend'].includes(subcommand)) {
+    throw new Error(`알 수 없는 명령: ${subcommand}\n\n${USAGE}`);
+  }
+
+  const config = {};
+  const overrides = {
+    iterations: parseInteger('iterations', values.iterations, 1),
+    warmupIterations: parseInteger('warmup', values.warmup, 0),
+    timeout: parseInteger('timeout', values.timeout, 1000)
+  };
+  if (Object.values(overrides).some(value => value !== undefined)) config.overrides = overrides;
+
+  const retries = parseInteger('retries', values.retries, 0);
+  if (retries !== undefined) config.retry = { ...RETRY_DEFAULTS, retries };
+
+  const concurrency = parseInteger('concurrency', values.concurrency, 1);
+  const rateLimitMs = parseInteger('rate-limit', values['rate-limit'], 0);
+  if (concurrency !== undefined) config.concurrency = concurrency;
+  if (rateLimitMs !== undefined) config.rateLimitMs = rateLimitMs;
+
+  const providers = values.provider || [];
+  if (values.simulate && providers.length > 0) {
+    throw new Error('--simulate와 --provider는 함께 사용할 수 없습니다');
+  }
+  if (values.record && values.replay) {
+    throw new Error('--record와 --replay는 함께 사용할 수 없습니다');
+  }
+  if (values.record || values.replay || values['cassette-dir']) {
+    config.cassette = {
+      mode: values.record ? 'record' : values.replay ? 'replay' : null,
+      dir: values['cassette-dir'] ? path.resolve(values['cassette-dir']) : DEFAULT_CASSETTE_DIR
+    };
+  }
+  if (values.simulate) config.providers = ['simulator'];
+  else if (providers.length > 0) config.providers = providers;
+
+  if (values['rubric-dir'] && !values.judge) {
+    throw new Error('--rubric-dir는 --judge와 함께 사용해야 합니다');
+  }
+  if (values.judge) {
+    config.judge = {
+      provider: values.judge,
+      rubricDir: values['rubric-dir'] ? path.resolve(values['rubric-dir']) : RUBRICS_DIR
+    };
+  }
+
+  if (values.history && values['no-history']) {
+    throw new Error('--history와 --no-history는 함께 사용할 수 없습니다');
+  }
+  if (values['no-history']) config.history = { enabled: false, path: null };
+  else if (values.history) config.history = { enabled: true, path: path.resolve(values.history) };
+
+  if (values.execute) config.execute = true;
+  if (values['output-dir']) config.outputDir = values['output-dir'];
+
+  const formats = splitList(values.format);
+  if (formats.length > 0) config.formats = formats;
+
+  const command = values.help ? 'help' : subcommand || (values.list ? 'list' : 'run');
+
+  return {
+    command,
+    config,
+    filters: {
+      names: splitList(values.scenario),
+      categories: splitList(values.category),
+      difficulties: splitList(values.difficulty)
+    },
+    reportPaths: rest,
+    pricesPath: values.prices ? path.resolve(values.prices) : null,
+    thresholds: parseThresholds(values.threshold || []),
+    last: parseInteger('last', values.last, 1)
+  };
+}
+
+export { USAGE, EXIT_CODES, parseCliArgs, parseThresholds };
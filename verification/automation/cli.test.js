@@ -0,0 +1,115 @@
+/**
+ * 명령행 인자 파서 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import path from 'path';
+import { parseCliArgs, parseThresholds } from './cli.js';
+import { DEFAULT_CASSETTE_DIR } from './cassettes.js';
+import { RUBRICS_DIR } from './judge.js';
+import { RETRY_DEFAULTS } from './retry-policy.js';
+
+describe('parseThresholds', () => {
+  test('최상위 허용치와 지표별 허용치 구분', () => {
+    expect(parseThresholds(['metricDrop=3', 'responseTimeIncrease=25', 'responseTimeMinDeltaMs=100', 'successRateDrop=0', 'security=0.5']))
+      .toEqual({
+        metricDrop: 3,
+        responseTimeIncrease: 25,
+        responseTimeMinDeltaMs: 100,
+        successRateDrop: 0,
+        metrics: { security: 0.5 }
+      });
+    expect(parseThresholds([])).toEqual({ metrics: {} });
+  });
+
+  test.each(['metricDrop', 'metricDrop=', 'metricDrop=abc', '=3'])('"%s"는 형식 오류', (value) => {
+    expect(() => parseThresholds([value])).toThrow(`허용치 형식 오류: "${value}"`);
+  });
+});
+
+describe('parseCliArgs', () => {
+  test('인자가 없으면 기본 실행', () => {
+    expect(parseCliArgs([])).toEqual({
+      command: 'run',
+      config: {},
+      filters: { names: [], categories: [], difficulties: [] },
+      reportPaths: [],
+      pricesPath: null,
+      thresholds: { metrics: {} },
+      last: undefined
+    });
+  });
+
+  test('반복 지정과 쉼표 구분 필터를 합침', () => {
+    const { filters, config } = parseCliArgs(['-s', 'bug-fixing,refactoring-optimization', '--scenario', 'api-endpoint-generation', '-c', 'backend', '-f', 'json', '-f', 'html, junit']);
+
+    expect(filters).toEqual({
+      names: ['bug-fixing', 'refactoring-optimization', 'api-endpoint-generation'],
+      categories: ['backend'],
+      difficulties: []
+    });
+    expect(config.formats).toEqual(['json', 'html', 'junit']);
+  });
+
+  test('실행 설정은 정수로 변환되고 지정한 값만 재정의', () => {
+    const { config } = parseCliArgs(['-n', '5', '--retries', '0', '--concurrency', '2', '--rate-limit', '250', '--execute', '-o', 'out']);
+
+    expect(config).toEqual({
+      overrides: { iterations: 5, warmupIterations: undefined, timeout: undefined },
+      retry: { ...RETRY_DEFAULTS, retries: 0 },
+      concurrency: 2,
+      rateLimitMs: 250,
+      execute: true,
+      outputDir: 'out'
+    });
+  });
+
+  test.each([
+    [['-n', '0'], '--iterations: 1 이상의 정수여야 합니다 (현재: 0)'],
+    [['--warmup=-1'], '--warmup: 0 이상의 정수여야 합니다 (현재: -1)'],
+    [['-t', '500'], '--timeout: 1000 이상의 정수여야 합니다 (현재: 500)'],
+    [['--retries', '1.5'], '--retries: 0 이상의 정수여야 합니다 (현재: 1.5)'],
+    [['trend', '--last', '0'], '--last: 1 이상의 정수여야 합니다 (현재: 0)']
+  ])('%j → 범위 오류', (argv, message) => {
+    expect(() => parseCliArgs(argv)).toThrow(message);
+  });
+
+  test.each([
+    [['--simulate', '-p', 'openai-http'], '--simulate와 --provider는 함께 사용할 수 없습니다'],
+    [['--record', '--replay'], '--record와 --replay는 함께 사용할 수 없습니다'],
+    [['--rubric-dir', 'rubrics'], '--rubric-dir는 --judge와 함께 사용해야 합니다'],
+    [['--history', 'h.jsonl', '--no-history'], '--history와 --no-history는 함께 사용할 수 없습니다']
+  ])('%j → 함께 쓸 수 없는 옵션', (argv, message) => {
+    expect(() => parseCliArgs(argv)).toThrow(message);
+  });
+
+  test('알 수 없는 옵션과 명령은 도움말과 함께 오류', () => {
+    expect(() => parseCliArgs(['--bogus'])).toThrow(/bogus[\s\S]*사용법:/);
+    expect(() => parseCliArgs(['deploy'])).toThrow(/알 수 없는 명령: deploy[\s\S]*사용법:/);
+  });
+
+  test('프로바이더, 카세트, 판정, 이력 설정', () => {
+    expect(parseCliArgs(['--simulate']).config.providers).toEqual(['simulator']);
+    expect(parseCliArgs(['-p', 'simulator', '-p', 'openai-http:model=gpt-4o']).config.providers)
+      .toEqual(['simulator', 'openai-http:model=gpt-4o']);
+
+    expect(parseCliArgs(['--replay']).config.cassette).toEqual({ mode: 'replay', dir: DEFAULT_CASSETTE_DIR });
+    expect(parseCliArgs(['--cassette-dir', 'tapes']).config.cassette).toEqual({ mode: null, dir: path.resolve('tapes') });
+
+    expect(parseCliArgs(['--judge', 'mock-grader']).config.judge).toEqual({ provider: 'mock-grader', rubricDir: RUBRICS_DIR });
+    expect(parseCliArgs(['--no-history']).config.history).toEqual({ enabled: false, path: null });
+    expect(parseCliArgs(['--history', 'runs.jsonl']).config.history).toEqual({ enabled: true, path: path.resolve('runs.jsonl') });
+  });
+
+  test('명령 결정: help > 하위 명령 > list > run', () => {
+    expect(parseCliArgs(['compare', 'a.json', 'b.json', '--threshold', 'metricDrop=2'])).toMatchObject({
+      command: 'compare',
+      reportPaths: ['a.json', 'b.json'],
+      thresholds: { metricDrop: 2, metrics: {} }
+    });
+    expect(parseCliArgs(['trend', '--last', '10'])).toMatchObject({ command: 'trend', last: 10 });
+    expect(parseCliArgs(['--list', '-c', 'frontend'])).toMatchObject({ command: 'list', filters: { categories: ['frontend'] } });
+    expect(parseCliArgs(['compare', '-h']).command).toBe('help');
+  });
+});
@@ -0,0 +1,454 @@
+/**
+ * 코드 분석기
+ *
+ * Codex 출력물을 JS/TS/JSX 파스 트리로 변환한 뒤 함수별 순환 복잡도,
+ * 중첩 깊이, 함수 길이와 주요 구문(Hooks, async/await, try/catch, 타입 시그니처)을
+ * 수집합니다. 문자열 포함 여부가 아닌 실제 AST 노드를 기준으로 판단하므로
+ * 주석이나 식별자 일부("verify"의 "if" 등)에 속지 않습니다.
+ */
+
+import { parse } from '@babel/parser';
+
+// 분석 대상 코드 블록 언어 (마크다운 펜스 기준)
+const SCRIPT_LANGUAGES = ['', 'js', 'javascript', 'jsx', 'mjs', 'cjs', 'ts', 'typescript', 'tsx'];
+
+// 순회 시 건너뛸 AST 메타데이터 키
+const SKIP_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range',
+  'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+// 순환 복잡도를 1 증가시키는 분기 노드
+const BRANCH_TYPES = new Set([
+  'IfStatement',
+  'ConditionalExpression',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'CatchClause'
+]);
+
+// 중첩 깊이를 증가시키는 제어 구조
+const NESTING_TYPES = new Set([
+  'IfStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'SwitchStatement',
+  'TryStatement'
+]);
+
+/**
+ * 텍스트에서 마크다운 코드 블록 추출
+ *
+ * 펜스가 없으면 전체 텍스트를 언어 미지정 블록 하나로 취급합니다.
+ * info는 언어 뒤의 정보 문자열(파일 경로 등), line은 텍스트에서 코드가 시작하는 줄 번호입니다.
+ *
+ * @returns {{ language: string, info: string, line: number, code: string }[]}
+ */
+function extractCodeBlocks(text) {
+  const blocks = [];
+  const fence = /```([\w+-]*)([^\n]*)\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = fence.exec(text)) !== null) {
+    blocks.push({
+      language: match[1].toLowerCase(),
+      info: match[2].trim(),
+      line: text.slice(0, match.index).split('\n').length + 1,
+      code: match[3]
+    });
+  }
+
+  return blocks.length > 0 ? blocks : [{ language: '', info: '', line: 1, code: text }];
+}
+
+/**
+ * JS/TS/JSX 소스 파싱
+ *
+ * JSX+TypeScript 조합으로 먼저 시도하고, 제네릭 화살표 함수 등 JSX와 충돌하는
+ * TypeScript 문법을 위해 TypeScript 단독 모드로 한 번 더 시도합니다.
+ */
+function parseSource(code, language = '') {
+  const pluginSets = language === 'ts' || language === 'typescript'
+    ? [['typescript'], ['jsx', 'typescript']]
+    : [['jsx', 'typescript'], ['typescript']];
+  let lastError;
+
+  for (const plugins of pluginSets) {
+    try {
+      return parse(code, {
+        sourceType: 'unambiguous',
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins: [...plugins, 'classProperties', 'decorators-legacy']
+      });
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * AST 깊이 우선 순회
+ *
+ * @param {object} node - 시작 노드
+ * @param {{ enter?: Function, exit?: Function }} visitor - (node, parent, key) 콜백
+ */
+function walk(node, visitor, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visitor.enter?.(node, parent, key);
+
+  for (const [childKey, child] of Object.entries(node)) {
+    if (SKIP_KEYS.has(childKey) || !child || typeof child !== 'object') continue;
+
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visitor, node, childKey));
+    } else {
+      walk(child, visitor, node, childKey);
+    }
+  }
+
+  visitor.exit?.(node, parent, key);
+}
+
+/**
+ * 호출 대상의 점 표기 이름 반환 (예: document.write)
+ */
+function calleeName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = calleeName(node.object);
+    const property = node.computed ? null : calleeName(node.property);
+    return object && property ? `${object}.${property}` : property;
+  }
+  return null;
+}
+
+/**
+ * 함수 노드의 표시 이름 추론
+ */
+function functionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if (node.key) return node.key.name || node.key.value || node.key.id?.name || '<computed>';
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  if ((parent?.type === 'ClassProperty' || parent?.type === 'ObjectProperty') && parent.key) {
+    return parent.key.name || parent.key.value || '<computed>';
+  }
+  if (parent?.type === 'AssignmentExpression') return calleeName(parent.left) || '<anonymous>';
+  return '<anonymous>';
+}
+
+/**
+ * 타입 시그니처 존재 여부 (매개변수 또는 반환 타입)
+ */
+function hasTypedSignature(node) {
+  if (node.returnType) return true;
+
+  return node.params.some(param =>
+    param.type === 'TSParameterProperty' ||
+    param.typeAnnotation ||
+    param.left?.typeAnnotation
+  );
+}
+
+class CodeAnalyzer {
+  /**
+   * 코드(또는 코드 블록이 포함된 모델 출력) 분석
+   */
+  analyze(code) {
+    const blocks = extractCodeBlocks(code)
+      .filter(block => SCRIPT_LANGUAGES.includes(block.language));
+    const analyses = blocks.map(block => this.analyzeSource(block.code, block.language));
+
+    return this.mergeAnalyses(analyses, code);
+  }
+
+  /**
+   * 단일 소스 분석
+   */
+  analyzeSource(code, language = '') {
+    let ast;
+    try {
+      ast = parseSource(code, language);
+    } catch (error) {
+      return this.createEmptyAnalysis(code, error.message);
+    }
+
+    const analysis = this.createEmptyAnalysis(code);
+    analysis.parsed = true;
+    analysis.parseErrors = [];
+
+    const moduleFrame = { name: '<module>', complexity: 1, depth: 0, maxDepth: 0 };
+    const stack = [moduleFrame];
+    const constructs = analysis.constructs;
+    const hooks = new Set();
+    const callees = new Set();
+    const imports = new Set();
+    const assignedMembers = new Set();
+    const declaredTypes = new Set();
+    let usesVar = false;
+
+    const isElseIf = (node, parent, key) =>
+      node.type === 'IfStatement' && parent?.type === 'IfStatement' && key === 'alternate';
+
+    walk(ast.program, {
+      enter: (node, parent, key) => {
+        const frame = stack[stack.length - 1];
+        analysis.nodeTypes[node.type] = (analysis.nodeTypes[node.type] || 0) + 1;
+
+        if (FUNCTION_TYPES.has(node.type)) {
+          const fn = {
+            name: functionName(node, parent),
+            line: node.loc.start.line,
+            length: node.loc.end.line - node.loc.start.line + 1,
+            params: node.params.length,
+            async: Boolean(node.async),
+            typed: hasTypedSignature(node),
+            complexity: 1,
+            depth: 0,
+            maxDepth: 0
+          };
+          if (fn.async) constructs.asyncAwait = true;
+          if (fn.typed) constructs.typedSignatures = true;
+          stack.push(fn);
+          return;
+        }
+
+        if (BRANCH_TYPES.has(node.type)) frame.complexity++;
+        if (node.type === 'SwitchCase' && node.test) frame.complexity++;
+        if (node.type === 'LogicalExpression') frame.complexity++;
+
+        if (NESTING_TYPES.has(node.type) && !isElseIf(node, parent, key)) {
+          frame.depth++;
+          frame.maxDepth = Math.max(frame.maxDepth, frame.depth);
+        }
+
+        switch (node.type) {
+          case 'AwaitExpression':
+            constructs.asyncAwait = true;
+            break;
+          case 'TryStatement':
+            if (node.handler) constructs.errorHandling = true;
+            break;
+          case 'TSInterfaceDeclaration':
+          case 'TSTypeAliasDeclaration':
+          case 'TSEnumDeclaration':
+            constructs.typeDeclarations = true;
+            declaredTypes.add(node.id.name);
+            break;
+          case 'TSAnyKeyword':
+            analysis.anyTypeCount++;
+            break;
+          case 'JSXElement':
+          case 'JSXFragment':
+            constructs.jsx = true;
+            break;
+          case 'ClassDeclaration':
+          case 'ClassExpression':
+            constructs.classes = true;
+            if (node.id) declaredTypes.add(node.id.name);
+            break;
+          case 'ImportDeclaration':
+            constructs.modules = true;
+            imports.add(node.source.value);
+            break;
+          case 'ExportNamedDeclaration':
+          case 'ExportDefaultDeclaration':
+          case 'ExportAllDeclaration':
+            constructs.modules = true;
+            break;
+          case 'VariableDeclaration':
+            if (node.kind === 'var') usesVar = true;
+            else constructs.blockScopedDeclarations = true;
+            break;
+          case 'CallExpression':
+          case 'OptionalCallExpression': {
+            const name = calleeName(node.callee);
+            if (!name) break;
+            callees.add(name);
+
+            const shortName = name.split('.').pop();
+            if (/^use[A-Z0-9]/.test(shortName)) hooks.add(shortName);
+
+            if (name === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+              constructs.modules = true;
+              imports.add(node.arguments[0].value);
+            }
+            if (['setTimeout', 'setInterval'].includes(name) &&
+                ['StringLiteral', 'TemplateLiteral'].includes(node.arguments[0]?.type)) {
+              analysis.stringTimerCount++;
+            }
+            break;
+          }
+          case 'AssignmentExpression':
+            if (node.left.type === 'MemberExpression' && !node.left.computed) {
+              assignedMembers.add(node.left.property.name);
+            }
+            break;
+          default:
+            break;
+        }
+      },
+
+      exit: (node, parent, key) => {
+        if (FUNCTION_TYPES.has(node.type)) {
+          const fn = stack.pop();
+          analysis.functions.push({
+            name: fn.name,
+            line: fn.line,
+            length: fn.length,
+            params: fn.params,
+            async: fn.async,
+            typed: fn.typed,
+            complexity: fn.complexity,
+            nestingDepth: fn.maxDepth
+          });
+          return;
+        }
+
+        if (NESTING_TYPES.has(node.type) && !isElseIf(node, parent, key)) {
+          stack[stack.length - 1].depth--;
+        }
+      }
+    });
+
+    if (usesVar) constructs.blockScopedDeclarations = false;
+    constructs.reactHooks = [...hooks];
+    constructs.comments = ast.comments.length > 0;
+    constructs.jsdoc = ast.comments.some(comment =>
+      comment.type === 'CommentBlock' && comment.value.startsWith('*')
+    );
+
+    analysis.callees = [...callees];
+    analysis.imports = [...imports];
+    analysis.assignedMembers = [...assignedMembers];
+    analysis.declaredTypes = [...declaredTypes];
+    analysis.moduleComplexity = moduleFrame.complexity;
+    analysis.moduleNestingDepth = moduleFrame.maxDepth;
+    analysis.language = constructs.typeDeclarations || constructs.typedSignatures ? 'typescript'
+      : constructs.jsx ? 'jsx' : 'javascript';
+    analysis.functions.sort((a, b) => a.line - b.line);
+
+    return analysis;
+  }
+
+  /**
+   * 파싱 실패 시에도 동일한 형태를 유지하는 기본 분석 결과
+   */
+  createEmptyAnalysis(code, parseError = null) {
+    return {
+      parsed: false,
+      parseErrors: parseError ? [parseError] : [],
+      language: null,
+      linesOfCode: code.split('\n').filter(line => line.trim().length > 0).length,
+      functions: [],
+      moduleComplexity: 0,
+      moduleNestingDepth: 0,
+      anyTypeCount: 0,
+      stringTimerCount: 0,
+      callees: [],
+      imports: [],
+      assignedMembers: [],
+      declaredTypes: [], // 인터페이스/타입 별칭/열거형/클래스 이름
+      nodeTypes: {}, // AST 노드 타입별 개수 (품질 기준 검사용)
+      constructs: {
+        reactHooks: [],
+        asyncAwait: false,
+        errorHandling: false,
+        typedSignatures: false,
+        typeDeclarations: false,
+        jsx: false,
+        classes: false,
+        modules: false,
+        blockScopedDeclarations: false,
+        comments: false,
+        jsdoc: false
+      }
+    };
+  }
+
+  /**
+   * 블록별 분석 결과 병합 및 요약 지표 계산
+   */
+  mergeAnalyses(analyses, code) {
+    const merged = this.createEmptyAnalysis(code);
+    merged.linesOfCode = 0;
+
+    for (const analysis of analyses) {
+      merged.parsed = merged.parsed || analysis.parsed;
+      merged.parseErrors.push(...analysis.parseErrors);
+      merged.linesOfCode += analysis.linesOfCode;
+      merged.functions.push(...analysis.functions);
+      merged.moduleComplexity += analysis.moduleComplexity;
+      merged.moduleNestingDepth = Math.max(merged.moduleNestingDepth, analysis.moduleNestingDepth);
+      merged.anyTypeCount += analysis.anyTypeCount;
+      merged.stringTimerCount += analysis.stringTimerCount;
+      merged.callees = [...new Set([...merged.callees, ...analysis.callees])];
+      merged.imports = [...new Set([...merged.imports, ...analysis.imports])];
+      merged.assignedMembers = [...new Set([...merged.assignedMembers, ...analysis.assignedMembers])];
+      merged.declaredTypes = [...new Set([...merged.declaredTypes, ...analysis.declaredTypes])];
+      for (const [type, count] of Object.entries(analysis.nodeTypes)) {
+        merged.nodeTypes[type] = (merged.nodeTypes[type] || 0) + count;
+      }
+      merged.language = merged.language === 'typescript' ? merged.language : analysis.language || merged.language;
+
+      for (const [key, value] of Object.entries(analysis.constructs)) {
+        merged.constructs[key] = Array.isArray(value)
+          ? [...new Set([...merged.constructs[key], ...value])]
+          : merged.constructs[key] || value;
+      }
+    }
+
+    const { functions } = merged;
+    const lengths = functions.map(fn => fn.length);
+    const complexities = functions.map(fn => fn.complexity);
+
+    return {
+      ...merged,
+      functionCount: functions.length,
+      averageFunctionLength: lengths.length > 0
+        ? Math.round(lengths.reduce((a, b) => a + b, 0) / lengths.length) : 0,
+      maxFunctionLength: lengths.length > 0 ? Math.max(...lengths) : 0,
+      complexity: merged.moduleComplexity + complexities.reduce((a, b) => a + b, 0),
+      maxComplexity: complexities.length > 0 ? Math.max(...complexities) : merged.moduleComplexity,
+      maxNestingDepth: Math.max(merged.moduleNestingDepth, ...functions.map(fn => fn.nestingDepth)),
+      patterns: this.identifyPatterns(merged.constructs)
+    };
+  }
+
+  /**
+   * 감지된 구문을 사람이 읽을 수 있는 패턴 이름으로 변환
+   */
+  identifyPatterns(constructs) {
+    const patterns = [];
+
+    if (constructs.reactHooks.length > 0) patterns.push('React Hooks');
+    if (constructs.asyncAwait) patterns.push('Async/Await');
+    if (constructs.errorHandling) patterns.push('Error Handling');
+    if (constructs.typeDeclarations || constructs.typedSignatures) patterns.push('TypeScript');
+    if (constructs.jsx) patterns.push('JSX');
+
+    return patterns;
+  }
+}
+
+export { CodeAnalyzer, SCRIPT_LANGUAGES, extractCodeBlocks, parseSource, walk, calleeName };
@@ -0,0 +1,311 @@
+/**
+ * 생성 코드 실행기
+ *
+ * 모델 출력에서 코드 블록을 추출해 구문 검사(JS/TS/JSX/SQL)를 수행하고,
+ * 시나리오가 선언한 테스트 하네스를 시간·메모리 제한이 걸린 자식 프로세스에서
+ * 실행해 functional-correctness 지표의 근거가 되는 통과/실패 수를 수집합니다.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import sqlParser from 'node-sql-parser';
+import { extractCodeBlocks, parseSource } from './code-analyzer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SANDBOX_RUNNER = path.join(__dirname, 'sandbox-runner.js');
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+// Node 22부터 권한 모델 플래그 이름이 --experimental-permission에서 --permission으로 바뀜
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : '--experimental-permission';
+
+// 허용 경로는 경로마다 플래그를 반복해서 지정 (쉼표 목록은 버전에 따라 해석이 다름)
+function permissionArgs(readPaths, writePaths) {
+  return [
+    PERMISSION_FLAG,
+    ...readPaths.map(p => `--allow-fs-read=${p}`),
+    ...writePaths.map(p => `--allow-fs-write=${p}`)
+  ];
+}
+
+const LANGUAGE_ALIASES = {
+  '': 'unknown',
+  js: 'javascript',
+  javascript: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  typescript: 'typescript',
+  tsx: 'tsx',
+  sql: 'sql',
+  postgresql: 'sql',
+  mysql: 'sql',
+  json: 'json'
+};
+
+const SCRIPT_LANGUAGES = ['javascript', 'jsx', 'typescript', 'tsx'];
+// 선행 SQL 주석(--)을 건너뛴 첫 문장이 SQL 키워드로 시작하는지 확인
+const SQL_STATEMENT = /^\s*(--[^\n]*\n\s*)*(CREATE|ALTER|DROP|SELECT|INSERT|UPDATE|DELETE|WITH|BEGIN)\b/i;
+
+const DEFAULT_EXECUTION = {
+  timeout: 10000,
+  memoryLimitMb: 128
+};
+
+/**
+ * 코드 블록 언어 정규화
+ *
+ * 펜스에 언어가 없으면 내용으로 추정합니다 (SQL 문으로 시작하면 sql, 그 외 javascript).
+ */
+function resolveLanguage(block) {
+  const language = LANGUAGE_ALIASES[block.language] || block.language;
+  if (language !== 'unknown') return language;
+
+  return SQL_STATEMENT.test(block.code) ? 'sql' : 'javascript';
+}
+
+/**
+ * 단일 코드 블록 구문 검사
+ *
+ * @returns {{ checked: boolean, valid: boolean, error: string|null }}
+ */
+function checkSyntax(code, language) {
+  try {
+    if (SCRIPT_LANGUAGES.includes(language)) {
+      parseSource(code, language);
+    } else if (language === 'sql') {
+      // PostgreSQL 방언으로 먼저 시도하고 실패하면 MySQL 방언으로 재시도
+      const parser = new sqlParser.Parser();
+      try {
+        parser.astify(code, { database: 'PostgresQL' });
+      } catch (error) {
+        parser.astify(code, { database: 'MySQL' });
+      }
+    } else if (language === 'json') {
+      JSON.parse(code);
+    } else {
+      return { checked: false, valid: false, error: null };
+    }
+    return { checked: true, valid: true, error: null };
+  } catch (error) {
+    return { checked: true, valid: false, error: error.message };
+  }
+}
+
+/**
+ * 실행 전 TS/JSX를 CommonJS 형태의 JavaScript로 변환
+ */
+function transpile(code) {
+  return ts.transpileModule(code, {
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.CommonJS,
+      jsx: ts.JsxEmit.React,
+      esModuleInterop: true
+    }
+  }).outputText;
+}
+
+/**
+ * 최상위 선언 이름 수집 (하네스에 노출할 대상)
+ */
+function collectTopLevelNames(code, language) {
+  const ast = parseSource(code, language);
+  const names = new Set();
+
+  const addPattern = (pattern) => {
+    if (!pattern) return;
+    if (pattern.type === 'Identifier') names.add(pattern.name);
+    if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => addPattern(p.value || p.argument));
+    if (pattern.type === 'ArrayPattern') pattern.elements.forEach(addPattern);
+    if (pattern.type === 'AssignmentPattern') addPattern(pattern.left);
+    if (pattern.type === 'RestElement') addPattern(pattern.argument);
+  };
+
+  for (let statement of ast.program.body) {
+    if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+      statement = statement.declaration;
+    }
+    if (!statement) continue;
+
+    if (['FunctionDeclaration', 'ClassDeclaration'].includes(statement.type) && statement.id) {
+      names.add(statement.id.name);
+    }
+    if (statement.type === 'VariableDeclaration') {
+      statement.declarations.forEach(declaration => addPattern(declaration.id));
+    }
+  }
+
+  return [...names];
+}
+
+class CodeExecutor {
+  constructor(options = {}) {
+    this.defaults = { ...DEFAULT_EXECUTION, ...options };
+  }
+
+  /**
+   * 실행 단계 수행
+   *
+   * @param {object} scenario - 시나리오 (execution 블록은 선택)
+   * @param {string} output - 모델 출력
+   * @returns {Promise<object>} 구문 검사/테스트 결과와 0~100 점수
+   */
+  async execute(scenario, output) {
+    const blocks = extractCodeBlocks(output).map((block, index) => {
+      const language = resolveLanguage(block);
+      return { index, language, code: block.code, ...checkSyntax(block.code, language) };
+    });
+
+    const checked = blocks.filter(block => block.checked);
+    const syntax = {
+      checked: checked.length,
+      passed: checked.filter(block => block.valid).length,
+      failures: checked
+        .filter(block => !block.valid)
+        .map(({ index, language, error }) => ({ block: index, language, error }))
+    };
+
+    const execution = { syntax, tests: null, score: null };
+
+    if (scenario.execution?.harness) {
+      execution.tests = await this.runHarness(scenario, blocks);
+      execution.score = execution.tests.total > 0
+        ? Math.round((execution.tests.passed / execution.tests.total) * 100)
+        : 0;
+    } else {
+      execution.score = syntax.checked > 0 ? Math.round((syntax.passed / syntax.checked) * 100) : 0;
+    }
+
+    return execution;
+  }
+
+  /**
+   * 실행할 소스 선택
+   *
+   * 구문이 유효한 스크립트 블록을 모두 합쳐 보고, 합친 결과가 파싱되지 않으면
+   * (중복 선언 등) 가장 긴 블록 하나만 사용합니다.
+   */
+  selectSource(blocks) {
+    const scripts = blocks.filter(block => SCRIPT_LANGUAGES.includes(block.language) && block.valid);
+    if (scripts.length === 0) return null;
+
+    const combined = scripts.map(block => block.code).join('\n');
+    if (checkSyntax(combined, 'tsx').valid) return combined;
+
+    return scripts.reduce((longest, block) => block.code.length > longest.code.length ? block : longest).code;
+  }
+
+  /**
+   * 하네스를 샌드박스 자식 프로세스에서 실행
+   */
+  async runHarness(scenario, blocks) {
+    const config = { ...this.defaults, ...scenario.execution };
+    const harnessPath = path.resolve(SCENARIOS_DIR, config.harness);
+    const source = this.selectSource(blocks);
+
+    if (!source) {
+      return { passed: 0, failed: 0, total: 0, results: [], error: '실행 가능한 스크립트 블록이 없습니다' };
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-exec-'));
+
+    try {
+      const payloadPath = path.join(workDir, 'payload.json');
+      const resultPath = path.join(workDir, 'result.json');
+
+      await fs.writeFile(payloadPath, JSON.stringify({
+        code: transpile(source),
+        exportNames: collectTopLevelNames(source, 'tsx'),
+        harnessPath,
+        resultPath
+      }));
+
+      const run = await this.spawnSandbox(payloadPath, workDir, harnessPath, config);
+      const report = await fs.readFile(resultPath, 'utf-8').then(JSON.parse).catch(() => null);
+
+      if (!report) {
+        return {
+          passed: 0,
+          failed: 0,
+          total: 0,
+          results: [],
+          error: run.timedOut
+            ? `시간 제한 초과 (${config.timeout}ms)`
+            : `샌드박스 비정상 종료 (코드: ${run.code}, 시그널: ${run.signal}): ${run.stderr.trim().slice(0, 500)}`
+        };
+      }
+
+      return {
+        passed: report.results.filter(r => r.passed).length,
+        failed: report.results.filter(r => !r.passed).length,
+        total: report.results.length,
+        results: report.results,
+        error: report.error || null
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 메모리 상한과 벽시계 타임아웃이 적용된 자식 프로세스 실행
+   *
+   * 권한 모델로 파일 읽기는 실행기·하네스·작업 디렉터리, 쓰기는 작업 디렉터리만 허용하고
+   * 자식 프로세스 생성과 문자열 코드 생성을 막습니다.
+   */
+  spawnSandbox(payloadPath, workDir, harnessPath, config) {
+    return new Promise((resolve) => {
+      const child = spawn(process.execPath, [
+        ...permissionArgs([SANDBOX_RUNNER, harnessPath, workDir], [workDir]),
+        '--disallow-code-generation-from-strings',
+        '--disable-warning=ExperimentalWarning',
+        `--max-old-space-size=${config.memoryLimitMb}`,
+        SANDBOX_RUNNER,
+        payloadPath
+      ], {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, NODE_ENV: 'test' },
+        stdio: ['ignore', 'ignore', 'pipe'],
+        detached: process.platform !== 'win32'
+      });
+
+      let stderr = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          // 하네스가 만든 하위 프로세스까지 종료하기 위해 프로세스 그룹 전체에 시그널 전송
+          process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+        } catch (error) {
+          child.kill('SIGKILL');
+        }
+      }, config.timeout);
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({ code, signal, timedOut, stderr });
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({ code: null, signal: null, timedOut, stderr: error.message });
+      });
+    });
+  }
+}
+
+export { CodeExecutor, checkSyntax, resolveLanguage, transpile, collectTopLevelNames, permissionArgs };
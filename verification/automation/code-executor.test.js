@@ -0,0 +1,76 @@
+/**
+ * CodeExecutor 샌드박스 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CodeExecutor } from './code-executor.js';
+
+const HARNESS = `export default {
+  tests: [{ name: 'add', run: ({ exports, assert }) => assert.equal(exports.add(1, 2), 3) }]
+};
+`;
+
+let tempDir;
+let scenario;
+
+const run = code => new CodeExecutor().runHarness(scenario, [{ language: 'javascript', valid: true, code }]);
+
+beforeAll(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-executor-test-'));
+  const harness = path.join(tempDir, 'add.harness.js');
+  await fs.writeFile(harness, HARNESS);
+  scenario = { execution: { harness, timeout: 10000, memoryLimitMb: 128 } };
+});
+
+afterAll(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('샌드박스 실행', () => {
+  test('생성 코드로 하네스 테스트 실행', async () => {
+    const result = await run('function add(a, b) { return a + b; }');
+
+    expect(result).toMatchObject({ passed: 1, failed: 0, total: 1, error: null });
+  });
+
+  test('파일 쓰기는 실패하고 파일이 만들어지지 않음', async () => {
+    const target = path.join(tempDir, 'pwned');
+    const result = await run(`require('fs').writeFileSync(${JSON.stringify(target)}, 'x');
+function add(a, b) { return a + b; }`);
+
+    expect(result.failed).toBe(1);
+    expect(result.results[0].error).toContain('fs');
+    await expect(fs.access(target)).rejects.toThrow();
+  });
+
+  test.each(['child_process', 'node:fs/promises', 'net', 'http'])('%s 모듈 거부', async (id) => {
+    const result = await run(`require(${JSON.stringify(id)});
+function add(a, b) { return a + b; }`);
+
+    expect(result.failed).toBe(1);
+    expect(result.results[0].error).toBe(`샌드박스에서 사용할 수 없는 모듈입니다: ${id}`);
+  });
+
+  test('process는 환경 변수와 종료 기능이 없는 대역', async () => {
+    const envResult = await run("const add = (a, b) => Object.keys(process.env).join() === 'NODE_ENV' ? a + b : 0;");
+    const exitResult = await run('process.exit(0);\nfunction add(a, b) { return a + b; }');
+    const tickResult = await run('function add(a, b) { let sum; process.nextTick(() => {}); sum = a + b; return sum; }');
+
+    expect(envResult.passed).toBe(1);
+    expect(exitResult.failed).toBe(1);
+    expect(exitResult.results[0].error).toBe('샌드박스에서 사용할 수 없는 기능입니다: process.exit');
+    expect(tickResult.passed).toBe(1);
+  });
+
+  test('문자열 코드 생성과 네트워크 전역 차단', async () => {
+    const evalResult = await run("const add = Function('a', 'b', 'return a + b');");
+    const fetchResult = await run("const add = (a, b) => typeof fetch === 'undefined' ? a + b : 0;");
+
+    expect(evalResult.failed).toBe(1);
+    expect(fetchResult.passed).toBe(1);
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * 예제 동작 검증 (BEFORE/AFTER 모듈)
+ *
+ * 예제는 원본(BEFORE)과 Codex 결과(AFTER)를 각각 실제 모듈로 둡니다.
+ *
+ *   basic/react-component-example.js            BEFORE 모듈
+ *   basic/react-component-example.after.js      AFTER 모듈 (Codex가 변환·생성한 코드)
+ *   basic/test-generation-example.after.test.js AFTER 테스트 (Codex가 생성한 Jest 테스트)
+ *   real-world/e-commerce-api.test.js           예제 API의 Jest 테스트 (*.test.js)
+ *
+ * 두 모듈이 모두 로드되는지 확인하고, 생성된 Jest 테스트를 시간 제한이 걸린 자식 프로세스에서
+ * 실행하며, React 컴포넌트는 같은 시나리오로 BEFORE/AFTER를 렌더링해 결과가 같은지 비교합니다.
+ * 필요한 패키지(jest, react-test-renderer, 예제가 쓰는 express 등)가 설치되지 않았으면 검사를 건너뛰지
+ * 않고 실패로 기록합니다. 의존성이 빠진 환경에서 검증이 통과한 것처럼 보이지 않도록 하기 위함입니다.
+ * (루트에서 npm install로 설치)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { transpile } from './code-executor.js';
+import { runWithDeadline } from './retry-policy.js';
+
+const AFTER_SUFFIX = '.after.js';
+const TEST_SUFFIX = '.test.js';
+
+const BEHAVIOR_DEFAULTS = {
+  jestTimeout: 60000,
+  renderTimeout: 10000
+};
+
+// 렌더링 비교용 가짜 API 응답 (userId 404는 없는 사용자, 500은 요청 실패)
+const RENDER_USERS = {
+  1: { id: 1, name: 'Kim Minsu', email: 'minsu@example.com' },
+  2: { id: 2, name: 'Lee Jiwon', email: 'jiwon@example.com' }
+};
+const FAILING_USER_ID = 500;
+
+// 두 컴포넌트에 같은 순서로 적용하는 렌더링 단계
+const RENDER_STEPS = [
+  { label: '마운트 (userId=1)', props: { userId: 1 }, expectText: RENDER_USERS[1].name },
+  { label: 'userId 변경 (1 → 2)', props: { userId: 2 }, expectText: RENDER_USERS[2].name },
+  { label: '없는 사용자 (userId=404)', props: { userId: 404 } },
+  { label: '요청 실패 (userId=500)', props: { userId: FAILING_USER_ID } },
+  { label: '재조회 후 버튼 클릭', props: { userId: 1 }, click: true }
+];
+
+const pass = (label, detail = null) => ({ label, status: 'pass', detail });
+const fail = (label, detail) => ({ label, status: 'fail', detail });
+const skip = (label, detail) => ({ label, status: 'skip', detail });
+const missingDependency = (label, name) => fail(label, `의존성 미설치: ${name} (npm install 필요)`);
+
+/**
+ * 설치되지 않은 패키지 이름 (상대 경로 모듈을 못 찾은 경우는 null)
+ */
+function missingPackage(error) {
+  if (error?.code !== 'MODULE_NOT_FOUND') return null;
+  const specifier = error.message.match(/Cannot find module '([^']+)'/)?.[1];
+  return specifier && !specifier.startsWith('.') && !path.isAbsolute(specifier) ? specifier : null;
+}
+
+/**
+ * BEFORE 모듈에 대응하는 AFTER 모듈 찾기
+ *
+ * @param {string} relativePath - BEFORE 모듈 (examples/ 기준)
+ * @param {string[]} files - 탐색된 예제 파일 전체
+ * @returns {string|null}
+ */
+function findAfterModule(relativePath, files) {
+  if (relativePath.endsWith(AFTER_SUFFIX) || relativePath.endsWith(TEST_SUFFIX)) return null;
+
+  const after = `${relativePath.slice(0, -path.extname(relativePath).length)}${AFTER_SUFFIX}`;
+  return files.includes(after) ? after : null;
+}
+
+/**
+ * Jest 테스트 파일인지 (*.test.js, AFTER 테스트 포함)
+ */
+function isTestFile(relativePath) {
+  return relativePath.endsWith(TEST_SUFFIX);
+}
+
+/**
+ * 예제 모듈 로드
+ *
+ * ESM/JSX 예제도 CommonJS로 트랜스파일해 평가합니다. 패키지는 예제 파일 위치 기준으로 찾고,
+ * globals로 fetch 같은 전역 값을 주입할 수 있습니다.
+ *
+ * @returns {object} module.exports (export default는 default 속성)
+ */
+async function loadExampleModule(filePath, globals = {}) {
+  const code = await fs.readFile(filePath, 'utf-8');
+  const module = { exports: {} };
+  const require = createRequire(filePath);
+
+  const factory = new Function('module', 'exports', 'require', '__filename', '__dirname', ...Object.keys(globals), transpile(code));
+  factory(module, module.exports, require, filePath, path.dirname(filePath), ...Object.values(globals));
+  return module.exports;
+}
+
+/**
+ * BEFORE/AFTER 모듈 로드 검사
+ */
+async function checkModuleLoads(examplesDir, files) {
+  return Promise.all(files.map(async ({ role, file }) => {
+    const label = `모듈 로드 (${role})`;
+    try {
+      await loadExampleModule(path.join(examplesDir, file));
+      return pass(label, file);
+    } catch (error) {
+      const missing = missingPackage(error);
+      return missing ? missingDependency(label, missing) : fail(label, `${file}: ${error.message}`);
+    }
+  }));
+}
+
+/**
+ * Jest 실패 메시지 요약 (색상 코드와 스택 제거)
+ */
+function summarizeFailure(message = '') {
+  const lines = message.replace(/\u001b\[[0-9;]*m/g, '').split('\n');
+  const stackStart = lines.findIndex(line => /^\s+at /.test(line));
+  return lines.slice(0, stackStart === -1 ? undefined : stackStart)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join(' ')
+    .slice(0, 300);
+}
+
+/**
+ * 생성된 Jest 테스트 실행
+ *
+ * 설정 파일 탐색 없이 인라인 설정으로 한 번에 실행하고, --json 결과를 테스트별 검사로 변환합니다.
+ *
+ * @param {string[]} testFiles - examples/ 기준 테스트 파일 경로
+ * @returns {Promise<Object<string, object[]>>} 테스트 파일별 검사 목록
+ */
+async function runJestTests(examplesDir, testFiles, { timeout = BEHAVIOR_DEFAULTS.jestTimeout } = {}) {
+  const forAll = check => Object.fromEntries(testFiles.map(file => [file, [check]]));
+  if (testFiles.length === 0) return {};
+
+  let jestBin;
+  try {
+    jestBin = createRequire(path.join(examplesDir, testFiles[0])).resolve('jest/bin/jest');
+  } catch (error) {
+    return forAll(missingDependency('Jest 테스트', 'jest'));
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-jest-'));
+
+  try {
+    const outputFile = path.join(workDir, 'result.json');
+    const config = {
+      rootDir: examplesDir,
+      testMatch: [`**/*${TEST_SUFFIX}`],
+      testEnvironment: 'node',
+      cacheDirectory: path.join(workDir, 'cache'),
+      watchman: false
+    };
+
+    const run = await spawnWithTimeout(process.execPath, [
+      jestBin,
+      '--ci',
+      '--runInBand',
+      '--json',
+      `--outputFile=${outputFile}`,
+      `--config=${JSON.stringify(config)}`,
+      '--runTestsByPath',
+      ...testFiles.map(file => path.join(examplesDir, file))
+    ], { cwd: examplesDir, timeout });
+
+    const report = await fs.readFile(outputFile, 'utf-8').then(JSON.parse).catch(() => null);
+    if (!report) {
+      return forAll(fail('Jest 테스트', run.timedOut
+        ? `시간 제한 초과 (${timeout}ms)`
+        : `Jest 비정상 종료 (코드: ${run.code}): ${summarizeFailure(run.stderr.slice(-1000))}`));
+    }
+
+    const checks = forAll(fail('Jest 테스트', 'Jest 결과에 포함되지 않았습니다'));
+    for (const suite of report.testResults) {
+      const file = path.relative(examplesDir, suite.name).split(path.sep).join('/');
+
+      // 모듈 로드 실패 등으로 테스트가 하나도 실행되지 않은 파일
+      checks[file] = suite.assertionResults.length === 0
+        ? [fail('Jest 테스트', summarizeFailure(suite.message) || '실행된 테스트가 없습니다')]
+        : suite.assertionResults.map(({ fullName, status, failureMessages }) => {
+          const label = `Jest: ${fullName}`;
+          if (status === 'passed') return pass(label);
+          if (status === 'failed') return fail(label, summarizeFailure(failureMessages[0]));
+          return skip(label, status);
+        });
+    }
+    return checks;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 벽시계 타임아웃이 적용된 자식 프로세스 실행 (시간 초과 시 프로세스 그룹 종료)
+ */
+function spawnWithTimeout(command, args, { cwd, timeout }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, NODE_ENV: 'test' },
+      stdio: ['ignore', 'ignore', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, timeout);
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, timedOut, stderr });
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ code: null, signal: null, timedOut, stderr: error.message });
+    });
+  });
+}
+
+/**
+ * 응답 시점을 직접 제어하는 fetch 대역
+ *
+ * 요청은 settle()을 호출할 때까지 대기하므로 로딩 화면과 응답 후 화면을 모두 비교할 수 있습니다.
+ */
+function createFetchStub() {
+  const calls = [];
+  const pending = [];
+
+  const fetch = (url) => {
+    calls.push(url);
+    return new Promise((resolve, reject) => {
+      pending.push(() => {
+        const id = Number(String(url).split('/').pop());
+        if (id === FAILING_USER_ID) reject(new Error('Internal Server Error'));
+        else resolve({ ok: true, status: 200, json: async () => RENDER_USERS[id] ?? null });
+      });
+    });
+  };
+
+  return { fetch, calls, settle: () => pending.splice(0).forEach(respond => respond()) };
+}
+
+/**
+ * 컴포넌트를 RENDER_STEPS 순서로 렌더링하고 단계별 화면(JSON)을 기록
+ */
+async function renderTimeline(filePath, renderer) {
+  const { React, TestRenderer } = renderer;
+  const { act } = TestRenderer;
+  const stub = createFetchStub();
+  const exports = await loadExampleModule(filePath, { fetch: stub.fetch });
+  const Component = exports.default || exports;
+  if (typeof Component !== 'function') {
+    throw new Error(`${path.basename(filePath)}에 default export 컴포넌트가 없습니다`);
+  }
+
+  let root;
+  const snapshot = () => JSON.stringify(root.toJSON());
+  // 비동기 응답 처리(fetch → json → setState)가 끝날 때까지 대기
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const timeline = [];
+
+  for (const step of RENDER_STEPS) {
+    await act(async () => {
+      const element = React.createElement(Component, step.props);
+      if (root) root.update(element);
+      else root = TestRenderer.create(element);
+    });
+    const pending = snapshot();
+
+    await act(async () => {
+      stub.settle();
+      await flush();
+    });
+    const views = [pending, snapshot()];
+
+    if (step.click) {
+      await act(async () => {
+        root.root.findByType('button').props.onClick();
+        await flush();
+      });
+      views.push(snapshot());
+    }
+
+    timeline.push({ views, calls: stub.calls.splice(0) });
+  }
+
+  root.unmount();
+  return timeline;
+}
+
+/**
+ * React 컴포넌트 렌더링 동등성 검사 (BEFORE/AFTER)
+ */
+async function checkRenderEquivalence(examplesDir, beforeFile, afterFile, { timeout = BEHAVIOR_DEFAULTS.renderTimeout } = {}) {
+  const require = createRequire(path.join(examplesDir, beforeFile));
+  let renderer;
+  try {
+    renderer = { React: require('react'), TestRenderer: require('react-test-renderer') };
+  } catch (error) {
+    return [missingDependency('렌더링 동등성', missingPackage(error) || error.message)];
+  }
+
+  const previousActEnvironment = globalThis.IS_REACT_ACT_ENVIRONMENT;
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+  try {
+    const render = file => runWithDeadline(
+      () => renderTimeline(path.join(examplesDir, file), renderer),
+      { timeout, label: `${file} 렌더링` }
+    );
+    const before = await render(beforeFile);
+    const after = await render(afterFile);
+
+    return RENDER_STEPS.map((step, index) => {
+      const label = `렌더링 동등성: ${step.label}`;
+      const expected = before[index];
+      const actual = after[index];
+
+      const view = expected.views.findIndex((json, i) => json !== actual.views[i]);
+      if (view !== -1) {
+        const stage = ['응답 전', '응답 후', '클릭 후'][view];
+        return fail(label, `${stage} 화면 불일치 - BEFORE: ${expected.views[view]} / AFTER: ${actual.views[view]}`);
+      }
+      if (JSON.stringify(expected.calls) !== JSON.stringify(actual.calls)) {
+        return fail(label, `요청 불일치 - BEFORE: ${expected.calls.join(', ') || '없음'} / AFTER: ${actual.calls.join(', ') || '없음'}`);
+      }
+      if (step.expectText && !expected.views[1].includes(step.expectText)) {
+        return fail(label, `응답 후 화면에 "${step.expectText}"가 없습니다: ${expected.views[1]}`);
+      }
+      return pass(label, `요청 ${expected.calls.length}회, 화면 ${expected.views.length}개 일치`);
+    });
+  } catch (error) {
+    const missing = missingPackage(error);
+    return missing
+      ? [missingDependency('렌더링 동등성', missing)]
+      : [fail('렌더링 동등성', error.message)];
+  } finally {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = previousActEnvironment;
+  }
+}
+
+// BEFORE/AFTER 동등성 검사가 필요한 예제 (examples/ 기준)
+const EQUIVALENCE_CHECKS = {
+  'basic/react-component-example.js': checkRenderEquivalence
+};
+
+/**
+ * 예제 하나의 동작 검사 (모듈 로드, 렌더링 동등성)
+ *
+ * Jest 테스트는 프로세스 기동 비용 때문에 runJestTests로 한 번에 실행합니다.
+ *
+ * @returns {Promise<object[]>} 검사 목록 (AFTER 모듈이 없으면 빈 배열)
+ */
+async function verifyBehavior(examplesDir, relativePath, files, options = {}) {
+  const after = findAfterModule(relativePath, files);
+  if (!after) return [];
+
+  const checks = await checkModuleLoads(examplesDir, [
+    { role: 'BEFORE', file: relativePath },
+    { role: 'AFTER', file: after }
+  ]);
+  if (checks.some(check => check.status !== 'pass')) return checks;
+
+  const equivalence = EQUIVALENCE_CHECKS[relativePath];
+  return equivalence ? [...checks, ...await equivalence(examplesDir, relativePath, after, options)] : checks;
+}
+
+export {
+  AFTER_SUFFIX,
+  TEST_SUFFIX,
+  BEHAVIOR_DEFAULTS,
+  RENDER_STEPS,
+  EQUIVALENCE_CHECKS,
+  findAfterModule,
+  isTestFile,
+  loadExampleModule,
+  runJestTests,
+  checkRenderEquivalence,
+  verifyBehavior
+};
@@ -0,0 +1,131 @@
+/**
+ * 벤치마크 실행 이력 저장소
+ *
+ * 실행이 끝날 때마다 시나리오×프로바이더별 요약을 JSONL 파일에 한 줄씩 추가합니다.
+ * 각 기록은 실행 ID, git 커밋, 프로바이더, Codex 버전으로 구분되며 trend 리포트
+ * (trend-report.js)의 입력이 됩니다. 같은 날 여러 번 실행해도 이전 기록은 지워지지 않습니다.
+ *
+ * 기록 형식 (한 줄 = 한 시나리오 결과):
+ *
+ *   {"runId":"20261019T163101Z-a3f9","timestamp":"...","gitCommit":"026d515...","gitDirty":false,
+ *    "codexVersion":"codex-cli 0.1.0","provider":"simulator","scenario":"bug-fixing","success":true,
+ *    "successRate":100,"averageResponseTime":812,"metrics":{"code-quality":78.3},"totalTokens":1520,"totalCost":0}
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { execSync } from 'child_process';
+
+const HISTORY_FILE = 'history.jsonl';
+
+/**
+ * 실행 ID 생성 (UTC 시각 + 임의 접미사, 예: 20261019T163101Z-a3f9)
+ */
+function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * 현재 git 커밋 정보 (git 저장소가 아니면 commit이 null)
+ */
+function getGitInfo(cwd = process.cwd()) {
+  const git = args => execSync(`git ${args}`, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+  try {
+    return {
+      commit: git('rev-parse HEAD'),
+      branch: git('rev-parse --abbrev-ref HEAD'),
+      dirty: git('status --porcelain --untracked-files=no') !== ''
+    };
+  } catch (error) {
+    return { commit: null, branch: null, dirty: false };
+  }
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+class HistoryStore {
+  /**
+   * @param {string} filePath - JSONL 파일 경로
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * 벤치마크 결과를 시나리오별 기록으로 변환
+   */
+  toRecords(results) {
+    const { runId, timestamp, environment = {} } = results;
+
+    return Object.entries(results.scenarios).map(([key, result]) => {
+      const metrics = {};
+      for (const [name, summary] of Object.entries(result.metrics || {})) {
+        if (typeof summary?.average === 'number') metrics[name] = round(summary.average);
+      }
+
+      return {
+        runId,
+        timestamp,
+        gitCommit: environment.git?.commit ?? null,
+        gitDirty: environment.git?.dirty ?? false,
+        codexVersion: environment.codexVersion ?? null,
+        provider: result.provider ?? null,
+        // 프로바이더가 여러 개면 결과 키가 "시나리오@프로바이더"
+        scenario: result.provider && key.endsWith(`@${result.provider}`)
+          ? key.slice(0, -(result.provider.length + 1))
+          : key,
+        success: Boolean(result.success),
+        successRate: result.successRate ?? 0,
+        averageResponseTime: result.averageResponseTime ?? null,
+        metrics,
+        totalTokens: result.usage?.totalTokens ?? null,
+        totalCost: result.usage?.totalCost ?? null,
+        error: result.error
+      };
+    });
+  }
+
+  /**
+   * 실행 결과 추가
+   *
+   * @returns {Promise<number>} 추가한 기록 수
+   */
+  async append(results) {
+    const records = this.toRecords(results);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    return records.length;
+  }
+
+  /**
+   * 기록 전체 로드 (시각 순 정렬, 손상된 줄은 경고 후 건너뜀)
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`실행 이력이 없습니다 (${this.filePath}). 벤치마크를 먼저 실행하세요`);
+      }
+      throw new Error(`실행 이력을 읽을 수 없습니다 (${this.filePath}): ${error.message}`);
+    }
+
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ 실행 이력 ${index + 1}번째 줄을 건너뜁니다: ${error.message}`);
+      }
+    });
+
+    return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+}
+
+export { HISTORY_FILE, HistoryStore, createRunId, getGitInfo };
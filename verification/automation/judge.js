@@ -0,0 +1,212 @@
+/**
+ * LLM 판정(LLM-as-judge) 평가기
+ *
+ * 시나리오 출력과 루브릭을 채점용 프로바이더(grader)에 보내고, 돌아온 JSON 판정에서
+ * 기준별 점수와 근거를 읽어 0~100으로 정규화합니다. 루브릭 기준에 metric이 있으면
+ * 같은 반복의 휴리스틱 지표와 나란히 비교해 일치도를 리포트에 기록합니다.
+ *
+ * 루브릭 파일 (verification/rubrics/*.json):
+ *
+ *   {
+ *     "name": "React 컴포넌트 변환",
+ *     "scale": { "min": 0, "max": 10 },
+ *     "criteria": [
+ *       { "id": "code-quality", "metric": "code-quality", "weight": 2, "description": "..." },
+ *       { "id": "hooks-usage", "description": "..." }
+ *     ]
+ *   }
+ *
+ * 시나리오의 rubric 필드 → <시나리오 id>.json → default.json 순서로 찾습니다.
+ * 판정 실패(호출 오류, JSON 형식 오류)는 반복을 실패시키지 않고 error로 기록합니다.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RUBRICS_DIR = path.join(__dirname, '..', 'rubrics');
+const DEFAULT_RUBRIC = 'default';
+const DEFAULT_SCALE = { min: 0, max: 10 };
+
+// 모의 채점기(mock-grader.js)가 루브릭과 평가 대상을 찾을 때 쓰는 표식
+const RUBRIC_MARKER = 'Rubric (JSON): ';
+const CANDIDATE_MARKER = 'Candidate output:\n';
+
+/**
+ * 루브릭 구조 검증
+ *
+ * @returns {string[]} 오류 메시지 목록
+ */
+function validateRubric(rubric) {
+  const errors = [];
+  if (!Array.isArray(rubric?.criteria) || rubric.criteria.length === 0) {
+    return ['criteria: 기준이 1개 이상 필요합니다'];
+  }
+
+  const scale = { ...DEFAULT_SCALE, ...rubric.scale };
+  if (typeof scale.min !== 'number' || typeof scale.max !== 'number' || scale.min >= scale.max) {
+    errors.push(`scale: min < max인 숫자여야 합니다 (현재: ${JSON.stringify(rubric.scale)})`);
+  }
+
+  const ids = new Set();
+  rubric.criteria.forEach((criterion, index) => {
+    if (typeof criterion.id !== 'string' || !criterion.id) errors.push(`criteria[${index}].id: 필수 필드가 누락되었습니다`);
+    if (typeof criterion.description !== 'string') errors.push(`criteria[${index}].description: 필수 필드가 누락되었습니다`);
+    if (criterion.weight !== undefined && !(criterion.weight > 0)) errors.push(`criteria[${index}].weight: 0보다 커야 합니다`);
+    if (ids.has(criterion.id)) errors.push(`criteria[${index}].id: 중복된 기준 (${criterion.id})`);
+    ids.add(criterion.id);
+  });
+
+  return errors;
+}
+
+/**
+ * 판정 텍스트에서 JSON 객체 추출 (```json 블록 또는 첫 { ~ 마지막 })
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    throw new Error(`판정 응답이 JSON이 아닙니다: ${error.message}`);
+  }
+}
+
+class JudgeEvaluator {
+  /**
+   * @param {object} options
+   * @param {object} options.provider - 채점용 프로바이더 (providers.js 인터페이스)
+   * @param {string} [options.rubricDir] - 루브릭 디렉터리
+   */
+  constructor({ provider, rubricDir = RUBRICS_DIR }) {
+    this.provider = provider;
+    this.rubricDir = rubricDir;
+  }
+
+  /**
+   * 시나리오 루브릭 로드
+   */
+  async loadRubric(scenarioId, scenario) {
+    const candidates = scenario.rubric
+      ? [scenario.rubric.endsWith('.json') ? scenario.rubric : `${scenario.rubric}.json`]
+      : [`${scenarioId}.json`, `${DEFAULT_RUBRIC}.json`];
+
+    for (const file of candidates) {
+      const filePath = path.join(this.rubricDir, file);
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        if (error.code === 'ENOENT' && !scenario.rubric) continue;
+        throw new Error(`루브릭을 읽을 수 없습니다 (${filePath}): ${error.message}`);
+      }
+
+      let rubric;
+      try {
+        rubric = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`루브릭 JSON 파싱 실패 (${filePath}): ${error.message}`);
+      }
+
+      const errors = validateRubric(rubric);
+      if (errors.length > 0) {
+        throw new Error(`루브릭 형식 오류 (${filePath}): ${errors.join('; ')}`);
+      }
+      return { name: rubric.name || path.basename(file, '.json'), ...rubric, scale: { ...DEFAULT_SCALE, ...rubric.scale } };
+    }
+
+    throw new Error(`루브릭이 없습니다: ${candidates.map(file => path.join(this.rubricDir, file)).join(', ')}`);
+  }
+
+  /**
+   * 채점 요청 구성 (prompt: 지시와 루브릭, context: 과제와 평가 대상 출력)
+   */
+  buildRequest(scenario, output, rubric) {
+    const { min, max } = rubric.scale;
+    const criteria = rubric.criteria.map(({ id, description }) => ({ id, description }));
+    const task = scenario.turns
+      ? scenario.turns.map((turn, index) => `${index + 1}. ${turn.prompt}`).join('\n')
+      : scenario.prompt;
+
+    const prompt = [
+      'You are a strict senior code reviewer grading the output of a code generation model.',
+      `Score each rubric criterion from ${min} (worst) to ${max} (best) based only on the candidate output.`,
+      'Respond with a single JSON object and nothing else:',
+      `{"scores": {"<criterion id>": {"score": <number>, "rationale": "<one or two sentences>"}}, "summary": "<overall assessment>"}`,
+      `${RUBRIC_MARKER}${JSON.stringify({ scale: rubric.scale, criteria })}`
+    ].join('\n');
+
+    const context = [
+      `Task given to the model:\n${task}`,
+      scenario.context ? `Original input:\n${scenario.context}` : null,
+      `${CANDIDATE_MARKER}${output}`
+    ].filter(Boolean).join('\n\n');
+
+    return { prompt, context };
+  }
+
+  /**
+   * 판정 응답 파싱 및 0~100 정규화
+   */
+  parseVerdict(text, rubric) {
+    const verdict = extractJson(text);
+    const { min, max } = rubric.scale;
+
+    const criteria = rubric.criteria.map(({ id, metric, weight = 1 }) => {
+      const entry = verdict.scores?.[id];
+      const raw = typeof entry === 'number' ? entry : entry?.score;
+      if (typeof raw !== 'number' || raw < min || raw > max) {
+        throw new Error(`판정 점수 오류: ${id} (${min}~${max} 숫자 필요, 현재: ${JSON.stringify(raw)})`);
+      }
+
+      return {
+        id,
+        metric: metric || null,
+        weight,
+        raw,
+        score: Math.round(((raw - min) / (max - min)) * 100),
+        rationale: entry?.rationale || ''
+      };
+    });
+
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    return {
+      criteria,
+      overall: Math.round(criteria.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / totalWeight),
+      summary: typeof verdict.summary === 'string' ? verdict.summary : ''
+    };
+  }
+
+  /**
+   * 출력 채점
+   *
+   * @returns {Promise<object>} { grader, rubric, criteria, overall, summary, durationMs } 또는 { grader, rubric, error }
+   */
+  async evaluate(scenario, output, rubric, { timeout, signal } = {}) {
+    const startTime = Date.now();
+    const base = { grader: this.provider.label, rubric: rubric.name };
+
+    try {
+      const { prompt, context } = this.buildRequest(scenario, output, rubric);
+      const response = await this.provider.generate({ prompt, context, timeout, signal });
+      return { ...base, ...this.parseVerdict(response.output, rubric), durationMs: Date.now() - startTime };
+    } catch (error) {
+      console.warn(`⚖️ 판정 실패 (${this.provider.label}): ${error.message}`);
+      return { ...base, error: error.message, durationMs: Date.now() - startTime };
+    }
+  }
+}
+
+export {
+  RUBRICS_DIR,
+  RUBRIC_MARKER,
+  CANDIDATE_MARKER,
+  JudgeEvaluator,
+  validateRubric,
+  extractJson
+};
@@ -0,0 +1,108 @@
+/**
+ * 로컬 모의 채점기
+ *
+ * 판정 단계(judge.js)를 네트워크나 API 키 없이 검증하기 위한 결정적 채점기입니다.
+ * 평가 대상 코드를 CodeAnalyzer로 분석해 파싱 여부, 오류 처리, 주석, 복잡도, 중첩 깊이로
+ * 점수를 매기고 judge.js가 요구하는 JSON 판정을 돌려줍니다. 같은 출력이면 항상 같은 점수입니다.
+ *
+ *   node benchmark-runner.js --simulate --judge mock-grader
+ *   node mock-openai-server.js --grader   (openai-http 채점 경로 검증용)
+ */
+
+import { CodeAnalyzer } from './code-analyzer.js';
+import { RUBRIC_MARKER, CANDIDATE_MARKER } from './judge.js';
+
+// 문서화·가독성 기준으로 보고 주석 신호를 두 배로 반영할 기준 id
+const DOCUMENTATION_CRITERION = /maint|readab|document|doc/i;
+
+/**
+ * 평가 대상 코드의 0~10 점수와 근거
+ */
+function gradeCode(analysis, criterionId) {
+  if (!analysis.parsed) {
+    return { score: 1, reasons: ['코드를 파싱할 수 없음'] };
+  }
+
+  let score = 6;
+  const reasons = ['파싱 가능'];
+  const documentationWeight = DOCUMENTATION_CRITERION.test(criterionId) ? 2 : 1;
+
+  if (analysis.constructs.errorHandling) {
+    score += 1;
+    reasons.push('오류 처리 있음');
+  }
+  if (analysis.constructs.jsdoc || analysis.constructs.comments) {
+    score += documentationWeight;
+    reasons.push('주석/문서 있음');
+  }
+  if (analysis.maxComplexity <= 5) {
+    score += 1;
+    reasons.push(`최대 복잡도 ${analysis.maxComplexity}`);
+  } else if (analysis.maxComplexity > 10) {
+    score -= 2;
+    reasons.push(`최대 복잡도 ${analysis.maxComplexity} (높음)`);
+  }
+  if (analysis.maxNestingDepth > 4) {
+    score -= 1;
+    reasons.push(`중첩 깊이 ${analysis.maxNestingDepth} (깊음)`);
+  }
+
+  return { score: Math.max(0, Math.min(10, score)), reasons };
+}
+
+/**
+ * 채점 요청(prompt, context)에 대한 JSON 판정 생성
+ */
+function mockGrade(prompt, context = '') {
+  const rubricLine = prompt.split('\n').find(line => line.startsWith(RUBRIC_MARKER));
+  if (!rubricLine) {
+    throw new Error('모의 채점기: 요청에 루브릭이 없습니다');
+  }
+
+  const { scale, criteria } = JSON.parse(rubricLine.slice(RUBRIC_MARKER.length));
+  const markerIndex = context.indexOf(CANDIDATE_MARKER);
+  const candidate = markerIndex === -1 ? context : context.slice(markerIndex + CANDIDATE_MARKER.length);
+  const analysis = new CodeAnalyzer().analyze(candidate);
+
+  const scores = {};
+  for (const { id } of criteria) {
+    const { score, reasons } = gradeCode(analysis, id);
+    scores[id] = {
+      score: Math.round((scale.min + ((scale.max - scale.min) * score) / 10) * 10) / 10,
+      rationale: reasons.join(', ')
+    };
+  }
+
+  return JSON.stringify({
+    scores,
+    summary: `모의 채점: 함수 ${analysis.functionCount}개, 코드 ${analysis.linesOfCode}줄`
+  });
+}
+
+/**
+ * mock-openai-server용 응답 함수 (마지막 user 메시지에서 지시와 평가 대상 분리)
+ */
+function mockGradeMessages(messages) {
+  const content = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  // OpenAIHttpProvider는 context를 "\n\n```\n...\n```"로 감싸서 보냄
+  const separator = content.indexOf('\n\n```\n');
+  if (separator === -1) return mockGrade(content);
+
+  return mockGrade(content.slice(0, separator), content.slice(separator + 5).replace(/\n```$/, ''));
+}
+
+/**
+ * 모의 채점 프로바이더 (--judge mock-grader)
+ */
+class MockGraderProvider {
+  constructor(options = {}) {
+    this.type = 'mock-grader';
+    this.label = options.label || this.type;
+  }
+
+  async generate({ prompt, context }) {
+    return { output: mockGrade(prompt, context) };
+  }
+}
+
+export { MockGraderProvider, mockGrade, mockGradeMessages };
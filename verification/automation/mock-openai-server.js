@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * 로컬 OpenAI 호환 대체 서버
+ *
+ * /v1/chat/completions 요청에 시뮬레이터 응답을 돌려주는 최소한의 HTTP 서버입니다.
+ * openai-http 프로바이더를 네트워크나 API 키 없이 검증할 때 사용합니다.
+ * stream: true 요청에는 서버 전송 이벤트(SSE)로 나눠 보내고, 토큰 사용량(usage)은 추정값을 보고합니다.
+ *
+ *   node mock-openai-server.js --port 8787
+ *   node benchmark-runner.js --provider openai-http:baseUrl=http://localhost:8787/v1
+ *
+ * --grader로 실행하면 코드 대신 모의 채점기(mock-grader.js)의 JSON 판정을 돌려줍니다.
+ *
+ *   node mock-openai-server.js --port 8788 --grader
+ *   node benchmark-runner.js --judge openai-http:baseUrl=http://localhost:8788/v1
+ *
+ * --fail-first N으로 실행하면 처음 N개 요청에 --fail-status 상태(기본 503, 429면 Retry-After 포함)로
+ * 응답해 러너의 재시도 경로를 검증할 수 있습니다.
+ *
+ *   node mock-openai-server.js --fail-first 2 --fail-status 429
+ */
+
+import http from 'http';
+import { simulateResponse } from './providers.js';
+import { estimateTokens } from './token-usage.js';
+import { mockGradeMessages } from './mock-grader.js';
+
+// 스트리밍 응답 조각 크기 (문자 수)
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * 요청 본문 JSON 파싱
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, payload) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(payload));
+}
+
+/**
+ * 스트리밍 응답 전송 (내용 조각 → 사용량 → [DONE])
+ */
+function sendStream(response, base, content, usage) {
+  response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = payload => response.write(`data: ${JSON.stringify({ ...base, object: 'chat.completion.chunk', ...payload })}\n\n`);
+
+  for (let index = 0; index < content.length; index += STREAM_CHUNK_SIZE) {
+    send({ choices: [{ index: 0, delta: { content: content.slice(index, index + STREAM_CHUNK_SIZE) }, finish_reason: null }] });
+  }
+  send({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  if (usage) send({ choices: [], usage });
+
+  response.end('data: [DONE]\n\n');
+}
+
+/**
+ * 대체 서버 시작
+ *
+ * @param {object} options
+ * @param {number} [options.port=8787] - 수신 포트 (0이면 임의 포트)
+ * @param {(messages: object[]) => string} [options.respond] - 응답 생성 함수
+ * @param {number} [options.failFirst=0] - 실패로 응답할 처음 요청 수
+ * @param {number} [options.failStatus=503] - 실패 응답 상태 코드
+ * @returns {Promise<{ server: http.Server, url: string, close: () => Promise<void> }>}
+ */
+function startMockServer({ port = 8787, respond, failFirst = 0, failStatus = 503 } = {}) {
+  let failuresLeft = failFirst;
+
+  const generate = respond || ((messages) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    // 프롬프트 부분(컨텍스트 코드 블록 이전)만 키워드 매칭에 사용
+    const prompt = (lastUserMessage?.content || '').split('\n\n```')[0];
+    return simulateResponse(prompt);
+  });
+
+  const server = http.createServer(async (request, response) => {
+    if (request.method !== 'POST' || !request.url.endsWith('/chat/completions')) {
+      return sendJson(response, 404, { error: { message: 'Not found' } });
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      if (failStatus === 429) response.setHeader('Retry-After', '1');
+      return sendJson(response, failStatus, { error: { message: `Simulated failure (${failStatus})` } });
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(request);
+    } catch (error) {
+      return sendJson(response, 400, { error: { message: `Invalid JSON: ${error.message}` } });
+    }
+
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    let content;
+    try {
+      content = await generate(messages, body);
+    } catch (error) {
+      return sendJson(response, 500, { error: { message: error.message } });
+    }
+
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+    const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    const base = {
+      id: `chatcmpl-mock-${Date.now()}`,
+      created: Math.floor(Date.now() / 1000),
+      model: body.model || 'mock'
+    };
+
+    if (body.stream) {
+      return sendStream(response, base, content, body.stream_options?.include_usage ? usage : null);
+    }
+
+    sendJson(response, 200, {
+      ...base,
+      object: 'chat.completion',
+      usage,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }]
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        server,
+        url: `http://127.0.0.1:${actualPort}/v1`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+// 메인 실행
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const option = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+  };
+  const port = option('--port', 8787);
+
+  const grader = process.argv.includes('--grader');
+
+  startMockServer({
+    port,
+    respond: grader ? mockGradeMessages : undefined,
+    failFirst: option('--fail-first', 0),
+    failStatus: option('--fail-status', 503)
+  }).then(({ url }) => {
+    console.log(`🧪 Mock OpenAI 서버 실행 중${grader ? ' (채점 모드)' : ''}: ${url}`);
+  }).catch(console.error);
+}
+
+export { startMockServer };
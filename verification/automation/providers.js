@@ -0,0 +1,401 @@
+/**
+ * 모델 백엔드 프로바이더
+ *
+ * 벤치마크 러너는 프로바이더 인터페이스를 통해서만 코드 생성을 요청합니다.
+ * 모든 프로바이더는 다음 형태를 따릅니다.
+ *
+ *   provider.type   - 어댑터 종류 (codex-cli, openai-http, simulator, replay, mock-grader)
+ *   provider.label  - 리포트에 표시할 이름
+ *   provider.generate({ prompt, context, timeout, history, cwd, signal }) → Promise<{ output, usage?, model?, firstByteMs? }>
+ *
+ * history는 다중 턴 시나리오에서 앞선 턴의 [{ prompt, context, output }] 목록이고,
+ * cwd는 저장소 모드 시나리오의 작업 공간입니다. provider.editsWorkspace가 true인
+ * 프로바이더만 작업 공간 파일을 직접 수정합니다.
+ *
+ * usage({ promptTokens, completionTokens })는 백엔드가 보고한 토큰 수이며, 없으면 러너가
+ * 텍스트 길이로 추정합니다 (token-usage.js). firstByteMs는 요청 시작부터 첫 출력까지의 시간입니다.
+ *
+ * signal(AbortSignal)이 abort되면 진행 중인 요청을 정리하고 거부해야 합니다. 실패는 가능하면
+ * retry-policy.js의 ProviderError(kind)로 던져 러너가 재시도 여부를 판단할 수 있게 합니다.
+ *
+ * 같은 시나리오를 여러 백엔드에 실행해 하나의 리포트에서 비교할 수 있습니다.
+ */
+
+import { spawn } from 'child_process';
+import { ProviderError, classifyError, kindFromStatus, parseRetryAfter } from './retry-policy.js';
+import { CassetteReplayProvider } from './cassettes.js';
+import { MockGraderProvider } from './mock-grader.js';
+
+const SIMULATED_RESPONSES = {
+  'convert': 'const UserProfile = ({ userId }) => {\n  const [user, setUser] = useState(null);\n  const [loading, setLoading] = useState(true);\n  const [error, setError] = useState(null);\n\n  const fetchUserData = async () => {\n    try {\n      setLoading(true);\n      setError(null);\n      const response = await fetch(`/api/users/${userId}`);\n      const userData = await response.json();\n      setUser(userData);\n      setLoading(false);\n    } catch (err) {\n      setError(err.message);\n      setLoading(false);\n    }\n  };\n\n  useEffect(() => {\n    fetchUserData();\n  }, [userId]);\n\n  if (loading) return <div>Loading...</div>;\n  if (error) return <div>Error: {error}</div>;\n\n  return (\n    <div className="user-profile">\n      <h2>{user?.name}</h2>\n      <p>{user?.email}</p>\n      <button onClick={fetchUserData}>Refresh</button>\n    </div>\n  );\n};',
+
+  'rest api': 'const express = require("express");\nconst router = express.Router();\n\n// GET /users - list all users\nrouter.get("/users", async (req, res) => {\n  try {\n    const users = await User.findAll();\n    res.json(users);\n  } catch (error) {\n    res.status(500).json({ error: error.message });\n  }\n});\n\n// POST /users - create user\nrouter.post("/users", async (req, res) => {\n  try {\n    const user = await User.create(req.body);\n    res.status(201).json(user);\n  } catch (error) {\n    res.status(400).json({ error: error.message });\n  }\n});',
+
+  'test': 'describe("calculateShippingCost", () => {\n  test("should calculate cost correctly", () => {\n    const items = [{ weight: 2 }, { weight: 3 }];\n    const destination = { country: "US" };\n    const result = calculateShippingCost(items, destination, "standard");\n    expect(result).toBe(12.5);\n  });\n\n  test("should throw error for empty items", () => {\n    expect(() => calculateShippingCost([], {}, "standard")).toThrow("Items array cannot be empty");\n  });\n});',
+
+  'typescript': 'interface User {\n  id: number;\n  name: string;\n  email: string;\n  role?: string;\n  createdAt: Date;\n  isActive: boolean;\n}\n\nclass UserManager {\n  private users: User[] = [];\n  private cache: Map<string, any> = new Map();\n\n  addUser(userData: Partial<User>): User {\n    const newUser: User = {\n      id: Date.now(),\n      name: userData.name!,\n      email: userData.email!,\n      role: userData.role || "user",\n      createdAt: new Date(),\n      isActive: true\n    };\n    this.users.push(newUser);\n    return newUser;\n  }\n}'
+};
+
+// SIGTERM 후 SIGKILL까지 기다리는 시간
+const KILL_GRACE_MS = 2000;
+
+// 실행 중인 CLI 자식 프로세스 (강제 종료 시 정리용)
+const activeProcesses = new Set();
+
+const DEFAULT_SIMULATED_RESPONSE = '// Generated code example\nfunction generatedCode() {\n  console.log("Generated by Codex CLI simulation");\n  return "placeholder";\n}';
+
+/**
+ * 앞선 턴을 텍스트 대화록으로 변환 (대화 API가 없는 백엔드용)
+ */
+function formatConversation(history = []) {
+  return history.map((turn, index) => [
+    `### 요청 ${index + 1}`,
+    turn.context ? `${turn.prompt}\n\n${turn.context}` : turn.prompt,
+    `### 응답 ${index + 1}`,
+    turn.output
+  ].join('\n\n')).join('\n\n');
+}
+
+/**
+ * 자식 프로세스와 그 하위 프로세스 전체에 시그널 전송
+ */
+function killProcessTree(child, signal) {
+  try {
+    // detached로 만든 프로세스 그룹 전체에 전송 (CLI가 띄운 하위 프로세스 포함)
+    process.kill(process.platform === 'win32' ? child.pid : -child.pid, signal);
+  } catch (error) {
+    try {
+      child.kill(signal);
+    } catch (ignored) {
+      // 이미 종료됨
+    }
+  }
+}
+
+/**
+ * 실행 중인 모든 CLI 프로세스 트리 강제 종료 (Ctrl-C 두 번 등 즉시 종료 직전)
+ */
+function terminateActiveProcesses() {
+  for (const child of activeProcesses) killProcessTree(child, 'SIGKILL');
+  activeProcesses.clear();
+}
+
+/**
+ * 프롬프트 키워드에 맞는 시뮬레이션 응답 선택
+ */
+function simulateResponse(prompt) {
+  console.log(`시뮬레이션 모드: "${prompt}" 처리 중...`);
+
+  for (const [key, response] of Object.entries(SIMULATED_RESPONSES)) {
+    if (prompt.toLowerCase().includes(key.toLowerCase())) {
+      console.log(`매칭된 키워드: "${key}"`);
+      return response;
+    }
+  }
+
+  console.log('기본 응답 사용');
+  return DEFAULT_SIMULATED_RESPONSE;
+}
+
+/**
+ * Codex CLI 프로바이더 - codex 바이너리를 자식 프로세스로 실행
+ */
+class CodexCliProvider {
+  constructor(options = {}) {
+    this.type = 'codex-cli';
+    this.label = options.label || this.type;
+    this.editsWorkspace = true;
+    this.command = options.command || 'codex';
+    this.args = options.args || [];
+    // 가격표 조회용 모델 이름 (CLI 인자에는 영향 없음)
+    this.model = options.model || null;
+  }
+
+  /**
+   * CLI 실행 (timeout이 지나거나 signal이 abort되면 프로세스 트리를 SIGTERM → SIGKILL 순서로 종료)
+   */
+  async generate({ prompt, context = '', timeout, history = [], cwd, signal }) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(classifyError(signal.reason));
+        return;
+      }
+
+      const startTime = Date.now();
+      let firstByteMs = null;
+      const childProcess = spawn(this.command, [...this.args, prompt], {
+        cwd,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32'
+      });
+      activeProcesses.add(childProcess);
+
+      let output = '';
+      let errorOutput = '';
+      let stopError = null;
+      let timer = null;
+
+      const stop = (error) => {
+        if (stopError) return;
+        stopError = error;
+        killProcessTree(childProcess, 'SIGTERM');
+        setTimeout(() => killProcessTree(childProcess, 'SIGKILL'), KILL_GRACE_MS).unref();
+      };
+      const onAbort = () => stop(classifyError(signal.reason));
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        activeProcesses.delete(childProcess);
+      };
+
+      if (timeout) {
+        timer = setTimeout(() => stop(new ProviderError(`Codex CLI 응답 시간 초과 (${timeout}ms)`, { kind: 'timeout' })), timeout);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // CLI는 대화 상태를 유지하지 않으므로 앞선 턴을 대화록으로 함께 전달.
+      // 입력이 없어도 stdin을 닫아야 CLI가 입력을 기다리며 멈추지 않음
+      const input = [formatConversation(history), context].filter(Boolean).join('\n\n');
+      childProcess.stdin.on('error', () => {
+        // 입력을 읽지 않고 종료한 CLI의 EPIPE는 종료 코드로 판단
+      });
+      childProcess.stdin.end(input);
+
+      childProcess.stdout.on('data', (data) => {
+        if (firstByteMs === null) firstByteMs = Date.now() - startTime;
+        output += data.toString();
+      });
+
+      childProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      childProcess.on('close', (code, exitSignal) => {
+        cleanup();
+        if (stopError) {
+          reject(stopError);
+        } else if (code === 0) {
+          resolve({ output, firstByteMs });
+        } else {
+          reject(classifyError(new Error(`Codex CLI 실행 실패 (코드: ${code ?? exitSignal}): ${errorOutput}`)));
+        }
+      });
+
+      childProcess.on('error', (error) => {
+        cleanup();
+        reject(classifyError(error));
+      });
+    });
+  }
+}
+
+/**
+ * OpenAI 호환 HTTP 프로바이더 - /chat/completions 엔드포인트 호출
+ *
+ * baseUrl을 로컬 대체 서버(mock-openai-server.js 등)로 지정하면
+ * 네트워크나 API 키 없이도 동일한 경로를 검증할 수 있습니다.
+ *
+ * 기본적으로 스트리밍(stream=true)으로 요청해 첫 토큰 도착 시간을 측정합니다.
+ * 서버가 스트리밍을 지원하지 않고 일반 JSON으로 응답해도 그대로 처리합니다.
+ */
+class OpenAIHttpProvider {
+  constructor(options = {}) {
+    this.type = 'openai-http';
+    this.label = options.label || this.type;
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+    this.model = options.model || 'gpt-4';
+    this.temperature = options.temperature !== undefined ? Number(options.temperature) : 0;
+    this.stream = options.stream !== undefined ? String(options.stream) !== 'false' : true;
+  }
+
+  buildMessages(prompt, context, history = []) {
+    const userMessage = (text, code) => ({
+      role: 'user',
+      content: code ? `${text}\n\n\`\`\`\n${code}\n\`\`\`` : text
+    });
+
+    return [
+      ...history.flatMap(turn => [userMessage(turn.prompt, turn.context), { role: 'assistant', content: turn.output }]),
+      userMessage(prompt, context)
+    ];
+  }
+
+  async generate({ prompt, context = '', timeout, history = [], signal }) {
+    try {
+      return await this.request({ prompt, context, timeout, history, signal });
+    } catch (error) {
+      throw classifyError(error);
+    }
+  }
+
+  async request({ prompt, context, timeout, history, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const signals = [timeout && AbortSignal.timeout(timeout), signal].filter(Boolean);
+    const startTime = Date.now();
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        messages: this.buildMessages(prompt, context, history),
+        ...(this.stream && { stream: true, stream_options: { include_usage: true } })
+      }),
+      signal: signals.length > 0 ? AbortSignal.any(signals) : undefined
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new ProviderError(`HTTP API 호출 실패 (상태: ${response.status}): ${body}`, {
+        kind: kindFromStatus(response.status),
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+      return this.readStream(response, startTime);
+    }
+
+    const data = await response.json();
+    const output = data.choices?.[0]?.message?.content;
+    if (typeof output !== 'string') {
+      throw new Error('HTTP API 응답에 choices[0].message.content가 없습니다');
+    }
+
+    return {
+      output,
+      usage: this.parseUsage(data.usage),
+      model: data.model,
+      // 스트리밍이 아니면 첫 바이트가 곧 전체 응답
+      firstByteMs: Date.now() - startTime
+    };
+  }
+
+  /**
+   * 서버 전송 이벤트(SSE) 응답 읽기
+   */
+  async readStream(response, startTime) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let output = '';
+    let usage;
+    let model;
+    let firstByteMs = null;
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+        if (!data || data === '[DONE]') continue;
+
+        const event = JSON.parse(data);
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          if (firstByteMs === null) firstByteMs = Date.now() - startTime;
+          output += delta;
+        }
+        if (event.usage) usage = this.parseUsage(event.usage);
+        if (event.model) model = event.model;
+      }
+    }
+
+    return { output, usage, model, firstByteMs };
+  }
+
+  /**
+   * OpenAI usage 필드를 공통 형식으로 변환
+   */
+  parseUsage(usage) {
+    if (!usage || typeof usage.prompt_tokens !== 'number') return undefined;
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0 };
+  }
+}
+
+/**
+ * 시뮬레이터 프로바이더 - 키워드 기반 고정 응답 반환
+ */
+class SimulatorProvider {
+  constructor(options = {}) {
+    this.type = 'simulator';
+    this.label = options.label || this.type;
+  }
+
+  async generate({ prompt }) {
+    return { output: simulateResponse(prompt) };
+  }
+}
+
+const PROVIDERS = {
+  'codex-cli': CodexCliProvider,
+  'openai-http': OpenAIHttpProvider,
+  'simulator': SimulatorProvider,
+  // 기록된 카세트 재생 (cassettes.js)
+  'replay': CassetteReplayProvider,
+  // 판정 단계용 결정적 채점기 (mock-grader.js)
+  'mock-grader': MockGraderProvider
+};
+
+/**
+ * 프로바이더 지정 문자열 파싱
+ *
+ * 형식: "<type>[:key=value,key=value]"
+ * 예: "openai-http:baseUrl=http://localhost:8787/v1,model=gpt-4o,label=local"
+ */
+function parseProviderSpec(spec) {
+  if (typeof spec !== 'string') return spec;
+
+  const separator = spec.indexOf(':');
+  const type = separator === -1 ? spec : spec.slice(0, separator);
+  const options = {};
+
+  if (separator !== -1) {
+    for (const pair of spec.slice(separator + 1).split(',')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) throw new Error(`프로바이더 옵션 형식 오류: "${pair}" (key=value 필요)`);
+      options[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+    }
+  }
+
+  return { type, options };
+}
+
+/**
+ * 프로바이더 인스턴스 생성
+ *
+ * "auto"는 기존 동작과 동일하게 OPENAI_API_KEY가 있으면 codex-cli,
+ * 없으면 simulator를 선택합니다.
+ *
+ * @param {string|{ type: string, options?: object }} spec - 프로바이더 지정
+ */
+function createProvider(spec) {
+  const { type, options = {} } = parseProviderSpec(spec);
+  const resolvedType = type === 'auto'
+    ? (process.env.OPENAI_API_KEY ? 'codex-cli' : 'simulator')
+    : type;
+
+  const Provider = PROVIDERS[resolvedType];
+  if (!Provider) {
+    throw new Error(`알 수 없는 프로바이더: ${type} (사용 가능: auto, ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+export {
+  PROVIDERS,
+  CodexCliProvider,
+  OpenAIHttpProvider,
+  SimulatorProvider,
+  createProvider,
+  parseProviderSpec,
+  formatConversation,
+  simulateResponse,
+  terminateActiveProcesses
+};
@@ -0,0 +1,239 @@
+/**
+ * 시나리오 품질 기준 평가기
+ *
+ * 시나리오 파일의 qualityMetrics 블록(minLinesOfCode, shouldInclude, complexityScore 등)을
+ * 기준 항목별 통과/실패로 평가합니다. 각 항목은 반영되는 지표(metric)를 가지며,
+ * MetricsCollector가 completeness/code-quality 점수를 계산할 때 사용합니다.
+ */
+
+import { extractCodeBlocks } from './code-analyzer.js';
+
+// qualityMetrics가 없는 시나리오의 최소 코드 줄 수
+const DEFAULT_MIN_LINES = 5;
+// complexityScore가 없는 시나리오의 함수당 최대 순환 복잡도
+const DEFAULT_COMPLEXITY_LIMIT = 10;
+
+// 문구 목록으로 선언되는 포함 기준 필드
+const INCLUSION_FIELDS = ['shouldInclude', 'expectedSections', 'optimizations', 'expectedTestCases'];
+
+// 정적으로 확인할 수 없어 평가하지 않는 필드
+const UNCHECKED_FIELDS = ['bugsToFix'];
+
+const count = (analysis, ...types) => types.reduce((sum, type) => sum + (analysis.nodeTypes[type] || 0), 0);
+const calls = (analysis, pattern) => analysis.callees.some(name => pattern.test(name));
+
+/**
+ * 자주 쓰이는 기준 문구별 검사
+ *
+ * 여기에 없는 문구는 문구의 단어가 모두 출력에 등장하는지로 판단합니다 (method: 'keyword').
+ */
+const PHRASE_CHECKS = [
+  {
+    phrases: ['error handling', 'proper error handling'],
+    test: ({ analysis, code }) => analysis.constructs.errorHandling || /\.catch\(|throw\s+new\s+\w*Error/.test(code)
+  },
+  {
+    phrases: ['validation', 'input validation'],
+    test: ({ analysis, code }) =>
+      /typeof\s+[\w.]+\s*[!=]==|Array\.isArray|Number\.is(NaN|Finite|Integer)|isNaN\(/.test(code) ||
+      calls(analysis, /(^|\.)(validat\w*|body|param|query|check|validationResult)$/i)
+  },
+  {
+    phrases: ['status codes'],
+    test: ({ code }) => /\.status\(\s*\d{3}\s*\)|\.sendStatus\(|statusCode\s*=/.test(code)
+  },
+  {
+    // 느슨한 비교(==, !=) 없이 엄격한 비교만 사용
+    phrases: ['correct operators'],
+    test: ({ code }) => /[!=]==/.test(code) && !/[^=!<>]==[^=]|!=[^=]/.test(code)
+  },
+  {
+    phrases: ['safe property access'],
+    test: ({ analysis, code }) => count(analysis, 'OptionalMemberExpression', 'OptionalCallExpression') > 0 || /\?\?/.test(code)
+  },
+  {
+    phrases: ['function descriptions', 'jsdoc comments'],
+    test: ({ analysis }) => analysis.constructs.jsdoc
+  },
+  {
+    phrases: ['parameter types', 'parameter descriptions'],
+    test: ({ analysis, code }) => /@param\s+\{/.test(code) || analysis.constructs.typedSignatures
+  },
+  {
+    phrases: ['return values'],
+    test: ({ code }) => /@returns?\b/.test(code)
+  },
+  {
+    phrases: ['usage examples', 'examples'],
+    test: ({ code }) => /@example\b/.test(code)
+  },
+  {
+    phrases: ['error conditions'],
+    test: ({ code }) => /@throws\b/.test(code) || /throw\s+new\s+\w*Error/.test(code)
+  },
+  {
+    phrases: ['modern js syntax', 'es6+ features'],
+    test: ({ analysis }) => analysis.constructs.blockScopedDeclarations &&
+      count(analysis, 'ArrowFunctionExpression', 'TemplateLiteral', 'SpreadElement', 'ObjectPattern', 'ArrayPattern') > 0
+  },
+  {
+    phrases: ['better data structures', 'map/set usage'],
+    test: ({ code }) => /new\s+(Map|Set|WeakMap|WeakSet)\s*[(<]/.test(code)
+  },
+  {
+    // 여러 함수로 나뉘어 있고 함수가 과도하게 길지 않음
+    phrases: ['clean architecture', 'separation of concerns'],
+    test: ({ analysis }) => analysis.functionCount >= 3 && analysis.averageFunctionLength <= 30
+  },
+  {
+    phrases: ['error testing'],
+    test: ({ code }) => /\.toThrow\w*\(|\.rejects\./.test(code)
+  },
+  {
+    phrases: ['mock functions'],
+    test: ({ analysis }) => calls(analysis, /^(jest|vi)\.(fn|mock|spyOn)$|^sinon\./)
+  },
+  {
+    phrases: ['setup/teardown'],
+    test: ({ analysis }) => calls(analysis, /^(beforeEach|afterEach|beforeAll|afterAll)$/)
+  },
+  {
+    phrases: ['interfaces'],
+    test: ({ analysis }) => count(analysis, 'TSInterfaceDeclaration') > 0
+  },
+  {
+    phrases: ['generics'],
+    test: ({ analysis }) => count(analysis, 'TSTypeParameterDeclaration') > 0
+  },
+  {
+    phrases: ['strict types'],
+    test: ({ analysis }) => analysis.constructs.typedSignatures && analysis.anyTypeCount === 0
+  },
+  {
+    phrases: ['optional properties'],
+    test: ({ code }) => /\w\?\s*:/.test(code)
+  },
+  {
+    phrases: ['class'],
+    test: ({ analysis }) => analysis.constructs.classes
+  }
+];
+
+/**
+ * 기준 문구 검사 (등록된 검사 또는 키워드 포함 여부)
+ */
+function checkPhrase(phrase, context) {
+  const normalized = phrase.trim().toLowerCase();
+  const known = PHRASE_CHECKS.find(check => check.phrases.includes(normalized));
+  if (known) {
+    return { found: Boolean(known.test(context)), method: 'analysis' };
+  }
+
+  const text = context.output.toLowerCase();
+  const words = normalized.split(/[\s/]+/).filter(word => word.length > 2);
+  const found = words.length > 0 ? words.every(word => text.includes(word)) : text.includes(normalized);
+  return { found, method: 'keyword' };
+}
+
+class QualityEvaluator {
+  /**
+   * 시나리오 품질 기준 평가
+   *
+   * @param {object} scenario - 시나리오 (qualityMetrics는 선택)
+   * @param {string} output - 모델 출력
+   * @param {object} analysis - CodeAnalyzer.analyze 결과
+   * @returns {{ criteria: object[], passed: number, total: number, skipped: string[] }}
+   */
+  evaluate(scenario, output, analysis) {
+    const qualityMetrics = scenario.qualityMetrics || {};
+    const code = extractCodeBlocks(output).map(block => block.code).join('\n');
+    const context = { analysis, code, output };
+    const criteria = [];
+
+    // SQL 등 분석기가 파싱하지 않는 블록도 포함해 코드 블록의 비어 있지 않은 줄 수로 판단
+    const linesOfCode = code.split('\n').filter(line => line.trim().length > 0).length;
+    const minLines = qualityMetrics.minLinesOfCode ?? DEFAULT_MIN_LINES;
+    criteria.push({
+      id: 'minLinesOfCode',
+      label: '최소 코드 줄 수',
+      metric: 'completeness',
+      expected: `>= ${minLines}`,
+      actual: linesOfCode,
+      score: Math.min((linesOfCode / minLines) * 100, 100),
+      passed: linesOfCode >= minLines
+    });
+
+    const complexityLimit = qualityMetrics.complexityScore ?? DEFAULT_COMPLEXITY_LIMIT;
+    criteria.push({
+      id: 'complexityScore',
+      label: '함수당 최대 순환 복잡도',
+      metric: 'code-quality',
+      expected: `<= ${complexityLimit}`,
+      actual: analysis.maxComplexity,
+      score: analysis.maxComplexity <= complexityLimit ? 100 : Math.round((complexityLimit / analysis.maxComplexity) * 100),
+      passed: analysis.maxComplexity <= complexityLimit
+    });
+
+    for (const field of INCLUSION_FIELDS) {
+      for (const phrase of qualityMetrics[field] || []) {
+        const { found, method } = checkPhrase(phrase, context);
+        criteria.push(this.createCheck(`${field}:${phrase}`, phrase, found, { expected: '포함', method }));
+      }
+    }
+
+    for (const phrase of qualityMetrics.shouldAvoid || []) {
+      // 등록된 검사가 없으면 문구 그대로 코드에 등장하는지 확인
+      const known = PHRASE_CHECKS.some(check => check.phrases.includes(phrase.toLowerCase()));
+      const found = known ? checkPhrase(phrase, context).found : code.includes(phrase);
+      criteria.push(this.createCheck(`shouldAvoid:${phrase}`, phrase, !found, { expected: '미포함', method: known ? 'analysis' : 'text' }));
+    }
+
+    for (const hook of qualityMetrics.expectedHooks || []) {
+      criteria.push(this.createCheck(`expectedHooks:${hook}`, hook, analysis.constructs.reactHooks.includes(hook)));
+    }
+
+    for (const method of qualityMetrics.expectedMethods || []) {
+      const pattern = new RegExp(`\\.${method.toLowerCase()}$`);
+      criteria.push(this.createCheck(`expectedMethods:${method}`, method, calls(analysis, pattern)));
+    }
+
+    for (const type of qualityMetrics.expectedTypes || []) {
+      criteria.push(this.createCheck(`expectedTypes:${type}`, type, analysis.declaredTypes.includes(type)));
+    }
+
+    return {
+      criteria,
+      passed: criteria.filter(criterion => criterion.passed).length,
+      total: criteria.length,
+      skipped: UNCHECKED_FIELDS.filter(field => qualityMetrics[field] !== undefined)
+    };
+  }
+
+  /**
+   * 통과/실패형 기준 항목 생성 (completeness 지표에 반영)
+   */
+  createCheck(id, label, passed, { expected = '포함', method = 'analysis' } = {}) {
+    return {
+      id,
+      label,
+      metric: 'completeness',
+      expected,
+      actual: passed ? expected : expected === '포함' ? '미검출' : '검출',
+      method,
+      score: passed ? 100 : 0,
+      passed
+    };
+  }
+}
+
+/**
+ * 특정 지표에 반영되는 기준 항목의 평균 점수 (해당 항목이 없으면 null)
+ */
+function scoreCriteria(quality, metric) {
+  const criteria = quality.criteria.filter(criterion => criterion.metric === metric);
+  if (criteria.length === 0) return null;
+
+  return criteria.reduce((sum, criterion) => sum + criterion.score, 0) / criteria.length;
+}
+
+export { QualityEvaluator, scoreCriteria, checkPhrase, DEFAULT_MIN_LINES, DEFAULT_COMPLEXITY_LIMIT };
@@ -0,0 +1,172 @@
+/**
+ * 벤치마크 리포트 비교기
+ *
+ * benchmark-results/에 저장된 JSON 리포트를 다시 읽어 시나리오별 지표와 응답시간을
+ * 기준(baseline) 리포트와 비교하고, 허용치를 넘는 하락을 회귀로 표시합니다.
+ *
+ * 지표는 모두 0~100 점수라 값이 클수록 좋습니다 ('response-time'도 타임아웃 대비 점수).
+ * 밀리초 단위 평균 응답시간(averageResponseTime)만 값이 커지는 것을 회귀로 봅니다.
+ */
+
+import fs from 'fs/promises';
+
+const DEFAULT_THRESHOLDS = {
+  metricDrop: 5, // 지표 점수 하락 허용치 (포인트, 'response-time' 점수 포함)
+  responseTimeIncrease: 20, // averageResponseTime(ms) 증가 허용치 (%)
+  responseTimeMinDeltaMs: 100, // averageResponseTime의 이 값 이하 절대 증가는 무시 (시뮬레이션 등 0ms 기준 보호)
+  successRateDrop: 0, // 성공률 하락 허용치 (%p)
+  metrics: {} // 지표별 개별 하락 허용치 (예: { security: 0 })
+};
+
+/**
+ * JSON 리포트 로드
+ */
+async function loadReport(reportPath) {
+  let content;
+  try {
+    content = await fs.readFile(reportPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`리포트를 읽을 수 없습니다 (${reportPath}): ${error.message}`);
+  }
+
+  try {
+    return { path: reportPath, ...JSON.parse(content) };
+  } catch (error) {
+    throw new Error(`리포트 JSON 파싱 실패 (${reportPath}): ${error.message}`);
+  }
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+class ReportComparator {
+  constructor(thresholds = {}) {
+    this.thresholds = {
+      ...DEFAULT_THRESHOLDS,
+      ...thresholds,
+      metrics: { ...DEFAULT_THRESHOLDS.metrics, ...thresholds.metrics }
+    };
+  }
+
+  /**
+   * 여러 리포트 비교 (첫 번째 리포트를 기준으로 나머지를 각각 비교)
+   */
+  compareAll(reports) {
+    if (reports.length < 2) {
+      throw new Error('비교하려면 리포트가 두 개 이상 필요합니다');
+    }
+
+    const [baseline, ...candidates] = reports;
+    const comparisons = candidates.map(candidate => this.compare(baseline, candidate));
+
+    return {
+      thresholds: this.thresholds,
+      comparisons,
+      hasRegressions: comparisons.some(comparison => comparison.hasRegressions)
+    };
+  }
+
+  /**
+   * 기준 리포트와 후보 리포트 비교
+   */
+  compare(baseline, candidate) {
+    const keys = [...new Set([
+      ...Object.keys(baseline.scenarios || {}),
+      ...Object.keys(candidate.scenarios || {})
+    ])];
+
+    const scenarios = keys.map(key => this.compareScenario(key, baseline.scenarios?.[key], candidate.scenarios?.[key]));
+    const regressions = scenarios.flatMap(scenario => scenario.regressions);
+
+    return {
+      baseline: { path: baseline.path, timestamp: baseline.timestamp },
+      candidate: { path: candidate.path, timestamp: candidate.timestamp },
+      scenarios,
+      regressions,
+      hasRegressions: regressions.length > 0
+    };
+  }
+
+  /**
+   * 단일 시나리오 비교
+   */
+  compareScenario(key, before, after) {
+    if (!after) {
+      return {
+        scenario: key,
+        status: 'missing',
+        regressions: [{ scenario: key, field: 'scenario', reason: '후보 리포트에 시나리오가 없습니다' }]
+      };
+    }
+    if (!before) {
+      return { scenario: key, status: 'added', regressions: [] };
+    }
+
+    const regressions = [];
+
+    if (before.success && !after.success) {
+      regressions.push({ scenario: key, field: 'success', reason: `실패로 전환됨: ${after.error || '알 수 없는 오류'}` });
+      return { scenario: key, status: 'regression', regressions };
+    }
+    if (!before.success || !after.success) {
+      return { scenario: key, status: after.success ? 'improved' : 'failed', regressions };
+    }
+
+    const successRate = this.diff(before.successRate, after.successRate);
+    if (-successRate.delta > this.thresholds.successRateDrop) {
+      regressions.push({ scenario: key, field: 'successRate', ...successRate, threshold: this.thresholds.successRateDrop });
+    }
+
+    const responseTime = this.diff(before.averageResponseTime, after.averageResponseTime);
+    if (this.isResponseTimeRegression(responseTime)) {
+      regressions.push({ scenario: key, field: 'averageResponseTime', ...responseTime, threshold: this.thresholds.responseTimeIncrease });
+    }
+
+    const metrics = {};
+    const metricNames = new Set([...Object.keys(before.metrics || {}), ...Object.keys(after.metrics || {})]);
+
+    for (const metric of metricNames) {
+      const baselineValue = before.metrics?.[metric]?.average;
+      const candidateValue = after.metrics?.[metric]?.average;
+      if (baselineValue === undefined || candidateValue === undefined) continue;
+
+      const diff = this.diff(baselineValue, candidateValue);
+      const threshold = this.thresholds.metrics[metric] ?? this.thresholds.metricDrop;
+
+      metrics[metric] = { ...diff, regression: -diff.delta > threshold };
+      if (metrics[metric].regression) {
+        regressions.push({ scenario: key, field: metric, ...diff, threshold });
+      }
+    }
+
+    const changed = Object.values(metrics).some(m => m.delta !== 0) || responseTime.delta !== 0;
+
+    return {
+      scenario: key,
+      status: regressions.length > 0 ? 'regression' : changed ? 'changed' : 'unchanged',
+      successRate,
+      responseTime: { ...responseTime, regression: this.isResponseTimeRegression(responseTime) },
+      metrics,
+      regressions
+    };
+  }
+
+  diff(baseline, candidate) {
+    const delta = round(candidate - baseline);
+    return {
+      baseline: round(baseline),
+      candidate: round(candidate),
+      delta,
+      deltaPct: baseline !== 0 ? round((delta / baseline) * 100) : null
+    };
+  }
+
+  /**
+   * 밀리초 평균 응답시간 증가가 회귀인지 (점수 지표가 아니므로 증가 방향이 나쁨)
+   */
+  isResponseTimeRegression({ delta, deltaPct }) {
+    if (delta <= this.thresholds.responseTimeMinDeltaMs) return false;
+    return deltaPct === null || deltaPct > this.thresholds.responseTimeIncrease;
+  }
+}
+
+export { ReportComparator, DEFAULT_THRESHOLDS, loadReport };
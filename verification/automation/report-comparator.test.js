@@ -0,0 +1,102 @@
+/**
+ * ReportComparator 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import { ReportComparator } from './report-comparator.js';
+
+const scenario = ({ averageResponseTime = 1000, metrics = {}, success = true, successRate = 100 } = {}) => ({
+  success,
+  successRate,
+  averageResponseTime,
+  metrics: Object.fromEntries(Object.entries(metrics).map(([name, average]) => [name, { average }]))
+});
+
+const report = (scenarios) => ({ timestamp: '2026-01-01T00:00:00.000Z', scenarios });
+
+const compare = (before, after, thresholds) =>
+  new ReportComparator(thresholds).compare(report({ api: before }), report({ api: after }));
+
+describe('점수 지표 방향', () => {
+  test('response-time 점수가 떨어지면(느려지면) 회귀', () => {
+    const result = compare(scenario({ metrics: { 'response-time': 90 } }), scenario({ metrics: { 'response-time': 40 } }));
+
+    expect(result.hasRegressions).toBe(true);
+    expect(result.regressions).toEqual([
+      expect.objectContaining({ field: 'response-time', baseline: 90, candidate: 40, delta: -50 })
+    ]);
+  });
+
+  test('response-time 점수가 오르면(빨라지면) 회귀 아님', () => {
+    const result = compare(scenario({ metrics: { 'response-time': 40 } }), scenario({ metrics: { 'response-time': 90 } }));
+
+    expect(result.hasRegressions).toBe(false);
+    expect(result.scenarios[0]).toMatchObject({ status: 'changed', metrics: { 'response-time': { delta: 50, regression: false } } });
+  });
+
+  test('허용치 이내 하락과 지표별 허용치', () => {
+    const before = scenario({ metrics: { quality: 80, security: 80 } });
+    const after = scenario({ metrics: { quality: 76, security: 79 } });
+
+    expect(compare(before, after).hasRegressions).toBe(false);
+    expect(compare(before, after, { metrics: { security: 0 } }).regressions.map(r => r.field)).toEqual(['security']);
+  });
+});
+
+describe('밀리초 평균 응답시간', () => {
+  test('허용 비율과 최소 절대 증가를 넘으면 회귀', () => {
+    const result = compare(scenario({ averageResponseTime: 1000 }), scenario({ averageResponseTime: 1500 }));
+
+    expect(result.regressions).toEqual([
+      expect.objectContaining({ field: 'averageResponseTime', delta: 500, deltaPct: 50, threshold: 20 })
+    ]);
+  });
+
+  test('감소는 회귀 아님', () => {
+    const result = compare(scenario({ averageResponseTime: 1500 }), scenario({ averageResponseTime: 500 }));
+
+    expect(result.hasRegressions).toBe(false);
+    expect(result.scenarios[0].responseTime.regression).toBe(false);
+  });
+
+  test('비율이 커도 절대 증가가 작으면 무시 (0ms 기준 포함)', () => {
+    expect(compare(scenario({ averageResponseTime: 10 }), scenario({ averageResponseTime: 90 })).hasRegressions).toBe(false);
+    expect(compare(scenario({ averageResponseTime: 0 }), scenario({ averageResponseTime: 50 })).hasRegressions).toBe(false);
+    expect(compare(scenario({ averageResponseTime: 0 }), scenario({ averageResponseTime: 500 })).hasRegressions).toBe(true);
+  });
+});
+
+describe('시나리오 상태', () => {
+  test('성공에서 실패로 바뀌거나 시나리오가 빠지면 회귀', () => {
+    const comparator = new ReportComparator();
+    const result = comparator.compare(
+      report({ api: scenario(), cli: scenario() }),
+      report({ api: { success: false, error: 'timeout' }, web: scenario() })
+    );
+
+    expect(result.scenarios.map(s => [s.scenario, s.status])).toEqual([
+      ['api', 'regression'],
+      ['cli', 'missing'],
+      ['web', 'added']
+    ]);
+    expect(result.regressions[0].reason).toBe('실패로 전환됨: timeout');
+  });
+
+  test('성공률 하락', () => {
+    const result = compare(scenario({ successRate: 100 }), scenario({ successRate: 80 }));
+
+    expect(result.regressions).toEqual([expect.objectContaining({ field: 'successRate', delta: -20 })]);
+  });
+
+  test('compareAll은 첫 리포트를 기준으로 비교하고 리포트가 하나면 오류', () => {
+    const comparator = new ReportComparator();
+    const baseline = report({ api: scenario({ metrics: { quality: 80 } }) });
+    const worse = report({ api: scenario({ metrics: { quality: 50 } }) });
+
+    const result = comparator.compareAll([baseline, baseline, worse]);
+    expect(result.comparisons.map(c => c.hasRegressions)).toEqual([false, true]);
+    expect(result.hasRegressions).toBe(true);
+    expect(() => comparator.compareAll([baseline])).toThrow('비교하려면 리포트가 두 개 이상 필요합니다');
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * 리포트 출력 형식 레지스트리
+ *
+ * 벤치마크 결과를 어떤 형식으로 저장할지 이름으로 선택할 수 있도록
+ * 형식별 확장자와 렌더러를 등록합니다.
+ *
+ *   json     - 원본 결과 (compare 모드 입력)
+ *   markdown - ReportGenerator.generateMarkdown
+ *   html     - 정렬 가능한 표와 인라인 SVG 차트가 포함된 단일 파일 리포트
+ *   junit    - CI 대시보드용 JUnit XML (반복 1회 = testcase 1개)
+ */
+
+const OUTPUT_FORMATS = new Map();
+
+/**
+ * 출력 형식 등록
+ *
+ * @param {string} name - 형식 이름 (CLI --format 값)
+ * @param {{ extension: string, label: string, render: (results, reportGenerator) => string }} format
+ */
+function registerOutputFormat(name, format) {
+  OUTPUT_FORMATS.set(name, format);
+}
+
+/**
+ * 출력 형식 조회 (미등록 형식이면 사용 가능한 목록과 함께 오류)
+ */
+function getOutputFormat(name) {
+  const format = OUTPUT_FORMATS.get(name);
+  if (!format) {
+    throw new Error(`알 수 없는 출력 형식: ${name} (사용 가능: ${[...OUTPUT_FORMATS.keys()].join(', ')})`);
+  }
+  return format;
+}
+
+// XML 1.0에서 허용되지 않는 제어 문자 (탭, 줄바꿈, 캐리지 리턴 제외)
+const INVALID_XML_CHARS = new RegExp(`[${[[0x00, 0x08], [0x0B, 0x0C], [0x0E, 0x1F]]
+  .map(([from, to]) => `${String.fromCharCode(from)}-${String.fromCharCode(to)}`)
+  .join('')}]`, 'g');
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(INVALID_XML_CHARS, '');
+}
+
+const escapeHtml = escapeXml;
+const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * JUnit XML 렌더링
+ *
+ * 시나리오는 testsuite, 각 반복은 testcase가 됩니다. 반복 자체가 실행되지 못한
+ * 시나리오(스키마 오류 등)는 error를 가진 단일 testcase로 기록합니다.
+ * 워밍업 반복은 통계와 마찬가지로 판정에서 빼고 skipped로 표시합니다.
+ */
+function renderJUnit(results) {
+  const isFailure = iteration => !iteration.warmup && !iteration.success;
+  const countWarmups = iterations => iterations.filter(iteration => iteration.warmup).length;
+
+  const suites = Object.entries(results.scenarios).map(([name, scenario]) => {
+    const iterations = scenario.iterationResults || [];
+    const testcases = iterations.length > 0
+      ? iterations.map(iteration => {
+        const body = iteration.warmup
+          ? '\n      <skipped message="warmup"/>\n    '
+          : iteration.success
+            ? ''
+            : `\n      <failure message="${escapeXml(iteration.error)}" type="IterationFailure">${escapeXml(iteration.error)}</failure>\n    `;
+        // 이름이 있는 반복(예제 검증의 검사 항목)은 그 이름을 사용
+        const label = iteration.name || `${iteration.warmup ? 'warmup' : 'iteration'} ${iteration.index}`;
+        return `    <testcase classname="codex-benchmark.${escapeXml(name)}" name="${escapeXml(label)}" time="${seconds(iteration.responseTime)}">${body}</testcase>`;
+      })
+      : [`    <testcase classname="codex-benchmark.${escapeXml(name)}" name="scenario" time="${seconds(scenario.durationMs)}">
+      <error message="${escapeXml(scenario.error)}" type="ScenarioError">${escapeXml(scenario.error)}</error>
+    </testcase>`];
+
+    const failures = iterations.filter(isFailure).length;
+    const skipped = countWarmups(iterations);
+    const errors = iterations.length === 0 ? 1 : 0;
+    const properties = [
+      ['provider', scenario.provider],
+      ...Object.entries(scenario.metrics || {}).map(([metric, value]) => [`metric.${metric}`, value.average])
+    ].filter(([, value]) => value !== undefined);
+
+    const propertiesXml = properties.length > 0
+      ? `    <properties>\n${properties.map(([key, value]) => `      <property name="${escapeXml(key)}" value="${escapeXml(value)}"/>`).join('\n')}\n    </properties>\n`
+      : '';
+
+    return `  <testsuite name="${escapeXml(name)}" tests="${testcases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${seconds(scenario.durationMs)}" timestamp="${escapeXml(results.timestamp)}">
+${propertiesXml}${testcases.join('\n')}
+  </testsuite>`;
+  });
+
+  const all = Object.values(results.scenarios);
+  const tests = all.reduce((sum, s) => sum + Math.max((s.iterationResults || []).length, 1), 0);
+  const failures = all.reduce((sum, s) => sum + (s.iterationResults || []).filter(isFailure).length, 0);
+  const skipped = all.reduce((sum, s) => sum + countWarmups(s.iterationResults || []), 0);
+  const errors = all.filter(s => !(s.iterationResults || []).length).length;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Codex CLI Benchmark" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${seconds(results.timing?.wallClockMs)}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * 지표별 분포 SVG (시나리오마다 최소~최대 구간, 반복 값 점, 평균 표시)
+ */
+function renderMetricChart(metric, scenarios) {
+  const rows = scenarios
+    .map(([name, scenario]) => ({
+      name,
+      summary: scenario.metrics?.[metric],
+      values: (scenario.iterationResults || [])
+        .filter(iteration => !iteration.warmup)
+        .map(iteration => iteration.metrics?.[metric])
+        .filter(value => value !== undefined)
+    }))
+    .filter(row => row.summary);
+
+  if (rows.length === 0) return '';
+
+  const labelWidth = 220;
+  const plotWidth = 400;
+  const rowHeight = 24;
+  const height = rows.length * rowHeight + 30;
+  const x = value => labelWidth + (Math.max(0, Math.min(100, value)) / 100) * plotWidth;
+
+  const axis = [0, 25, 50, 75, 100].map(tick =>
+    `<line x1="${x(tick)}" y1="0" x2="${x(tick)}" y2="${height - 20}" stroke="#e5e7eb"/>` +
+    `<text x="${x(tick)}" y="${height - 5}" font-size="10" text-anchor="middle" fill="#6b7280">${tick}</text>`
+  ).join('');
+
+  const body = rows.map((row, index) => {
+    const y = index * rowHeight + 14;
+    const dots = row.values.map(value =>
+      `<circle cx="${x(value)}" cy="${y}" r="3" fill="#2563eb" fill-opacity="0.6"><title>${value}</title></circle>`
+    ).join('');
+    return `<text x="${labelWidth - 8}" y="${y + 4}" font-size="11" text-anchor="end">${escapeHtml(row.name)}</text>` +
+      `<line x1="${x(row.summary.min)}" y1="${y}" x2="${x(row.summary.max)}" y2="${y}" stroke="#93c5fd" stroke-width="6" stroke-linecap="round"/>` +
+      dots +
+      `<line x1="${x(row.summary.average)}" y1="${y - 7}" x2="${x(row.summary.average)}" y2="${y + 7}" stroke="#111827" stroke-width="2"><title>평균 ${row.summary.average}</title></line>`;
+  }).join('');
+
+  return `<figure>
+  <figcaption>${escapeHtml(metric)}</figcaption>
+  <svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + plotWidth + 20}" height="${height}" role="img" aria-label="${escapeHtml(metric)} 분포">${axis}${body}</svg>
+</figure>`;
+}
+
+/**
+ * 단일 파일 HTML 리포트 렌더링 (외부 리소스 없음)
+ */
+function renderHtml(results) {
+  const scenarios = Object.entries(results.scenarios);
+  const metricNames = [...new Set(scenarios.flatMap(([, s]) => Object.keys(s.metrics || {})))];
+  const format = value => typeof value === 'number' ? Math.round(value * 10) / 10 : '-';
+
+  const rows = scenarios.map(([name, scenario]) => `      <tr class="${scenario.success ? 'ok' : 'fail'}">
+        <td>${escapeHtml(name)}</td>
+        <td>${scenario.success ? '✅' : '❌'}</td>
+        <td>${escapeHtml(scenario.provider ?? '-')}</td>
+        <td data-value="${scenario.successRate ?? -1}">${format(scenario.successRate)}</td>
+        <td data-value="${scenario.averageResponseTime ?? -1}">${format(scenario.averageResponseTime)}</td>
+${metricNames.map(metric => `        <td data-value="${scenario.metrics?.[metric]?.average ?? -1}">${format(scenario.metrics?.[metric]?.average)}</td>`).join('\n')}
+      </tr>`).join('\n');
+
+  const failures = scenarios
+    .filter(([, scenario]) => !scenario.success || (scenario.iterationResults || []).some(i => !i.success))
+    .map(([name, scenario]) => {
+      const errors = (scenario.iterationResults || []).filter(i => !i.success).map(i => `${i.name || `반복 ${i.index}`}: ${i.error}`);
+      return `<li><strong>${escapeHtml(name)}</strong>: ${escapeHtml(errors.join(' / ') || scenario.error)}</li>`;
+    });
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>Codex CLI 성능 벤치마크 리포트</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', sans-serif; margin: 2rem; color: #111827; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.7rem; text-align: right; }
+  th { background: #f3f4f6; cursor: pointer; user-select: none; }
+  th::after { content: ' ↕'; color: #9ca3af; }
+  td:first-child, th:first-child { text-align: left; }
+  tr.fail td { background: #fef2f2; }
+  figure { margin: 1rem 0; }
+  figcaption { font-weight: 600; margin-bottom: 0.3rem; }
+</style>
+</head>
+<body>
+<h1>Codex CLI 성능 벤치마크 리포트</h1>
+<p><strong>생성 일시</strong>: ${escapeHtml(new Date(results.timestamp).toLocaleString('ko-KR'))}</p>
+
+<h2>📊 요약</h2>
+<ul>
+  <li><strong>전체 시나리오</strong>: ${results.summary.totalScenarios}</li>
+  <li><strong>성공한 시나리오</strong>: ${results.summary.successfulScenarios}</li>
+  <li><strong>전체 성공률</strong>: ${results.summary.overallSuccessRate}%</li>
+  <li><strong>평균 응답시간</strong>: ${results.summary.averageResponseTime}ms</li>
+  <li><strong>환경</strong>: ${escapeHtml(results.environment.os)}, Node.js ${escapeHtml(results.environment.nodeVersion)}, ${escapeHtml(results.environment.codexVersion)}</li>
+</ul>
+
+<h2>📈 시나리오별 결과</h2>
+<table class="sortable">
+  <thead>
+    <tr>
+      <th>시나리오</th><th>상태</th><th>프로바이더</th><th>성공률(%)</th><th>평균 응답시간(ms)</th>
+${metricNames.map(metric => `      <th>${escapeHtml(metric)}</th>`).join('\n')}
+    </tr>
+  </thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+
+<h2>📉 지표 분포</h2>
+<p>막대는 반복 간 최소~최대 구간, 점은 각 반복 값, 세로선은 평균입니다.</p>
+${metricNames.map(metric => renderMetricChart(metric, scenarios)).join('\n')}
+
+<h2>🚨 실패</h2>
+${failures.length > 0 ? `<ul>\n${failures.join('\n')}\n</ul>` : '<p>실패 없음</p>'}
+
+<script>
+  document.querySelectorAll('table.sortable th').forEach((header, column) => {
+    header.addEventListener('click', () => {
+      const tbody = header.closest('table').querySelector('tbody');
+      const ascending = header.dataset.order !== 'asc';
+      header.dataset.order = ascending ? 'asc' : 'desc';
+
+      const key = row => {
+        const cell = row.children[column];
+        return cell.dataset.value !== undefined ? Number(cell.dataset.value) : cell.textContent.trim();
+      };
+
+      [...tbody.rows]
+        .sort((a, b) => {
+          const [x, y] = [key(a), key(b)];
+          const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+          return ascending ? order : -order;
+        })
+        .forEach(row => tbody.appendChild(row));
+    });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+registerOutputFormat('json', {
+  extension: 'json',
+  label: 'JSON',
+  render: results => JSON.stringify(results, null, 2)
+});
+
+registerOutputFormat('markdown', {
+  extension: 'md',
+  label: '마크다운',
+  render: (results, reportGenerator) => reportGenerator.generateMarkdown(results)
+});
+
+registerOutputFormat('html', {
+  extension: 'html',
+  label: 'HTML',
+  render: results => renderHtml(results)
+});
+
+registerOutputFormat('junit', {
+  extension: 'xml',
+  label: 'JUnit XML',
+  render: results => renderJUnit(results)
+});
+
+export { OUTPUT_FORMATS, registerOutputFormat, getOutputFormat, renderJUnit, renderHtml, escapeXml };
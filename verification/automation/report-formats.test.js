@@ -0,0 +1,57 @@
+/**
+ * 리포트 출력 형식 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import { renderJUnit, escapeXml } from './report-formats.js';
+
+const results = {
+  timestamp: '2026-01-01T00:00:00.000Z',
+  timing: { wallClockMs: 5000 },
+  scenarios: {
+    'react-refactor': {
+      provider: 'simulator',
+      durationMs: 4000,
+      metrics: { 'code-quality': { average: 80 } },
+      iterationResults: [
+        { index: 1, warmup: true, success: false, error: 'warmup timeout', responseTime: 900 },
+        { index: 1, success: true, responseTime: 1000 },
+        { index: 2, success: false, error: 'codex exited <1>', responseTime: 1500 }
+      ]
+    },
+    'broken-scenario': {
+      durationMs: 0,
+      error: '스키마 오류'
+    }
+  }
+};
+
+const attributes = (xml, tag) => Object.fromEntries(
+  [...xml.match(new RegExp(`<${tag} ([^>]*)>`))[1].matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value])
+);
+
+describe('renderJUnit', () => {
+  test('워밍업 반복은 skipped로 표시하고 실패 수에서 제외', () => {
+    const xml = renderJUnit(results);
+
+    expect(xml).toContain('<testcase classname="codex-benchmark.react-refactor" name="warmup 1" time="0.900">\n      <skipped message="warmup"/>\n    </testcase>');
+    expect(xml).not.toContain('warmup timeout');
+    expect(attributes(xml, 'testsuites')).toMatchObject({ tests: '4', failures: '1', errors: '1', skipped: '1', time: '5.000' });
+    expect(attributes(xml, 'testsuite name="react-refactor"')).toMatchObject({ tests: '3', failures: '1', errors: '0', skipped: '1' });
+  });
+
+  test('실패한 반복은 failure, 실행되지 못한 시나리오는 error', () => {
+    const xml = renderJUnit(results);
+
+    expect(xml).toContain('<failure message="codex exited &lt;1&gt;" type="IterationFailure">codex exited &lt;1&gt;</failure>');
+    expect(xml).toContain('<error message="스키마 오류" type="ScenarioError">스키마 오류</error>');
+    expect(xml).toContain('<property name="metric.code-quality" value="80"/>');
+  });
+
+  test('XML 특수 문자 이스케이프와 허용되지 않는 제어 문자 제거', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+    expect(escapeXml('a\u0000b\u001Bc\td\ne')).toBe('abc\td\ne');
+    expect(escapeXml(undefined)).toBe('');
+  });
+});
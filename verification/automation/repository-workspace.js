@@ -0,0 +1,324 @@
+/**
+ * 저장소 모드 작업 공간
+ *
+ * 시나리오의 repository.fixture 디렉터리를 임시 git 작업 공간으로 복사해 에이전트가
+ * 실제 파일을 수정하게 하고, 실행 후 diff를 수집해 기대 변경과 사후 조건을 검사합니다.
+ *
+ * 시나리오 형식:
+ *
+ *   "repository": {
+ *     "fixture": "fixtures/cart-bug",                       // scenarios 디렉터리 기준
+ *     "expectedChanges": [{ "path": "src/cart.js", "change": "modified" }],
+ *     "postConditions": [
+ *       { "type": "command", "command": "node --test test/" },
+ *       { "type": "patternAbsent", "path": "src/cart.js", "pattern": "[^=!]==[^=]" }
+ *     ]
+ *   }
+ *
+ * 파일을 직접 수정하지 않는 프로바이더(HTTP, 시뮬레이터, 재생)는 출력의 코드 블록 중
+ * 정보 문자열에 경로가 있는 블록(```js src/cart.js)을 해당 파일에 기록합니다.
+ *
+ * command 사후 조건은 모델이 작성한 코드를 실행하므로 NODE_OPTIONS로 Node 권한 모델을 켜서
+ * 작업 공간 밖의 파일 읽기·쓰기를 막고, HOME은 빈 임시 디렉터리로 바꿉니다. 이 제한은 Node
+ * 프로세스에만 적용되며 명령 문자열 자체는 셸로 실행되므로, 명령은 시나리오 작성자가 신뢰할 수
+ * 있는 것만 지정해야 합니다.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { permissionArgs } from './code-executor.js';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_IDENTITY = ['-c', 'user.name=codex-benchmark', '-c', 'user.email=benchmark@localhost', '-c', 'commit.gpgsign=false'];
+const CHANGE_TYPES = { A: 'added', M: 'modified', D: 'deleted' };
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+// 프롬프트에 포함할 파일 크기 상한 (이보다 큰 파일은 목록에만 표시)
+const MAX_PROMPT_FILE_BYTES = 20000;
+// 리포트에 저장할 diff 길이 상한
+const MAX_DIFF_LENGTH = 20000;
+
+const FILE_BLOCK = /```([^\n`]*)\n([\s\S]*?)```/g;
+const FILE_COMMENT = /^\s*(?:\/\/|#|--)\s*file:\s*(\S+)\s*\n/;
+
+function git(cwd, args) {
+  return execFileAsync('git', [...GIT_IDENTITY, ...args], { cwd, maxBuffer: 10 * 1024 * 1024 })
+    .then(({ stdout }) => stdout);
+}
+
+/**
+ * 코드 블록 정보 문자열(또는 첫 줄 "// file: 경로" 주석)에서 파일 경로 추출
+ */
+function blockFilePath(info, code) {
+  const tokens = info.trim().split(/\s+/).filter(Boolean);
+  const explicit = tokens.find(token => /^(path|file)=/.test(token));
+  if (explicit) return explicit.slice(explicit.indexOf('=') + 1);
+
+  const pathLike = tokens.find(token => token.includes('/') || /\.\w+$/.test(token));
+  if (pathLike) return pathLike;
+
+  return code.match(FILE_COMMENT)?.[1] || null;
+}
+
+/**
+ * 셸 명령 실행 (시간 제한 초과 시 프로세스 그룹 종료)
+ *
+ * Node 프로세스는 작업 공간과 임시 HOME만 읽고 쓸 수 있습니다. node --test처럼 자식 프로세스를
+ * 띄우는 명령을 위해 자식 프로세스 생성은 허용하며, 자식도 같은 NODE_OPTIONS를 물려받습니다.
+ */
+async function runCommand(command, cwd, timeout) {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-home-'));
+  const nodeOptions = [
+    ...permissionArgs([cwd, home], [cwd, home]),
+    '--allow-child-process',
+    '--disable-warning=ExperimentalWarning'
+  ];
+
+  try {
+    return await spawnCommand(command, {
+      cwd,
+      env: { PATH: process.env.PATH, HOME: home, NODE_ENV: 'test', NODE_OPTIONS: nodeOptions.join(' ') }
+    }, timeout);
+  } finally {
+    await fs.rm(home, { recursive: true, force: true });
+  }
+}
+
+function spawnCommand(command, { cwd, env }, timeout) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+
+    let output = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, timeout);
+
+    child.stdout.on('data', (data) => { output += data.toString(); });
+    child.stderr.on('data', (data) => { output += data.toString(); });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, timedOut, output });
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ code: null, timedOut, output: error.message });
+    });
+  });
+}
+
+class RepositoryWorkspace {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * 픽스처를 임시 디렉터리에 복사하고 기준 커밋 생성
+   */
+  static async create(fixtureDir) {
+    try {
+      await fs.access(fixtureDir);
+    } catch (error) {
+      throw new Error(`픽스처 디렉터리를 찾을 수 없습니다: ${fixtureDir}`);
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-repo-'));
+    try {
+      await fs.cp(fixtureDir, dir, { recursive: true });
+      await git(dir, ['init', '-q']);
+      await git(dir, ['add', '-A']);
+      await git(dir, ['commit', '-q', '--allow-empty', '-m', 'fixture baseline']);
+    } catch (error) {
+      await fs.rm(dir, { recursive: true, force: true });
+      throw new Error(`작업 공간 준비 실패: ${error.message}`);
+    }
+
+    return new RepositoryWorkspace(dir);
+  }
+
+  /**
+   * 작업 공간 경로 안의 절대 경로로 변환 (밖을 가리키면 null)
+   */
+  resolve(relativePath) {
+    const absolute = path.resolve(this.dir, relativePath);
+    return absolute.startsWith(this.dir + path.sep) ? absolute : null;
+  }
+
+  /**
+   * 파일을 직접 수정하지 않는 프로바이더용 프롬프트 컨텍스트 (파일 내용 + 응답 형식 안내)
+   */
+  async describeForPrompt() {
+    const files = (await git(this.dir, ['ls-files'])).split('\n').filter(Boolean);
+    const sections = [];
+
+    for (const file of files) {
+      const content = await fs.readFile(path.join(this.dir, file), 'utf-8');
+      const language = path.extname(file).slice(1);
+      sections.push(content.length > MAX_PROMPT_FILE_BYTES
+        ? `(${file}: ${content.length} bytes, 생략)`
+        : `\`\`\`${language} ${file}\n${content}\`\`\``);
+    }
+
+    return [
+      'Repository files:',
+      ...sections,
+      'Return every file you create or change as a complete fenced code block whose info string is the language followed by the file path, e.g. ```js src/index.js'
+    ].join('\n\n');
+  }
+
+  /**
+   * 출력의 경로 지정 코드 블록을 파일로 기록
+   *
+   * @returns {string[]} 기록한 파일 경로
+   */
+  async applyFileBlocks(output) {
+    const written = [];
+
+    for (const [, info, code] of output.matchAll(FILE_BLOCK)) {
+      const relativePath = blockFilePath(info, code);
+      if (!relativePath) continue;
+
+      const target = this.resolve(relativePath);
+      if (!target) {
+        console.warn(`작업 공간 밖 경로는 무시합니다: ${relativePath}`);
+        continue;
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, code.replace(FILE_COMMENT, ''));
+      written.push(relativePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * 기준 커밋 대비 변경 사항 수집
+   */
+  async collectChanges() {
+    await git(this.dir, ['add', '-A']);
+
+    const nameStatus = await git(this.dir, ['diff', '--cached', '--name-status', '--no-renames']);
+    const changes = nameStatus.split('\n').filter(Boolean).map((line) => {
+      const [status, file] = line.split('\t');
+      return { path: file, change: CHANGE_TYPES[status[0]] || status };
+    });
+
+    const diff = await git(this.dir, ['diff', '--cached', '--no-renames']);
+    const stat = (await git(this.dir, ['diff', '--cached', '--shortstat'])).trim();
+
+    return { changes, diff, stat };
+  }
+
+  /**
+   * 변경 파일의 최종 내용을 코드 블록 형태로 반환 (코드 분석기 입력용)
+   */
+  async changedSource(changes) {
+    const blocks = [];
+
+    for (const { path: file, change } of changes) {
+      if (change === 'deleted') continue;
+      const content = await fs.readFile(path.join(this.dir, file), 'utf-8');
+      blocks.push(`\`\`\`${path.extname(file).slice(1)} ${file}\n${content}\n\`\`\``);
+    }
+
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * 기대 변경과 사후 조건 검사
+   *
+   * @returns {Promise<object>} 변경 목록, diff, 검사 결과와 0~100 점수
+   */
+  async verify(repository) {
+    const { changes, diff, stat } = await this.collectChanges();
+    const checks = [];
+
+    for (const expected of repository.expectedChanges || []) {
+      const actual = changes.find(change => change.path === expected.path)?.change || 'unchanged';
+      checks.push({
+        type: 'change',
+        description: `${expected.path}: ${expected.change}`,
+        passed: actual === expected.change,
+        detail: actual === expected.change ? null : `실제: ${actual}`
+      });
+    }
+
+    for (const condition of repository.postConditions || []) {
+      checks.push(await this.checkPostCondition(condition));
+    }
+
+    const passed = checks.filter(check => check.passed).length;
+    const score = checks.length > 0
+      ? Math.round((passed / checks.length) * 100)
+      : changes.length > 0 ? 100 : 0;
+
+    return {
+      changes,
+      stat,
+      diff: diff.length > MAX_DIFF_LENGTH ? `${diff.slice(0, MAX_DIFF_LENGTH)}\n... (생략)` : diff,
+      source: await this.changedSource(changes),
+      checks,
+      passed,
+      total: checks.length,
+      score
+    };
+  }
+
+  /**
+   * 단일 사후 조건 검사
+   */
+  async checkPostCondition(condition) {
+    const description = condition.description || `${condition.type} ${condition.path || condition.command || ''}`.trim();
+    const result = (passed, detail = null) => ({ type: condition.type, description, passed, detail });
+
+    if (condition.type === 'command') {
+      const run = await runCommand(condition.command, this.dir, condition.timeout || DEFAULT_COMMAND_TIMEOUT);
+      if (run.timedOut) return result(false, `시간 제한 초과 (${condition.timeout || DEFAULT_COMMAND_TIMEOUT}ms)`);
+      // 실패 원인은 출력의 마지막 몇 줄만 한 줄로 요약
+      const tail = run.output.trim().split('\n').slice(-5).map(line => line.trim()).join(' | ').slice(-500);
+      return result(run.code === 0, run.code === 0 ? null : `종료 코드 ${run.code}: ${tail}`);
+    }
+
+    const target = this.resolve(condition.path);
+    if (!target) return result(false, `작업 공간 밖 경로: ${condition.path}`);
+    const content = await fs.readFile(target, 'utf-8').catch(() => null);
+
+    switch (condition.type) {
+      case 'fileExists':
+        return result(content !== null, content !== null ? null : '파일 없음');
+      case 'fileAbsent':
+        return result(content === null, content === null ? null : '파일이 존재함');
+      case 'patternPresent':
+      case 'patternAbsent': {
+        if (content === null) return result(false, '파일 없음');
+        const found = new RegExp(condition.pattern, 'm').test(content);
+        const passed = condition.type === 'patternPresent' ? found : !found;
+        return result(passed, passed ? null : `/${condition.pattern}/ ${found ? '발견' : '없음'}`);
+      }
+      default:
+        return result(false, `알 수 없는 사후 조건: ${condition.type}`);
+    }
+  }
+
+  async dispose() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+export { RepositoryWorkspace, blockFilePath };
@@ -0,0 +1,162 @@
+/**
+ * 저장소 모드 작업 공간 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RepositoryWorkspace, blockFilePath } from './repository-workspace.js';
+
+const FENCE = '```';
+const block = (info, code) => `${FENCE}${info}\n${code}\n${FENCE}`;
+
+let fixtureDir;
+let outsideDir;
+let workspace;
+
+beforeAll(async () => {
+  fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repository-workspace-fixture-'));
+  outsideDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repository-workspace-outside-'));
+  await fs.mkdir(path.join(fixtureDir, 'src'));
+  await fs.writeFile(path.join(fixtureDir, 'src', 'cart.js'), 'module.exports = (a, b) => a == b;\n');
+  await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'secret');
+});
+
+afterAll(async () => {
+  await fs.rm(fixtureDir, { recursive: true, force: true });
+  await fs.rm(outsideDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  workspace = await RepositoryWorkspace.create(fixtureDir);
+});
+
+afterEach(async () => {
+  await workspace.dispose();
+});
+
+describe('blockFilePath', () => {
+  test.each([
+    ['js src/cart.js', 'src/cart.js', 'const a = 1;'],
+    ['js path=lib/index.js', 'lib/index.js', 'const a = 1;'],
+    ['python file=main.py', 'main.py', 'x = 1'],
+    ['json package.json', 'package.json', '{}'],
+    ['js', 'src/util.js', '// file: src/util.js\nconst a = 1;'],
+    ['sql', 'db/schema.sql', '-- file: db/schema.sql\nSELECT 1;']
+  ])('"%s" → %s', (info, expected, code) => {
+    expect(blockFilePath(info, code)).toBe(expected);
+  });
+
+  test('경로가 없으면 null', () => {
+    expect(blockFilePath('js', 'const a = 1;')).toBeNull();
+    expect(blockFilePath('', 'const a = 1;')).toBeNull();
+  });
+});
+
+describe('applyFileBlocks', () => {
+  test('경로 지정 블록만 기록하고 파일 주석은 제거', async () => {
+    const output = [
+      block('js src/cart.js', 'module.exports = (a, b) => a === b;'),
+      block('js', '// file: src/util.js\nexports.id = x => x;'),
+      block('js', 'console.log("경로 없음");')
+    ].join('\n\n');
+
+    expect(await workspace.applyFileBlocks(output)).toEqual(['src/cart.js', 'src/util.js']);
+    expect(await fs.readFile(path.join(workspace.dir, 'src', 'cart.js'), 'utf-8')).toBe('module.exports = (a, b) => a === b;\n');
+    expect(await fs.readFile(path.join(workspace.dir, 'src', 'util.js'), 'utf-8')).toBe('exports.id = x => x;\n');
+  });
+
+  test('작업 공간 밖을 가리키는 경로는 기록하지 않음', async () => {
+    const escape = path.relative(workspace.dir, path.join(outsideDir, 'secret.txt'));
+    const output = [
+      block(`txt ${escape}`, 'pwned'),
+      block(`txt ${path.join(outsideDir, 'secret.txt')}`, 'pwned'),
+      block('txt ../sibling.txt', 'pwned')
+    ].join('\n\n');
+    const warn = console.warn;
+    console.warn = () => {};
+
+    try {
+      expect(await workspace.applyFileBlocks(output)).toEqual([]);
+    } finally {
+      console.warn = warn;
+    }
+    expect(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf-8')).toBe('secret');
+    await expect(fs.access(path.join(path.dirname(workspace.dir), 'sibling.txt'))).rejects.toThrow();
+  });
+});
+
+describe('verify', () => {
+  test('기대 변경과 사후 조건 통과 비율로 점수 계산', async () => {
+    await workspace.applyFileBlocks(block('js src/cart.js', 'module.exports = (a, b) => a === b;'));
+
+    const result = await workspace.verify({
+      expectedChanges: [
+        { path: 'src/cart.js', change: 'modified' },
+        { path: 'src/other.js', change: 'added' }
+      ],
+      postConditions: [
+        { type: 'fileExists', path: 'src/cart.js' },
+        { type: 'patternAbsent', path: 'src/cart.js', pattern: '[^=!]==[^=]' },
+        { type: 'patternPresent', path: 'src/cart.js', pattern: 'TODO' }
+      ]
+    });
+
+    expect(result.changes).toEqual([{ path: 'src/cart.js', change: 'modified' }]);
+    expect(result.checks.map(check => check.passed)).toEqual([true, false, true, true, false]);
+    expect(result.checks[1].detail).toBe('실제: unchanged');
+    expect(result).toMatchObject({ passed: 3, total: 5, score: 60 });
+    expect(result.diff).toContain('+module.exports = (a, b) => a === b;');
+  });
+
+  test('검사가 없으면 변경 여부로 점수', async () => {
+    expect((await workspace.verify({})).score).toBe(0);
+
+    await workspace.applyFileBlocks(block('js src/new.js', 'exports.ok = true;'));
+    expect(await workspace.verify({})).toMatchObject({ changes: [{ path: 'src/new.js', change: 'added' }], total: 0, score: 100 });
+  });
+
+  test('작업 공간 밖 경로와 알 수 없는 사후 조건은 실패', async () => {
+    const result = await workspace.verify({
+      postConditions: [
+        { type: 'fileExists', path: '../outside.txt' },
+        { type: 'unknown', path: 'src/cart.js' }
+      ]
+    });
+
+    expect(result.checks.map(check => check.detail)).toEqual(['작업 공간 밖 경로: ../outside.txt', '알 수 없는 사후 조건: unknown']);
+    expect(result.score).toBe(0);
+  });
+
+  test('명령 사후 조건은 종료 코드로 판정', async () => {
+    const result = await workspace.verify({
+      postConditions: [
+        { type: 'command', command: 'node -e "require(\'./src/cart.js\')"' },
+        { type: 'command', command: 'node -e "process.exit(3)"' },
+        { type: 'command', command: 'node -e "setTimeout(() => {}, 60000)"', timeout: 200 }
+      ]
+    });
+
+    expect(result.checks.map(check => check.passed)).toEqual([true, false, false]);
+    expect(result.checks[1].detail).toMatch(/^종료 코드 3/);
+    expect(result.checks[2].detail).toBe('시간 제한 초과 (200ms)');
+  });
+
+  test('명령 속 Node 코드는 작업 공간 밖을 읽거나 쓸 수 없고 HOME은 임시 디렉터리', async () => {
+    const secret = JSON.stringify(path.join(outsideDir, 'secret.txt'));
+    const target = JSON.stringify(path.join(outsideDir, 'pwned.txt'));
+    const result = await workspace.verify({
+      postConditions: [
+        { type: 'command', command: `node -e 'require("fs").readFileSync(${secret})'` },
+        { type: 'command', command: `node -e 'require("fs").writeFileSync(${target}, "x")'` },
+        { type: 'command', command: `node -e 'process.exit(process.env.HOME === ${JSON.stringify(os.homedir())} ? 1 : 0)'` }
+      ]
+    });
+
+    expect(result.checks.map(check => check.passed)).toEqual([false, false, true]);
+    expect(result.checks[0].detail).toContain("permission: 'FileSystemRead'");
+    await expect(fs.access(path.join(outsideDir, 'pwned.txt'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * 프로바이더 호출 오류 분류, 재시도, 실행 시간 제한
+ *
+ * 프로바이더가 던진 오류를 종류(kind)로 분류해 일시적인 오류(rate-limit, server, network)만
+ * 지수 백오프로 재시도합니다. 시간 초과와 사용자 중단은 재시도하지 않습니다.
+ *
+ *   kind        재시도  예
+ *   rate-limit  O       HTTP 429, "rate limit", "too many requests"
+ *   server      O       HTTP 5xx, "overloaded", "service unavailable"
+ *   network     O       ECONNRESET, ECONNREFUSED, fetch failed
+ *   timeout     X       반복 타임아웃 초과
+ *   aborted     X       Ctrl-C 등 사용자 중단
+ *   client      X       HTTP 4xx (인증, 잘못된 요청)
+ *   process     X       실행 파일 없음 (ENOENT), 권한 오류
+ *   unknown     X       그 밖의 오류 (CLI 비정상 종료 등)
+ */
+
+const RETRYABLE_KINDS = new Set(['rate-limit', 'server', 'network']);
+
+const RETRY_DEFAULTS = {
+  retries: 2, // 첫 시도 이후 최대 재시도 횟수
+  baseDelayMs: 1000, // 첫 재시도 대기 시간 (이후 2배씩 증가)
+  maxDelayMs: 30000 // 대기 시간 상한 (Retry-After 포함)
+};
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const PROCESS_CODES = new Set(['ENOENT', 'EACCES', 'EPERM']);
+const RATE_LIMIT_PATTERN = /\b429\b|rate[ _-]?limit|too many requests/i;
+const SERVER_PATTERN = /\b5\d\d\b|overloaded|internal server error|bad gateway|service unavailable|gateway timeout/i;
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options - { kind, status, retryAfterMs, cause }
+   */
+  constructor(message, { kind = 'unknown', status, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+}
+
+/**
+ * HTTP 상태 코드의 오류 종류
+ */
+function kindFromStatus(status) {
+  if (status === 429) return 'rate-limit';
+  if (status >= 500) return 'server';
+  return 'client';
+}
+
+/**
+ * Retry-After 헤더 값(초 또는 HTTP 날짜)을 밀리초로 변환
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * 임의의 오류를 ProviderError로 분류
+ */
+function classifyError(error) {
+  if (error instanceof ProviderError) return error;
+
+  const message = error?.message || String(error);
+  const code = error?.code || error?.cause?.code;
+  const kind =
+    error?.name === 'TimeoutError' ? 'timeout' :
+    error?.name === 'AbortError' ? 'aborted' :
+    PROCESS_CODES.has(code) ? 'process' :
+    NETWORK_CODES.has(code) || message === 'fetch failed' ? 'network' :
+    RATE_LIMIT_PATTERN.test(message) ? 'rate-limit' :
+    SERVER_PATTERN.test(message) ? 'server' :
+    'unknown';
+
+  return new ProviderError(message, { kind, cause: error });
+}
+
+/**
+ * 재시도 대기 시간 (지수 백오프 + 50~100% 지터, 서버가 알려준 Retry-After가 더 길면 그 값)
+ *
+ * @param {number} retry - 재시도 순번 (1부터)
+ */
+function backoffDelay(retry, { baseDelayMs, maxDelayMs }, retryAfterMs, random = Math.random) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  const jittered = Math.round(exponential * (0.5 + random() * 0.5));
+  return Math.min(maxDelayMs, Math.max(jittered, retryAfterMs ?? 0));
+}
+
+/**
+ * 중단 가능한 대기
+ */
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(classifyError(signal.reason));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(classifyError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 벽시계 시간 제한과 상위 중단 신호를 적용해 작업 실행
+ *
+ * 작업에는 시간 초과나 중단 시 abort되는 signal이 전달됩니다. 작업이 signal을 무시하더라도
+ * 제한 시간이 지나면 기다리지 않고 timeout 오류로 끝납니다.
+ *
+ * @param {(signal: AbortSignal) => Promise<*>} task
+ * @param {object} options - { timeout, signal, label }
+ */
+function runWithDeadline(task, { timeout, signal, label = '프로바이더' } = {}) {
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+
+  const deadline = new Promise((_, reject) => {
+    const stop = (error) => {
+      controller.abort(error);
+      reject(error);
+    };
+
+    if (timeout) {
+      timer = setTimeout(() => stop(new ProviderError(`${label} 응답 시간 초과 (${timeout}ms)`, { kind: 'timeout' })), timeout);
+    }
+    onAbort = () => stop(classifyError(signal.reason));
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([Promise.resolve().then(() => task(controller.signal)), deadline])
+    .catch((error) => {
+      throw classifyError(error);
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    });
+}
+
+/**
+ * 일시적 오류를 지수 백오프로 재시도
+ *
+ * 마지막 오류에는 시도 횟수(attempts)가 기록됩니다.
+ *
+ * @param {(attempt: number) => Promise<*>} task - 시도 함수 (attempt는 1부터)
+ * @param {object} options - { retries, baseDelayMs, maxDelayMs, signal, onRetry(error, retry, delayMs) }
+ */
+async function withRetry(task, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs, signal, onRetry } = { ...RETRY_DEFAULTS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (rawError) {
+      const error = classifyError(rawError);
+      error.attempts = attempt;
+      if (!error.retryable || attempt > retries || signal?.aborted) throw error;
+
+      const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs }, error.retryAfterMs);
+      onRetry?.(error, attempt, delayMs);
+      await abortableSleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * 재시도 기록({ delayMs })의 대기 시간 합계 (ms)
+ */
+function sumRetryWait(retries = []) {
+  return retries.reduce((sum, retry) => sum + (retry.delayMs || 0), 0);
+}
+
+export {
+  RETRY_DEFAULTS,
+  ProviderError,
+  classifyError,
+  kindFromStatus,
+  parseRetryAfter,
+  backoffDelay,
+  abortableSleep,
+  runWithDeadline,
+  withRetry,
+  sumRetryWait
+};
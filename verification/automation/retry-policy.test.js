@@ -0,0 +1,190 @@
+/**
+ * 재시도 정책 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import {
+  ProviderError,
+  classifyError,
+  kindFromStatus,
+  parseRetryAfter,
+  backoffDelay,
+  abortableSleep,
+  runWithDeadline,
+  withRetry,
+  sumRetryWait
+} from './retry-policy.js';
+
+// 테스트가 실제로 기다리지 않도록 대기 시간을 1ms로 제한
+const FAST = { baseDelayMs: 1, maxDelayMs: 1 };
+
+// 항상 같은 오류로 실패하는 시도 함수 (calls에 호출 횟수 기록)
+const failing = (error) => {
+  const task = async () => {
+    task.calls++;
+    throw error;
+  };
+  task.calls = 0;
+  return task;
+};
+
+describe('오류 분류', () => {
+  test.each([
+    [Object.assign(new Error('timed out'), { name: 'TimeoutError' }), 'timeout'],
+    [Object.assign(new Error('stopped'), { name: 'AbortError' }), 'aborted'],
+    [Object.assign(new Error('spawn codex ENOENT'), { code: 'ENOENT' }), 'process'],
+    [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'network'],
+    [new Error('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } }), 'network'],
+    [new Error('fetch failed'), 'network'],
+    [new Error('HTTP 429: Rate limit reached'), 'rate-limit'],
+    [new Error('Too Many Requests'), 'rate-limit'],
+    [new Error('HTTP 503 Service Unavailable'), 'server'],
+    [new Error('model is overloaded'), 'server'],
+    [new Error('codex exited with code 1'), 'unknown']
+  ])('%s → %s', (error, kind) => {
+    const classified = classifyError(error);
+
+    expect(classified).toBeInstanceOf(ProviderError);
+    expect(classified.kind).toBe(kind);
+    expect(classified.cause).toBe(error);
+  });
+
+  test('ProviderError는 그대로 두고 문자열도 분류', () => {
+    const error = new ProviderError('bad key', { kind: 'client', status: 401 });
+
+    expect(classifyError(error)).toBe(error);
+    expect(classifyError('rate limit exceeded').kind).toBe('rate-limit');
+  });
+
+  test('rate-limit, server, network만 재시도 대상', () => {
+    const retryable = ['rate-limit', 'server', 'network', 'timeout', 'aborted', 'client', 'process', 'unknown']
+      .filter(kind => new ProviderError('x', { kind }).retryable);
+
+    expect(retryable).toEqual(['rate-limit', 'server', 'network']);
+  });
+
+  test('HTTP 상태 코드의 오류 종류', () => {
+    expect([429, 500, 503, 400, 401, 404].map(kindFromStatus)).toEqual(['rate-limit', 'server', 'server', 'client', 'client', 'client']);
+  });
+});
+
+describe('대기 시간', () => {
+  test('Retry-After는 초 또는 HTTP 날짜', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+    expect(parseRetryAfter(new Date(Date.now() - 60000).toUTCString())).toBe(0);
+
+    const future = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    expect(future).toBeGreaterThan(58000);
+    expect(future).toBeLessThanOrEqual(60000);
+  });
+
+  test('지수 백오프에 50~100% 지터, 상한 적용', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect([1, 2, 3].map(retry => backoffDelay(retry, options, undefined, () => 1))).toEqual([1000, 2000, 4000]);
+    expect(backoffDelay(2, options, undefined, () => 0)).toBe(1000);
+    expect(backoffDelay(10, options, undefined, () => 1)).toBe(5000);
+  });
+
+  test('Retry-After가 더 길면 그 값을 쓰되 상한은 넘지 않음', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect(backoffDelay(1, options, 3000, () => 1)).toBe(3000);
+    expect(backoffDelay(1, options, 60000, () => 1)).toBe(5000);
+  });
+
+  test('재시도 기록의 대기 시간 합계', () => {
+    expect(sumRetryWait([{ delayMs: 1000 }, { delayMs: 250 }, {}])).toBe(1250);
+    expect(sumRetryWait()).toBe(0);
+  });
+
+  test('중단되면 대기를 끝내고 aborted 오류', async () => {
+    const controller = new AbortController();
+    const sleep = abortableSleep(60000, controller.signal);
+    controller.abort(new ProviderError('사용자 중단', { kind: 'aborted' }));
+
+    await expect(sleep).rejects.toMatchObject({ kind: 'aborted' });
+  });
+});
+
+describe('withRetry', () => {
+  test('일시적 오류는 재시도하고 onRetry에 순번과 대기 시간 전달', async () => {
+    const retries = [];
+    const attempts = [];
+
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 3) throw new Error('HTTP 503');
+      return 'ok';
+    }, { ...FAST, retries: 2, onRetry: (error, retry, delayMs) => retries.push([error.kind, retry, delayMs]) });
+
+    expect(result).toBe('ok');
+    expect(attempts).toEqual([1, 2, 3]);
+    expect(retries).toEqual([
+      ['server', 1, 1],
+      ['server', 2, 1]
+    ]);
+  });
+
+  test('재시도 횟수를 다 쓰면 마지막 오류에 시도 횟수 기록', async () => {
+    const task = failing(new Error('rate limit'));
+
+    await expect(withRetry(task, { ...FAST, retries: 1 })).rejects.toMatchObject({ kind: 'rate-limit', attempts: 2 });
+    expect(task.calls).toBe(2);
+  });
+
+  test('재시도 대상이 아닌 오류는 바로 실패', async () => {
+    const task = failing(new ProviderError('bad key', { kind: 'client', status: 401 }));
+
+    await expect(withRetry(task, { ...FAST, retries: 3 })).rejects.toMatchObject({ kind: 'client', attempts: 1 });
+    expect(task.calls).toBe(1);
+  });
+
+  test('중단된 뒤에는 재시도하지 않음', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const task = async () => {
+      calls++;
+      controller.abort();
+      throw new Error('HTTP 503');
+    };
+
+    await expect(withRetry(task, { ...FAST, retries: 3, signal: controller.signal })).rejects.toMatchObject({ kind: 'server' });
+    expect(calls).toBe(1);
+  });
+});
+
+describe('runWithDeadline', () => {
+  test('제한 시간 안에 끝나면 결과 반환', async () => {
+    await expect(runWithDeadline(async () => 'done', { timeout: 1000 })).resolves.toBe('done');
+  });
+
+  test('signal을 무시하는 작업도 제한 시간이 지나면 timeout 오류', async () => {
+    let taskSignal;
+    const never = runWithDeadline((signal) => {
+      taskSignal = signal;
+      return new Promise(() => {});
+    }, { timeout: 20, label: 'codex' });
+
+    await expect(never).rejects.toMatchObject({ kind: 'timeout', message: 'codex 응답 시간 초과 (20ms)' });
+    expect(taskSignal.aborted).toBe(true);
+  });
+
+  test('상위 신호가 중단되면 aborted 오류', async () => {
+    const controller = new AbortController();
+    const run = runWithDeadline(() => new Promise(() => {}), { timeout: 60000, signal: controller.signal });
+    controller.abort(new ProviderError('사용자 중단', { kind: 'aborted' }));
+
+    await expect(run).rejects.toMatchObject({ kind: 'aborted' });
+  });
+
+  test('작업 오류는 분류해서 다시 던짐', async () => {
+    await expect(runWithDeadline(async () => {
+      throw Object.assign(new Error('connect'), { code: 'ECONNREFUSED' });
+    }, { timeout: 1000 })).rejects.toMatchObject({ kind: 'network' });
+  });
+});
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * 생성 코드 샌드박스 실행기
+ *
+ * CodeExecutor가 메모리 상한(--max-old-space-size)과 타임아웃을 걸어 자식 프로세스로
+ * 실행합니다. 생성 코드를 테스트마다 새로 평가해 하네스 테스트를 돌리고,
+ * 결과를 payload에 지정된 파일에 기록합니다.
+ *
+ * 격리는 두 겹입니다.
+ * - 프로세스: Node 권한 모델로 파일 읽기는 실행기·하네스·작업 디렉터리, 쓰기는 작업
+ *   디렉터리로 제한하고 자식 프로세스·네이티브 애드온을 막습니다. 문자열 코드 생성
+ *   (eval, Function)도 끕니다.
+ * - 생성 코드: 파일·프로세스·네트워크 모듈을 거부하는 require와 환경 변수·종료 기능이 없는
+ *   process 대역만 받고, fetch 같은 네트워크 전역은 지운 상태로 평가됩니다. 필요한 값은
+ *   하네스가 globals로 주입합니다.
+ *
+ *   node --experimental-permission --allow-fs-read=... --allow-fs-write=<workDir> \
+ *     --disallow-code-generation-from-strings --max-old-space-size=128 sandbox-runner.js <payload.json>
+ *
+ * 하네스 모듈 형식 (verification/scenarios/harnesses/*.harness.js):
+ *
+ *   export default {
+ *     globals: () => ({ ... }),          // 선택: 생성 코드에 주입할 전역 값
+ *     tests: [
+ *       { name: '...', run: async ({ exports, globals, assert }) => { ... } }
+ *     ]
+ *   };
+ */
+
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import vm from 'vm';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+// 생성 코드의 require에서 거부하는 내장 모듈 (node: 접두사, 하위 경로 포함)
+const DENIED_MODULES = new Set([
+  'fs', 'child_process', 'net', 'tls', 'dgram', 'dns', 'http', 'https', 'http2',
+  'cluster', 'worker_threads', 'inspector', 'module', 'vm', 'v8', 'repl'
+]);
+
+// 생성 코드 평가 전에 지우는 네트워크 전역
+const NETWORK_GLOBALS = ['fetch', 'WebSocket', 'EventSource', 'XMLHttpRequest'];
+
+/**
+ * 거부 목록의 모듈을 막는 require 생성
+ */
+function createSandboxRequire(baseUrl) {
+  const nodeRequire = createRequire(baseUrl);
+
+  return (id) => {
+    const name = String(id).replace(/^node:/, '').split('/')[0];
+    if (DENIED_MODULES.has(name)) {
+      throw new Error(`샌드박스에서 사용할 수 없는 모듈입니다: ${id}`);
+    }
+    return nodeRequire(id);
+  };
+}
+
+/**
+ * 생성 코드에 process 대신 넘기는 대역 (환경 변수, 종료, 시그널, 작업 디렉터리 없음)
+ */
+function createSandboxProcess() {
+  const unavailable = name => () => {
+    throw new Error(`샌드박스에서 사용할 수 없는 기능입니다: process.${name}`);
+  };
+
+  return {
+    env: { NODE_ENV: 'test' },
+    argv: ['node'],
+    platform: process.platform,
+    version: process.version,
+    versions: { ...process.versions },
+    nextTick: process.nextTick.bind(process),
+    hrtime: process.hrtime.bind(process),
+    exit: unavailable('exit'),
+    abort: unavailable('abort'),
+    kill: unavailable('kill'),
+    cwd: unavailable('cwd'),
+    chdir: unavailable('chdir')
+  };
+}
+
+/**
+ * 생성 코드를 평가하고 최상위 선언을 객체로 반환
+ *
+ * 같은 realm에서 vm.compileFunction으로 평가하므로 하네스의 deepStrictEqual 비교가
+ * 배열/객체 프로토타입 차이로 실패하지 않습니다. (--disallow-code-generation-from-strings
+ * 아래에서도 동작하고, 생성 코드 안의 동적 import는 막힙니다)
+ */
+function loadGeneratedCode(payload, globals) {
+  const module = { exports: {} };
+  const require = createSandboxRequire(pathToFileURL(`${process.cwd()}/`));
+  const logs = [];
+  const sandboxConsole = {
+    log: (...args) => logs.push(args.join(' ')),
+    info: (...args) => logs.push(args.join(' ')),
+    warn: (...args) => logs.push(args.join(' ')),
+    error: (...args) => logs.push(args.join(' ')),
+    debug: () => {}
+  };
+
+  const exposed = payload.exportNames
+    .map(name => `${JSON.stringify(name)}: typeof ${name} !== 'undefined' ? ${name} : module.exports[${JSON.stringify(name)}]`)
+    .join(',\n');
+
+  // 하네스 globals가 같은 이름을 주면 그 값을 사용
+  const scope = {
+    module,
+    exports: module.exports,
+    require,
+    console: sandboxConsole,
+    process: createSandboxProcess(),
+    ...globals
+  };
+  const factory = vm.compileFunction(`${payload.code}\nreturn { ...module.exports, ${exposed} };`, Object.keys(scope));
+
+  const exports = factory(...Object.values(scope));
+  return { exports, logs };
+}
+
+async function main() {
+  const payload = JSON.parse(await fs.readFile(process.argv[2], 'utf-8'));
+  const harness = (await import(pathToFileURL(payload.harnessPath).href)).default;
+
+  for (const name of NETWORK_GLOBALS) {
+    delete globalThis[name];
+  }
+
+  const results = [];
+
+  for (const test of harness.tests) {
+    const startTime = Date.now();
+
+    try {
+      const globals = harness.globals ? harness.globals() : {};
+      const { exports } = loadGeneratedCode(payload, globals);
+      await test.run({ exports, globals, assert });
+      results.push({ name: test.name, passed: true, durationMs: Date.now() - startTime });
+    } catch (error) {
+      results.push({
+        name: test.name,
+        passed: false,
+        error: error.message,
+        durationMs: Date.now() - startTime
+      });
+    }
+  }
+
+  await fs.writeFile(payload.resultPath, JSON.stringify({ results }));
+}
+
+main().then(() => {
+  // 생성 코드가 남긴 타이머 등으로 프로세스가 끝나지 않는 것을 방지
+  process.exit(0);
+}).catch(async (error) => {
+  console.error(error.stack || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+/**
+ * 벤치마크 시나리오 스키마
+ *
+ * verification/scenarios/*.json 파일이 실행 전에 만족해야 하는 구조를 정의하고
+ * 시나리오 객체를 검증합니다.
+ */
+
+const SCENARIO_SCHEMA = {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  category: { type: 'string' },
+  difficulty: { type: 'string', enum: ['low', 'medium', 'high'] },
+  // prompt 또는 turns 중 하나는 필수 (validateScenario에서 확인)
+  prompt: { type: 'string' },
+  context: { type: 'string' },
+  // 다중 턴 시나리오: 순서대로 실행할 요청 목록 (턴별 기대치는 선택)
+  turns: {
+    type: 'array',
+    items: 'object',
+    minItems: 1,
+    itemProperties: {
+      prompt: { type: 'string', required: true },
+      context: { type: 'string' },
+      expectedPatterns: { type: 'array', items: 'string' },
+      qualityMetrics: { type: 'object' }
+    }
+  },
+  expectedPatterns: { type: 'array', items: 'string' },
+  // 품질 기준 (quality-criteria.js, 선언되지 않은 키는 검증하지 않음)
+  qualityMetrics: {
+    type: 'object',
+    properties: {
+      minLinesOfCode: { type: 'integer', minimum: 1 },
+      complexityScore: { type: 'integer', minimum: 1 },
+      shouldInclude: { type: 'array', items: 'string' },
+      shouldAvoid: { type: 'array', items: 'string' },
+      expectedHooks: { type: 'array', items: 'string' },
+      expectedMethods: { type: 'array', items: 'string' },
+      expectedTypes: { type: 'array', items: 'string' },
+      expectedSections: { type: 'array', items: 'string' },
+      expectedTestCases: { type: 'array', items: 'string' },
+      optimizations: { type: 'array', items: 'string' },
+      bugsToFix: { type: 'integer', minimum: 0 }
+    }
+  },
+  // 선택: 생성 코드 실행 단계 (code-executor.js)
+  execution: {
+    type: 'object',
+    properties: {
+      harness: { type: 'string', required: true },
+      timeout: { type: 'integer', minimum: 100 },
+      memoryLimitMb: { type: 'integer', minimum: 16 }
+    }
+  },
+  // 선택: 저장소 모드 (repository-workspace.js)
+  repository: {
+    type: 'object',
+    properties: {
+      fixture: { type: 'string', required: true },
+      expectedChanges: {
+        type: 'array',
+        items: 'object',
+        itemProperties: {
+          path: { type: 'string', required: true },
+          change: { type: 'string', required: true, enum: ['added', 'modified', 'deleted', 'unchanged'] }
+        }
+      },
+      postConditions: {
+        type: 'array',
+        items: 'object',
+        itemProperties: {
+          type: { type: 'string', required: true, enum: ['fileExists', 'fileAbsent', 'patternPresent', 'patternAbsent', 'command'] },
+          path: { type: 'string' },
+          pattern: { type: 'string' },
+          command: { type: 'string' },
+          timeout: { type: 'integer', minimum: 100 },
+          description: { type: 'string' }
+        }
+      }
+    }
+  },
+  // 선택: LLM 판정 루브릭 파일 이름 (verification/rubrics 기준, judge.js)
+  rubric: { type: 'string' },
+  timeout: { type: 'integer', minimum: 1000 },
+  iterations: { type: 'integer', minimum: 1 },
+  warmupIterations: { type: 'integer', minimum: 0 }
+};
+
+/**
+ * 값의 타입 이름 반환 (JSON 기준)
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 단일 필드 검증
+ */
+function validateField(key, value, rule) {
+  const errors = [];
+  const actual = typeOf(value);
+  const typeMatches = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+
+  if (!typeMatches) {
+    errors.push(`${key}: ${rule.type} 타입이어야 합니다 (현재: ${actual})`);
+    return errors;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${key}: ${rule.enum.join(', ')} 중 하나여야 합니다 (현재: ${value})`);
+  }
+
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    errors.push(`${key}: ${rule.minimum} 이상이어야 합니다 (현재: ${value})`);
+  }
+
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    errors.push(`${key}: 항목이 ${rule.minItems}개 이상이어야 합니다 (현재: ${value.length})`);
+  }
+
+  if (rule.items) {
+    value.forEach((item, index) => {
+      if (typeOf(item) !== rule.items) {
+        errors.push(`${key}[${index}]: ${rule.items} 타입이어야 합니다`);
+      } else if (rule.itemProperties) {
+        errors.push(...validateObject(item, rule.itemProperties, `${key}[${index}].`));
+      }
+    });
+  }
+
+  if (rule.properties) {
+    errors.push(...validateObject(value, rule.properties, `${key}.`));
+  }
+
+  if (key.endsWith('expectedPatterns')) {
+    value.forEach((pattern, index) => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        errors.push(`${key}[${index}]: 유효하지 않은 정규식 (${error.message})`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 시나리오 검증
+ *
+ * @param {object} scenario - 시나리오 JSON 객체
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateScenario(scenario) {
+  if (typeOf(scenario) !== 'object') {
+    return ['시나리오는 JSON 객체여야 합니다'];
+  }
+
+  const errors = validateObject(scenario, SCENARIO_SCHEMA);
+  if (scenario.prompt === undefined && scenario.turns === undefined) {
+    errors.push('prompt: prompt 또는 turns 중 하나가 필요합니다');
+  }
+  return errors;
+}
+
+/**
+ * 객체의 필드를 스키마 규칙에 따라 검증
+ */
+function validateObject(object, schema, prefix = '') {
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (object[key] === undefined) {
+      if (rule.required) errors.push(`${prefix}${key}: 필수 필드가 누락되었습니다`);
+      continue;
+    }
+    errors.push(...validateField(`${prefix}${key}`, object[key], rule));
+  }
+
+  return errors;
+}
+
+export { SCENARIO_SCHEMA, validateScenario };
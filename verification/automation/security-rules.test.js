@@ -0,0 +1,117 @@
+/**
+ * 보안 규칙 엔진 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import { SECURITY_RULES, SecurityScanner, registerSecurityRule } from './security-rules.js';
+
+const FENCE = '```';
+const block = (code, info = 'js') => `${FENCE}${info}\n${code}\n${FENCE}`;
+const ruleIds = (code, info) => new SecurityScanner().scan(block(code, info)).findings.map(finding => finding.ruleId);
+
+describe('규칙별 탐지', () => {
+  // [규칙 ID, 탐지해야 하는 코드, 탐지하면 안 되는 코드]
+  test.each([
+    ['injection/code-eval', 'eval(input);', 'const text = "eval(input)"; // eval(input)'],
+    ['injection/code-eval', "const run = new Function('a', body);", 'const run = (a) => a;'],
+    ['injection/string-timer', "setTimeout('refresh()', 100);", 'setTimeout(refresh, 100);'],
+    ['injection/dom-xss', 'element.innerHTML = html;', "element.innerHTML = '<b>hi</b>';"],
+    ['injection/sql', 'db.query(`SELECT * FROM users WHERE id = ${id}`);', "db.query('SELECT * FROM users WHERE id = ?', [id]);"],
+    ['injection/sql', "db.run('DELETE FROM orders WHERE id = ' + id);", "db.run('DELETE FROM orders WHERE id = ?', id);"],
+    ['injection/command', "const { exec } = require('child_process');\nexec('ls ' + dir);", "const { exec } = require('child_process');\nexec('ls');"],
+    ['injection/command', "import cp from 'node:child_process';\ncp.execSync(`rm -rf ${dir}`);", 'const match = /a(b)/.exec(input);'],
+    ['secrets/hardcoded-secret', "const apiKey = 'sk_live_123';", 'const apiKey = process.env.API_KEY;'],
+    ['secrets/hardcoded-secret', "jwt.sign(payload, 'secret');", 'jwt.sign(payload, secret);'],
+    ['secrets/env-fallback', "const key = process.env.JWT_SECRET || 'secret';", 'const port = process.env.PORT || 3000;'],
+    ['secrets/env-fallback', "const key = process.env.PAYMENT_API_KEY ?? 'sk_test_local';", 'const key = requiredEnv(\'PAYMENT_API_KEY\');'],
+    ['crypto/weak-hash', "crypto.createHash('md5').update(data);", "crypto.createHash('sha256').update(data);"],
+    ['crypto/weak-cipher', "crypto.createCipher('aes-256-cbc', key);", "crypto.createCipheriv('aes-256-gcm', key, iv);"],
+    ['crypto/weak-cipher', "crypto.createCipheriv('aes-256-ecb', key, null);", "crypto.createCipheriv('aes-256-cbc', key, iv);"],
+    ['crypto/insecure-random', 'const token = Math.random().toString(36);', 'const jitter = Math.random() * 100;'],
+    ['crypto/low-bcrypt-cost', 'bcrypt.hash(password, 8);', 'bcrypt.hash(password, 12);'],
+    ['prototype-pollution/proto-write', 'target.__proto__ = source;', 'target.proto = source;'],
+    ['prototype-pollution/proto-write', 'Object.prototype.isAdmin = true;', 'Model.prototype.isAdmin = true;'],
+    [
+      'prototype-pollution/unsafe-key-assignment',
+      'function merge(target, source) {\n  for (const key in source) target[key] = source[key];\n}',
+      "function merge(target, source) {\n  for (const key in source) {\n    if (key === '__proto__') continue;\n    target[key] = source[key];\n  }\n}"
+    ],
+    ['authz/missing-authentication', "app.post('/api/orders', (req, res) => res.json({}));", "app.post('/api/orders', authenticateToken, (req, res) => res.json({}));"],
+    ['authz/missing-authentication', "app.delete('/api/items/:id', handler);", "app.use(requireAuth);\napp.delete('/api/items/:id', handler);"],
+    [
+      'authz/missing-authorization',
+      "app.delete('/api/admin/products/:id', authenticateToken, (req, res) => res.sendStatus(204));",
+      "app.delete('/api/admin/products/:id', authenticateToken, authorize('products:write'), (req, res) => res.sendStatus(204));"
+    ]
+  ])('%s', (ruleId, vulnerable, safe) => {
+    expect(ruleIds(vulnerable)).toContain(ruleId);
+    expect(ruleIds(safe)).not.toContain(ruleId);
+  });
+
+  test('테스트 코드의 샘플 자격 증명은 하드코딩으로 보지 않음', () => {
+    expect(ruleIds("test('login', () => {\n  const password = 'secret123';\n});")).toEqual([]);
+  });
+
+  test('공개 경로는 인증 없이 허용', () => {
+    expect(ruleIds("app.post('/api/auth/login', login);\napp.post('/api/payments/webhook', receive);")).toEqual([]);
+  });
+
+  test('관리자 핸들러 안에서 역할을 확인하면 권한 확인으로 인정', () => {
+    const code = "app.delete('/api/admin/users/:id', authenticateToken, (req, res) => {\n  if (req.user.role !== 'admin') return res.sendStatus(403);\n  res.sendStatus(204);\n});";
+
+    expect(ruleIds(code)).toEqual([]);
+  });
+
+  test('JSX의 dangerouslySetInnerHTML은 정제했을 때만 허용', () => {
+    expect(ruleIds('const View = ({ html }) => <div dangerouslySetInnerHTML={{ __html: html }} />;', 'jsx'))
+      .toEqual(['injection/dom-xss']);
+    expect(ruleIds('const View = ({ html }) => <div dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(html) }} />;', 'jsx'))
+      .toEqual([]);
+  });
+});
+
+describe('SecurityScanner', () => {
+  test('심각도별 감점으로 점수를 계산하고 개수를 집계', () => {
+    const result = new SecurityScanner().scan(block("eval(input);\nconst apiKey = 'sk_live_123';\ncrypto.createHash('md5');"));
+
+    expect(result).toMatchObject({
+      scannedBlocks: 1,
+      counts: { critical: 1, high: 1, medium: 1, low: 0 },
+      score: 30
+    });
+    expect(new SecurityScanner().scan(block('eval(a); eval(b); eval(c);')).score).toBe(60);
+  });
+
+  test('줄 번호는 출력 전체 기준, 파일 경로가 있으면 파일 기준', () => {
+    const output = `설명\n\n${block('const a = 1;\neval(input);')}`;
+    const file = block('const a = 1;\neval(input);', 'js src/app.js');
+
+    expect(new SecurityScanner().scan(output).findings).toEqual([
+      expect.objectContaining({ ruleId: 'injection/code-eval', severity: 'critical', line: 5 })
+    ]);
+    expect(new SecurityScanner().scan(file).findings).toEqual([
+      expect.objectContaining({ ruleId: 'injection/code-eval', line: 2, file: 'src/app.js' })
+    ]);
+  });
+
+  test('파싱할 수 있는 블록이 없으면 점수 없음', () => {
+    expect(new SecurityScanner().scan('코드 없음').score).toBeUndefined();
+    expect(new SecurityScanner().scan(block('const = ;'))).toMatchObject({ scannedBlocks: 0, score: undefined });
+  });
+
+  test('규칙 목록을 주입할 수 있고, 심각도가 잘못된 규칙은 등록 거부', () => {
+    const rule = {
+      id: 'custom/console',
+      severity: 'low',
+      description: 'console 사용',
+      create: context => (node) => {
+        if (node.type === 'CallExpression' && node.callee.object?.name === 'console') context.report(node, 'console 호출');
+      }
+    };
+
+    expect(new SecurityScanner([rule]).scan(block('console.log(1);\neval(x);')).findings.map(f => f.ruleId)).toEqual(['custom/console']);
+    expect(() => registerSecurityRule({ ...rule, severity: 'urgent' })).toThrow('알 수 없는 심각도: urgent (규칙 custom/console)');
+    expect(SECURITY_RULES.some(r => r.id === 'custom/console')).toBe(false);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * 반복 측정값 통계
+ *
+ * analyzeIterations가 응답시간과 각 지표를 요약할 때 사용하는 기술 통계입니다.
+ * 부트스트랩 신뢰구간은 시드가 고정된 난수로 계산해 같은 입력이면 리포트가 바뀌지 않습니다.
+ */
+
+const DEFAULT_OPTIONS = {
+  confidence: 0.95, // 신뢰구간 수준
+  resamples: 2000, // 부트스트랩 재표본 수
+  outlierFactor: 1.5, // Tukey 울타리 계수 (Q1 - k·IQR, Q3 + k·IQR)
+  seed: 42
+};
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 시드 고정 난수 생성기 (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * 백분위수 (정렬된 배열, 선형 보간)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 표본 표준편차 (n - 1)
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * 평균의 부트스트랩 백분위 신뢰구간
+ *
+ * 표본이 2개 미만이면 구간을 계산할 수 없으므로 null을 반환합니다.
+ */
+function bootstrapConfidenceInterval(values, options = {}) {
+  const { confidence, resamples, seed } = { ...DEFAULT_OPTIONS, ...options };
+  if (values.length < 2) return null;
+
+  const random = createRandom(seed);
+  const means = new Array(resamples);
+
+  for (let i = 0; i < resamples; i++) {
+    let sum = 0;
+    for (let j = 0; j < values.length; j++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    means[i] = sum / values.length;
+  }
+
+  means.sort((a, b) => a - b);
+  const alpha = (1 - confidence) / 2;
+
+  return {
+    confidence,
+    lower: percentile(means, alpha * 100),
+    upper: percentile(means, (1 - alpha) * 100)
+  };
+}
+
+/**
+ * Tukey 울타리 기반 이상치 탐지
+ *
+ * @returns {{ index: number, value: number }[]} 입력 순서 기준 이상치 목록
+ */
+function detectOutliers(values, options = {}) {
+  const { outlierFactor } = { ...DEFAULT_OPTIONS, ...options };
+  if (values.length < 4) return [];
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = percentile(sorted, 25);
+  const q3 = percentile(sorted, 75);
+  const fence = outlierFactor * (q3 - q1);
+
+  return values
+    .map((value, index) => ({ index, value }))
+    .filter(({ value }) => value < q1 - fence || value > q3 + fence);
+}
+
+/**
+ * 피어슨 상관계수 (표본이 3개 미만이거나 한쪽 분산이 0이면 null)
+ */
+function correlation(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 3) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return round(covariance / Math.sqrt(varianceX * varianceY), 3);
+}
+
+/**
+ * 시계열의 단계 변화(step change) 탐지
+ *
+ * 각 지점 앞뒤 window개 값의 평균 차이가 minDelta 이상이고 양쪽 구간의 표준편차보다
+ * noiseFactor배 이상 크면 변화로 봅니다. 인접한 후보 중에서는 차이가 가장 큰 지점만 남깁니다.
+ *
+ * @returns {{ index: number, before: number, after: number, delta: number }[]}
+ */
+function detectStepChanges(values, { window = 3, minDelta = 5, noiseFactor = 2 } = {}) {
+  const candidates = [];
+
+  for (let index = 1; index < values.length; index++) {
+    const before = values.slice(Math.max(0, index - window), index);
+    const after = values.slice(index, index + window);
+    const delta = mean(after) - mean(before);
+    const noise = Math.max(standardDeviation(before), standardDeviation(after));
+
+    if (Math.abs(delta) >= minDelta && Math.abs(delta) > noiseFactor * noise) {
+      candidates.push({ index, before: round(mean(before)), after: round(mean(after)), delta: round(delta) });
+    }
+  }
+
+  return candidates.filter(candidate => !candidates.some(other =>
+    other !== candidate &&
+    Math.abs(other.index - candidate.index) < window &&
+    (Math.abs(other.delta) > Math.abs(candidate.delta) ||
+      (Math.abs(other.delta) === Math.abs(candidate.delta) && other.index < candidate.index))
+  ));
+}
+
+/**
+ * 측정값 요약
+ *
+ * 기존 리포트와 호환되도록 average/min/max를 유지하고 분포 통계를 추가합니다.
+ */
+function describe(values, options = {}) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const ci = bootstrapConfidenceInterval(values, options);
+
+  return {
+    count: values.length,
+    average: mean(values),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    median: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    stddev: round(standardDeviation(values)),
+    ci: ci && { confidence: ci.confidence, lower: round(ci.lower), upper: round(ci.upper) },
+    outliers: detectOutliers(values, options)
+  };
+}
+
+export {
+  DEFAULT_OPTIONS as STATISTICS_DEFAULTS,
+  describe,
+  mean,
+  percentile,
+  standardDeviation,
+  bootstrapConfidenceInterval,
+  detectOutliers,
+  correlation,
+  detectStepChanges,
+  createRandom
+};
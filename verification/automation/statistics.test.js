@@ -0,0 +1,100 @@
+/**
+ * 반복 측정값 통계 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import {
+  describe as describeSamples,
+  mean,
+  percentile,
+  standardDeviation,
+  bootstrapConfidenceInterval,
+  detectOutliers,
+  correlation,
+  detectStepChanges,
+  createRandom
+} from './statistics.js';
+
+describe('기본 통계', () => {
+  test('평균과 선형 보간 백분위수', () => {
+    expect(mean([1, 2, 3, 4])).toBe(2.5);
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([1, 2, 3, 4], 90)).toBeCloseTo(3.7);
+    expect(percentile([7], 95)).toBe(7);
+  });
+
+  test('표본 표준편차는 n - 1로 나누고 표본이 하나면 0', () => {
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(Math.sqrt(32 / 7));
+    expect(standardDeviation([5])).toBe(0);
+  });
+
+  test('요약은 입력 순서와 무관하고 값을 반올림', () => {
+    const summary = describeSamples([3, 1, 2]);
+
+    expect(summary).toMatchObject({ count: 3, average: 2, min: 1, max: 3, median: 2, p90: 2.8, stddev: 1, outliers: [] });
+    expect(summary.ci).toEqual({ confidence: 0.95, lower: expect.any(Number), upper: expect.any(Number) });
+  });
+
+  test('표본이 하나면 신뢰구간 없음', () => {
+    expect(describeSamples([5])).toMatchObject({ count: 1, average: 5, stddev: 0, ci: null, outliers: [] });
+  });
+});
+
+describe('부트스트랩 신뢰구간', () => {
+  test('같은 시드면 같은 구간, 구간은 평균을 포함', () => {
+    const values = [120, 95, 130, 110, 105, 140];
+    const first = bootstrapConfidenceInterval(values);
+
+    expect(bootstrapConfidenceInterval(values)).toEqual(first);
+    expect(first.lower).toBeLessThanOrEqual(mean(values));
+    expect(first.upper).toBeGreaterThanOrEqual(mean(values));
+    expect(bootstrapConfidenceInterval(values, { seed: 7 })).not.toEqual(first);
+  });
+
+  test('값이 모두 같으면 폭이 0, 표본이 2개 미만이면 null', () => {
+    expect(bootstrapConfidenceInterval([4, 4, 4])).toEqual({ confidence: 0.95, lower: 4, upper: 4 });
+    expect(bootstrapConfidenceInterval([4])).toBeNull();
+  });
+
+  test('시드 고정 난수는 재현 가능하고 [0, 1) 범위', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('이상치와 상관계수', () => {
+  test('Tukey 울타리 밖의 값을 입력 순서 기준으로 보고', () => {
+    expect(detectOutliers([10, 11, 100, 12, 13])).toEqual([{ index: 2, value: 100 }]);
+    expect(detectOutliers([10, 11, 100, 12, 13], { outlierFactor: 50 })).toEqual([]);
+  });
+
+  test('표본이 4개 미만이면 이상치를 찾지 않음', () => {
+    expect(detectOutliers([1, 2, 1000])).toEqual([]);
+  });
+
+  test('피어슨 상관계수와 계산할 수 없는 경우', () => {
+    expect(correlation([1, 2, 3], [2, 4, 6])).toBe(1);
+    expect(correlation([1, 2, 3], [3, 2, 1])).toBe(-1);
+    expect(correlation([1, 2, 3], [5, 5, 5])).toBeNull();
+    expect(correlation([1, 2], [1, 2])).toBeNull();
+    expect(correlation([1, 2, 3], [1, 2])).toBeNull();
+  });
+});
+
+describe('단계 변화 탐지', () => {
+  test('평균이 뛰는 지점 하나만 보고', () => {
+    expect(detectStepChanges([10, 10, 10, 30, 30, 30])).toEqual([{ index: 3, before: 10, after: 30, delta: 20 }]);
+    expect(detectStepChanges([30, 30, 30, 10, 10, 10])).toEqual([{ index: 3, before: 30, after: 10, delta: -20 }]);
+  });
+
+  test('변화가 minDelta보다 작거나 잡음에 묻히면 무시', () => {
+    expect(detectStepChanges([10, 10, 10, 13, 13, 13])).toEqual([]);
+    expect(detectStepChanges([0, 40, 0, 40, 0, 40])).toEqual([]);
+    expect(detectStepChanges([10, 10, 10, 13, 13, 13], { minDelta: 2 })).toHaveLength(1);
+  });
+});
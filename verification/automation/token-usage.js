@@ -0,0 +1,140 @@
+/**
+ * 토큰 사용량 및 비용 계산
+ *
+ * 프로바이더가 사용량(usage)을 돌려주면 그대로 쓰고, 그렇지 않으면(Codex CLI, 시뮬레이터)
+ * 입력/출력 텍스트 길이로 토큰 수를 추정합니다. 비용은 모델별 가격표(USD / 100만 토큰)로 계산하며
+ * 가격표는 --prices 파일로 덮어쓸 수 있습니다.
+ *
+ * 가격표 파일 형식:
+ *
+ *   {
+ *     "gpt-4o": { "input": 2.5, "output": 10 },
+ *     "local-model": { "input": 0, "output": 0 }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import { formatConversation } from './providers.js';
+
+// 공개 가격 기준 기본값 (USD / 100만 토큰, 가격이 바뀌면 --prices로 덮어쓰기)
+const DEFAULT_PRICES = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'codex-mini-latest': { input: 1.5, output: 6 },
+  'simulator': { input: 0, output: 0 }
+};
+
+// 모델 이름 뒤에 붙는 날짜·버전 접미사 (예: -2024-08-06, -0613)
+const VERSION_SUFFIX = /^-(\d{4}-\d{2}-\d{2}|\d{4,8})$/;
+
+// 한중일 문자는 대체로 글자당 1토큰 이상으로 분할됨
+const CJK_CHARACTER = /[ᄀ-ᇿ぀-ヿ㄰-㆏㐀-鿿가-힯]/g;
+
+/**
+ * 텍스트의 토큰 수 추정 (영문·코드 약 4자당 1토큰, 한중일 문자 1자당 1토큰)
+ */
+function estimateTokens(text = '') {
+  if (!text) return 0;
+  const cjk = (text.match(CJK_CHARACTER) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 가격표 파일 로드 (기본 가격표에 병합)
+ */
+async function loadPriceTable(filePath) {
+  let table;
+  try {
+    table = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`가격표를 읽을 수 없습니다 (${filePath}): ${error.message}`);
+  }
+
+  for (const [model, price] of Object.entries(table)) {
+    if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+      throw new Error(`가격표 형식 오류: ${model}에는 숫자 input, output이 필요합니다 (USD / 100만 토큰)`);
+    }
+  }
+
+  return { ...DEFAULT_PRICES, ...table };
+}
+
+/**
+ * 모델 가격 조회 (정확히 일치하지 않으면 날짜·버전 접미사만 뗀 이름, 예: gpt-4o-2024-08-06 → gpt-4o)
+ * gpt-4.1-nano, gpt-4-turbo처럼 다른 모델일 수 있는 이름은 접두사가 같아도 가격 없음(null)으로 둠
+ *
+ * @param {object} prices - 가격표
+ * @param {string[]} names - 후보 이름 (응답의 모델, 프로바이더 모델, 라벨, 종류 순)
+ */
+function resolvePrice(prices, names) {
+  for (const name of names.filter(Boolean)) {
+    if (prices[name]) return { model: name, ...prices[name] };
+
+    const prefix = Object.keys(prices)
+      .find(key => name.startsWith(key) && VERSION_SUFFIX.test(name.slice(key.length)));
+    if (prefix) return { model: prefix, ...prices[prefix] };
+  }
+  return null;
+}
+
+/**
+ * 단일 요청의 사용량 계산
+ *
+ * @param {object} request - { prompt, context, history }
+ * @param {object} response - 프로바이더 응답 { output, usage?, model?, firstByteMs? }
+ * @param {object} options - { provider, prices, durationMs }
+ */
+function measureUsage({ prompt, context = '', history = [] }, response, { provider, prices = DEFAULT_PRICES, durationMs }) {
+  const reported = response.usage;
+  const promptTokens = reported?.promptTokens ??
+    estimateTokens([formatConversation(history), prompt, context].filter(Boolean).join('\n\n'));
+  const completionTokens = reported?.completionTokens ?? estimateTokens(response.output);
+  const price = resolvePrice(prices, [response.model, provider.model, provider.label, provider.type]);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: !reported,
+    model: response.model || provider.model || null,
+    cost: price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : null,
+    firstByteMs: response.firstByteMs ?? null,
+    durationMs,
+    tokensPerSecond: durationMs > 0 ? Math.round((completionTokens / durationMs) * 1000 * 10) / 10 : null
+  };
+}
+
+/**
+ * 여러 요청(다중 턴)의 사용량 합산 (첫 바이트 시간은 첫 요청 기준)
+ */
+function sumUsage(usages) {
+  const sum = select => usages.reduce((total, usage) => total + select(usage), 0);
+  const durationMs = sum(usage => usage.durationMs);
+  const completionTokens = sum(usage => usage.completionTokens);
+
+  return {
+    promptTokens: sum(usage => usage.promptTokens),
+    completionTokens,
+    totalTokens: sum(usage => usage.totalTokens),
+    estimated: usages.some(usage => usage.estimated),
+    model: usages.find(usage => usage.model)?.model || null,
+    cost: usages.every(usage => usage.cost !== null) ? sum(usage => usage.cost) : null,
+    firstByteMs: usages[0]?.firstByteMs ?? null,
+    durationMs,
+    tokensPerSecond: durationMs > 0 ? Math.round((completionTokens / durationMs) * 1000 * 10) / 10 : null
+  };
+}
+
+/**
+ * 비용 표기 (USD, 가격 정보가 없으면 '-')
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return '-';
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(5) : cost.toFixed(4)}`;
+}
+
+export { DEFAULT_PRICES, estimateTokens, loadPriceTable, resolvePrice, measureUsage, sumUsage, formatCost };
@@ -0,0 +1,97 @@
+/**
+ * 토큰 사용량 및 비용 계산 단위 테스트
+ *
+ * 실행: verification/test-scripts/run-unit-tests.sh
+ */
+
+import { DEFAULT_PRICES, estimateTokens, resolvePrice, sumUsage } from './token-usage.js';
+
+// measureUsage가 돌려주는 요청 하나의 사용량
+const usage = (overrides = {}) => ({
+  promptTokens: 100,
+  completionTokens: 50,
+  totalTokens: 150,
+  estimated: false,
+  model: 'gpt-4o',
+  cost: 0.001,
+  firstByteMs: 200,
+  durationMs: 1000,
+  tokensPerSecond: 50,
+  ...overrides
+});
+
+describe('resolvePrice', () => {
+  test('정확히 일치하는 모델', () => {
+    expect(resolvePrice(DEFAULT_PRICES, ['gpt-4.1-mini'])).toEqual({ model: 'gpt-4.1-mini', input: 0.4, output: 1.6 });
+  });
+
+  test.each([
+    ['gpt-4o-2024-08-06', 'gpt-4o'],
+    ['gpt-4o-mini-2024-07-18', 'gpt-4o-mini'],
+    ['gpt-4-0613', 'gpt-4'],
+    ['gpt-4.1-20250414', 'gpt-4.1']
+  ])('날짜·버전 접미사는 떼고 조회: %s → %s', (name, model) => {
+    expect(resolvePrice(DEFAULT_PRICES, [name])).toMatchObject({ model });
+  });
+
+  test.each(['gpt-4.1-nano', 'gpt-4-turbo', 'gpt-4.5', 'gpt-4o-audio-preview'])('다른 모델일 수 있는 이름은 가격 없음: %s', (name) => {
+    expect(resolvePrice(DEFAULT_PRICES, [name])).toBeNull();
+  });
+
+  test('후보를 순서대로 시도하고 빈 값은 건너뜀', () => {
+    expect(resolvePrice(DEFAULT_PRICES, [null, 'unknown-model', undefined, 'simulator'])).toEqual({ model: 'simulator', input: 0, output: 0 });
+    expect(resolvePrice(DEFAULT_PRICES, [])).toBeNull();
+  });
+
+  test('덮어쓴 가격표의 모델도 같은 규칙으로 조회', () => {
+    const prices = { ...DEFAULT_PRICES, 'gpt-4.1-nano': { input: 0.1, output: 0.4 } };
+
+    expect(resolvePrice(prices, ['gpt-4.1-nano-2025-04-14'])).toEqual({ model: 'gpt-4.1-nano', input: 0.1, output: 0.4 });
+  });
+});
+
+describe('estimateTokens', () => {
+  test('영문·코드는 약 4자당 1토큰 (올림)', () => {
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('const x = 1;')).toBe(3);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  test('한중일 문자는 1자당 1토큰', () => {
+    expect(estimateTokens('안녕하세요')).toBe(5);
+    expect(estimateTokens('테스트 code')).toBe(5);
+  });
+
+  test('빈 텍스트는 0', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens()).toBe(0);
+  });
+});
+
+describe('sumUsage', () => {
+  test('토큰·비용·시간을 합산하고 처리 속도를 다시 계산', () => {
+    const total = sumUsage([usage(), usage({ promptTokens: 300, completionTokens: 150, totalTokens: 450, cost: 0.002, firstByteMs: 900, durationMs: 3000 })]);
+
+    expect(total).toMatchObject({
+      promptTokens: 400,
+      completionTokens: 200,
+      totalTokens: 600,
+      estimated: false,
+      model: 'gpt-4o',
+      firstByteMs: 200,
+      durationMs: 4000,
+      tokensPerSecond: 50
+    });
+    expect(total.cost).toBeCloseTo(0.003);
+  });
+
+  test('하나라도 추정값이면 추정, 하나라도 가격이 없으면 비용 없음', () => {
+    const total = sumUsage([usage({ model: null }), usage({ estimated: true, cost: null, model: 'o4-mini' })]);
+
+    expect(total).toMatchObject({ estimated: true, cost: null, model: 'o4-mini' });
+  });
+
+  test('사용량이 없으면 0과 null', () => {
+    expect(sumUsage([])).toMatchObject({ totalTokens: 0, cost: 0, firstByteMs: null, durationMs: 0, tokensPerSecond: null });
+  });
+});
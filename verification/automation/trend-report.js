@@ -0,0 +1,250 @@
+/**
+ * 실행 이력 추이 리포트
+ *
+ * history-store.js가 쌓은 기록을 시나리오×프로바이더별 시계열로 묶어 지표 추이를
+ * 보여주고, 앞뒤 구간 평균이 크게 달라진 실행(단계 변화)을 커밋과 함께 강조합니다.
+ *
+ *   node benchmark-runner.js trend [-s 시나리오] [--last 20] [--history 파일] [-f markdown,html,json]
+ */
+
+import { detectStepChanges } from './statistics.js';
+import { escapeXml } from './report-formats.js';
+
+const TREND_DEFAULTS = {
+  window: 3, // 단계 변화 비교 구간 (실행 수)
+  minDelta: 5 // 단계 변화로 볼 최소 평균 차이 (점수 포인트)
+};
+
+// 기록의 successRate를 다른 지표와 같은 0~100 시계열로 취급
+const SUCCESS_RATE = 'success-rate';
+const SPARK_CHARACTERS = '▁▂▃▄▅▆▇█';
+const CHART_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#dc2626', '#4b5563', '#db2777', '#65a30d', '#7c3aed'];
+
+const shortCommit = (commit, dirty) => commit ? `${commit.slice(0, 7)}${dirty ? '*' : ''}` : '-';
+const signed = value => `${value > 0 ? '+' : ''}${value}`;
+
+/**
+ * 기록을 시나리오×프로바이더별 지표 시계열로 변환
+ *
+ * @param {object[]} records - HistoryStore.load() 결과 (시각 순)
+ * @param {object} options - { scenarios, last, window, minDelta }
+ */
+function buildTrend(records, options = {}) {
+  const { scenarios = [], last, window, minDelta } = { ...TREND_DEFAULTS, ...options };
+
+  let runIds = [...new Set(records.map(record => record.runId))];
+  if (last) runIds = runIds.slice(-last);
+  const included = new Set(runIds);
+  const selected = records.filter(record =>
+    included.has(record.runId) && (scenarios.length === 0 || scenarios.includes(record.scenario)));
+
+  const runs = runIds
+    .map(runId => selected.filter(record => record.runId === runId))
+    .filter(entries => entries.length > 0)
+    .map(entries => ({
+      runId: entries[0].runId,
+      timestamp: entries[0].timestamp,
+      gitCommit: entries[0].gitCommit,
+      gitDirty: entries[0].gitDirty,
+      codexVersion: entries[0].codexVersion,
+      providers: [...new Set(entries.map(entry => entry.provider))]
+    }));
+  const runIndex = new Map(runs.map((run, index) => [run.runId, index]));
+
+  const groups = new Map();
+  for (const record of selected) {
+    const key = `${record.scenario}@${record.provider}`;
+    groups.set(key, [...(groups.get(key) || []), record]);
+  }
+
+  const series = [...groups.values()].map(entries => {
+    const names = [SUCCESS_RATE, ...new Set(entries.flatMap(entry => Object.keys(entry.metrics || {})))];
+
+    const metrics = names.map(name => {
+      const points = entries
+        .map(entry => ({
+          runId: entry.runId,
+          run: runIndex.get(entry.runId),
+          gitCommit: entry.gitCommit,
+          gitDirty: entry.gitDirty,
+          value: name === SUCCESS_RATE ? entry.successRate : entry.metrics?.[name]
+        }))
+        .filter(point => typeof point.value === 'number');
+      const values = points.map(point => point.value);
+
+      return {
+        name,
+        points,
+        first: values[0],
+        latest: values[values.length - 1],
+        min: Math.min(...values),
+        max: Math.max(...values),
+        stepChanges: detectStepChanges(values, { window, minDelta }).map(change => ({
+          ...change,
+          runId: points[change.index].runId,
+          gitCommit: points[change.index].gitCommit,
+          gitDirty: points[change.index].gitDirty
+        }))
+      };
+    }).filter(metric => metric.points.length > 0);
+
+    return { scenario: entries[0].scenario, provider: entries[0].provider, runs: entries.length, metrics };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    window,
+    minDelta,
+    runs,
+    series,
+    stepChanges: series.flatMap(({ scenario, provider, metrics }) =>
+      metrics.flatMap(metric => metric.stepChanges.map(change => ({ scenario, provider, metric: metric.name, ...change }))))
+  };
+}
+
+/**
+ * 0~100 값 목록의 스파크라인
+ */
+function sparkline(values) {
+  return values
+    .map(value => SPARK_CHARACTERS[Math.round((Math.max(0, Math.min(100, value)) / 100) * (SPARK_CHARACTERS.length - 1))])
+    .join('');
+}
+
+/**
+ * 추이 리포트 마크다운
+ */
+function renderTrendMarkdown(trend) {
+  const { runs, series, stepChanges } = trend;
+  const period = runs.length > 0
+    ? `${new Date(runs[0].timestamp).toLocaleString('ko-KR')} ~ ${new Date(runs[runs.length - 1].timestamp).toLocaleString('ko-KR')}`
+    : '-';
+
+  const changeRows = stepChanges.map(change =>
+    `| ${change.scenario} | ${change.provider} | ${change.metric} | ${change.runId} | ${shortCommit(change.gitCommit, change.gitDirty)} | ${change.before} | ${change.after} | ${change.delta > 0 ? '🔺' : '🔻'} ${signed(change.delta)} |`);
+
+  const runRows = runs.map(run =>
+    `| ${run.runId} | ${new Date(run.timestamp).toLocaleString('ko-KR')} | ${shortCommit(run.gitCommit, run.gitDirty)} | ${run.codexVersion || '-'} | ${run.providers.join(', ')} |`);
+
+  const sections = series.map(({ scenario, provider, runs: count, metrics }) => {
+    const rows = metrics.map(metric => {
+      const changes = metric.stepChanges
+        .map(change => `${change.delta > 0 ? '🔺' : '🔻'} ${signed(change.delta)} (${shortCommit(change.gitCommit, change.gitDirty)})`)
+        .join(', ');
+      return `| ${metric.name} | \`${sparkline(metric.points.map(point => point.value))}\` | ${metric.first} | ${metric.latest} | ${metric.min} | ${metric.max} | ${changes || '-'} |`;
+    });
+
+    return `### ${scenario} (${provider}, 실행 ${count}회)
+
+| 지표 | 추이 | 처음 | 최근 | 최소 | 최대 | 단계 변화 |
+|------|------|------|------|------|------|-----------|
+${rows.join('\n')}`;
+  });
+
+  return `# 📈 Codex CLI 벤치마크 추이 리포트
+
+**생성 일시**: ${new Date(trend.generatedAt).toLocaleString('ko-KR')}
+**기간**: ${period} (실행 ${runs.length}회)
+**단계 변화 기준**: 앞뒤 ${trend.window}회 평균 차이 ${trend.minDelta}점 이상
+
+## 🚨 단계 변화
+
+${changeRows.length > 0 ? `| 시나리오 | 프로바이더 | 지표 | 실행 | 커밋 | 이전 평균 | 이후 평균 | 변화 |
+|----------|------------|------|------|------|-----------|-----------|------|
+${changeRows.join('\n')}` : '단계 변화 없음'}
+
+## 🧾 실행 이력
+
+| 실행 ID | 일시 | 커밋 | Codex 버전 | 프로바이더 |
+|---------|------|------|------------|------------|
+${runRows.join('\n')}
+
+## 📊 시나리오별 추이
+
+${sections.join('\n\n')}
+`;
+}
+
+/**
+ * 시나리오 시계열의 SVG 꺾은선 차트 (x: 실행 순서, y: 0~100, 단계 변화 지점 강조)
+ */
+function renderTrendChart(entry, runs) {
+  const left = 40;
+  const plotWidth = Math.max(200, Math.min(720, runs.length * 40));
+  const plotHeight = 160;
+  const x = run => left + (runs.length > 1 ? (run / (runs.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => 10 + (1 - Math.max(0, Math.min(100, value)) / 100) * plotHeight;
+
+  const axis = [0, 25, 50, 75, 100].map(tick =>
+    `<line x1="${left}" y1="${y(tick)}" x2="${left + plotWidth}" y2="${y(tick)}" stroke="#e5e7eb"/>` +
+    `<text x="${left - 6}" y="${y(tick) + 3}" font-size="10" text-anchor="end" fill="#6b7280">${tick}</text>`
+  ).join('');
+
+  const lines = entry.metrics.map((metric, index) => {
+    const color = CHART_COLORS[index % CHART_COLORS.length];
+    const path = metric.points.map(point => `${x(point.run).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    const dots = metric.points.map(point =>
+      `<circle cx="${x(point.run)}" cy="${y(point.value)}" r="2.5" fill="${color}"><title>${escapeXml(`${metric.name} ${point.value} (${point.runId}, ${shortCommit(point.gitCommit, point.gitDirty)})`)}</title></circle>`
+    ).join('');
+    const changes = metric.stepChanges.map(change => {
+      const point = metric.points[change.index];
+      return `<circle cx="${x(point.run)}" cy="${y(point.value)}" r="6" fill="none" stroke="${change.delta > 0 ? '#16a34a' : '#dc2626'}" stroke-width="2"><title>${escapeXml(`${metric.name} 단계 변화 ${signed(change.delta)} (${change.before} → ${change.after}, ${shortCommit(change.gitCommit, change.gitDirty)})`)}</title></circle>`;
+    }).join('');
+    return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="1.5"/>${dots}${changes}`;
+  }).join('');
+
+  const legend = entry.metrics.map((metric, index) =>
+    `<span style="color:${CHART_COLORS[index % CHART_COLORS.length]}">■</span> ${escapeXml(metric.name)}`
+  ).join(' &nbsp; ');
+
+  return `<figure>
+  <figcaption>${escapeXml(entry.scenario)} (${escapeXml(entry.provider)})</figcaption>
+  <svg xmlns="http://www.w3.org/2000/svg" width="${left + plotWidth + 20}" height="${plotHeight + 20}" role="img" aria-label="${escapeXml(entry.scenario)} 지표 추이">${axis}${lines}</svg>
+  <div class="legend">${legend}</div>
+</figure>`;
+}
+
+/**
+ * 추이 리포트 단일 파일 HTML (외부 리소스 없음)
+ */
+function renderTrendHtml(trend) {
+  const changeItems = trend.stepChanges.map(change =>
+    `<li class="${change.delta > 0 ? 'up' : 'down'}"><strong>${escapeXml(change.scenario)}</strong> (${escapeXml(change.provider)}) ${escapeXml(change.metric)}: ${change.before} → ${change.after} (${signed(change.delta)}), 실행 ${escapeXml(change.runId)}, 커밋 ${escapeXml(shortCommit(change.gitCommit, change.gitDirty))}</li>`);
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>Codex CLI 벤치마크 추이 리포트</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', sans-serif; margin: 2rem; color: #111827; }
+  figure { margin: 1.5rem 0; }
+  figcaption { font-weight: 600; margin-bottom: 0.3rem; }
+  .legend { font-size: 0.8rem; color: #374151; }
+  li.up { color: #15803d; }
+  li.down { color: #b91c1c; }
+</style>
+</head>
+<body>
+<h1>Codex CLI 벤치마크 추이 리포트</h1>
+<p><strong>생성 일시</strong>: ${escapeXml(new Date(trend.generatedAt).toLocaleString('ko-KR'))} · 실행 ${trend.runs.length}회 · 단계 변화 기준: 앞뒤 ${trend.window}회 평균 차이 ${trend.minDelta}점 이상</p>
+
+<h2>🚨 단계 변화</h2>
+${changeItems.length > 0 ? `<ul>\n${changeItems.join('\n')}\n</ul>` : '<p>단계 변화 없음</p>'}
+
+<h2>📊 시나리오별 추이</h2>
+<p>x축은 실행 순서, 원으로 둘러싼 점은 단계 변화가 시작된 실행입니다 (초록: 상승, 빨강: 하락).</p>
+${trend.series.map(entry => renderTrendChart(entry, trend.runs)).join('\n')}
+</body>
+</html>
+`;
+}
+
+// trend 명령의 --format 값 (benchmark 리포트 형식 레지스트리와 별도)
+const TREND_FORMATS = {
+  json: { extension: 'json', label: 'JSON', render: trend => JSON.stringify(trend, null, 2) },
+  markdown: { extension: 'md', label: '마크다운', render: renderTrendMarkdown },
+  html: { extension: 'html', label: 'HTML', render: renderTrendHtml }
+};
+
+export { TREND_DEFAULTS, TREND_FORMATS, buildTrend, renderTrendMarkdown, renderTrendHtml, sparkline };
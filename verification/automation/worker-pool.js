@@ -0,0 +1,52 @@
+/**
+ * 동시 실행 워커 풀
+ *
+ * 벤치마크 작업을 제한된 개수의 워커로 병렬 실행하고,
+ * 완료 순서와 무관하게 입력 순서대로 결과를 반환합니다.
+ */
+
+/**
+ * 워커 단위 요청 간격 제한기 생성
+ *
+ * 같은 워커가 보내는 연속 요청 사이에 최소 intervalMs 간격을 보장합니다.
+ * 첫 요청은 대기하지 않습니다.
+ */
+function createRateLimiter(intervalMs, sleep = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+  let lastRequestAt = null;
+
+  return {
+    async wait() {
+      if (lastRequestAt !== null && intervalMs > 0) {
+        const remaining = lastRequestAt + intervalMs - Date.now();
+        if (remaining > 0) await sleep(remaining);
+      }
+      lastRequestAt = Date.now();
+    }
+  };
+}
+
+/**
+ * 작업 목록을 동시성 제한 하에 실행
+ *
+ * @param {Array} items - 작업 입력 목록
+ * @param {number} concurrency - 최대 동시 워커 수
+ * @param {(item, index: number, workerId: number) => Promise<*>} worker - 작업 함수
+ * @returns {Promise<Array>} 입력 순서와 동일한 순서의 결과
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const runWorker = async (workerId) => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index, workerId);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, (_, workerId) => runWorker(workerId)));
+  return results;
+}
+
+export { createRateLimiter, runPool };
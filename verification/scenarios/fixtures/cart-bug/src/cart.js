@@ -0,0 +1,29 @@
+/**
+ * 장바구니 계산 유틸리티
+ */
+
+function calculateSubtotal(items) {
+  let subtotal = 0;
+  for (let i = 0; i <= items.length; i++) {
+    subtotal += items[i].price * items[i].quantity;
+  }
+  return subtotal;
+}
+
+function applyDiscount(subtotal, coupon) {
+  if (coupon.type == 'percent') {
+    return subtotal - subtotal * coupon.value;
+  }
+  if (coupon.type == 'fixed') {
+    return subtotal - coupon.value;
+  }
+  return subtotal;
+}
+
+function calculateTotal(items, coupon, taxRate) {
+  const subtotal = calculateSubtotal(items);
+  const discounted = applyDiscount(subtotal, coupon);
+  return discounted + discounted * taxRate;
+}
+
+module.exports = { calculateSubtotal, applyDiscount, calculateTotal };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSubtotal, applyDiscount, calculateTotal } = require('../src/cart');
+
+const items = [
+  { price: 10, quantity: 2 },
+  { price: 5, quantity: 1 }
+];
+
+test('소계는 가격 × 수량의 합', () => {
+  assert.equal(calculateSubtotal(items), 25);
+  assert.equal(calculateSubtotal([]), 0);
+});
+
+test('퍼센트 쿠폰은 값을 백분율로 해석', () => {
+  assert.equal(applyDiscount(200, { type: 'percent', value: 10 }), 180);
+});
+
+test('정액 쿠폰은 0 미만으로 내려가지 않음', () => {
+  assert.equal(applyDiscount(20, { type: 'fixed', value: 30 }), 0);
+});
+
+test('쿠폰 없이도 합계 계산', () => {
+  assert.equal(calculateTotal(items, undefined, 0.1), 27.5);
+});
@@ -0,0 +1,103 @@
+/**
+ * 버그 수정 시나리오 하네스
+ *
+ * 수정된 processUserOrders, fetchUserData, CartManager가 원본 코드의 버그를
+ * 실제로 해결했는지 동작으로 검증합니다.
+ */
+
+const users = () => [{ id: 1, name: 'Kim' }, { id: 2, name: 'Lee' }];
+const orders = () => [
+  { userId: 1, amount: 10 },
+  { userId: 2, amount: 5 },
+  { userId: 1, amount: 3 }
+];
+
+export default {
+  globals: () => {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      return fetch.nextResponse;
+    };
+    fetch.calls = calls;
+    fetch.nextResponse = { ok: true, status: 200, json: async () => ({}) };
+    return { fetch };
+  },
+
+  tests: [
+    {
+      name: 'processUserOrders: 범위를 벗어나지 않고 사용자별 합계 계산',
+      run: ({ exports, assert }) => {
+        const result = exports.processUserOrders(users(), orders());
+        assert.equal(result.length, 2);
+        assert.deepEqual(result.map(user => user.totalSpent), [13, 5]);
+      }
+    },
+    {
+      name: 'processUserOrders: 주문의 userId를 덮어쓰지 않음',
+      run: ({ exports, assert }) => {
+        const input = orders();
+        exports.processUserOrders(users(), input);
+        assert.deepEqual(input.map(order => order.userId), [1, 2, 1]);
+      }
+    },
+    {
+      name: 'processUserOrders: 원본 사용자 객체를 변경하지 않음',
+      run: ({ exports, assert }) => {
+        const input = users();
+        exports.processUserOrders(input, orders());
+        assert.equal(input[0].totalSpent, undefined);
+      }
+    },
+    {
+      name: 'fetchUserData: userId가 없으면 요청하지 않음',
+      run: async ({ exports, globals, assert }) => {
+        await exports.fetchUserData(undefined).catch(() => {});
+        assert.equal(globals.fetch.calls.length, 0);
+      }
+    },
+    {
+      name: 'fetchUserData: 실패 응답은 오류로 전파',
+      run: async ({ exports, globals, assert }) => {
+        globals.fetch.nextResponse = { ok: false, status: 500, statusText: 'Server Error', json: async () => ({}) };
+        await assert.rejects(() => exports.fetchUserData(1));
+      }
+    },
+    {
+      name: 'fetchUserData: 사용자가 없으면 null 반환',
+      run: async ({ exports, assert }) => {
+        assert.equal(await exports.fetchUserData(1), null);
+      }
+    },
+    {
+      name: 'CartManager: id로 아이템 제거',
+      run: ({ exports, assert }) => {
+        const cart = new exports.CartManager();
+        cart.addItem({ id: 'a', price: 1 });
+        cart.addItem({ id: 'b', price: 2 });
+        cart.removeItem('b');
+        assert.deepEqual(cart.items.map(item => item.id), ['a']);
+      }
+    },
+    {
+      name: 'CartManager: 잘못된 아이템은 추가되지 않음',
+      run: ({ exports, assert }) => {
+        const cart = new exports.CartManager();
+        try {
+          cart.addItem(null);
+        } catch (error) {
+          // 예외로 거부하는 것도 허용
+        }
+        assert.equal(cart.items.length, 0);
+      }
+    },
+    {
+      name: 'CartManager: 가격이 없는 아이템은 0으로 계산',
+      run: ({ exports, assert }) => {
+        const cart = new exports.CartManager();
+        cart.items.push({ id: 'a', price: 5 }, { id: 'b' });
+        assert.equal(cart.calculateTotal(), 5);
+      }
+    }
+  ]
+};
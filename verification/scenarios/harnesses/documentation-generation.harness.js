@@ -0,0 +1,100 @@
+/**
+ * 문서화 시나리오 하네스
+ *
+ * 문서를 추가하는 과정에서 debounce, throttle, DataCache의 동작이
+ * 바뀌지 않았는지 검증합니다. 타이머는 가짜 구현으로 대체합니다.
+ */
+
+function createFakeTimers() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    setTimeout: (callback, delay = 0) => {
+      const id = nextId++;
+      timers.set(id, { callback, at: now + delay });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance: (ms) => {
+      now += ms;
+      for (const [id, timer] of [...timers].sort((a, b) => a[1].at - b[1].at)) {
+        if (timer.at <= now) {
+          timers.delete(id);
+          timer.callback();
+        }
+      }
+    }
+  };
+}
+
+export default {
+  globals: () => createFakeTimers(),
+
+  tests: [
+    {
+      name: 'debounce: 연속 호출은 마지막 한 번만 실행',
+      run: ({ exports, globals, assert }) => {
+        const calls = [];
+        const debounced = exports.debounce(value => calls.push(value), 100);
+        debounced(1);
+        debounced(2);
+        debounced(3);
+        globals.advance(100);
+        assert.deepEqual(calls, [3]);
+      }
+    },
+    {
+      name: 'debounce: immediate 모드는 첫 호출을 즉시 실행',
+      run: ({ exports, globals, assert }) => {
+        const calls = [];
+        const debounced = exports.debounce(value => calls.push(value), 100, true);
+        debounced(1);
+        debounced(2);
+        globals.advance(100);
+        assert.deepEqual(calls, [1]);
+      }
+    },
+    {
+      name: 'throttle: 제한 시간 내 호출은 한 번만 실행',
+      run: ({ exports, globals, assert }) => {
+        const calls = [];
+        const throttled = exports.throttle(value => calls.push(value), 100);
+        throttled(1);
+        throttled(2);
+        globals.advance(100);
+        throttled(3);
+        assert.deepEqual(calls, [1, 3]);
+      }
+    },
+    {
+      name: 'DataCache: 저장한 값을 조회',
+      run: ({ exports, assert }) => {
+        const cache = new exports.DataCache();
+        cache.set('a', 1);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('missing'), null);
+      }
+    },
+    {
+      name: 'DataCache: 최대 크기를 넘으면 가장 오래된 항목 제거',
+      run: ({ exports, assert }) => {
+        const cache = new exports.DataCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('c', 3);
+        assert.equal(cache.get('a'), null);
+        assert.equal(cache.size(), 2);
+      }
+    },
+    {
+      name: 'DataCache: TTL이 지난 항목은 null 반환',
+      run: ({ exports, assert }) => {
+        const cache = new exports.DataCache(10, -1);
+        cache.set('a', 1);
+        assert.equal(cache.get('a'), null);
+      }
+    }
+  ]
+};
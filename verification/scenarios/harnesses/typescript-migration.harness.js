@@ -0,0 +1,59 @@
+/**
+ * TypeScript 마이그레이션 시나리오 하네스
+ *
+ * 트랜스파일된 결과물의 userService가 원본 JavaScript와 같은 동작을
+ * 유지하는지 검증합니다. 클래스로 재작성한 경우(UserService)도 허용합니다.
+ */
+
+function getUserService(exports) {
+  if (exports.userService) return exports.userService;
+  if (typeof exports.UserService === 'function') return new exports.UserService();
+  throw new Error('userService 또는 UserService를 찾을 수 없습니다');
+}
+
+export default {
+  tests: [
+    {
+      name: 'addUser: 기본 역할과 활성 상태 설정',
+      run: ({ exports, assert }) => {
+        const service = getUserService(exports);
+        const user = service.addUser({ name: 'Kim', email: 'kim@example.com' });
+        assert.equal(user.role, 'user');
+        assert.equal(user.isActive, true);
+      }
+    },
+    {
+      name: 'findUserById: 추가한 사용자 조회',
+      run: ({ exports, assert }) => {
+        const service = getUserService(exports);
+        const user = service.addUser({ name: 'Kim', email: 'kim@example.com' });
+        assert.equal(service.findUserById(user.id).email, 'kim@example.com');
+      }
+    },
+    {
+      name: 'updateUser: 없는 사용자는 예외 발생',
+      run: ({ exports, assert }) => {
+        const service = getUserService(exports);
+        assert.throws(() => service.updateUser(-1, { name: 'x' }));
+      }
+    },
+    {
+      name: 'deleteUser: 삭제 결과를 boolean으로 반환',
+      run: ({ exports, assert }) => {
+        const service = getUserService(exports);
+        const user = service.addUser({ name: 'Kim', email: 'kim@example.com' });
+        assert.equal(service.deleteUser(user.id), true);
+        assert.equal(service.deleteUser(user.id), false);
+      }
+    },
+    {
+      name: 'filterUsers: 모든 조건이 일치하는 사용자만 반환',
+      run: ({ exports, assert }) => {
+        const service = getUserService(exports);
+        service.addUser({ name: 'Kim', email: 'kim@example.com', role: 'admin' });
+        service.addUser({ name: 'Lee', email: 'lee@example.com' });
+        assert.deepEqual(service.filterUsers({ role: 'admin' }).map(user => user.name), ['Kim']);
+      }
+    }
+  ]
+};
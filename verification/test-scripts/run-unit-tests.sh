@@ -0,0 +1,24 @@
+#!/bin/bash
+
+# =============================================================================
+# 벤치마크 자동화 모듈 단위 테스트
+# =============================================================================
+#
+# verification/automation/*.test.js를 Jest로 실행합니다.
+# 모듈이 ES 모듈이라 Node의 --experimental-vm-modules로 변환 없이 불러옵니다.
+# 인자는 Jest에 그대로 전달됩니다. 예: ./run-unit-tests.sh report-comparator
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
+
+CONFIG='{
+  "rootDir": "'"$PROJECT_ROOT"'/verification/automation",
+  "testMatch": ["<rootDir>/*.test.js"],
+  "testEnvironment": "node",
+  "transform": {}
+}'
+
+cd "$PROJECT_ROOT"
+NODE_OPTIONS="--experimental-vm-modules${NODE_OPTIONS:+ $NODE_OPTIONS}" exec npx --no-install jest --ci --config "$CONFIG" "$@"